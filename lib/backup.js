@@ -0,0 +1,120 @@
+// lib/backup.js (CommonJS)
+// Whole-profile backups for GET /api/profiles/:id/backup and POST .../restore.
+// A backup is one JSON file that can move Penny to another browser or server:
+//
+// { format: 'penny-backup', version (the store version that wrote it),
+//   exportedAt, profile: Profile (see lib/store.js, pet snapshots and
+//   timeline included) }
+//
+// Restoring checks the shape first, then runs the profile through the same
+// migrations the data file gets at boot, so a backup from any older version
+// comes back in today's shape. Newer versions are refused.
+
+const scoring = require('../public/scoring');
+const { migrate, STORE_VERSION } = require('./store');
+
+const BACKUP_FORMAT = 'penny-backup';
+const TX_TYPES = ['deposit', 'withdraw'];
+
+const isObject = x => !!x && typeof x === 'object' && !Array.isArray(x);
+const isId = x => typeof x === 'string' && x.length > 0 && x.length <= 100;
+const isDate = x => typeof x === 'string' && !Number.isNaN(Date.parse(x));
+const isAmount = x => Number.isFinite(x) && x > 0;
+
+// What every item of each list must look like: an error or null.
+const ITEM_CHECKS = {
+  transactions(t) {
+    if (!isId(t.id)) return 'id is required';
+    if (!TX_TYPES.includes(t.type)) return `type must be one of ${TX_TYPES.join(', ')}`;
+    if (!isAmount(t.amount)) return 'amount must be a positive number';
+    if (!isDate(t.createdAt)) return 'createdAt must be a date';
+    return null;
+  },
+  accounts(a) {
+    if (!isId(a.id)) return 'id is required';
+    if (typeof a.name !== 'string' || !a.name.trim()) return 'name is required';
+    if (!scoring.isAccountType(a.type)) return `unknown account type "${a.type}"`;
+    if (!Number.isFinite(a.balance)) return 'balance must be a number';
+    if (a.currency !== undefined && !scoring.isCurrency(a.currency)) return `unknown currency "${a.currency}"`;
+    return null;
+  },
+  transfers(t) {
+    if (!isId(t.id) || !isId(t.from) || !isId(t.to)) return 'id, from and to are required';
+    if (!isAmount(t.amount)) return 'amount must be a positive number';
+    if (!isDate(t.createdAt)) return 'createdAt must be a date';
+    return null;
+  },
+  valuations(v) {
+    if (!isId(v.id) || !isId(v.accountId)) return 'id and accountId are required';
+    if (!Number.isFinite(v.value) || !Number.isFinite(v.gain)) return 'value and gain must be numbers';
+    if (!isDate(v.createdAt)) return 'createdAt must be a date';
+    return null;
+  },
+  recurring(r) {
+    if (!isId(r.id)) return 'id is required';
+    if (!TX_TYPES.includes(r.type)) return `type must be one of ${TX_TYPES.join(', ')}`;
+    if (!isAmount(r.amount)) return 'amount must be a positive number';
+    return null;
+  },
+  goals(g) {
+    if (!isId(g.id)) return 'id is required';
+    if (typeof g.name !== 'string' || !isAmount(g.target)) return 'name and a positive target are required';
+    if (!Number.isFinite(g.saved)) return 'saved must be a number';
+    return null;
+  },
+  debts(d) {
+    if (!isId(d.id)) return 'id is required';
+    if (typeof d.name !== 'string' || !Number.isFinite(d.balance)) return 'name and balance are required';
+    return null;
+  },
+  petSnapshots(s) {
+    return isDate(s.savedAt) ? null : 'savedAt must be a date';
+  },
+  timeline(p) {
+    if (!isDate(p.at)) return 'at must be a date';
+    if (!Number.isFinite(p.health)) return 'health must be a number';
+    return null;
+  }
+};
+
+function buildBackup(profile) {
+  return {
+    format: BACKUP_FORMAT,
+    version: STORE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: JSON.parse(JSON.stringify(profile))
+  };
+}
+
+// null when `raw` is a backup this server can restore, otherwise what is wrong
+// with it (naming the first bad item, e.g. "profile.transactions[3]: ...").
+function validateBackup(raw) {
+  if (!isObject(raw) || raw.format !== BACKUP_FORMAT) return 'Not a Penny backup file';
+  if (!Number.isInteger(raw.version) || raw.version < 1) return 'Backup version is missing';
+  if (raw.version > STORE_VERSION) return `This backup is from a newer Penny (v${raw.version}); this one reads up to v${STORE_VERSION}`;
+  const p = raw.profile;
+  if (!isObject(p)) return 'Backup has no profile';
+  if (p.financial !== undefined && !isObject(p.financial)) return 'profile.financial must be an object';
+  if (p.settings !== undefined && !isObject(p.settings)) return 'profile.settings must be an object';
+  if (p.balance !== undefined && !Number.isFinite(p.balance)) return 'profile.balance must be a number';
+  if (p.petState != null && !isObject(p.petState)) return 'profile.petState must be an object';
+
+  for (const [list, check] of Object.entries(ITEM_CHECKS)) {
+    if (p[list] === undefined) continue;
+    if (!Array.isArray(p[list])) return `profile.${list} must be a list`;
+    for (let i = 0; i < p[list].length; i++) {
+      const item = p[list][i];
+      const problem = isObject(item) ? check(item) : 'must be an object';
+      if (problem) return `profile.${list}[${i}]: ${problem}`;
+    }
+  }
+  return null;
+}
+
+// The profile of a validated backup, migrated to the current version.
+function readBackup(raw) {
+  const profile = JSON.parse(JSON.stringify(raw.profile));
+  return migrate({ version: raw.version, profiles: { backup: profile } }).profiles.backup;
+}
+
+module.exports = { BACKUP_FORMAT, buildBackup, validateBackup, readBackup };
@@ -0,0 +1,260 @@
+// lib/chat.js (CommonJS)
+// Chatting with Penny about your money. Mounted under /chat by server.js.
+// Every answer is grounded in facts worked out from the profile's ledger
+// (scoring.inputsFromLedger → computeMetrics, the same numbers the pet is
+// scored on). The model is told to use those numbers only, and a reply that
+// quotes one it was never given is swapped for Penny's own answer from the
+// facts. The last MAX_TURNS exchanges per profile are kept in memory for the
+// next prompt; they are never written to the data file and a restart clears them.
+//
+//   POST   /chat       { profileId, message, language?, persona? }
+//                      → { reply, source: 'model'|'local', persona, history }
+//   GET    /chat/:id   → { history }
+//   DELETE /chat/:id   → { history: [] }
+// history: [{ role: 'user'|'penny', text, at }], oldest first. Every error is { error }.
+
+const express = require('express');
+const scoring = require('../public/scoring');
+const i18n = require('../public/i18n');
+const personas = require('../public/personas');
+
+const MAX_TURNS = 6;               // question + answer pairs remembered per profile
+const MAX_MESSAGE_LENGTH = 500;
+const SAFE_RUNWAY_MONTHS = 3;      // savings a purchase may not dip below, in months of spending
+const SMALL_COUNT = 10;            // "2 things", "3 months": whole counts any reply may use
+
+// What a question is about, money-wise: "can I afford a $400 ticket?" → 400.
+// An amount with a currency sign or word, or any number in a question about
+// buying, paying or affording.
+const CURRENCY_WORDS = scoring.CURRENCIES.flatMap(c => [c.one, c.many]).join('|');
+const AMOUNT_RES = [
+  /[$€£¥₹]\s?(\d[\d,]*(?:\.\d+)?)/,
+  new RegExp(`(\\d[\\d,]*(?:\\.\\d+)?)\\s*(?:${CURRENCY_WORDS}|€|\\$)`, 'i'),
+  /(?:afford|buy|spend|pay|cost|price|permitir|comprar|gastar|pagar|cuesta|payer|acheter|dépenser|coûte|permettre)\D{0,40}?(\d[\d,]*(?:\.\d+)?)/i
+];
+
+function questionAmount(question) {
+  for (const re of AMOUNT_RES) {
+    const m = re.exec(question);
+    if (m) return Number(m[1].replace(/,/g, '')) || null;
+  }
+  return null;
+}
+
+// Returns an error string, or null when the message can be sent to Penny.
+function validateMessage(message) {
+  if (typeof message !== 'string' || !message.trim()) return 'message is required';
+  if (message.length > MAX_MESSAGE_LENGTH) return `message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  return null;
+}
+
+/* ---------------------------------- Facts ---------------------------------- */
+
+const whole = x => Math.round(x);
+const pct = x => Number.isFinite(x) ? Math.round(x * 100) : null;
+
+// Everything Penny may quote, in the profile currency and already rounded.
+// `purchase` (when the question names an amount) says what buying it would
+// leave, and a verdict: 'yes' (fits what is left this month), 'savings'
+// (only out of savings, which would still cover SAFE_RUNWAY_MONTHS) or 'no'.
+function chatFacts(profile, question, now = new Date()) {
+  const inputs = scoring.inputsFromLedger({ ...profile, now });
+  const m = scoring.computeMetrics(inputs);
+  const { state, health } = scoring.score(inputs);
+  const ledger = scoring.inProfileCurrency(profile);
+  const month = scoring.monthSummary(ledger.transactions, now);
+  const usage = scoring.categoryUsage(ledger.transactions, profile.financial.categoryBudgets, now);
+  const goal = scoring.goalProgress(profile.goals, now).nearest;
+  const left = m.inc - m.sp;
+
+  const facts = {
+    state,
+    health,
+    balance: whole(profile.balance),
+    savings: whole(m.sav),
+    monthly_income: whole(m.inc),
+    monthly_spending: whole(m.sp),
+    left_each_month: whole(left),
+    spent_this_month: whole(month.withdrawals),
+    earned_this_month: whole(month.deposits),
+    days_left_in_month: month.daysInMonth - month.daysElapsed,
+    spending_pct_of_income: pct(m.budget_ratio),
+    savings_runway_months: +m.runway_months.toFixed(1),
+    invest_rate_pct: pct(m.invest_rate),
+    debt: whole(m.debt),
+    debt_pct_of_income: pct(m.dti)
+  };
+  const budgets = usage.categories.filter(c => c.budget);
+  if (budgets.length) {
+    facts.category_budgets_used_pct = Object.fromEntries(budgets.map(c => [c.label, pct(c.used)]));
+  }
+  if (goal) {
+    facts.nearest_goal = {
+      name: goal.name,
+      saved: whole(goal.saved),
+      target: whole(goal.target),
+      due: goal.targetDate,
+      monthly_needed: Math.ceil(goal.monthlyNeeded)
+    };
+  }
+  facts.recent = ledger.transactions.slice(-5).map(tx => ({
+    date: scoring.dayKey(tx.createdAt),
+    type: tx.type,
+    amount: whole(tx.amount),
+    ...(tx.category ? { category: tx.category } : {}),
+    ...(tx.description ? { description: tx.description } : {})
+  }));
+
+  const amount = questionAmount(question);
+  if (amount) {
+    const savingsAfter = m.sav - amount;
+    const runwayAfter = m.sp > 0 ? savingsAfter / m.sp : (savingsAfter > 0 ? 99.9 : 0);
+    facts.purchase = {
+      amount: whole(amount),
+      left_this_month_after: whole(left - amount),
+      savings_after: whole(savingsAfter),
+      runway_months_after: +runwayAfter.toFixed(1),
+      verdict: amount <= left ? 'yes' : (savingsAfter >= 0 && runwayAfter >= SAFE_RUNWAY_MONTHS ? 'savings' : 'no')
+    };
+  }
+  return facts;
+}
+
+/* --------------------------------- Grounding -------------------------------- */
+
+// The values a number written in `text` may mean: "1,200.5" and "1.200,5" alike.
+function numbersIn(text) {
+  return (String(text).match(/\d[\d.,]*\d|\d/g) || []).map(raw => [
+    Number(raw.replace(/,/g, '')),
+    Number(raw.replace(/\./g, '').replace(',', '.'))
+  ].filter(Number.isFinite));
+}
+
+// True when every number in `reply` is a small count or one Penny was given:
+// in the facts, the conversation so far or the question.
+function quotesOnlyKnownNumbers(reply, sources) {
+  const known = new Set();
+  numbersIn(sources.join('\n')).flat().forEach(n => {
+    known.add(n);
+    known.add(Math.round(n));
+    known.add(+n.toFixed(1));
+  });
+  return numbersIn(reply).every(readings =>
+    readings.some(n => (Number.isInteger(n) && n <= SMALL_COUNT) || known.has(n) || known.has(Math.round(n))));
+}
+
+/* --------------------------------- Answers --------------------------------- */
+
+function chatPrompt({ persona, language, currency, facts, history, question }) {
+  return [
+    ...persona.voice,
+    `The user is chatting with you about their own money. Answer in 1 to 3 short sentences in ${i18n.languageName(language)}.`,
+    'Use ONLY the numbers in Facts and the ones the user says. Never make up a number, price, date or rate.',
+    'If the answer needs a number that is not there, say you do not know it.',
+    `Money amounts are in ${i18n.currencyName(currency, language)}; say "${i18n.moneyWords(40, currency, language)}".`,
+    ...(facts.purchase
+      ? ['Facts.purchase is what they asked about; answer from its verdict (yes = fits what is left this month, savings = only out of savings, no = not now).']
+      : []),
+    '',
+    'Facts:',
+    JSON.stringify(facts),
+    '',
+    'Conversation so far:',
+    ...history.map(h => `${h.role === 'user' ? 'User' : 'Penny'}: ${h.text}`),
+    `User: ${question}`,
+    '',
+    'Return JSON ONLY (no code fences): {"reply": "<your answer>"}'
+  ].join('\n');
+}
+
+// Penny's own answer from the facts (public/locales/, `chat.*`): the verdict
+// on a purchase, or where the money stands. `unsure` owns up first that the
+// model's answer was dropped.
+function localReply(facts, { currency, language, unsure }) {
+  const say = (key, vars) => i18n.translate(language, `chat.${key}`, vars);
+  const money = x => i18n.moneyWords(x, currency, language);
+  const left = money(Math.abs(facts.left_each_month));
+  const answer = facts.purchase
+    ? say(`afford.${facts.purchase.verdict}`, {
+      amount: money(facts.purchase.amount),
+      left: money(Math.max(0, facts.left_each_month)),
+      months: facts.purchase.runway_months_after,
+      safe: SAFE_RUNWAY_MONTHS
+    })
+    : say(facts.left_each_month >= 0 ? 'summary' : 'summaryOver', {
+      state: i18n.translate(language, `state.${facts.state}`).toLowerCase(),
+      health: facts.health,
+      savings: money(facts.savings),
+      left
+    });
+  return unsure ? `${say('unsure')} ${answer}` : answer;
+}
+
+/* ---------------------------------- Routes ---------------------------------- */
+
+function chatRoutes(store, llm) {
+  const router = express.Router();
+  const histories = new Map();   // profile id → [{ role, text, at }]
+  const historyOf = id => histories.get(id) || [];
+
+  router.param('id', (req, res, next, id) => {
+    if (!store.isValidId(id)) return res.status(400).json({ error: 'Invalid profile id' });
+    req.profile = store.getProfile(id);
+    next();
+  });
+
+  const requireProfile = (req, res, next) =>
+    req.profile ? next() : res.status(404).json({ error: 'Profile not found' });
+
+  router.get('/:id', requireProfile, (req, res) => {
+    res.json({ history: historyOf(req.params.id) });
+  });
+
+  router.delete('/:id', requireProfile, (req, res) => {
+    histories.delete(req.params.id);
+    res.json({ history: [] });
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const { profileId, message } = req.body || {};
+      if (!store.isValidId(profileId)) return res.status(400).json({ error: 'Invalid profile id' });
+      const profile = store.getProfile(profileId);
+      if (!profile) return res.status(404).json({ error: 'Profile not found' });
+      const invalid = validateMessage(message);
+      if (invalid) return res.status(400).json({ error: invalid });
+      if (llm.configError) return res.status(500).json({ error: llm.configError });
+
+      const question = message.trim();
+      const { currency } = profile.settings;
+      // Same language and voice rules as /analyze
+      const language = [req.body.language, profile.settings.language].find(i18n.isLanguage) || i18n.DEFAULT_LANGUAGE;
+      const persona = personas.personaOf([req.body.persona, profile.settings.persona].find(personas.isPersona));
+      const facts = chatFacts(profile, question);
+      const history = historyOf(profileId);
+
+      // Provider errors (HTTP, timeout, truncated output) → Penny's own answer
+      let reply = '';
+      try {
+        const out = await llm.chat({ prompt: chatPrompt({ persona, language, currency, facts, history, question }), facts });
+        reply = String(out?.reply || '').trim();
+      } catch (err) {
+        console.warn(`[${llm.name}] chat falling back to local answer:`, err.message);
+      }
+      const grounded = reply && quotesOnlyKnownNumbers(reply, [JSON.stringify(facts), question, ...history.map(h => h.text)]);
+      if (!grounded) reply = localReply(facts, { currency, language, unsure: Boolean(reply) });
+
+      const at = new Date().toISOString();
+      const next = [...history, { role: 'user', text: question, at }, { role: 'penny', text: reply, at }].slice(-MAX_TURNS * 2);
+      histories.set(profileId, next);
+      res.json({ reply, source: grounded ? 'model' : 'local', persona: persona.key, history: next });
+    } catch (err) {
+      console.error('Chat error:', err);
+      res.status(500).json({ error: err.message || 'Server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { chatRoutes, chatFacts, questionAmount, quotesOnlyKnownNumbers };
@@ -0,0 +1,377 @@
+// lib/llm-providers.js (CommonJS)
+// LLM providers for /analyze. Each one takes the coach prompt plus the
+// pre-formatted numbers and resolves to { headline, advice } (raw, the route
+// normalizes it) or null when the model gave nothing usable. Transport/API
+// errors throw; the route falls back to local advice either way.
+// stream() is the same call with the answer streamed: onText gets the text so
+// far after every piece (partialAdvice reads what it says yet), and it
+// resolves like generate(). chat() answers a /chat prompt (see lib/chat.js)
+// and resolves to { reply } or null, the same way.
+//
+// Selected with LLM_PROVIDER = gemini | openai | ollama | mock.
+// Unset → gemini when GEMINI_API_KEY exists, otherwise mock (offline dev).
+//
+//   gemini  GEMINI_API_KEY, GEMINI_MODEL (gemini-2.5-flash)
+//   openai  OPENAI_API_KEY, OPENAI_BASE_URL (https://api.openai.com/v1), OPENAI_MODEL (gpt-4o-mini)
+//           Any OpenAI-compatible /chat/completions endpoint works.
+//   ollama  OLLAMA_URL (http://localhost:11434), OLLAMA_MODEL (llama3.1)
+//   mock    no config; deterministic output built from the numbers
+//
+// LLM_TIMEOUT_MS (12000) caps every remote call (a whole stream included).
+
+const TEMPERATURE = 0.3;
+const MAX_TOKENS = 120;
+const CHAT_MAX_TOKENS = 200;
+
+/* ------------------------------ fetch helpers ------------------------------ */
+
+async function postJson(url, body, { headers = {}, timeoutMs }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: ctrl.signal
+    });
+    const data = await r.json().catch(() => ({}));
+    return { ok: r.ok, status: r.status, data };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// POSTs and hands each non-empty line of the streamed answer to onLine (SSE
+// "data:" lines and NDJSON alike). A failed request resolves like postJson.
+async function postStream(url, body, { headers = {}, timeoutMs, signal }, onLine) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  const stop = () => ctrl.abort();
+  signal?.addEventListener('abort', stop);
+  try {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: ctrl.signal
+    });
+    if (!r.ok) {
+      const data = await r.json().catch(() => ({}));
+      return { ok: false, status: r.status, data };
+    }
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of r.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.map(l => l.trim()).filter(Boolean).forEach(onLine);
+    }
+    if (buffer.trim()) onLine(buffer.trim());
+    return { ok: true, status: r.status };
+  } finally {
+    clearTimeout(t);
+    signal?.removeEventListener('abort', stop);
+  }
+}
+
+// One streamed line as JSON ("data: {...}" or a bare NDJSON object), or null.
+function parseStreamLine(line) {
+  const text = line.startsWith('data:') ? line.slice(5).trim() : line;
+  try { return JSON.parse(text); } catch { return null; }
+}
+
+// Models sometimes wrap JSON in code fences or chatter; grab the first object.
+function parseAdviceJson(text) {
+  const t = String(text || '').replace(/```json|```/g, '').trim();
+  if (!t) return null;
+  try { return JSON.parse(t); } catch {}
+  const start = t.indexOf('{');
+  const end = t.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try { return JSON.parse(t.slice(start, end + 1)); } catch { return null; }
+}
+
+// What a still-streaming answer says so far: the headline and the advice
+// strings, the last of them possibly cut short.
+function partialAdvice(text) {
+  const s = String(text || '');
+  const out = { headline: '', advice: [] };
+  const headline = /"headline"\s*:\s*"/.exec(s);
+  if (headline) out.headline = readJsonString(s, headline.index + headline[0].length).value;
+  const advice = /"advice"\s*:\s*\[/.exec(s);
+  if (advice) {
+    let i = advice.index + advice[0].length;
+    for (;;) {
+      const next = /^\s*,?\s*"/.exec(s.slice(i));
+      if (!next) break;
+      const item = readJsonString(s, i + next[0].length);
+      out.advice.push(item.value);
+      if (!item.closed) break;
+      i = item.end;
+    }
+  }
+  return out;
+}
+
+// The JSON string starting at s[i] (just after its opening quote), up to its
+// closing quote or as far as it goes; a half-sent escape is left for later.
+function readJsonString(s, i) {
+  const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+  let value = '';
+  while (i < s.length) {
+    const ch = s[i];
+    if (ch === '"') return { value, closed: true, end: i + 1 };
+    if (ch !== '\\') { value += ch; i++; continue; }
+    if (i + 1 >= s.length) break;
+    if (s[i + 1] === 'u') {
+      if (i + 6 > s.length) break;
+      value += String.fromCharCode(parseInt(s.slice(i + 2, i + 6), 16));
+      i += 6;
+    } else {
+      value += ESCAPES[s[i + 1]] ?? s[i + 1];
+      i += 2;
+    }
+  }
+  return { value, closed: false, end: i };
+}
+
+function httpError(name, status, data) {
+  const detail = data?.error?.message || data?.error || `HTTP ${status}`;
+  return new Error(`${name}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+}
+
+/* --------------------------------- Gemini ---------------------------------- */
+
+function geminiProvider(env, timeoutMs) {
+  const apiKey = env.GEMINI_API_KEY;
+  const model = env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+  const responseSchema = {
+    type: 'OBJECT',
+    properties: {
+      headline: { type: 'STRING' },         // emojis OK
+      advice:   { type: 'ARRAY', items: { type: 'STRING' }, minItems: 3, maxItems: 3 }
+    },
+    required: ['headline','advice'],
+    propertyOrdering: ['headline','advice']
+  };
+  const chatSchema = {
+    type: 'OBJECT',
+    properties: { reply: { type: 'STRING' } },
+    required: ['reply']
+  };
+
+  const url = method => `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}?key=${apiKey}`;
+  const requestBody = (prompt, schema = responseSchema, maxTokens = MAX_TOKENS) => ({
+    contents: [{ parts: [{ text: prompt }] }],
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: schema,
+      temperature: TEMPERATURE,
+      maxOutputTokens: maxTokens
+    }
+  });
+  const partsText = cand => (cand?.content?.parts || []).map(p => p?.text || '').join('');
+
+  return {
+    name: 'gemini',
+    configError: apiKey ? null : 'Missing GEMINI_API_KEY in .env',
+    async generate({ prompt }) {
+      const { ok, status, data } = await postJson(url('generateContent'), requestBody(prompt), { timeoutMs });
+      if (!ok) throw httpError('gemini', status, data);
+
+      // MAX_TOKENS means truncated JSON → treat as unusable
+      const cand = data?.candidates?.[0];
+      if (cand?.finishReason === 'MAX_TOKENS') return null;
+
+      let text = '';
+      if (Array.isArray(cand?.content?.parts)) text = partsText(cand);
+      else if (typeof cand?.text === 'string') text = cand.text;
+      return parseAdviceJson(text);
+    },
+    async stream({ prompt, signal }, onText) {
+      let text = '';
+      let finishReason = null;
+      const { ok, status, data } = await postStream(
+        `${url('streamGenerateContent')}&alt=sse`, requestBody(prompt), { timeoutMs, signal },
+        line => {
+          const cand = parseStreamLine(line)?.candidates?.[0];
+          if (cand?.finishReason) finishReason = cand.finishReason;
+          const piece = partsText(cand);
+          if (piece) onText(text += piece);
+        }
+      );
+      if (!ok) throw httpError('gemini', status, data);
+      return finishReason === 'MAX_TOKENS' ? null : parseAdviceJson(text);
+    },
+    async chat({ prompt }) {
+      const { ok, status, data } = await postJson(url('generateContent'), requestBody(prompt, chatSchema, CHAT_MAX_TOKENS), { timeoutMs });
+      if (!ok) throw httpError('gemini', status, data);
+      const cand = data?.candidates?.[0];
+      return cand?.finishReason === 'MAX_TOKENS' ? null : parseAdviceJson(partsText(cand));
+    }
+  };
+}
+
+/* ---------------------------- OpenAI-compatible ---------------------------- */
+
+function openaiProvider(env, timeoutMs) {
+  const apiKey = env.OPENAI_API_KEY;
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const model = env.OPENAI_MODEL || 'gpt-4o-mini';
+
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const requestBody = (prompt, stream, maxTokens = MAX_TOKENS) => ({
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    response_format: { type: 'json_object' },
+    temperature: TEMPERATURE,
+    max_tokens: maxTokens,
+    stream
+  });
+
+  return {
+    name: 'openai',
+    // Local OpenAI-compatible servers often need no key; only the default host does.
+    configError: (!apiKey && !env.OPENAI_BASE_URL) ? 'Missing OPENAI_API_KEY in .env' : null,
+    async generate({ prompt }) {
+      const { ok, status, data } = await postJson(`${baseUrl}/chat/completions`, requestBody(prompt, false), { headers, timeoutMs });
+      if (!ok) throw httpError('openai', status, data);
+
+      const choice = data?.choices?.[0];
+      if (choice?.finish_reason === 'length') return null;
+      return parseAdviceJson(choice?.message?.content);
+    },
+    async stream({ prompt, signal }, onText) {
+      let text = '';
+      let finishReason = null;
+      const { ok, status, data } = await postStream(
+        `${baseUrl}/chat/completions`, requestBody(prompt, true), { headers, timeoutMs, signal },
+        line => {
+          // The last line is "data: [DONE]", which parses to null
+          const choice = parseStreamLine(line)?.choices?.[0];
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+          const piece = choice?.delta?.content;
+          if (piece) onText(text += piece);
+        }
+      );
+      if (!ok) throw httpError('openai', status, data);
+      return finishReason === 'length' ? null : parseAdviceJson(text);
+    },
+    async chat({ prompt }) {
+      const { ok, status, data } = await postJson(`${baseUrl}/chat/completions`, requestBody(prompt, false, CHAT_MAX_TOKENS), { headers, timeoutMs });
+      if (!ok) throw httpError('openai', status, data);
+      const choice = data?.choices?.[0];
+      return choice?.finish_reason === 'length' ? null : parseAdviceJson(choice?.message?.content);
+    }
+  };
+}
+
+/* --------------------------------- Ollama ---------------------------------- */
+
+function ollamaProvider(env, timeoutMs) {
+  const baseUrl = (env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '');
+  const model = env.OLLAMA_MODEL || 'llama3.1';
+
+  const requestBody = (prompt, stream, maxTokens = MAX_TOKENS) => ({
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    format: 'json',
+    stream,
+    options: { temperature: TEMPERATURE, num_predict: maxTokens }
+  });
+
+  return {
+    name: 'ollama',
+    configError: null,
+    async generate({ prompt }) {
+      const { ok, status, data } = await postJson(`${baseUrl}/api/chat`, requestBody(prompt, false), { timeoutMs });
+      if (!ok) throw httpError('ollama', status, data);
+      return parseAdviceJson(data?.message?.content);
+    },
+    async stream({ prompt, signal }, onText) {
+      let text = '';
+      // NDJSON: one { message: { content } } object per line
+      const { ok, status, data } = await postStream(
+        `${baseUrl}/api/chat`, requestBody(prompt, true), { timeoutMs, signal },
+        line => {
+          const piece = parseStreamLine(line)?.message?.content;
+          if (piece) onText(text += piece);
+        }
+      );
+      if (!ok) throw httpError('ollama', status, data);
+      return parseAdviceJson(text);
+    },
+    async chat({ prompt }) {
+      const { ok, status, data } = await postJson(`${baseUrl}/api/chat`, requestBody(prompt, false, CHAT_MAX_TOKENS), { timeoutMs });
+      if (!ok) throw httpError('ollama', status, data);
+      return parseAdviceJson(data?.message?.content);
+    }
+  };
+}
+
+/* ---------------------------------- Mock ----------------------------------- */
+
+// Same input → same output, no network. Mirrors the Good/Fix/Goal shape.
+// Streaming sends its JSON a few characters at a time; chat replies quote
+// the facts it was given.
+function mockProvider() {
+  const STREAM_CHUNK = 8;
+  const answer = ctx => ({
+    headline: `Penny is ${String(ctx.state).toLowerCase()} at ${ctx.health} health. 🧪`,
+    advice: [
+      `Good: Spending is ${ctx.budget_ratio_pct}% of income. 👍`,
+      `Fix: Runway is ${ctx.runway_months_1d} mo, DTI ${ctx.dti_pct}%. 🏦`,
+      ctx.nearest_goal
+        ? `Goal: ${ctx.nearest_goal.monthly_needed}/mo for ${ctx.nearest_goal.name} by ${ctx.nearest_goal.due}. 🎯`
+        : `Goal (next week): investing ${ctx.invest_rate_pct}% of income. 🗓️`
+    ]
+  });
+
+  return {
+    name: 'mock',
+    configError: null,
+    async generate({ ctx }) {
+      return answer(ctx);
+    },
+    async stream({ ctx, signal }, onText) {
+      const json = JSON.stringify(answer(ctx));
+      for (let i = STREAM_CHUNK; i < json.length + STREAM_CHUNK; i += STREAM_CHUNK) {
+        if (signal?.aborted) throw new Error('mock: stream aborted');
+        onText(json.slice(0, i));
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return answer(ctx);
+    },
+    async chat({ facts }) {
+      const purchase = facts.purchase
+        ? ` A ${facts.purchase.amount} buy is a "${facts.purchase.verdict}". 🧪`
+        : ' 🧪';
+      return { reply: `You have ${facts.savings} saved and ${facts.left_each_month} left each month.${purchase}` };
+    }
+  };
+}
+
+/* --------------------------------- Factory --------------------------------- */
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  ollama: ollamaProvider,
+  mock:   mockProvider
+};
+
+function createProvider(env = process.env) {
+  const requested = String(env.LLM_PROVIDER || '').trim().toLowerCase();
+  const name = requested || (env.GEMINI_API_KEY ? 'gemini' : 'mock');
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${requested}" (use ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  const timeoutMs = Number(env.LLM_TIMEOUT_MS) > 0 ? Number(env.LLM_TIMEOUT_MS) : 12000;
+  return factory(env, timeoutMs);
+}
+
+module.exports = { createProvider, parseAdviceJson, partialAdvice, PROVIDERS };
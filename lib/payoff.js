@@ -0,0 +1,125 @@
+// lib/payoff.js (CommonJS)
+// Debt payoff planner for GET /api/profiles/:id/debts/plan. Steps every debt
+// forward one month at a time: interest accrues, every debt gets its minimum,
+// and whatever is left of the monthly payment (the minimums plus any extra)
+// goes to one target debt. Once a debt is gone its minimum rolls into the
+// next target, so the monthly payment stays the same until everything is paid.
+//
+// Strategies differ only in the order of targets:
+//   avalanche  highest APR first (least interest)
+//   snowball   smallest balance first (quickest wins)
+//
+// Debt: { id, name, balance, apr (percent per year), minPayment }
+
+const MAX_MONTHS = 600;   // 50 years; a plan that takes longer never finishes
+
+const num = x => Number.isFinite(+x) ? +x : 0;
+const round2 = x => Math.round(x * 100) / 100;
+
+const STRATEGIES = {
+  avalanche: (a, b) => (b.apr - a.apr) || (a.balance - b.balance),
+  snowball:  (a, b) => (a.balance - b.balance) || (b.apr - a.apr)
+};
+
+// 'YYYY-MM' that is `months` after `start` (a Date).
+function addMonths(start, months) {
+  const dt = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+  return `${dt.getUTCFullYear()}-${String(dt.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function planStrategy(debts, strategy, extraMonthly, start) {
+  const order = debts.slice().sort(STRATEGIES[strategy]);
+  const live = order.map(d => ({ ...d, interest: 0, paidOffMonth: d.balance > 0 ? null : 0 }));
+  const payment = live.reduce((s, d) => s + d.minPayment, 0) + extraMonthly;
+
+  const schedule = [];
+  let totalInterest = 0;
+  let month = 0;
+
+  while (live.some(d => d.balance > 0) && month < MAX_MONTHS) {
+    month++;
+    let interest = 0;
+    live.forEach(d => {
+      if (d.balance <= 0) return;
+      const i = d.balance * d.apr / 100 / 12;
+      d.balance += i;
+      d.interest += i;
+      interest += i;
+    });
+
+    // Minimums first, then everything left to the targets in order
+    let left = payment;
+    live.forEach(d => {
+      const pay = Math.min(d.minPayment, d.balance, left);
+      d.balance -= pay;
+      left -= pay;
+    });
+    for (const d of live) {
+      if (left <= 0) break;
+      const pay = Math.min(d.balance, left);
+      d.balance -= pay;
+      left -= pay;
+    }
+
+    live.forEach(d => {
+      if (d.balance < 0.005) d.balance = 0;
+      if (d.balance === 0 && d.paidOffMonth === null) d.paidOffMonth = month;
+    });
+    totalInterest += interest;
+    schedule.push({
+      month,
+      date: addMonths(start, month),
+      interest: round2(interest),
+      paid: round2(payment - left),
+      balance: round2(live.reduce((s, d) => s + d.balance, 0))
+    });
+
+    // Payments that don't even cover the interest never finish
+    if (month === 1 && payment - left <= interest && schedule[0].balance > 0) break;
+  }
+
+  const finished = live.every(d => d.balance === 0);
+  const totalDebt = debts.reduce((s, d) => s + d.balance, 0);
+  return {
+    strategy,
+    monthlyPayment: round2(payment),
+    finished,
+    months: finished ? month : null,
+    payoffDate: finished ? addMonths(start, month) : null,
+    totalInterest: finished ? round2(totalInterest) : null,
+    totalPaid: finished ? round2(totalDebt + totalInterest) : null,
+    order: live.map(d => ({
+      id: d.id,
+      name: d.name,
+      paidOffMonth: d.paidOffMonth,
+      payoffDate: d.paidOffMonth === null ? null : addMonths(start, d.paidOffMonth),
+      interest: round2(d.interest)
+    })),
+    schedule
+  };
+}
+
+// Both strategies for the same debts and extra payment, plus how much
+// interest avalanche saves over snowball (0 when the orders agree).
+function planPayoff(debts, { extraMonthly = 0, now = new Date() } = {}) {
+  const clean = (debts || []).map(d => ({
+    id: d.id,
+    name: d.name,
+    balance: Math.max(0, num(d.balance)),
+    apr: Math.max(0, num(d.apr)),
+    minPayment: Math.max(0, num(d.minPayment))
+  }));
+  const extra = Math.max(0, num(extraMonthly));
+  const avalanche = planStrategy(clean, 'avalanche', extra, now);
+  const snowball = planStrategy(clean, 'snowball', extra, now);
+  const both = avalanche.finished && snowball.finished;
+  return {
+    totalDebt: round2(clean.reduce((s, d) => s + d.balance, 0)),
+    extraMonthly: extra,
+    avalanche,
+    snowball,
+    interestSaved: both ? round2(snowball.totalInterest - avalanche.totalInterest) : null
+  };
+}
+
+module.exports = { STRATEGIES: Object.keys(STRATEGIES), MAX_MONTHS, planPayoff };
@@ -0,0 +1,566 @@
+// lib/profile-routes.js (CommonJS)
+// REST routes for profiles, accounts, transactions, balances and pet snapshots.
+// Mounted under /api/profiles by server.js. Every error is { error }.
+
+const express = require('express');
+const scoring = require('../public/scoring');
+const i18n = require('../public/i18n');
+const personas = require('../public/personas');
+const recurring = require('./recurring');
+const { planPayoff } = require('./payoff');
+const backup = require('./backup');
+
+const TX_TYPES = ['deposit', 'withdraw'];
+const RESTORE_MODES = ['replace', 'merge'];
+const MAX_IMPORT_ROWS = 5000;
+// What imported rows may say they came from: a statement format (see
+// public/statement-parsers.js) or the generic 'import'
+const IMPORT_SOURCES = ['import', 'csv', 'ofx', 'qif'];
+const FUTURE_SLACK_MS = 24 * 60 * 60 * 1000;   // client clocks and time zones
+
+// 'YYYY-MM-DD' or a full ISO timestamp, e.g. from Date#toISOString(); Date.parse
+// alone would take "0" or a number of milliseconds too.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const isIsoDate = value => typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+
+// Returns an error string, or null when the transaction is acceptable.
+function validateTransaction(tx) {
+  const amt = Number(tx?.amount);
+  if (!TX_TYPES.includes(tx?.type)) return `type must be one of ${TX_TYPES.join(', ')}`;
+  if (!Number.isFinite(amt) || amt <= 0) return 'amount must be a positive number';
+  if (tx.createdAt != null && !isIsoDate(tx.createdAt)) return 'createdAt must be an ISO date';
+  if (tx.createdAt && Date.parse(tx.createdAt) > Date.now() + FUTURE_SLACK_MS) return 'createdAt cannot be in the future';
+  if (tx.category && !scoring.isCategory(tx.category)) return `unknown category "${tx.category}"`;
+  if (tx.goalId && tx.type !== 'deposit') return 'only deposits can go toward a goal';
+  if (tx.debtId && tx.type !== 'withdraw') return 'only withdrawals can pay a debt';
+  return null;
+}
+
+// Returns an error string, or null when the money settings (or a part of them)
+// are acceptable. Rates are how much one unit of each currency is worth in
+// the profile currency.
+function validateSettings(s) {
+  if (!s || typeof s !== 'object' || Array.isArray(s)) return 'settings must be an object';
+  if (s.currency !== undefined && !scoring.isCurrency(s.currency)) {
+    return `currency must be one of ${scoring.CURRENCIES.map(c => c.code).join(', ')}`;
+  }
+  if (s.locale !== undefined && typeof s.locale !== 'string') return 'locale must be a string like "en-US"';
+  if (s.language !== undefined && s.language !== '' && !i18n.isLanguage(s.language)) {
+    return `language must be one of ${i18n.LANGUAGES.map(l => l.code).join(', ')}`;
+  }
+  if (s.persona !== undefined && !personas.isPersona(s.persona)) {
+    return `persona must be one of ${personas.PERSONAS.map(p => p.key).join(', ')}`;
+  }
+  if (s.rates !== undefined) {
+    if (!s.rates || typeof s.rates !== 'object' || Array.isArray(s.rates)) return 'rates must be an object';
+    for (const [code, rate] of Object.entries(s.rates)) {
+      if (!scoring.isCurrency(code)) return `unknown currency "${code}" in rates`;
+      if (!(Number(rate) > 0)) return `the rate for ${code} must be a positive number`;
+    }
+  }
+  return null;
+}
+
+// Anything a route throws (a write that failed, see store.persist, or a body
+// express.json() could not read) answers as JSON too, never as Express's HTML
+// error page. Used here and as the last handler of the whole app.
+function jsonErrors(err, req, res, next) {
+  const status = err.status || 500;
+  if (status >= 500) console.error(`${req.method} ${req.originalUrl} error:`, err);
+  if (res.headersSent) return next(err);
+  res.status(status).json({ error: err.message || 'Server error' });
+}
+
+function profileRoutes(store) {
+  const router = express.Router();
+
+  // Resolve :id once; 400 on malformed ids, 404 when the profile is unknown.
+  router.param('id', (req, res, next, id) => {
+    if (!store.isValidId(id)) return res.status(400).json({ error: 'Invalid profile id' });
+    req.profile = store.getProfile(id);
+    next();
+  });
+
+  const requireProfile = (req, res, next) =>
+    req.profile ? next() : res.status(404).json({ error: 'Profile not found' });
+
+  // An accountId that is missing (→ default account) or names a real account.
+  const knownAccount = (profile, accountId) => !accountId || profile.accounts.some(a => a.id === accountId);
+
+  /* -------------------------------- Profiles -------------------------------- */
+
+  router.get('/', (req, res) => {
+    res.json(store.listProfiles());
+  });
+
+  router.get('/:id', requireProfile, (req, res) => {
+    const { petSnapshots, timeline, ...profile } = req.profile;
+    res.json(profile);
+  });
+
+  // Creates the profile on first use, so a new device only needs the id.
+  // `settings` ({ currency, locale, rates, language, persona }) are merged into the current ones.
+  // A profile with money in it switches currency only with the old currency's
+  // rate in the new one (settings.rates[old]), so nothing changes worth.
+  router.put('/:id', async (req, res) => {
+    try {
+      const { name, financial, settings } = req.body || {};
+      const invalid = settings !== undefined && validateSettings(settings);
+      if (invalid) return res.status(400).json({ error: invalid });
+      const from = req.profile?.settings.currency;
+      if (req.profile && settings?.currency && settings.currency !== from && scoring.holdsMoney(req.profile) && !(Number(settings.rates?.[from]) > 0)) {
+        return res.status(400).json({ error: `rates.${from} (what 1 ${from} is worth in ${settings.currency}) is needed to switch currency` });
+      }
+      const profile = await store.upsertProfile(req.params.id, { name, financial, settings });
+      const { petSnapshots, timeline, ...out } = profile;
+      res.json(out);
+    } catch (err) {
+      console.error('Profile save error:', err);
+      res.status(500).json({ error: err.message || 'Server error' });
+    }
+  });
+
+  router.post('/:id/reset', requireProfile, async (req, res) => {
+    try {
+      const { petSnapshots, timeline, ...out } = await store.resetProfile(req.params.id);
+      res.json(out);
+    } catch (err) {
+      console.error('Profile reset error:', err);
+      res.status(500).json({ error: err.message || 'Server error' });
+    }
+  });
+
+  // Everything in the profile as a versioned file (see lib/backup.js)
+  router.get('/:id/backup', requireProfile, (req, res) => {
+    res.attachment(`penny-${req.params.id}-${scoring.dayKey(new Date())}.json`);
+    res.json(backup.buildBackup(req.profile));
+  });
+
+  // { backup, mode: 'replace' | 'merge' }. Works for a profile that doesn't
+  // exist yet, which is how Penny moves to a new browser.
+  router.post('/:id/restore', async (req, res) => {
+    try {
+      const { backup: raw, mode = 'replace' } = req.body || {};
+      if (!RESTORE_MODES.includes(mode)) return res.status(400).json({ error: `mode must be one of ${RESTORE_MODES.join(', ')}` });
+      const invalid = backup.validateBackup(raw);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const profile = await store.restoreProfile(req.params.id, backup.readBackup(raw), mode);
+      const { petSnapshots, timeline, ...out } = profile;
+      res.json(out);
+    } catch (err) {
+      console.error('Restore error:', err);
+      res.status(500).json({ error: err.message || 'Server error' });
+    }
+  });
+
+  router.delete('/:id', requireProfile, async (req, res) => {
+    await store.deleteProfile(req.params.id);
+    res.status(204).end();
+  });
+
+  /* ------------------------------ Transactions ------------------------------ */
+
+  router.get('/:id/transactions', requireProfile, (req, res) => {
+    res.json(req.profile.transactions);
+  });
+
+  router.post('/:id/transactions', requireProfile, async (req, res) => {
+    try {
+      const { type, amount, createdAt, accountId, category, description, goalId, debtId } = req.body || {};
+      const invalid = validateTransaction(req.body);
+      if (invalid) return res.status(400).json({ error: invalid });
+      if (goalId && !req.profile.goals.some(g => g.id === goalId)) return res.status(400).json({ error: 'Goal not found' });
+      if (debtId && !req.profile.debts.some(d => d.id === debtId)) return res.status(400).json({ error: 'Debt not found' });
+      if (!knownAccount(req.profile, accountId)) return res.status(400).json({ error: 'Account not found' });
+
+      const transaction = await store.addTransaction(req.params.id, {
+        type, amount: Number(amount), createdAt, accountId, category, description, goalId, debtId
+      });
+      res.status(201).json({ transaction, balance: req.profile.balance });
+    } catch (err) {
+      console.error('Transaction error:', err);
+      res.status(500).json({ error: err.message || 'Server error' });
+    }
+  });
+
+  // Edits an entry: any of type, amount, createdAt, accountId, category,
+  // description. A goal or debt link that no longer fits the type is dropped.
+  router.put('/:id/transactions/:txId', requireProfile, async (req, res) => {
+    try {
+      const old = req.profile.transactions.find(t => t.id === req.params.txId);
+      if (!old) return res.status(404).json({ error: 'Transaction not found' });
+      const patch = {};
+      ['type', 'amount', 'createdAt', 'accountId', 'category', 'description'].forEach(k => {
+        if (req.body?.[k] !== undefined) patch[k] = k === 'amount' ? Number(req.body[k]) : req.body[k];
+      });
+      const merged = { ...old, ...patch };
+      if (merged.type !== 'deposit') delete merged.goalId;
+      if (merged.type !== 'withdraw') delete merged.debtId;
+      const invalid = validateTransaction(merged);
+      if (invalid) return res.status(400).json({ error: invalid });
+      if (!knownAccount(req.profile, patch.accountId)) return res.status(400).json({ error: 'Account not found' });
+
+      const transaction = await store.updateTransaction(req.params.id, req.params.txId, patch);
+      res.json({ transaction, balance: req.profile.balance });
+    } catch (err) {
+      console.error('Transaction error:', err);
+      res.status(500).json({ error: err.message || 'Server error' });
+    }
+  });
+
+  // Responds with the removed entry so the client can offer undo.
+  router.delete('/:id/transactions/:txId', requireProfile, async (req, res) => {
+    const transaction = await store.deleteTransaction(req.params.id, req.params.txId);
+    if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
+    res.json({ transaction, balance: req.profile.balance });
+  });
+
+  // Undo for a delete: { transaction } as DELETE returned it goes back in.
+  router.post('/:id/transactions/restore', requireProfile, async (req, res) => {
+    const tx = req.body?.transaction;
+    if (typeof tx?.id !== 'string' || !tx.id) return res.status(400).json({ error: 'transaction.id is required' });
+    const invalid = validateTransaction(tx);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!knownAccount(req.profile, tx.accountId)) return res.status(400).json({ error: 'Account not found' });
+
+    const transaction = await store.restoreTransaction(req.params.id, { ...tx, amount: Number(tx.amount) });
+    if (!transaction) return res.status(409).json({ error: 'Transaction already exists' });
+    res.status(201).json({ transaction, balance: req.profile.balance });
+  });
+
+  // Bulk import from a bank statement. { transactions, dryRun, accountId } →
+  // with dryRun only reports which rows are duplicates; otherwise appends the
+  // rest to the account.
+  router.post('/:id/transactions/import', requireProfile, async (req, res) => {
+    try {
+      const { transactions, dryRun, accountId } = req.body || {};
+      if (!Array.isArray(transactions)) return res.status(400).json({ error: 'transactions must be an array' });
+      if (!knownAccount(req.profile, accountId)) return res.status(400).json({ error: 'Account not found' });
+      if (transactions.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} transactions per import` });
+      }
+      const invalidRow = tx => validateTransaction(tx) ||
+        (tx.source !== undefined && !IMPORT_SOURCES.includes(tx.source) ? `source must be one of ${IMPORT_SOURCES.join(', ')}` : null);
+      const bad = transactions.findIndex(invalidRow);
+      if (bad !== -1) return res.status(400).json({ error: `Row ${bad + 1}: ${invalidRow(transactions[bad])}` });
+
+      if (dryRun) {
+        return res.json({ duplicates: store.findDuplicates(req.params.id, transactions, accountId) });
+      }
+      const { imported, duplicates } = await store.importTransactions(req.params.id, transactions, accountId);
+      res.status(201).json({ imported, duplicates, balance: req.profile.balance });
+    } catch (err) {
+      console.error('Import error:', err);
+      res.status(500).json({ error: err.message || 'Server error' });
+    }
+  });
+
+  /* ------------------------------- Recurring -------------------------------- */
+
+  // The client's local calendar day (?today= or body.today), within a day of
+  // the server's; defaults to the server's own date.
+  function clientToday(raw) {
+    const serverToday = scoring.dayKey(new Date());
+    if (raw === undefined) return serverToday;
+    if (!recurring.isDay(raw)) return null;
+    const near = [recurring.addDays(serverToday, -1), serverToday, recurring.addDays(serverToday, 1)];
+    return near.includes(raw) ? raw : null;
+  }
+
+  router.get('/:id/recurring', requireProfile, (req, res) => {
+    res.json(req.profile.recurring);
+  });
+
+  router.post('/:id/recurring', requireProfile, async (req, res) => {
+    const body = req.body || {};
+    const invalid = recurring.validateRule(body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!knownAccount(req.profile, body.accountId)) return res.status(400).json({ error: 'Account not found' });
+    const today = clientToday(body.today);
+    if (!today) return res.status(400).json({ error: 'today must be the current YYYY-MM-DD' });
+    res.status(201).json(await store.addRecurring(req.params.id, body, today));
+  });
+
+  router.put('/:id/recurring/:ruleId', requireProfile, async (req, res) => {
+    const body = req.body || {};
+    const invalid = recurring.validateRule(body, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!knownAccount(req.profile, body.accountId)) return res.status(400).json({ error: 'Account not found' });
+    const today = clientToday(body.today);
+    if (!today) return res.status(400).json({ error: 'today must be the current YYYY-MM-DD' });
+    const rule = await store.updateRecurring(req.params.id, req.params.ruleId, body, today);
+    if (!rule) return res.status(404).json({ error: 'Recurring rule not found' });
+    res.json(rule);
+  });
+
+  router.delete('/:id/recurring/:ruleId', requireProfile, async (req, res) => {
+    if (!(await store.deleteRecurring(req.params.id, req.params.ruleId))) {
+      return res.status(404).json({ error: 'Recurring rule not found' });
+    }
+    res.status(204).end();
+  });
+
+  // Posts everything due up to today, catching up missed occurrences.
+  router.post('/:id/recurring/run', requireProfile, async (req, res) => {
+    try {
+      const today = clientToday(req.body?.today);
+      if (!today) return res.status(400).json({ error: 'today must be the current YYYY-MM-DD' });
+      const posted = await store.postDueRecurring(req.params.id, today);
+      res.json({ posted, balance: req.profile.balance, recurring: req.profile.recurring });
+    } catch (err) {
+      console.error('Recurring run error:', err);
+      res.status(500).json({ error: err.message || 'Server error' });
+    }
+  });
+
+  /* ---------------------------------- Goals ---------------------------------- */
+
+  // Returns an error string, or null when the goal (or patch) is acceptable.
+  function validateGoal(g, { partial = false } = {}) {
+    const has = k => g[k] !== undefined;
+    if ((!partial || has('name')) && !String(g.name || '').trim()) return 'name is required';
+    if (!partial || has('target')) {
+      const t = Number(g.target);
+      if (!Number.isFinite(t) || t <= 0) return 'target must be a positive number';
+    }
+    if ((!partial || has('targetDate')) && !recurring.isDay(g.targetDate)) return 'targetDate must be YYYY-MM-DD';
+    if (has('saved') && !(Number(g.saved) >= 0)) return 'saved must be zero or more';
+    return null;
+  }
+
+  router.get('/:id/goals', requireProfile, (req, res) => {
+    res.json(req.profile.goals);
+  });
+
+  router.post('/:id/goals', requireProfile, async (req, res) => {
+    const invalid = validateGoal(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    res.status(201).json(await store.addGoal(req.params.id, req.body));
+  });
+
+  router.put('/:id/goals/:goalId', requireProfile, async (req, res) => {
+    const invalid = validateGoal(req.body || {}, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const goal = await store.updateGoal(req.params.id, req.params.goalId, req.body);
+    if (!goal) return res.status(404).json({ error: 'Goal not found' });
+    res.json(goal);
+  });
+
+  router.delete('/:id/goals/:goalId', requireProfile, async (req, res) => {
+    if (!(await store.deleteGoal(req.params.id, req.params.goalId))) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    res.status(204).end();
+  });
+
+  // { amount } of the current balance set aside for the goal (negative releases)
+  router.post('/:id/goals/:goalId/allocate', requireProfile, async (req, res) => {
+    const amount = Number(req.body?.amount);
+    if (!Number.isFinite(amount) || amount === 0) return res.status(400).json({ error: 'amount must be a non-zero number' });
+    const goal = await store.allocateToGoal(req.params.id, req.params.goalId, amount);
+    if (!goal) return res.status(404).json({ error: 'Goal not found' });
+    res.json(goal);
+  });
+
+  /* ---------------------------------- Debts ---------------------------------- */
+
+  // Returns an error string, or null when the debt (or patch) is acceptable.
+  function validateDebt(d, { partial = false } = {}) {
+    const has = k => d[k] !== undefined;
+    if ((!partial || has('name')) && !String(d.name || '').trim()) return 'name is required';
+    if ((!partial || has('balance')) && !(Number(d.balance) >= 0)) return 'balance must be zero or more';
+    if ((!partial || has('apr')) && !(Number(d.apr) >= 0 && Number(d.apr) <= 100)) return 'apr must be a percentage from 0 to 100';
+    if ((!partial || has('minPayment')) && !(Number(d.minPayment) >= 0)) return 'minPayment must be zero or more';
+    return null;
+  }
+
+  router.get('/:id/debts', requireProfile, (req, res) => {
+    res.json(req.profile.debts);
+  });
+
+  router.post('/:id/debts', requireProfile, async (req, res) => {
+    const invalid = validateDebt(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    res.status(201).json(await store.addDebt(req.params.id, req.body));
+  });
+
+  // Avalanche vs. snowball for the profile's debts (?extra=N more per month)
+  router.get('/:id/debts/plan', requireProfile, (req, res) => {
+    const extra = req.query.extra === undefined ? 0 : Number(req.query.extra);
+    if (!(extra >= 0)) return res.status(400).json({ error: 'extra must be zero or more' });
+    res.json(planPayoff(req.profile.debts, { extraMonthly: extra }));
+  });
+
+  router.put('/:id/debts/:debtId', requireProfile, async (req, res) => {
+    const invalid = validateDebt(req.body || {}, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const debt = await store.updateDebt(req.params.id, req.params.debtId, req.body);
+    if (!debt) return res.status(404).json({ error: 'Debt not found' });
+    res.json(debt);
+  });
+
+  router.delete('/:id/debts/:debtId', requireProfile, async (req, res) => {
+    if (!(await store.deleteDebt(req.params.id, req.params.debtId))) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+    res.status(204).end();
+  });
+
+  /* -------------------------------- Balance --------------------------------- */
+
+  router.get('/:id/balance', requireProfile, (req, res) => {
+    res.json({ balance: req.profile.balance });
+  });
+
+  // { balance, accountId? } sets one account (the default one without an id)
+  router.put('/:id/balance', requireProfile, async (req, res) => {
+    const balance = Number(req.body?.balance);
+    const accountId = req.body?.accountId;
+    if (!Number.isFinite(balance)) return res.status(400).json({ error: 'balance must be a number' });
+    if (!knownAccount(req.profile, accountId)) return res.status(400).json({ error: 'Account not found' });
+    res.json({ balance: await store.setBalance(req.params.id, balance, accountId), accounts: req.profile.accounts });
+  });
+
+  /* -------------------------------- Accounts -------------------------------- */
+
+  // Returns an error string, or null when the account (or patch) is acceptable.
+  function validateAccount(a, { partial = false } = {}) {
+    const has = k => a[k] !== undefined;
+    if ((!partial || has('name')) && !String(a.name || '').trim()) return 'name is required';
+    if ((!partial || has('type')) && !scoring.isAccountType(a.type)) {
+      return `type must be one of ${scoring.ACCOUNT_TYPES.map(t => t.key).join(', ')}`;
+    }
+    if (!partial && has('balance') && !Number.isFinite(Number(a.balance))) return 'balance must be a number';
+    if (partial && has('currency')) return 'currency can only be chosen when the account is added';
+    if (has('currency') && !scoring.isCurrency(a.currency)) {
+      return `currency must be one of ${scoring.CURRENCIES.map(c => c.code).join(', ')}`;
+    }
+    return null;
+  }
+
+  router.get('/:id/accounts', requireProfile, (req, res) => {
+    res.json(req.profile.accounts);
+  });
+
+  router.post('/:id/accounts', requireProfile, async (req, res) => {
+    const invalid = validateAccount(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    const account = await store.addAccount(req.params.id, req.body);
+    res.status(201).json({ account, balance: req.profile.balance });
+  });
+
+  router.put('/:id/accounts/:accountId', requireProfile, async (req, res) => {
+    const invalid = validateAccount(req.body || {}, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const account = await store.updateAccount(req.params.id, req.params.accountId, req.body);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    res.json(account);
+  });
+
+  router.delete('/:id/accounts/:accountId', requireProfile, async (req, res) => {
+    const refused = await store.deleteAccount(req.params.id, req.params.accountId);
+    if (refused === 'not_found') return res.status(404).json({ error: 'Account not found' });
+    if (refused === 'not_empty') return res.status(409).json({ error: 'Move the money out of this account first' });
+    if (refused === 'in_use') return res.status(409).json({ error: 'This account still has entries, transfers or scheduled payments' });
+    if (refused === 'last') return res.status(409).json({ error: 'A profile needs at least one account' });
+    res.status(204).end();
+  });
+
+  /* ------------------------------- Investments ------------------------------ */
+
+  // Value, contributions and market gains of the investment accounts (see
+  // scoring.investmentSummary) in the profile currency, plus every valuation
+  // (in its account's currency) for charting.
+  router.get('/:id/investments', requireProfile, (req, res) => {
+    const p = req.profile;
+    res.json({ ...scoring.investmentSummary(scoring.inProfileCurrency(p)), valuations: p.valuations });
+  });
+
+  // { value }: today's market value of an investment account
+  router.post('/:id/accounts/:accountId/valuations', requireProfile, async (req, res) => {
+    const account = req.profile.accounts.find(a => a.id === req.params.accountId);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    if (account.type !== 'investment') return res.status(400).json({ error: 'Only investment accounts have a market value' });
+    const value = Number(req.body?.value);
+    if (!Number.isFinite(value) || value < 0) return res.status(400).json({ error: 'value must be zero or more' });
+    const valuation = await store.addValuation(req.params.id, account.id, value);
+    res.status(201).json({ valuation, accounts: req.profile.accounts, balance: req.profile.balance });
+  });
+
+  /* -------------------------------- Transfers ------------------------------- */
+
+  router.get('/:id/transfers', requireProfile, (req, res) => {
+    res.json(req.profile.transfers);
+  });
+
+  // { from, to, amount, createdAt?, description? } between two accounts
+  router.post('/:id/transfers', requireProfile, async (req, res) => {
+    const { from, to, amount, createdAt, description } = req.body || {};
+    const amt = Number(amount);
+    if (!from || !to || !knownAccount(req.profile, from) || !knownAccount(req.profile, to)) {
+      return res.status(400).json({ error: 'from and to must be accounts of this profile' });
+    }
+    if (from === to) return res.status(400).json({ error: 'from and to must be different accounts' });
+    if (!Number.isFinite(amt) || amt <= 0) return res.status(400).json({ error: 'amount must be a positive number' });
+    if (createdAt != null && !isIsoDate(createdAt)) return res.status(400).json({ error: 'createdAt must be an ISO date' });
+    if (createdAt && Date.parse(createdAt) > Date.now() + FUTURE_SLACK_MS) {
+      return res.status(400).json({ error: 'createdAt cannot be in the future' });
+    }
+    const transfer = await store.addTransfer(req.params.id, { from, to, amount: amt, createdAt, description });
+    res.status(201).json({ transfer, accounts: req.profile.accounts });
+  });
+
+  /* -------------------------------- Calendar -------------------------------- */
+
+  // Day-by-day totals for one calendar month of the ledger (?month=YYYY-MM,
+  // default this month), in the profile currency. Read-only: days and months
+  // come from the timestamps.
+  router.get('/:id/progress', requireProfile, (req, res) => {
+    const { month } = req.query;
+    let now = new Date();
+    if (month !== undefined) {
+      const m = /^(\d{4})-(\d{2})$/.exec(String(month));
+      if (!m || +m[2] < 1 || +m[2] > 12) return res.status(400).json({ error: 'month must be YYYY-MM' });
+      const first = new Date(+m[1], +m[2] - 1, 1);
+      const last = new Date(+m[1], +m[2], 0);
+      if (last < now) now = last;            // past month: all of it
+      else if (first > now) now = first;     // future month: nothing yet
+    }
+    res.json(scoring.monthSummary(scoring.inProfileCurrency(req.profile).transactions, now));
+  });
+
+  /* ------------------------------- Pet state -------------------------------- */
+
+  router.get('/:id/pet', requireProfile, (req, res) => {
+    res.json(req.profile.petState);
+  });
+
+  router.get('/:id/pet/snapshots', requireProfile, (req, res) => {
+    res.json(req.profile.petSnapshots);
+  });
+
+  // Health, state, balance and monthly spend over time, bucketed by
+  // ?zoom=day|week|month (see scoring.timelineSeries).
+  router.get('/:id/timeline', requireProfile, (req, res) => {
+    const zoom = req.query.zoom || 'day';
+    if (!scoring.TIMELINE_ZOOMS[zoom]) {
+      return res.status(400).json({ error: `zoom must be one of ${Object.keys(scoring.TIMELINE_ZOOMS).join(', ')}` });
+    }
+    res.json({ zoom, buckets: scoring.timelineSeries(req.profile.timeline, zoom) });
+  });
+
+  router.post('/:id/pet', requireProfile, async (req, res) => {
+    const state = req.body;
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      return res.status(400).json({ error: 'Pet state must be an object' });
+    }
+    res.status(201).json(await store.savePetState(req.params.id, state));
+  });
+
+  router.use(jsonErrors);
+
+  return router;
+}
+
+module.exports = { profileRoutes, jsonErrors };
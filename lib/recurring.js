@@ -0,0 +1,142 @@
+// lib/recurring.js (CommonJS)
+// Recurring ledger rules (rent, paychecks, subscriptions) and their schedule.
+// Dates are plain 'YYYY-MM-DD' calendar days, computed in UTC so no time zone
+// can shift them; the client sends its own local "today" when asking for due
+// occurrences to be posted.
+//
+// Rule:
+// { id, type: 'deposit'|'withdraw', amount, accountId?, category?, description,
+//   frequency: 'weekly'|'biweekly'|'monthly', dayOfMonth (monthly only, 1–31;
+//   short months use their last day), startDate, nextDue, lastPosted?,
+//   active, createdAt }
+
+const scoring = require('../public/scoring');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const TX_TYPES = ['deposit', 'withdraw'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CATCH_UP = 400;   // occurrences posted per rule in one run
+
+const pad2 = n => String(n).padStart(2, '0');
+
+function parseDay(s) {
+  if (!DATE_RE.test(String(s || ''))) return null;
+  const [y, m, d] = s.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCMonth() === m - 1 ? dt : null;
+}
+
+const formatDay = dt => `${dt.getUTCFullYear()}-${pad2(dt.getUTCMonth() + 1)}-${pad2(dt.getUTCDate())}`;
+
+const isDay = s => parseDay(s) !== null;
+
+function addDays(day, n) {
+  const dt = parseDay(day);
+  dt.setUTCDate(dt.getUTCDate() + n);
+  return formatDay(dt);
+}
+
+// dayOfMonth in the given month, clamped to that month's last day.
+function monthDay(year, monthIndex, dayOfMonth) {
+  const last = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return formatDay(new Date(Date.UTC(year, monthIndex, Math.min(dayOfMonth, last))));
+}
+
+// First occurrence on or after `from`. Weekly schedules stay on startDate's
+// weekday.
+function firstDue(rule, from) {
+  if (rule.frequency !== 'monthly') {
+    let day = rule.startDate;
+    while (day < from) day = nextAfter(rule, day);
+    return day;
+  }
+  const dt = parseDay(from);
+  const thisMonth = monthDay(dt.getUTCFullYear(), dt.getUTCMonth(), rule.dayOfMonth);
+  return thisMonth >= from ? thisMonth : monthDay(dt.getUTCFullYear(), dt.getUTCMonth() + 1, rule.dayOfMonth);
+}
+
+// The occurrence after `day`.
+function nextAfter(rule, day) {
+  if (rule.frequency === 'weekly') return addDays(day, 7);
+  if (rule.frequency === 'biweekly') return addDays(day, 14);
+  const dt = parseDay(day);
+  return monthDay(dt.getUTCFullYear(), dt.getUTCMonth() + 1, rule.dayOfMonth);
+}
+
+// Every occurrence from rule.nextDue up to and including `today`, plus the
+// nextDue that follows them. Missed occurrences (app closed for a while) are
+// all included, oldest first.
+function dueDates(rule, today) {
+  const dates = [];
+  let next = rule.nextDue;
+  while (next <= today && dates.length < MAX_CATCH_UP) {
+    dates.push(next);
+    next = nextAfter(rule, next);
+  }
+  return { dates, nextDue: next };
+}
+
+// Returns an error string, or null when the rule (or patch) is acceptable.
+function validateRule(r, { partial = false } = {}) {
+  const has = k => r[k] !== undefined;
+  if ((!partial || has('type')) && !TX_TYPES.includes(r.type)) return `type must be one of ${TX_TYPES.join(', ')}`;
+  if (!partial || has('amount')) {
+    const amt = Number(r.amount);
+    if (!Number.isFinite(amt) || amt <= 0) return 'amount must be a positive number';
+  }
+  if ((!partial || has('frequency')) && !FREQUENCIES.includes(r.frequency)) {
+    return `frequency must be one of ${FREQUENCIES.join(', ')}`;
+  }
+  if (has('dayOfMonth') && r.dayOfMonth !== null) {
+    const d = Number(r.dayOfMonth);
+    if (!Number.isInteger(d) || d < 1 || d > 31) return 'dayOfMonth must be 1–31';
+  }
+  if (has('startDate') && !isDay(r.startDate)) return 'startDate must be YYYY-MM-DD';
+  if (has('category') && r.category && !scoring.isCategory(r.category)) return `unknown category "${r.category}"`;
+  return null;
+}
+
+// Builds a stored rule from validated input (`base` is the existing rule when
+// editing). Changing the schedule restarts it from startDate, but never on or
+// before the last day it posted, so nothing is posted twice. Resuming a paused
+// rule skips what fell due while it was paused.
+function buildRule(input, base, today) {
+  const rule = { ...base };
+  ['type', 'accountId', 'category', 'frequency', 'startDate'].forEach(k => { if (input[k] !== undefined) rule[k] = input[k]; });
+  if (input.amount !== undefined) rule.amount = Math.round(Number(input.amount) * 100) / 100;
+  if (input.description !== undefined) rule.description = String(input.description || '').trim().slice(0, 100);
+  if (input.active !== undefined) rule.active = Boolean(input.active);
+  if (!rule.category) delete rule.category;
+  if (!rule.accountId) delete rule.accountId;
+  rule.startDate = rule.startDate || today;
+  rule.description = rule.description || '';
+  if (rule.active === undefined) rule.active = true;
+
+  if (rule.frequency === 'monthly') {
+    rule.dayOfMonth = Number(input.dayOfMonth ?? rule.dayOfMonth) || parseDay(rule.startDate).getUTCDate();
+  } else {
+    delete rule.dayOfMonth;
+  }
+
+  const scheduleChanged = !base ||
+    ['frequency', 'dayOfMonth', 'startDate'].some(k => input[k] !== undefined && input[k] !== base[k]);
+  if (scheduleChanged) {
+    const after = rule.lastPosted ? addDays(rule.lastPosted, 1) : rule.startDate;
+    rule.nextDue = firstDue(rule, after > rule.startDate ? after : rule.startDate);
+  }
+  if (base && !base.active && rule.active && rule.nextDue < today) {
+    rule.nextDue = firstDue(rule, today);
+  }
+  return rule;
+}
+
+module.exports = {
+  FREQUENCIES,
+  isDay,
+  addDays,
+  firstDue,
+  nextAfter,
+  dueDates,
+  validateRule,
+  buildRule
+};
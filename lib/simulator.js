@@ -0,0 +1,134 @@
+// lib/simulator.js (CommonJS)
+// What-if projections for POST /simulate. Starts from the same inputs as
+// /analyze, applies hypothetical changes and steps the money forward one month
+// at a time, scoring every month with the shared engine (trend terms included,
+// so a steady improvement also lifts Penny's mood).
+//
+// changes: {
+//   spendingCutPct      cut monthly spending by N percent (negative = spend more)
+//   incomeChangePct     raise/lower monthly income by N percent
+//   extraInvestMonthly  invest N more per month (taken from savings flow)
+//   debtPayoff          pay N off debt right away, out of savings
+//   extraDebtMonthly    pay N more toward debt every month
+// }
+
+const scoring = require('../public/scoring');
+
+const MAX_HORIZON = 60;
+const DEFAULT_HORIZON = 12;
+const MONTHLY_RETURN = 0.05 / 12;   // assumed investment growth (~5%/yr)
+
+const num = x => Number.isFinite(+x) ? +x : 0;
+
+function normalizeChanges(c = {}) {
+  return {
+    spendingCutPct:     Math.max(-100, Math.min(100, num(c.spendingCutPct))),
+    incomeChangePct:    Math.max(-100, Math.min(500, num(c.incomeChangePct))),
+    extraInvestMonthly: Math.max(0, num(c.extraInvestMonthly)),
+    debtPayoff:         Math.max(0, num(c.debtPayoff)),
+    extraDebtMonthly:   Math.max(0, num(c.extraDebtMonthly))
+  };
+}
+
+function clampHorizon(h) {
+  const n = Math.round(num(h)) || DEFAULT_HORIZON;
+  return Math.max(1, Math.min(MAX_HORIZON, n));
+}
+
+const round2 = x => Math.round(x * 100) / 100;
+
+const isObject = x => !!x && typeof x === 'object' && !Array.isArray(x);
+
+// Returns an error string, or null when every scenario ({ label?, changes? })
+// can be projected.
+function validateScenarios(scenarios) {
+  if (!Array.isArray(scenarios)) return 'scenarios must be a list';
+  for (let i = 0; i < scenarios.length; i++) {
+    const s = scenarios[i];
+    if (!isObject(s)) return `scenarios[${i}] must be an object`;
+    if (s.changes !== undefined && !isObject(s.changes)) return `scenarios[${i}].changes must be an object`;
+  }
+  return null;
+}
+
+// Month 0 is today (after any one-time payoff); months 1..horizon follow.
+function project(inputs, changes, horizonMonths) {
+  const c = normalizeChanges(changes);
+  const horizon = clampHorizon(horizonMonths);
+
+  const inc   = num(inputs.monthly_income) * (1 + c.incomeChangePct / 100);
+  const sp    = num(inputs.monthly_spending) * (1 - c.spendingCutPct / 100);
+  const invM  = num(inputs.monthly_investments) + c.extraInvestMonthly;
+  let savings = num(inputs.total_savings);
+  let debt    = num(inputs.total_debt);
+  let invB    = num(inputs.investment_balance);
+
+  // One-time payoff can't exceed what's owed or what's saved
+  const payoff = Math.min(c.debtPayoff, debt, Math.max(0, savings));
+  savings -= payoff;
+  debt    -= payoff;
+
+  const months = [];
+  let history = null;
+
+  for (let month = 0; month <= horizon; month++) {
+    if (month > 0) {
+      const debtPay = Math.min(debt, c.extraDebtMonthly);
+      savings += inc - sp - invM - debtPay;
+      debt    -= debtPay;
+      invB     = invB * (1 + MONTHLY_RETURN) + invM;
+      // Running out of cash means borrowing the shortfall
+      if (savings < 0) { debt += -savings; savings = 0; }
+    }
+
+    const monthInputs = {
+      monthly_income: inc,
+      monthly_spending: sp,
+      total_savings: savings,
+      total_debt: debt,
+      monthly_investments: invM,
+      investment_balance: invB,
+      ...scoring.trendInputs(history)
+    };
+    const scored = scoring.score(monthInputs);
+    history = scoring.nextTrendHistory(history, scored);
+
+    months.push({
+      month,
+      health: scored.health,
+      state: scored.state,
+      projectedHappiness: scored.projectedHappiness,
+      savings: round2(savings),
+      debt: round2(debt),
+      investmentBalance: round2(invB),
+      budgetRatio: scored.metrics.budget_ratio,
+      runwayMonths: scored.metrics.runway_months
+    });
+  }
+
+  return { changes: c, months };
+}
+
+// Baseline (no changes) plus one projection per scenario.
+function simulate({ inputs = {}, scenarios = [], horizonMonths } = {}) {
+  const horizon = clampHorizon(horizonMonths);
+  const today = scoring.score(inputs);
+  return {
+    scoringVersion: scoring.SCORING_VERSION,
+    horizonMonths: horizon,
+    today: { health: today.health, state: today.state },
+    baseline: project(inputs, {}, horizon).months,
+    scenarios: scenarios.map((s, i) => {
+      const { changes, months } = project(inputs, s.changes, horizon);
+      const last = months[months.length - 1];
+      return {
+        label: String(s.label || `Scenario ${i + 1}`).slice(0, 60),
+        changes,
+        months,
+        final: { health: last.health, state: last.state }
+      };
+    })
+  };
+}
+
+module.exports = { simulate, project, normalizeChanges, validateScenarios, MAX_HORIZON, DEFAULT_HORIZON };
@@ -0,0 +1,890 @@
+// lib/store.js (CommonJS)
+// Tiny persistent store for Penny profiles. Everything lives in one JSON file
+// (data/penny.json by default) that is loaded once at boot and rewritten
+// atomically (temp file + rename) after every change. Writes are chained so
+// two requests never interleave on disk.
+//
+// File shape:
+// { version: 4, profiles: { [id]: Profile } }
+//
+// Profile:
+// { id, name, createdAt, updatedAt,
+//   financial: { initialBalance, monthlyEarnings, monthlyBudget, categoryBudgets: { [category]: amount } },
+//   settings: { currency, locale, rates: { [code]: value of one unit in `currency` } (see scoring.toProfileCurrency),
+//               language ('' = the browser's, see public/i18n.js), persona (Penny's voice, see public/personas.js) },
+//   balance (total across accounts, in settings.currency), petState (with Penny's XP, level and achievements
+//     as `progress`, see public/progression.js, and her hunger and check-in streak as `needs`, see
+//     public/needs.js), trend (rolling scoring history, see scoring.nextTrendHistory),
+//   accounts: [{ id, name, type (see scoring.ACCOUNT_TYPES), balance, currency?, createdAt }] (the first is the default;
+//     balances and entries are in the account's currency, the profile's when it has none),
+//   transactions: [{ id, type, amount, balanceAfter, createdAt, accountId, category?, description?, externalId?, source?,
+//     goalId?, debtId?, debtPaid? }]
+//     (kept in createdAt order; days and months are derived from it, see scoring.monthSummary;
+//     balanceAfter is the total across accounts, in the profile currency; debtPaid is how much of the
+//     debt the entry actually paid off, never more than was left),
+//   transfers: [{ id, from, to, amount, createdAt, description? }] (move money between accounts;
+//     never deposits or spending; the amount is in the sending account's currency),
+//   valuations: [{ id, accountId, value, gain, createdAt }] (market value updates of investment
+//     accounts, see scoring.investmentSummary),
+//   recurring: [rule] (see lib/recurring.js),
+//   goals: [{ id, name, target, targetDate: 'YYYY-MM-DD', saved, createdAt }] (goals and debts are in the
+//     profile currency),
+//   debts: [{ id, name, balance, apr (percent per year), minPayment, createdAt }],
+//   petSnapshots: [{ ...petState, savedAt }],
+//   timeline: [{ at, source: 'pet'|'ledger', health, state, balance, monthSpend }] (oldest first;
+//     a point per pet save and per ledger change, see scoring.timelineSeries) }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const scoring = require('../public/scoring');
+const i18n = require('../public/i18n');
+const personas = require('../public/personas');
+const recurring = require('./recurring');
+
+const STORE_VERSION = 4;
+const DEFAULT_ACCOUNT_ID = 'main';
+const MAX_PET_SNAPSHOTS = 500;
+const MAX_TIMELINE_POINTS = 5000;
+const PROFILE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+// Every list a profile has; a file or backup without one gets it empty.
+const PROFILE_LISTS = ['accounts', 'transactions', 'transfers', 'valuations', 'recurring', 'goals', 'debts', 'petSnapshots', 'timeline'];
+
+const num = x => Number.isFinite(+x) ? +x : 0;
+const round2 = x => Math.round(x * 100) / 100;
+const nowIso = () => new Date().toISOString();
+const newId = () => crypto.randomUUID();
+
+// Same account + calendar day + direction + cents counts as the same transaction.
+const txKey = (tx, accountId) => `${accountId}|${String(tx.createdAt || '').slice(0, 10)}|${tx.type}|${Math.round(num(tx.amount) * 100)}`;
+
+const defaultAccount = (balance, createdAt) =>
+  ({ id: DEFAULT_ACCOUNT_ID, name: 'Checking', type: 'checking', balance, createdAt });
+
+// Where an entry without (or with an unknown) accountId lands.
+const findAccount = (profile, accountId) =>
+  profile.accounts.find(a => a.id === accountId) || profile.accounts[0];
+
+// `amount` held in `account`, in the profile currency.
+const inProfileCurrency = (profile, amount, account) =>
+  scoring.toProfileCurrency(amount, account && account.currency, profile.settings);
+
+const sumAccounts = profile => round2(profile.accounts.reduce((s, a) => s + inProfileCurrency(profile, a.balance, a), 0));
+
+// What an entry did to its account, and to the total (in the profile currency).
+const signedAmount = t => (t.type === 'deposit' ? t.amount : -t.amount);
+const totalDelta = (profile, t) => inProfileCurrency(profile, signedAmount(t), findAccount(profile, t.accountId));
+
+// What a transfer's receiving account got, in its own currency.
+function transferReceived(profile, t) {
+  const from = findAccount(profile, t.from);
+  const to = findAccount(profile, t.to);
+  if ((from.currency || '') === (to.currency || '')) return t.amount;
+  const value = inProfileCurrency(profile, t.amount, from);
+  return round2(scoring.fromProfileCurrency(value, to.currency, profile.settings));
+}
+
+function moveBetweenAccounts(profile, t) {
+  const from = findAccount(profile, t.from);
+  const to = findAccount(profile, t.to);
+  from.balance = round2(from.balance - t.amount);
+  to.balance = round2(to.balance + transferReceived(profile, t));
+}
+
+function emptyProfile(id, name) {
+  const t = nowIso();
+  return {
+    id,
+    name: name || id,
+    createdAt: t,
+    updatedAt: t,
+    financial: { initialBalance: 0, monthlyEarnings: 0, monthlyBudget: 0, categoryBudgets: {} },
+    settings: normalizeSettings(),
+    balance: 0,
+    petState: null,
+    trend: null,
+    accounts: [defaultAccount(0, t)],
+    transactions: [],
+    transfers: [],
+    valuations: [],
+    recurring: [],
+    goals: [],
+    debts: [],
+    petSnapshots: [],
+    timeline: []
+  };
+}
+
+// Only spending categories can have a budget; zero or unknown entries are dropped.
+function normalizeCategoryBudgets(b) {
+  const out = {};
+  if (!b || typeof b !== 'object') return out;
+  scoring.categoriesFor('expense').forEach(({ key }) => {
+    if (num(b[key]) > 0) out[key] = num(b[key]);
+  });
+  return out;
+}
+
+function normalizeFinancial(f = {}) {
+  return {
+    initialBalance: num(f.initialBalance),
+    monthlyEarnings: num(f.monthlyEarnings),
+    monthlyBudget: num(f.monthlyBudget),
+    categoryBudgets: normalizeCategoryBudgets(f.categoryBudgets)
+  };
+}
+
+// A locale the runtime can't parse is dropped (the browser's is used).
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string' || !locale.trim()) return '';
+  try {
+    return Intl.getCanonicalLocales(locale.trim())[0] || '';
+  } catch {
+    return '';
+  }
+}
+
+// Rates are kept for known currencies other than the profile's, and must be
+// positive. An unknown language goes back to the browser's, an unknown persona
+// to the default one.
+function normalizeSettings(s = {}) {
+  const currency = scoring.isCurrency(s.currency) ? s.currency : scoring.DEFAULT_CURRENCY;
+  const rates = {};
+  Object.entries(s.rates && typeof s.rates === 'object' ? s.rates : {}).forEach(([code, rate]) => {
+    if (code !== currency && scoring.isCurrency(code) && num(rate) > 0) rates[code] = num(rate);
+  });
+  const language = i18n.isLanguage(s.language) ? s.language : '';
+  const persona = personas.isPersona(s.persona) ? s.persona : personas.DEFAULT_PERSONA;
+  return { currency, locale: normalizeLocale(s.locale), rates, language, persona };
+}
+
+// Moves a profile from its currency to `settings.currency` without changing
+// what anything is worth. Accounts without a currency of their own stay in
+// the old one; the finances, goals, debts, spending trend and timeline (kept
+// in the profile currency) are converted at `rate`, what one unit of the old
+// currency is worth in the new one. Other currencies' rates carry over through
+// it unless `settings.rates` gives new ones. Returns the new settings.
+function changeCurrency(profile, settings, rate) {
+  const from = profile.settings.currency;
+  const to = settings.currency;
+  const at = x => round2(num(x) * rate);
+
+  profile.accounts.forEach(a => {
+    if (!a.currency) a.currency = from;
+    else if (a.currency === to) delete a.currency;
+  });
+  const rates = { [from]: rate };
+  Object.entries(profile.settings.rates).forEach(([code, r]) => { rates[code] = r * rate; });
+
+  const f = profile.financial;
+  profile.financial = normalizeFinancial({
+    initialBalance: at(f.initialBalance),
+    monthlyEarnings: at(f.monthlyEarnings),
+    monthlyBudget: at(f.monthlyBudget),
+    categoryBudgets: Object.fromEntries(Object.entries(f.categoryBudgets).map(([k, v]) => [k, at(v)]))
+  });
+  profile.goals.forEach(g => { g.target = at(g.target); g.saved = at(g.saved); });
+  profile.debts.forEach(d => { d.balance = at(d.balance); d.minPayment = at(d.minPayment); });
+  if (profile.trend) {
+    if (Number.isFinite(profile.trend.spendEma)) profile.trend.spendEma *= rate;
+    if (Number.isFinite(profile.trend.spendVar)) profile.trend.spendVar *= rate * rate;
+  }
+  profile.timeline.forEach(t => { t.balance = at(t.balance); t.monthSpend = at(t.monthSpend); });
+  return normalizeSettings({ ...settings, rates: { ...rates, ...(settings.rates || {}) } });
+}
+
+// Deposits add to the balance and withdrawals subtract from it, so the
+// ledger and the balance can never drift apart. Backdated entries are slotted
+// in by date and every later balanceAfter shifts by the same amount. `id` is
+// only passed when an edited or restored entry goes back in. The amount is in
+// the account's currency; the total, goals and debts move by its value in the
+// profile currency. Every balance is kept to the cent, like the page's copy.
+function appendTransaction(profile, { id, type, amount, createdAt, accountId, category, description, externalId, source, recurringId, goalId, debtId }) {
+  const amt = num(amount);
+  const account = findAccount(profile, accountId);
+  const value = inProfileCurrency(profile, amt, account);
+  const delta = type === 'deposit' ? value : -value;
+  const tx = {
+    id: id || newId(),
+    type,
+    amount: amt,
+    balanceAfter: 0,
+    createdAt: createdAt ? new Date(createdAt).toISOString() : nowIso(),
+    accountId: account.id
+  };
+  if (scoring.isCategory(category)) tx.category = category;
+  if (description) tx.description = String(description).slice(0, 200);
+  if (externalId) tx.externalId = String(externalId).slice(0, 100);
+  if (source) tx.source = source;
+  if (recurringId) tx.recurringId = recurringId;
+
+  // A deposit earmarked for a savings goal also counts toward it
+  const goal = type === 'deposit' && goalId ? (profile.goals || []).find(g => g.id === goalId) : null;
+  if (goal) {
+    tx.goalId = goal.id;
+    goal.saved = Math.round((goal.saved + value) * 100) / 100;
+  }
+  // ...and a withdrawal toward a debt pays it down, no further than zero
+  const debt = type === 'withdraw' && debtId ? (profile.debts || []).find(d => d.id === debtId) : null;
+  if (debt) {
+    tx.debtId = debt.id;
+    tx.debtPaid = Math.min(debt.balance, round2(value));
+    debt.balance = round2(debt.balance - tx.debtPaid);
+  }
+
+  const list = profile.transactions;
+  let at = list.length;
+  while (at > 0 && list[at - 1].createdAt > tx.createdAt) at--;
+  const next = list[at];
+  const before = next ? next.balanceAfter - totalDelta(profile, next) : profile.balance;
+
+  tx.balanceAfter = round2(before + delta);
+  for (let i = at; i < list.length; i++) list[i].balanceAfter = round2(list[i].balanceAfter + delta);
+  list.splice(at, 0, tx);
+  account.balance = round2(account.balance + (type === 'deposit' ? amt : -amt));
+  profile.balance = round2(profile.balance + delta);
+  return tx;
+}
+
+// The exact reverse of appendTransaction: the entry leaves the ledger, later
+// balanceAfters shift back, and its account, goal and debt get the money back
+// (the debt only what the entry paid off; older entries have no debtPaid).
+function removeTransaction(profile, index) {
+  const list = profile.transactions;
+  const delta = totalDelta(profile, list[index]);
+  const [tx] = list.splice(index, 1);
+  for (let i = index; i < list.length; i++) list[i].balanceAfter = round2(list[i].balanceAfter - delta);
+  const account = findAccount(profile, tx.accountId);
+  account.balance = round2(account.balance - signedAmount(tx));
+  profile.balance = round2(profile.balance - delta);
+
+  const value = Math.abs(delta);
+  const goal = tx.goalId ? (profile.goals || []).find(g => g.id === tx.goalId) : null;
+  if (goal) goal.saved = Math.max(0, Math.round((goal.saved - value) * 100) / 100);
+  const debt = tx.debtId ? (profile.debts || []).find(d => d.id === tx.debtId) : null;
+  if (debt) debt.balance = round2(debt.balance + (tx.debtPaid ?? value));
+  return tx;
+}
+
+/* -------------------------------- Restore --------------------------------- */
+
+// Recounts every balanceAfter from today's total backwards (also after the
+// exchange rates change).
+function rebalanceLedger(profile) {
+  let running = profile.balance - profile.transactions.reduce((s, t) => s + totalDelta(profile, t), 0);
+  profile.transactions.forEach(t => {
+    running += totalDelta(profile, t);
+    t.balanceAfter = round2(running);
+  });
+}
+
+// Only the fields a profile has; the id is the one restored into.
+function restoredProfile(id, b) {
+  const p = emptyProfile(id, b.name);
+  if (b.createdAt) p.createdAt = b.createdAt;
+  p.financial = normalizeFinancial(b.financial);
+  p.settings = normalizeSettings(b.settings);
+  p.petState = b.petState || null;
+  p.trend = b.trend || null;
+  PROFILE_LISTS.forEach(key => { p[key] = b[key] || []; });
+  if (!p.accounts.length) p.accounts = [defaultAccount(num(b.balance), p.createdAt)];
+  p.transactions.sort((a, c) => a.createdAt.localeCompare(c.createdAt));
+  p.balance = sumAccounts(p);
+  rebalanceLedger(p);
+  return p;
+}
+
+// Adds what `b` has and `p` doesn't, matched by id (pet snapshots and
+// timeline points by time); nothing already in `p` changes. Merged ledger
+// entries and transfers move the balances here like new ones would. Accounts,
+// goals and debts new to `p` arrive as they were backed up, since their
+// balances already count their own entries.
+function mergeProfile(p, b) {
+  const missing = (mine, theirs) => {
+    const ids = new Set(mine.map(x => x.id));
+    return theirs.filter(x => !ids.has(x.id));
+  };
+  const entries = missing(p.transactions, b.transactions);
+  const transfers = missing(p.transfers, b.transfers);
+  const goals = missing(p.goals, b.goals);
+  const debts = missing(p.debts, b.debts);
+
+  // Accounts new here keep their currency (the backup profile's when they had none)
+  const bs = normalizeSettings(b.settings);
+  const added = missing(p.accounts, b.accounts).map(({ currency, ...a }) => {
+    const code = currency || bs.currency;
+    return code === p.settings.currency ? a : { ...a, currency: code };
+  });
+  p.accounts.push(...added);
+  added.forEach(a => {
+    const flow = entries.filter(t => t.accountId === a.id).reduce((s, t) => s + signedAmount(t), 0) +
+      transfers.reduce((s, t) => s + (t.to === a.id ? transferReceived(p, t) : 0) - (t.from === a.id ? t.amount : 0), 0);
+    a.balance = round2(a.balance - flow);
+  });
+  p.balance = sumAccounts(p);
+
+  // Links to goals and debts new here are kept without counting them twice
+  entries.forEach(t => {
+    const saved = appendTransaction(p, t);
+    if (t.goalId && goals.some(g => g.id === t.goalId)) saved.goalId = t.goalId;
+    if (t.debtId && debts.some(d => d.id === t.debtId)) Object.assign(saved, { debtId: t.debtId, debtPaid: t.debtPaid });
+  });
+  transfers.forEach(t => {
+    moveBetweenAccounts(p, t);
+    p.transfers.push(t);
+  });
+  p.transfers.sort((a, c) => a.createdAt.localeCompare(c.createdAt));
+  p.valuations.push(...missing(p.valuations, b.valuations));
+  p.recurring.push(...missing(p.recurring, b.recurring));
+  p.goals.push(...goals);
+  p.debts.push(...debts);
+
+  const union = (mine, theirs, key, max) => {
+    const seen = new Set(mine.map(x => x[key]));
+    const all = mine.concat(theirs.filter(x => !seen.has(x[key])));
+    all.sort((a, c) => a[key].localeCompare(c[key]));
+    return all.slice(-max);
+  };
+  p.petSnapshots = union(p.petSnapshots, b.petSnapshots, 'savedAt', MAX_PET_SNAPSHOTS);
+  p.timeline = union(p.timeline, b.timeline, 'at', MAX_TIMELINE_POINTS);
+  p.petState = p.petState || b.petState || null;
+  p.trend = p.trend || b.trend || null;
+
+  // Settings here win; the backup fills in what was never set
+  const f = p.financial;
+  const bf = normalizeFinancial(b.financial);
+  p.financial = normalizeFinancial({
+    initialBalance: f.initialBalance || bf.initialBalance,
+    monthlyEarnings: f.monthlyEarnings || bf.monthlyEarnings,
+    monthlyBudget: f.monthlyBudget || bf.monthlyBudget,
+    categoryBudgets: { ...bf.categoryBudgets, ...f.categoryBudgets }
+  });
+  p.settings = normalizeSettings({ ...p.settings, rates: { ...bs.rates, ...p.settings.rates } });
+
+  p.balance = sumAccounts(p);
+  rebalanceLedger(p);
+  return p;
+}
+
+/* -------------------------------- Timeline -------------------------------- */
+
+// Penny's health and state at `at`, with the balance and that month's
+// spending so far.
+function timelinePoint(source, { health, state }, balance, transactions, at) {
+  return {
+    at: at.toISOString(),
+    source,
+    health: scoring.clamp0to100(health),
+    state,
+    balance: round2(balance),
+    monthSpend: round2(scoring.monthSummary(transactions, at).withdrawals)
+  };
+}
+
+// Pet saves record what Penny showed (`shown`); ledger changes are scored
+// from the ledger, like the page does after a deposit or withdrawal.
+function recordSnapshot(profile, source, shown) {
+  const scored = shown || scoring.score(scoring.inputsFromLedger(profile));
+  if (!scoring.STATES.includes(scored.state)) return;   // an egg has no health yet
+  const { transactions } = scoring.inProfileCurrency(profile);
+  profile.timeline.push(timelinePoint(source, scored, profile.balance, transactions, new Date()));
+  if (profile.timeline.length > MAX_TIMELINE_POINTS) {
+    profile.timeline.splice(0, profile.timeline.length - MAX_TIMELINE_POINTS);
+  }
+}
+
+// Pet snapshots saved before there was a timeline, as its first points. The
+// balance is the ledger's right after the last entry made by then.
+function timelineFromSnapshots(p) {
+  const list = p.transactions || [];
+  const first = list[0];
+  const opening = first ? first.balanceAfter - (first.type === 'deposit' ? first.amount : -first.amount) : num(p.balance);
+  return (p.petSnapshots || [])
+    .filter(s => s.savedAt && scoring.STATES.includes(s.state))
+    .map(s => {
+      const upTo = list.filter(t => t.createdAt <= s.savedAt);
+      const balance = upTo.length ? upTo[upTo.length - 1].balanceAfter : opening;
+      return timelinePoint('pet', s, balance, upTo, new Date(s.savedAt));
+    });
+}
+
+// v1 files kept deposit/withdraw pairing counters (`progress`); days and
+// months now come from the ledger itself, which must be in date order.
+// v2 profiles had one balance; it becomes a Checking account holding the
+// whole ledger. v3 profiles start their timeline from the pet snapshots.
+// Whatever the version, every list is there afterwards, with at least one
+// account.
+function migrate(db) {
+  if ((db.version || 1) < 2) {
+    Object.values(db.profiles).forEach(p => {
+      delete p.progress;
+      p.transactions = (p.transactions || []).slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    });
+  }
+  if ((db.version || 1) < 3) {
+    Object.values(db.profiles).forEach(p => {
+      p.accounts = [defaultAccount(num(p.balance), p.createdAt)];
+      (p.transactions || []).forEach(t => { t.accountId = DEFAULT_ACCOUNT_ID; });
+      p.transfers = [];
+    });
+  }
+  if ((db.version || 1) < 4) {
+    Object.values(db.profiles).forEach(p => { p.timeline = timelineFromSnapshots(p); });
+  }
+  Object.values(db.profiles).forEach(p => {
+    PROFILE_LISTS.forEach(key => { p[key] = Array.isArray(p[key]) ? p[key] : []; });
+    if (!p.accounts.length) p.accounts = [defaultAccount(num(p.balance), p.createdAt)];
+    p.settings = normalizeSettings(p.settings);
+  });
+  db.version = STORE_VERSION;
+  return db;
+}
+
+function createStore(file) {
+  let db = { version: STORE_VERSION, profiles: {} };
+  let writing = Promise.resolve();
+
+  try {
+    const raw = fs.readFileSync(file, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed.profiles === 'object') db = migrate(parsed);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[store] Could not read ${file}, starting empty:`, err.message);
+  }
+
+  // Rejects when the file could not be written, so the change's route
+  // answers with an error; the next write still goes ahead (and saves it).
+  function persist() {
+    const snapshot = JSON.stringify(db, null, 2);
+    const run = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    });
+    writing = run.catch(err => console.error('[store] Write failed:', err));
+    return run;
+  }
+
+  function touch(profile) {
+    profile.updatedAt = nowIso();
+    return persist();
+  }
+
+  return {
+    isValidId: id => PROFILE_ID_RE.test(String(id || '')),
+
+    listProfiles() {
+      return Object.values(db.profiles).map(p => ({ id: p.id, name: p.name, updatedAt: p.updatedAt }));
+    },
+
+    getProfile(id) {
+      return db.profiles[id] || null;
+    },
+
+    // New money settings revalue the total and every balanceAfter at the new
+    // currency and rates. A profile that holds money only changes currency
+    // with the old currency's rate in `settings.rates` (see changeCurrency);
+    // an empty one just takes the new currency.
+    async upsertProfile(id, { name, financial, settings } = {}) {
+      const profile = db.profiles[id] || (db.profiles[id] = emptyProfile(id, name));
+      if (typeof name === 'string' && name.trim()) profile.name = name.trim().slice(0, 60);
+      if (financial) profile.financial = normalizeFinancial({ ...profile.financial, ...financial });
+      if (settings) {
+        const next = { ...profile.settings, ...settings };
+        const from = profile.settings.currency;
+        const switching = scoring.isCurrency(next.currency) && next.currency !== from;
+        if (switching && scoring.holdsMoney(profile)) {
+          const rate = num(settings.rates && settings.rates[from]);
+          if (!(rate > 0)) throw new Error(`A rate for ${from} is needed to switch to ${next.currency}`);
+          profile.settings = changeCurrency(profile, { ...next, rates: settings.rates }, rate);
+        } else {
+          profile.settings = normalizeSettings(switching ? { ...next, rates: settings.rates || {} } : next);
+        }
+        profile.balance = sumAccounts(profile);
+        rebalanceLedger(profile);
+      }
+      await touch(profile);
+      return profile;
+    },
+
+    async resetProfile(id) {
+      const old = db.profiles[id];
+      db.profiles[id] = emptyProfile(id, old && old.name);
+      await touch(db.profiles[id]);
+      return db.profiles[id];
+    },
+
+    // `backup` is a validated, migrated profile (see lib/backup.js). 'replace'
+    // swaps profile `id` for it; 'merge' adds it to what is there (see
+    // mergeProfile). Either way the profile exists afterwards.
+    async restoreProfile(id, backup, mode) {
+      const current = db.profiles[id];
+      db.profiles[id] = current && mode === 'merge' ? mergeProfile(current, backup) : restoredProfile(id, backup);
+      await touch(db.profiles[id]);
+      return db.profiles[id];
+    },
+
+    async deleteProfile(id) {
+      if (!db.profiles[id]) return false;
+      delete db.profiles[id];
+      await persist();
+      return true;
+    },
+
+    // Sets one account's balance (the default account when none is given);
+    // returns the new total.
+    async setBalance(id, balance, accountId) {
+      const profile = db.profiles[id];
+      findAccount(profile, accountId).balance = round2(num(balance));
+      profile.balance = sumAccounts(profile);
+      await touch(profile);
+      return profile.balance;
+    },
+
+    /* ------------------------------- Accounts ------------------------------- */
+
+    // `currency` is only kept when it differs from the profile's.
+    async addAccount(id, { name, type, balance, currency }) {
+      const profile = db.profiles[id];
+      const account = {
+        id: newId(),
+        name: String(name).trim().slice(0, 40),
+        type,
+        balance: round2(num(balance)),
+        createdAt: nowIso()
+      };
+      if (currency && currency !== profile.settings.currency) account.currency = currency;
+      profile.accounts.push(account);
+      profile.balance = sumAccounts(profile);
+      await touch(profile);
+      return account;
+    },
+
+    // null when the account doesn't exist. Balances only change through the
+    // ledger, transfers or setBalance.
+    async updateAccount(id, accountId, { name, type }) {
+      const profile = db.profiles[id];
+      const account = profile.accounts.find(a => a.id === accountId);
+      if (!account) return null;
+      if (name !== undefined) account.name = String(name).trim().slice(0, 40);
+      if (type !== undefined) account.type = type;
+      await touch(profile);
+      return account;
+    },
+
+    // Only empty accounts nothing points at can go, and never the last one:
+    // an entry, transfer, valuation or scheduled entry left with a dead
+    // accountId would move the default account's money when edited or undone.
+    // Returns 'not_found' | 'not_empty' | 'in_use' | 'last' | null (deleted).
+    async deleteAccount(id, accountId) {
+      const profile = db.profiles[id];
+      const account = profile.accounts.find(a => a.id === accountId);
+      if (!account) return 'not_found';
+      if (Math.abs(account.balance) >= 0.005) return 'not_empty';
+      const inUse = profile.transactions.some(t => t.accountId === accountId) ||
+        profile.transfers.some(t => t.from === accountId || t.to === accountId) ||
+        profile.valuations.some(v => v.accountId === accountId) ||
+        profile.recurring.some(r => r.accountId === accountId);
+      if (inUse) return 'in_use';
+      if (profile.accounts.length === 1) return 'last';
+      profile.accounts = profile.accounts.filter(a => a.id !== accountId);
+      await touch(profile);
+      return null;
+    },
+
+    // Records an investment account's market value. The difference from its
+    // balance is the gain (or loss) since the last update; contributions
+    // already landed in the balance when they were made.
+    async addValuation(id, accountId, value) {
+      const profile = db.profiles[id];
+      const account = profile.accounts.find(a => a.id === accountId);
+      const amt = Math.round(num(value) * 100) / 100;
+      const valuation = {
+        id: newId(),
+        accountId,
+        value: amt,
+        gain: Math.round((amt - account.balance) * 100) / 100,
+        createdAt: nowIso()
+      };
+      account.balance = amt;
+      profile.balance = sumAccounts(profile);
+      profile.valuations.push(valuation);
+      await touch(profile);
+      return valuation;
+    },
+
+    // Moves money between two accounts. The total, the ledger and the
+    // month's deposits/spending are untouched. Between currencies, the
+    // receiving account gets the amount at today's rates.
+    async addTransfer(id, { from, to, amount, createdAt, description }) {
+      const profile = db.profiles[id];
+      const amt = num(amount);
+      const transfer = {
+        id: newId(),
+        from,
+        to,
+        amount: amt,
+        createdAt: createdAt ? new Date(createdAt).toISOString() : nowIso()
+      };
+      if (description) transfer.description = String(description).slice(0, 200);
+      moveBetweenAccounts(profile, transfer);
+      profile.transfers.push(transfer);
+      profile.transfers.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      await touch(profile);
+      return transfer;
+    },
+
+    async addTransaction(id, tx) {
+      const profile = db.profiles[id];
+      const saved = appendTransaction(profile, tx);
+      recordSnapshot(profile, 'ledger');
+      await touch(profile);
+      return saved;
+    },
+
+    // Replaces the fields in `patch` (type, amount, createdAt, accountId,
+    // category, description) and re-books the entry, so it moves to its new
+    // date and every balance it touched is corrected. null when not found.
+    async updateTransaction(id, txId, patch) {
+      const profile = db.profiles[id];
+      const i = profile.transactions.findIndex(t => t.id === txId);
+      if (i === -1) return null;
+      const old = removeTransaction(profile, i);
+      const saved = appendTransaction(profile, { ...old, ...patch });
+      recordSnapshot(profile, 'ledger');
+      await touch(profile);
+      return saved;
+    },
+
+    // Returns the removed entry (null when not found) so it can be restored.
+    async deleteTransaction(id, txId) {
+      const profile = db.profiles[id];
+      const i = profile.transactions.findIndex(t => t.id === txId);
+      if (i === -1) return null;
+      const removed = removeTransaction(profile, i);
+      recordSnapshot(profile, 'ledger');
+      await touch(profile);
+      return removed;
+    },
+
+    // Puts a deleted entry back under its old id (undo). null when that id is
+    // already in the ledger.
+    async restoreTransaction(id, tx) {
+      const profile = db.profiles[id];
+      if (profile.transactions.some(t => t.id === tx.id)) return null;
+      const saved = appendTransaction(profile, tx);
+      recordSnapshot(profile, 'ledger');
+      await touch(profile);
+      return saved;
+    },
+
+    // Indexes of rows bound for `accountId` already in the ledger: same
+    // externalId (bank FITID), or same account/day/type/amount. Matches are counted, so two identical coffees in
+    // the file only match two identical coffees already logged.
+    findDuplicates(id, list, accountId) {
+      const profile = db.profiles[id];
+      const into = findAccount(profile, accountId).id;
+      const ids = new Set(profile.transactions.map(t => t.externalId).filter(Boolean));
+      const counts = new Map();
+      profile.transactions.forEach(t => {
+        const key = txKey(t, findAccount(profile, t.accountId).id);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+
+      const dups = [];
+      list.forEach((tx, i) => {
+        const key = txKey(tx, into);
+        if (tx.externalId && ids.has(tx.externalId)) dups.push(i);
+        else if (counts.get(key) > 0) { counts.set(key, counts.get(key) - 1); dups.push(i); }
+      });
+      return dups;
+    },
+
+    // Every row lands in `accountId` (the default account when omitted). The
+    // timeline gets one point for the whole batch.
+    async importTransactions(id, list, accountId) {
+      const profile = db.profiles[id];
+      const duplicates = this.findDuplicates(id, list, accountId);
+      const skip = new Set(duplicates);
+      const imported = list
+        .filter((_, i) => !skip.has(i))
+        .map(tx => appendTransaction(profile, { ...tx, accountId, source: tx.source || 'import' }));
+      if (imported.length) {
+        recordSnapshot(profile, 'ledger');
+        await touch(profile);
+      }
+      return { imported, duplicates };
+    },
+
+    /* ------------------------------ Recurring ------------------------------ */
+
+    async addRecurring(id, input, today) {
+      const profile = db.profiles[id];
+      const rule = { id: newId(), ...recurring.buildRule(input, null, today), createdAt: nowIso() };
+      profile.recurring.push(rule);
+      await touch(profile);
+      return rule;
+    },
+
+    // null when the rule doesn't exist
+    async updateRecurring(id, ruleId, input, today) {
+      const profile = db.profiles[id];
+      const i = profile.recurring.findIndex(r => r.id === ruleId);
+      if (i === -1) return null;
+      profile.recurring[i] = recurring.buildRule(input, profile.recurring[i], today);
+      await touch(profile);
+      return profile.recurring[i];
+    },
+
+    async deleteRecurring(id, ruleId) {
+      const profile = db.profiles[id];
+      const before = profile.recurring.length;
+      profile.recurring = profile.recurring.filter(r => r.id !== ruleId);
+      if (profile.recurring.length === before) return false;
+      await touch(profile);
+      return true;
+    },
+
+    // Posts every active rule's occurrences due on or before `today`
+    // (including ones missed while the app was closed). Each lands at UTC noon
+    // of its day, which is the same calendar day in nearly every time zone.
+    async postDueRecurring(id, today) {
+      const profile = db.profiles[id];
+      const posted = [];
+      profile.recurring.filter(r => r.active).forEach(rule => {
+        const { dates, nextDue } = recurring.dueDates(rule, today);
+        dates.forEach(day => posted.push(appendTransaction(profile, {
+          type: rule.type,
+          amount: rule.amount,
+          createdAt: `${day}T12:00:00.000Z`,
+          accountId: rule.accountId,
+          category: rule.category,
+          description: rule.description,
+          source: 'recurring',
+          recurringId: rule.id
+        })));
+        if (dates.length) rule.lastPosted = dates[dates.length - 1];
+        rule.nextDue = nextDue;
+      });
+      if (posted.length) {
+        recordSnapshot(profile, 'ledger');
+        await touch(profile);
+      }
+      posted.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      return posted;
+    },
+
+    /* -------------------------------- Goals -------------------------------- */
+
+    async addGoal(id, { name, target, targetDate, saved }) {
+      const profile = db.profiles[id];
+      const goal = {
+        id: newId(),
+        name: String(name).trim().slice(0, 60),
+        target: num(target),
+        targetDate,
+        saved: Math.max(0, num(saved)),
+        createdAt: nowIso()
+      };
+      profile.goals.push(goal);
+      await touch(profile);
+      return goal;
+    },
+
+    // null when the goal doesn't exist
+    async updateGoal(id, goalId, { name, target, targetDate }) {
+      const profile = db.profiles[id];
+      const goal = profile.goals.find(g => g.id === goalId);
+      if (!goal) return null;
+      if (name !== undefined) goal.name = String(name).trim().slice(0, 60);
+      if (target !== undefined) goal.target = num(target);
+      if (targetDate !== undefined) goal.targetDate = targetDate;
+      await touch(profile);
+      return goal;
+    },
+
+    async deleteGoal(id, goalId) {
+      const profile = db.profiles[id];
+      const before = profile.goals.length;
+      profile.goals = profile.goals.filter(g => g.id !== goalId);
+      if (profile.goals.length === before) return false;
+      await touch(profile);
+      return true;
+    },
+
+    // Earmarks part of the existing balance for a goal (negative releases it).
+    // No ledger entry: the money doesn't move, it just gets a purpose.
+    async allocateToGoal(id, goalId, amount) {
+      const profile = db.profiles[id];
+      const goal = profile.goals.find(g => g.id === goalId);
+      if (!goal) return null;
+      goal.saved = Math.max(0, Math.round((goal.saved + num(amount)) * 100) / 100);
+      await touch(profile);
+      return goal;
+    },
+
+    /* -------------------------------- Debts -------------------------------- */
+
+    async addDebt(id, { name, balance, apr, minPayment }) {
+      const profile = db.profiles[id];
+      const debt = {
+        id: newId(),
+        name: String(name).trim().slice(0, 60),
+        balance: num(balance),
+        apr: num(apr),
+        minPayment: num(minPayment),
+        createdAt: nowIso()
+      };
+      profile.debts.push(debt);
+      await touch(profile);
+      return debt;
+    },
+
+    // null when the debt doesn't exist
+    async updateDebt(id, debtId, { name, balance, apr, minPayment }) {
+      const profile = db.profiles[id];
+      const debt = profile.debts.find(d => d.id === debtId);
+      if (!debt) return null;
+      if (name !== undefined) debt.name = String(name).trim().slice(0, 60);
+      if (balance !== undefined) debt.balance = num(balance);
+      if (apr !== undefined) debt.apr = num(apr);
+      if (minPayment !== undefined) debt.minPayment = num(minPayment);
+      await touch(profile);
+      return debt;
+    },
+
+    async deleteDebt(id, debtId) {
+      const profile = db.profiles[id];
+      const before = profile.debts.length;
+      profile.debts = profile.debts.filter(d => d.id !== debtId);
+      if (profile.debts.length === before) return false;
+      await touch(profile);
+      return true;
+    },
+
+    async saveTrend(id, trend) {
+      const profile = db.profiles[id];
+      profile.trend = trend;
+      await touch(profile);
+      return trend;
+    },
+
+    async savePetState(id, state) {
+      const profile = db.profiles[id];
+      const snap = { ...state, savedAt: nowIso() };
+      profile.petState = state;
+      profile.petSnapshots.push(snap);
+      recordSnapshot(profile, 'pet', state);
+      if (profile.petSnapshots.length > MAX_PET_SNAPSHOTS) {
+        profile.petSnapshots.splice(0, profile.petSnapshots.length - MAX_PET_SNAPSHOTS);
+      }
+      await touch(profile);
+      return snap;
+    },
+
+    flush: () => writing
+  };
+}
+
+module.exports = { createStore, migrate, STORE_VERSION };
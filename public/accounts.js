@@ -0,0 +1,188 @@
+// public/accounts.js
+// "Accounts" section on the Finances page: named checking / savings / cash /
+// investment accounts with their own balances, transfers between them (which
+// never count as income or spending), and the account pickers used by
+// deposits, withdrawals, recurring rules and statement import. An account can
+// be kept in another currency than the profile's (see currency.js). script.js
+// is told through onChange() whenever balances moved so it can rescore.
+
+import {
+  getAccounts, addAccount, deleteAccount, setBalance, transferBetweenAccounts
+} from './penny-store.js';
+import { accountMoney } from './currency.js';
+import { t } from './lang.js';
+
+const { ACCOUNT_TYPES, CURRENCIES } = window.PennyScoring;
+
+// Every select that picks the account a ledger entry lands in
+const PICKERS = ['txAccount', 'recAccount', 'importAccount'];
+
+let onChange = () => {};
+
+export function initAccounts(opts) {
+  onChange = opts.onChange;
+  const type = document.getElementById('accountType');
+  if (type) ACCOUNT_TYPES.forEach(a => type.append(new Option('', a.key)));
+  const currency = document.getElementById('accountCurrency');
+  if (currency) {
+    currency.append(new Option('', ''));
+    CURRENCIES.forEach(c => currency.append(new Option(c.code, c.code)));
+  }
+  document.getElementById('addAccountBtn')?.addEventListener('click', handleAdd);
+  document.getElementById('transferBtn')?.addEventListener('click', handleTransfer);
+}
+
+const typeLabel = key => (ACCOUNT_TYPES.some(a => a.key === key) ? t(`accounts.type.${key}`) : key);
+
+// The account chosen in one of the pickers (undefined = the default account).
+export function selectedAccountId(pickerId) {
+  return document.getElementById(pickerId)?.value || undefined;
+}
+
+export function accountName(accountId) {
+  const accounts = getAccounts();
+  return (accounts.find(a => a.id === accountId) || accounts[0])?.name || '';
+}
+
+/* --------------------------------- Render ---------------------------------- */
+
+export function renderAccounts() {
+  const accounts = getAccounts();
+  // The add form's choices, in the current language
+  document.querySelectorAll('#accountType option').forEach(o => { o.text = typeLabel(o.value); });
+  const profileCurrency = document.querySelector('#accountCurrency option[value=""]');
+  if (profileCurrency) profileCurrency.text = t('accounts.profileCurrency');
+  PICKERS.forEach(id => fillPicker(document.getElementById(id), accounts));
+  fillPicker(document.getElementById('transferFrom'), accounts);
+  fillPicker(document.getElementById('transferTo'), accounts, 1);
+  document.getElementById('transferGroup')?.toggleAttribute('hidden', accounts.length < 2);
+
+  // One line per account under the total on the Finances page
+  const summary = document.getElementById('accountBalances');
+  if (summary) {
+    summary.textContent = accounts.length > 1 ? accounts.map(a => `${a.name} ${accountMoney(a.balance, a)}`).join(' · ') : '';
+  }
+
+  const list = document.getElementById('accountList');
+  if (!list) return;
+  list.innerHTML = '';
+  accounts.forEach(a => {
+    const li = document.createElement('li');
+    li.className = 'recurring-item';
+
+    const text = document.createElement('span');
+    text.textContent = `${a.name} (${typeLabel(a.type)}): ${accountMoney(a.balance, a)}`;
+
+    // Investment balances move with the market; those are updated under
+    // Investments so gains stay apart from contributions
+    const set = document.createElement('button');
+    set.className = 'recurring-btn';
+    set.textContent = t('accounts.set');
+    set.title = t('accounts.setTitle');
+    set.hidden = a.type === 'investment';
+    set.addEventListener('click', () => handleSetBalance(a));
+
+    const remove = document.createElement('button');
+    remove.className = 'recurring-btn';
+    remove.textContent = '✕';
+    remove.disabled = accounts.length === 1;
+    remove.addEventListener('click', () => handleDelete(a));
+
+    li.append(text, set, remove);
+    list.appendChild(li);
+  });
+}
+
+// Keeps the current choice when it still exists; otherwise picks the
+// `fallback`-th account. Pickers hide when there is nothing to choose from.
+function fillPicker(select, accounts, fallback = 0) {
+  if (!select) return;
+  const keep = select.value;
+  select.innerHTML = '';
+  accounts.forEach(a => select.append(new Option(`${a.name} (${accountMoney(a.balance, a)})`, a.id)));
+  select.value = accounts.some(a => a.id === keep) ? keep : (accounts[fallback] || accounts[0])?.id || '';
+  const group = select.closest('.input-group') || select;
+  if (PICKERS.includes(select.id)) group.hidden = accounts.length < 2;
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleAdd() {
+  const name = document.getElementById('accountName').value.trim();
+  const type = document.getElementById('accountType').value;
+  const balance = parseFloat(document.getElementById('accountOpening').value) || 0;
+  const currency = document.getElementById('accountCurrency')?.value || undefined;
+  if (!name) {
+    alert(t('accounts.needName'));
+    return;
+  }
+  try {
+    await addAccount({ name, type, balance, currency });
+    document.getElementById('accountName').value = '';
+    document.getElementById('accountOpening').value = '';
+    document.getElementById('accountCurrency').value = '';
+    renderAccounts();
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('accounts.addFailed') }));
+  }
+}
+
+function handleSetBalance(account) {
+  const raw = prompt(t('accounts.setPrompt', { name: account.name }), String(account.balance));
+  if (raw === null) return;
+  const balance = parseFloat(raw);
+  if (!Number.isFinite(balance)) {
+    alert(t('alert.amount'));
+    return;
+  }
+  setBalance(balance, account.id);
+  renderAccounts();
+  onChange();
+}
+
+async function handleDelete(account) {
+  if (!confirm(t('accounts.removeConfirm', { name: account.name }))) return;
+  try {
+    await deleteAccount(account.id);
+    renderAccounts();
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('accounts.removeFailed') }));
+  }
+}
+
+async function handleTransfer() {
+  const from = document.getElementById('transferFrom').value;
+  const to = document.getElementById('transferTo').value;
+  const amount = parseFloat(document.getElementById('transferAmount').value);
+  const source = getAccounts().find(a => a.id === from);
+
+  if (!amount || amount <= 0) {
+    alert(t('alert.amount'));
+    return;
+  }
+  if (from === to) {
+    alert(t('accounts.sameAccount'));
+    return;
+  }
+  if (source && amount > source.balance) {
+    alert(t('accounts.onlyHas', { name: source.name, amount: accountMoney(source.balance, source) }));
+    return;
+  }
+
+  const btn = document.getElementById('transferBtn');
+  btn.disabled = true;
+  try {
+    await transferBetweenAccounts(from, to, amount);
+    document.getElementById('transferAmount').value = '';
+    const status = document.getElementById('transferStatus');
+    if (status) status.textContent = t('accounts.moved', { amount: accountMoney(amount, source), from: accountName(from), to: accountName(to) });
+    renderAccounts();
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('accounts.moveFailed') }));
+  } finally {
+    btn.disabled = false;
+  }
+}
@@ -0,0 +1,71 @@
+// public/backup.js
+// "Backup" section on the Finances page: downloads the whole profile
+// (financial info, ledger, accounts, goals, debts, pet and its history) as one
+// versioned JSON file, and restores such a file by replacing or merging with
+// what is here. The server checks and migrates the file; script.js repaints
+// everything through onRestored().
+
+import { getProfileId, exportBackup, restoreBackup } from './penny-store.js';
+import { t } from './lang.js';
+
+const { dayKey } = window.PennyScoring;
+
+let onRestored = () => {};
+
+export function initBackup(opts) {
+  onRestored = opts.onRestored;
+  document.getElementById('exportBackupBtn')?.addEventListener('click', handleExport);
+  document.getElementById('restoreBackupBtn')?.addEventListener('click', handleRestore);
+}
+
+function showStatus(text) {
+  const el = document.getElementById('backupStatus');
+  if (el) el.textContent = text;
+}
+
+async function handleExport() {
+  try {
+    const backup = await exportBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `penny-${getProfileId()}-${dayKey(new Date())}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showStatus(t('backup.saved', { count: backup.profile.transactions.length }));
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('backup.saveFailed') }));
+  }
+}
+
+async function handleRestore() {
+  const file = document.getElementById('backupFile')?.files?.[0];
+  const mode = document.getElementById('backupMode')?.value || 'merge';
+  if (!file) {
+    alert(t('backup.pickFile'));
+    return;
+  }
+
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch {
+    showStatus(t('backup.notBackup'));
+    return;
+  }
+  if (mode === 'replace' && !confirm(t('backup.replaceConfirm', { profile: getProfileId() }))) return;
+
+  const btn = document.getElementById('restoreBackupBtn');
+  btn.disabled = true;
+  try {
+    await restoreBackup(backup, mode);
+    const done = mode === 'replace' ? 'backup.restored' : 'backup.merged';
+    showStatus(backup.exportedAt ? t(`${done}From`, { day: dayKey(backup.exportedAt) }) : t(done));
+    document.getElementById('backupFile').value = '';
+    onRestored();
+  } catch (error) {
+    showStatus(t('backup.restoreFailed', { message: error?.message || t('pet.somethingWrong') }));
+  } finally {
+    btn.disabled = false;
+  }
+}
@@ -0,0 +1,84 @@
+// public/category-budgets.js
+// Category pickers for deposits/withdrawals and the "Category Budgets" form on
+// the Finances page. Budgets are monthly amounts per spending category, saved
+// with the profile's financial info; each row shows this month's spending.
+// script.js gets a callback after a save so the health bar can be rescored.
+
+import { getFinancial, saveFinancial, getLedger } from './penny-store.js';
+import { money } from './currency.js';
+import { t } from './lang.js';
+
+const { categoriesFor, categoryUsage } = window.PennyScoring;
+
+let onSaved = () => {};
+
+export function initCategoryBudgets(opts) {
+  onSaved = opts.onSaved;
+  fillCategorySelect(document.getElementById('depositCategory'), 'income', 'paycheck');
+  fillCategorySelect(document.getElementById('withdrawCategory'), 'expense', 'groceries');
+  document.getElementById('saveCategoryBudgetsBtn')?.addEventListener('click', handleSave);
+}
+
+function fillCategorySelect(select, kind, selected) {
+  if (!select) return;
+  select.innerHTML = '';
+  categoriesFor(kind).forEach(c => select.append(new Option(t(`category.${c.key}`), c.key)));
+  select.value = selected;
+}
+
+// This month's usage of the active profile's budgets (see scoring.categoryUsage).
+export function currentCategoryUsage() {
+  return categoryUsage(getLedger().transactions, getFinancial().categoryBudgets);
+}
+
+/* --------------------------------- Form ---------------------------------- */
+
+export function renderCategoryBudgets() {
+  document.querySelectorAll('#depositCategory option, #withdrawCategory option').forEach(o => { o.text = t(`category.${o.value}`); });
+  const box = document.getElementById('categoryBudgets');
+  if (!box) return;
+  box.innerHTML = '';
+
+  const budgets = getFinancial().categoryBudgets || {};
+  const spent = Object.fromEntries(currentCategoryUsage().categories.map(c => [c.key, c]));
+
+  categoriesFor('expense').forEach(c => {
+    const row = document.createElement('div');
+    row.className = 'category-row';
+
+    const label = document.createElement('label');
+    label.htmlFor = `budget-${c.key}`;
+    label.textContent = t(`category.${c.key}`);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.id = `budget-${c.key}`;
+    input.dataset.category = c.key;
+    input.placeholder = t('budgets.none');
+    input.value = budgets[c.key] || '';
+
+    const usage = document.createElement('span');
+    usage.className = 'category-usage';
+    const u = spent[c.key];
+    if (u) {
+      usage.textContent = u.used === null ? money(u.spent) : `${money(u.spent)} (${Math.round(u.used * 100)}%)`;
+      if (u.used !== null && u.used >= 1) usage.classList.add('over');
+      else if (u.used !== null && u.used >= 0.9) usage.classList.add('near');
+    }
+
+    row.append(label, input, usage);
+    box.appendChild(row);
+  });
+}
+
+function handleSave() {
+  const categoryBudgets = {};
+  document.querySelectorAll('#categoryBudgets input[data-category]').forEach(input => {
+    const amt = parseFloat(input.value);
+    if (amt > 0) categoryBudgets[input.dataset.category] = amt;
+  });
+  saveFinancial({ categoryBudgets });
+  renderCategoryBudgets();
+  onSaved();
+}
@@ -0,0 +1,90 @@
+// public/chat.js
+// Chat with Penny in the speech card (the form is part of speech-bubble.js's
+// DOM). Questions go to POST /chat with the page's language and Penny's
+// voice; the server remembers the last few exchanges and answers from the
+// profile's ledger only (see lib/chat.js). Replies are cleaned up by the
+// voice's rules like the rest of Penny's words.
+
+import { askPenny, getChatHistory, clearChat, getSettings } from './penny-store.js';
+import { currentLanguage, t, applyTranslations } from './lang.js';
+import { cleanUpReply } from './gemini-service.js';
+
+let history = [];
+let pending = null;   // the question waiting for its answer
+
+export function initChat() {
+  document.getElementById('chatForm')?.addEventListener('submit', handleAsk);
+  document.getElementById('chatClearBtn')?.addEventListener('click', handleClear);
+}
+
+/* --------------------------------- Render ---------------------------------- */
+
+// Reloads the active profile's conversation and repaints the form in the
+// page's language.
+export async function renderChat() {
+  const form = document.getElementById('chatForm');
+  if (!form) return;
+  applyTranslations(form);
+  try {
+    history = await getChatHistory();
+  } catch {
+    history = [];
+  }
+  renderLog();
+}
+
+function renderLog() {
+  const log = document.getElementById('chatLog');
+  if (!log) return;
+  const { currency, persona } = getSettings();
+  const style = { currency, language: currentLanguage(), persona };
+  const entries = history.map(h => ({ role: h.role, text: h.role === 'penny' ? cleanUpReply(h.text, style) : h.text }));
+  if (pending) entries.push({ role: 'user', text: pending }, { role: 'pending', text: t('chat.thinking') });
+
+  log.innerHTML = '';
+  entries.forEach(({ role, text }) => {
+    const li = document.createElement('li');
+    li.className = role === 'user' ? 'chat-user' : role === 'pending' ? 'chat-penny chat-pending' : 'chat-penny';
+    li.setAttribute('aria-label', role === 'user' ? t('chat.you') : t('chat.penny'));
+    li.textContent = text;
+    log.append(li);
+  });
+  log.lastElementChild?.scrollIntoView({ block: 'nearest' });
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleAsk(event) {
+  event.preventDefault();
+  const input = document.getElementById('chatInput');
+  const send = event.target.querySelector('.chat-send');
+  const message = input.value.trim();
+  if (!message || pending) return;
+
+  pending = message;
+  input.value = '';
+  send.disabled = true;
+  renderLog();
+  try {
+    const res = await askPenny(message, { language: currentLanguage(), persona: getSettings().persona });
+    history = res.history;
+  } catch (error) {
+    input.value = message;
+    alert(t('alert.oops', { message: error?.message || t('chat.failed') }));
+  } finally {
+    pending = null;
+    send.disabled = false;
+    renderLog();
+    input.focus();
+  }
+}
+
+async function handleClear() {
+  try {
+    await clearChat();
+    history = [];
+    renderLog();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('chat.clearFailed') }));
+  }
+}
@@ -0,0 +1,116 @@
+// public/currency.js
+// "Currency" section on the Finances page, and the money formatting every
+// page uses. A profile has one currency and locale (the browser's when left
+// empty); accounts can be kept in other currencies, and count toward totals,
+// goals and health at the exchange rates typed in here. script.js repaints
+// through onChange() when the settings change.
+
+import { getSettings, saveSettings, getAccounts, holdsMoney } from './penny-store.js';
+import { t, currentLanguage } from './lang.js';
+
+const { CURRENCIES, formatMoney } = window.PennyScoring;
+const { moneyWords: inWords, currencyName: nameOf } = window.PennyI18n;
+
+let onChange = () => {};
+
+export function initCurrency(opts) {
+  onChange = opts.onChange;
+  const select = document.getElementById('currency');
+  if (select) CURRENCIES.forEach(c => select.append(new Option(`${c.code} (${c.many})`, c.code)));
+  document.getElementById('saveSettingsBtn')?.addEventListener('click', handleSave);
+}
+
+// "$1,234.50", "1.234,50 €": an amount in `currency` (default: the profile's),
+// written the profile locale's way. `whole` drops the cents.
+export function money(amount, currency, whole = false) {
+  const { currency: base, locale } = getSettings();
+  return formatMoney(amount, currency || base, locale, whole);
+}
+
+// An amount held in `account`, in that account's currency.
+export const accountMoney = (amount, account) => money(amount, account?.currency);
+
+// "40 euros": whole units of the profile currency in words, for Penny to say.
+export const moneyWords = amount => inWords(amount, getSettings().currency, currentLanguage());
+
+export const currencyName = () => nameOf(getSettings().currency, currentLanguage());
+
+/* --------------------------------- Render ---------------------------------- */
+
+// Other currencies in use: the accounts' plus any that already have a rate.
+function foreignCurrencies(settings) {
+  const codes = getAccounts().map(a => a.currency).concat(Object.keys(settings.rates));
+  return [...new Set(codes)].filter(code => code && code !== settings.currency).sort();
+}
+
+export function renderCurrency() {
+  const settings = getSettings();
+  const select = document.getElementById('currency');
+  if (select) select.value = settings.currency;
+  const locale = document.getElementById('locale');
+  if (locale) locale.value = settings.locale;
+
+  const box = document.getElementById('currencyRates');
+  if (!box) return;
+  box.innerHTML = '';
+  foreignCurrencies(settings).forEach(code => {
+    const row = document.createElement('div');
+    row.className = 'input-group';
+    const label = document.createElement('label');
+    label.htmlFor = `rate-${code}`;
+    label.textContent = t('settings.rateLabel', { code, currency: settings.currency });
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `rate-${code}`;
+    input.min = '0';
+    input.step = 'any';
+    input.dataset.code = code;
+    input.placeholder = t('settings.noRate');
+    input.value = settings.rates[code] ?? '';
+    row.append(label, input);
+    box.appendChild(row);
+  });
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleSave() {
+  const before = getSettings();
+  const currency = document.getElementById('currency').value;
+  const locale = document.getElementById('locale').value.trim();
+  const rates = {};
+  document.querySelectorAll('#currencyRates input').forEach(input => {
+    const rate = parseFloat(input.value);
+    if (rate > 0) rates[input.dataset.code] = rate;
+  });
+  // Rates are against the profile currency. A new one needs the old one's
+  // rate so nothing changes worth; the server carries the other rates over.
+  let next = rates;
+  if (currency !== before.currency) {
+    next = {};
+    if (holdsMoney()) {
+      const raw = prompt(t('settings.ratePrompt', { from: before.currency, to: currency }));
+      if (raw === null) return;
+      const rate = parseFloat(raw);
+      if (!(rate > 0)) {
+        alert(t('alert.rate'));
+        return;
+      }
+      next = { [before.currency]: rate };
+    }
+  }
+
+  const btn = document.getElementById('saveSettingsBtn');
+  btn.disabled = true;
+  try {
+    await saveSettings({ currency, locale, rates: next });
+    renderCurrency();
+    const status = document.getElementById('settingsStatus');
+    if (status) status.textContent = t('settings.saved', { name: currencyName(), example: money(1234.5) });
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('settings.saveFailed') }));
+  } finally {
+    btn.disabled = false;
+  }
+}
@@ -0,0 +1,214 @@
+// public/debts.js
+// "Debts" section on the Finances page: one row per loan or card (balance,
+// APR, minimum payment), payments that go through the ledger as withdrawals,
+// and the payoff planner that compares avalanche (highest APR first) with
+// snowball (smallest balance first) for an optional extra monthly payment.
+// What is owed feeds the health model; script.js hears about payments through
+// onPaid() and about any other change through onChange().
+
+import {
+  getDebts, getAccounts, addDebt, updateDebt, deleteDebt, recordTransaction, getPayoffPlan
+} from './penny-store.js';
+import { selectedAccountId } from './accounts.js';
+import { money, accountMoney } from './currency.js';
+import { t } from './lang.js';
+
+const { totalDebt } = window.PennyScoring;
+
+let onPaid = () => {};
+let onChange = () => {};
+
+export function initDebts(opts) {
+  onPaid = opts.onPaid;
+  onChange = opts.onChange;
+  document.getElementById('addDebtBtn')?.addEventListener('click', handleAdd);
+  document.getElementById('payoffPlanBtn')?.addEventListener('click', renderPlan);
+}
+
+/* ---------------------------------- List ----------------------------------- */
+
+export function renderDebts() {
+  const debts = getDebts();
+  const list = document.getElementById('debtList');
+  const total = document.getElementById('debtTotal');
+  if (total) {
+    const minimums = debts.reduce((s, d) => s + (d.balance > 0 ? d.minPayment : 0), 0);
+    total.textContent = debts.length ? t('debts.total', { total: money(totalDebt(debts)), minimums: money(minimums) }) : '';
+  }
+  document.getElementById('payoffPlanner')?.toggleAttribute('hidden', !debts.some(d => d.balance > 0));
+  if (!list) return;
+  list.innerHTML = '';
+
+  debts.forEach(d => {
+    const li = document.createElement('li');
+    li.className = 'recurring-item' + (d.balance > 0 ? '' : ' paused');
+
+    const text = document.createElement('span');
+    text.textContent = d.balance > 0
+      ? t('debts.line', { name: d.name, balance: money(d.balance), apr: d.apr, min: money(d.minPayment) })
+      : t('debts.lineDone', { name: d.name });
+
+    const pay = document.createElement('button');
+    pay.className = 'recurring-btn';
+    pay.textContent = t('debts.pay');
+    pay.disabled = !(d.balance > 0);
+    pay.addEventListener('click', () => handlePay(d));
+
+    const edit = document.createElement('button');
+    edit.className = 'recurring-btn';
+    edit.textContent = t('debts.edit');
+    edit.title = t('debts.editTitle');
+    edit.addEventListener('click', () => handleEdit(d));
+
+    const remove = document.createElement('button');
+    remove.className = 'recurring-btn';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => handleDelete(d));
+
+    li.append(text, pay, edit, remove);
+    list.appendChild(li);
+  });
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleAdd() {
+  const name = document.getElementById('debtName').value.trim();
+  const balance = parseFloat(document.getElementById('debtBalance').value);
+  const apr = parseFloat(document.getElementById('debtApr').value) || 0;
+  const minPayment = parseFloat(document.getElementById('debtMin').value) || 0;
+
+  if (!name || !(balance > 0)) {
+    alert(t('debts.needFields'));
+    return;
+  }
+  if (apr > 100) {
+    alert(t('debts.aprHint'));
+    return;
+  }
+  try {
+    await addDebt({ name, balance, apr, minPayment });
+    ['debtName', 'debtBalance', 'debtApr', 'debtMin'].forEach(id => { document.getElementById(id).value = ''; });
+    renderDebts();
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('debts.saveFailed') }));
+  }
+}
+
+// A payment is a withdrawal (from the account picked for deposits and
+// withdrawals) that also lowers the debt.
+async function handlePay(debt) {
+  const raw = prompt(t('debts.payPrompt', { name: debt.name, owed: money(debt.balance) }), String(debt.minPayment || ''));
+  const amount = parseFloat(raw);
+  if (!amount || amount <= 0) return;
+  if (amount > debt.balance) {
+    alert(t('debts.overOwed', { name: debt.name, owed: money(debt.balance) }));
+    return;
+  }
+  const accountId = selectedAccountId('txAccount');
+  const accounts = getAccounts();
+  const account = accounts.find(a => a.id === accountId) || accounts[0];
+  if (account && amount > account.balance) {
+    alert(t('debts.overBalance', { balance: accountMoney(account.balance, account) }));
+    return;
+  }
+  const paidOff = amount === debt.balance;
+  recordTransaction('withdraw', amount, { accountId, category: 'debt', debtId: debt.id, description: t('debts.payment', { name: debt.name }) })
+    .catch(error => alert(t('alert.oops', { message: error?.message || t('debts.payFailed') })));
+  renderDebts();
+  onPaid({
+    amount,
+    paidOff,
+    message: paidOff
+      ? t('debts.paidOff', { name: debt.name })
+      : t('debts.paid', { amount: money(amount), name: debt.name, left: money(debt.balance - amount) })
+  });
+}
+
+async function handleEdit(debt) {
+  const raw = prompt(t('debts.editPrompt', { name: debt.name }), String(debt.balance));
+  if (raw === null) return;
+  const balance = parseFloat(raw);
+  if (!(balance >= 0)) {
+    alert(t('alert.amount'));
+    return;
+  }
+  try {
+    await updateDebt(debt.id, { balance });
+    renderDebts();
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('debts.updateFailed') }));
+  }
+}
+
+async function handleDelete(debt) {
+  if (!confirm(t('debts.removeConfirm', { name: debt.name }))) return;
+  try {
+    await deleteDebt(debt.id);
+    renderDebts();
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('debts.deleteFailed') }));
+  }
+}
+
+/* --------------------------------- Planner --------------------------------- */
+
+async function renderPlan() {
+  const box = document.getElementById('payoffResult');
+  const btn = document.getElementById('payoffPlanBtn');
+  if (!box) return;
+  const extra = Math.max(0, parseFloat(document.getElementById('payoffExtra')?.value) || 0);
+
+  if (btn) btn.disabled = true;
+  try {
+    const plan = await getPayoffPlan(extra);
+    box.innerHTML = '';
+    box.append(strategyCard(plan.avalanche), strategyCard(plan.snowball));
+
+    const verdict = document.createElement('p');
+    verdict.className = 'payoff-verdict';
+    if (!plan.avalanche.finished) {
+      verdict.textContent = t('debts.outrun', { payment: money(plan.avalanche.monthlyPayment) });
+    } else if (plan.interestSaved > 0) {
+      const firstWin = s => Math.min(...s.order.map(d => d.paidOffMonth ?? Infinity));
+      const quicker = firstWin(plan.snowball) < firstWin(plan.avalanche);
+      verdict.textContent = t(quicker ? 'debts.avalancheSavesSnowballSooner' : 'debts.avalancheSaves', { amount: money(plan.interestSaved) });
+    } else {
+      verdict.textContent = t('debts.same');
+    }
+    box.appendChild(verdict);
+    box.hidden = false;
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('debts.planFailed') }));
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+function strategyCard(s) {
+  const card = document.createElement('div');
+  card.className = 'payoff-card';
+
+  const title = document.createElement('h4');
+  title.textContent = t(`debts.${s.strategy}`);
+
+  const summary = document.createElement('p');
+  summary.className = 'payoff-summary';
+  summary.textContent = s.finished
+    ? t('debts.debtFree', { date: s.payoffDate, months: s.months, interest: money(s.totalInterest) })
+    : t('debts.never');
+
+  const order = document.createElement('ol');
+  order.className = 'payoff-order';
+  s.order.forEach(d => {
+    const li = document.createElement('li');
+    li.textContent = d.payoffDate ? `${d.name} — ${d.payoffDate}` : d.name;
+    order.appendChild(li);
+  });
+
+  card.append(title, summary, order);
+  return card;
+}
@@ -4,21 +4,53 @@
 // Adds (not erases) new advice to the bubble via window.pennyShowMessage().
 // Sends structured numeric inputs so the server can compute deterministically.
 // Adds a timeout so the UI never hangs waiting for a response.
-// Kid-mode style: full, simple sentences a 10-year-old can understand.
-// No emojis, no parentheses, no colons, no symbols like %, ~, <=, >=, /, and no jargon.
+// Prefers /analyze/stream: the state arrives at once (onState) and the advice
+// is typed into the bubble as the model writes it.
+// Penny's voice is a persona (data.persona, see personas.js): the kid one
+// says full, simple sentences a 10-year-old can understand, with no emojis,
+// parentheses, colons, symbols like %, ~, <=, >=, /, $ or jargon; adult ones
+// keep real percentages. Replies are cleaned up by the persona the server
+// answered in. Money is said in the profile currency's words (data.currency,
+// e.g. "40 euros"), and everything in the page's language (data.language, see
+// i18n.js).
+// Health/state math comes from the shared engine in scoring.js (window.PennyScoring).
+// Offline (no network, or the store only reached the service worker's copy)
+// Penny answers from that math straight away, marked `offline` so the page
+// asks again once the connection is back (see offline.js).
+
+import { getProfileId, isOffline } from './penny-store.js';
+
+const { STATES, score, toAllowedState, clamp0to100, DEFAULT_CURRENCY } = window.PennyScoring;
+const { translate, moneyWords, currencyName, languageName, DEFAULT_LANGUAGE } = window.PennyI18n;
+const { personaOf, DEFAULT_PERSONA } = window.PennyPersonas;
 
 const TIMEOUT_MS = 15000; // hard stop so UI never hangs
 
-export async function analyzeFinancialData(data) {
+export async function analyzeFinancialData(data, { onState } = {}) {
+  // How replies are written: { currency, language, persona }
+  const style = {
+    currency: data.currency || DEFAULT_CURRENCY,
+    language: data.language || DEFAULT_LANGUAGE,
+    persona: data.persona || DEFAULT_PERSONA
+  };
+  if (navigator.onLine === false || isOffline()) return localAnalysis(data, style);
   try {
     const prompt = buildFinancialPrompt(data);     // legacy servers read this
     const inputs = prepareInputs(data);            // deterministic servers can use this
 
-    const { ok, json } = await postJson(
-      '/analyze',
-      { prompt, inputs, client: 'web-1.7' },
-      TIMEOUT_MS
-    );
+    const body = { prompt, inputs, language: style.language, persona: style.persona, profileId: getProfileId(), client: 'web-1.8' };
+
+    // Path S: streamed from the server (preferred); servers without the
+    // stream route get the one-shot request below
+    try {
+      const out = await streamAnalysis(body, style, onState);
+      try { window.pennyShowMessage && window.pennyShowMessage(out.message, { typing: true }); } catch {}
+      return out;
+    } catch (err) {
+      if (!err.missing) throw err;
+    }
+
+    const { ok, json } = await postJson('/analyze', body, TIMEOUT_MS);
 
     if (!ok) {
       const msg = stringifyErr(json) || 'Server error';
@@ -27,7 +59,7 @@ export async function analyzeFinancialData(data) {
 
     // Path A: normalized JSON from server (preferred)
     if (looksNormalized(json)) {
-      const out = finalizeForUI(json);
+      const out = finalizeForUI(json, { ...style, persona: json.persona || style.persona });
       try { window.pennyShowMessage && window.pennyShowMessage(out.message); } catch {}
       return out;
     }
@@ -35,26 +67,30 @@ export async function analyzeFinancialData(data) {
     // Path B: legacy raw candidates -> parse locally
     const parsed = parseGeminiCandidates(json);
     if (parsed) {
-      const out = finalizeForUI(parsed);
+      const out = finalizeForUI(parsed, style);
       try { window.pennyShowMessage && window.pennyShowMessage(out.message); } catch {}
       return out;
     }
 
     // Path C: local deterministic fallback (math)
     const local = computeLocalDeterministic(inputs, data);
-    const out = finalizeForUI(local);
+    const out = finalizeForUI(local, style);
     try { window.pennyShowMessage && window.pennyShowMessage(out.message); } catch {}
     return out;
 
   } catch (err) {
     console.error('analyzeFinancialData failed:', err);
-    const local = computeLocalDeterministic(prepareInputs(data), data);
-    const out = finalizeForUI(local);
-    try { window.pennyShowMessage && window.pennyShowMessage(out.message); } catch {}
-    return out;
+    return localAnalysis(data, style);
   }
 }
 
+// The local math when the server can't be reached.
+function localAnalysis(data, style) {
+  const out = finalizeForUI(computeLocalDeterministic(prepareInputs(data), data), style);
+  try { window.pennyShowMessage && window.pennyShowMessage(out.message); } catch {}
+  return { ...out, offline: true };
+}
+
 /* ------------------------------ fetch helpers ------------------------------ */
 
 async function postJson(url, body, timeoutMs) {
@@ -74,26 +110,124 @@ async function postJson(url, body, timeoutMs) {
   }
 }
 
+/* ------------------------------- Streaming -------------------------------- */
+
+// /analyze/stream (see server.js): the state as soon as it is scored, then the
+// headline and advice, typed into the bubble as they arrive. Resolves to the
+// finished analysis, or to the server's local advice (sent with the state) if
+// the stream dies after the state. Rejects when no stream started, with
+// `missing` set if the server has no stream route.
+async function streamAnalysis(body, style, onState) {
+  const ctrl = new AbortController();
+  let idle = setTimeout(() => ctrl.abort(), TIMEOUT_MS);   // no word for this long → dead
+  let state = null;
+  let voice = style;
+  const raw = { headline: '', advice: [] };
+  try {
+    const r = await fetch('/analyze/stream', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+      body: JSON.stringify(body),
+      signal: ctrl.signal
+    });
+    if (r.status === 404 || r.status === 405) {
+      throw Object.assign(new Error('No /analyze/stream on this server'), { missing: true });
+    }
+    if (!r.ok || !r.body) {
+      const j = await r.json().catch(() => ({}));
+      throw new Error(stringifyErr(j) || 'Server error');
+    }
+
+    const reader = r.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      clearTimeout(idle);
+      idle = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const { event, data } = parseSseEvent(block);
+        if (event === 'state') {
+          state = data;
+          voice = { ...style, persona: data.persona || style.persona };
+          try {
+            onState && onState({ state: toAllowedState(data.state), health: clamp0to100(data.health), breakdown: data.breakdown });
+          } catch {}
+        } else if (event === 'token' && state) {
+          if (data.field === 'headline') raw.headline += data.text;
+          else if (data.field === 'advice' && data.index >= 0 && data.index < 3) {
+            raw.advice[data.index] = (raw.advice[data.index] || '') + data.text;
+          }
+          const text = partialMessage(raw, voice);
+          try { text && window.pennyShowMessage && window.pennyShowMessage(text, { typing: true }); } catch {}
+        } else if (event === 'done' && state) {
+          return finalizeForUI({ ...state, ...data }, voice);
+        }
+      }
+    }
+  } catch (err) {
+    if (!state) throw err;
+    console.warn('Penny\'s stream died, using the local advice:', err.message);
+  } finally {
+    clearTimeout(idle);
+  }
+  if (!state) throw new Error('The stream ended before Penny was scored');
+  return finalizeForUI({ ...state, ...state.fallback }, voice);
+}
+
+// One "event: x\ndata: {...}" block; data is {} when it is not JSON.
+function parseSseEvent(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  }
+  try { return { event, data: JSON.parse(data.join('\n')) || {} }; }
+  catch { return { event, data: {} }; }
+}
+
+// The bubble text while the reply is still coming in: each line cleaned up
+// like a finished one, minus the word it may be in the middle of.
+function partialMessage(raw, style) {
+  const line = s => sanitizeLine(String(s || '').replace(/\S*$/, ''), style).replace(/\.$/, '');
+  const headline = line(raw.headline);
+  const advice = raw.advice.map(line).filter(Boolean);
+  return [headline, ...advice.map(b => `• ${b}`)].filter(Boolean).join('\n');
+}
+
 /* -------------------------------------------------------------------------- */
-/* Prompt for legacy servers — kid friendly, game-y, no emoji/()/:/symbols    */
+/* Prompt for legacy servers — game-y, in the persona's voice                 */
 /* -------------------------------------------------------------------------- */
 
 function buildFinancialPrompt(data) {
+  const persona = personaOf(data.persona);
+  const { keep } = persona;
+  const money = currencyWords(data);
+  const rules = [
+    !keep.emoji && 'No emojis',
+    !keep.symbols && 'No parentheses',
+    !keep.symbols && 'No colons',
+    !keep.symbols && 'No symbols like percent signs or slashes or less than or greater than',
+    `Use short full sentences in plain ${languageName(data.language)}`,
+    !keep.jargon && 'Do not use hard words like debt to income or ratio or runway',
+    !keep.jargon && 'Use simple phrases like money you bring in each month, money you spend each month, savings you already have, money you owe, money you invest each month, investment account total',
+    `All money is in ${money}`,
+    keep.symbols ? 'Write real percentages like 12%' : `Write numbers with words like percent, months, ${money}`,
+    'Each sentence should include one clear number',
+    'JSON ONLY, no code fences, no extra keys'
+  ].filter(Boolean);
+
   return `
-You are Penny, a kind money helper in a game. Speak so a ten year old understands.
+${persona.voice.join('\n')}
 Pretend this is a pet game. Your words help the pet level up.
 
 Style rules:
-- No emojis
-- No parentheses
-- No colons
-- No symbols like percent signs or slashes or less than or greater than
-- Use short full sentences in plain English
-- Do not use hard words like debt to income or ratio or runway
-- Use simple phrases like money you bring in each month, money you spend each month, savings you already have, money you owe, money you invest each month, investment account total
-- Write numbers with words like percent, months, dollars
-- Each sentence should include one clear number
-- JSON ONLY, no code fences, no extra keys
+${rules.map(r => `- ${r}`).join('\n')}
 
 Return EXACTLY this shape:
 {
@@ -104,7 +238,7 @@ Return EXACTLY this shape:
 }
 
 What to write:
-- headline = one cute sentence that explains how the pet is doing in the game
+- headline = one sentence that explains how the pet is doing in the game
 - advice[0] = one positive sentence with a number that says what is going well
 - advice[1] = one helpful change with a number that makes the pet stronger
 - advice[2] = one simple goal for next week with a number that is easy to try
@@ -129,8 +263,12 @@ function prepareInputs(d){
     total_debt: Number(d.debt) || 0,
     monthly_investments: Number(d.monthlyInvestments) || 0,
     investment_balance: Number(d.investmentBalance) || 0,
+    // Share of category budgets overspent this month (null = no budgets set)
+    category_overspend: Number.isFinite(Number(d.categoryOverspend ?? NaN)) ? Number(d.categoryOverspend) : null,
+    goal_pace: Number.isFinite(Number(d.goalPace ?? NaN)) ? Number(d.goalPace) : null,
 
-    // Optional trend/shock inputs if you track them between calls:
+    // Trend/shock inputs (script.js fills them from the profile's trend history;
+    // the server prefers its own stored copy when it has one):
     shortEmaPrev: Number(d.shortEmaPrev ?? NaN),
     longEmaPrev:  Number(d.longEmaPrev  ?? NaN),
     spendEmaPrev: Number(d.spendEmaPrev ?? NaN),
@@ -139,6 +277,8 @@ function prepareInputs(d){
   };
 }
 
+function currencyWords(d){ return currencyName(d.currency || DEFAULT_CURRENCY, d.language || DEFAULT_LANGUAGE); }
+
 function numOrZero(x){ const n = Number(x); return Number.isFinite(n) ? n : 0; }
 
 function stringifyErr(x) {
@@ -150,48 +290,95 @@ function stringifyErr(x) {
 }
 
 function looksNormalized(obj){
-  const allowed = ['ATROCIOUS','CRITICAL','STRUGGLING','SURVIVING','HEALTHY','THRIVING','FANTASTIC'];
   return (
     obj &&
     typeof obj.health === 'number' &&
     (typeof obj.message === 'string' || typeof obj.headline === 'string') &&
-    allowed.includes(String(obj.state).toUpperCase())
+    STATES.includes(String(obj.state).toUpperCase())
   );
 }
 
 /* ----------------------------- Text sanitizing ----------------------------- */
 
-function sanitizeLine(s) {
+// The "Good:" / "Fix:" / "Goal (next week):" labels the prompt asks for, per
+// language (with or without their colon and parentheses).
+const LABEL_RULES = {
+  en: /^\s*(good|fix|goal(\s*\(?\s*next week\s*\)?)?)(?![\p{L}])\s*:?[\s\-]*/iu,
+  es: /^\s*(bien|mejora|meta(\s*\(?\s*próxima semana\s*\)?)?)(?![\p{L}])\s*:?[\s\-]*/iu,
+  fr: /^\s*(bien|à corriger|objectif(\s*\(?\s*semaine prochaine\s*\)?)?)(?![\p{L}])\s*:?[\s\-]*/iu
+};
+
+// Jargon the model (or the server fallback) may use, and the plain words a kid
+// would say instead, per language.
+const JARGON_RULES = {
+  en: [
+    [/\bDTI\b/gi, 'debt to income'],
+    [/\brunway\b/gi, 'months of savings'],
+    [/\bratio\b/gi, 'share'],
+    [/\bmo\.?\b/gi, 'months'],
+    [/\bper\s*cent\b/gi, 'percent'],
+    [/\bpercent\s+percent\b/gi, 'percent'],
+    [/\bspend(?:ing)?\s+share\s+(\d+(?:\.\d+)?)\s+percent\b/i, 'you spend $1 percent of your money'],
+    [/\bshare\s+(\d+(?:\.\d+)?)\s+percent\b/i, 'the share is $1 percent'],
+    [/\bmonths of savings\s+(\d+(?:\.\d+)?)\s+months\b/i, 'you have $1 months of savings'],
+    [/\bdebt to income\s+(\d+(?:\.\d+)?)\s+percent\b/i, 'your debt is $1 percent of your income']
+  ],
+  es: [
+    [/\bDTI\b/gi, 'deuda frente a ingresos'],
+    [/\bcolch[oó]n\b/giu, 'ahorros'],
+    [/\bratio\b/gi, 'parte'],
+    [/\bsem\b/gi, 'semana'],
+    [/\bpor\s+ciento\s+por\s+ciento\b/gi, 'por ciento']
+  ],
+  fr: [
+    [/\bDTI\b/gi, 'dette par rapport aux revenus'],
+    [/\bcoussin\b/gi, 'épargne'],
+    [/\bratio\b/gi, 'part'],
+    [/\bsem\b/gi, 'semaine'],
+    [/\bpour\s+cent\s+pour\s+cent\b/gi, 'pour cent']
+  ]
+};
+
+// Cleans one line up by the persona's rules (personas.js `keep`). Amounts
+// written with a symbol are always said in the currency's words ("$40" → "40
+// euros") in `language`, whose words (`words.*` in public/locales/) also
+// replace the symbols for personas that drop them.
+function sanitizeLine(s, { currency = DEFAULT_CURRENCY, language = DEFAULT_LANGUAGE, persona } = {}) {
+  const { keep } = personaOf(persona);
+  const word = key => ` ${translate(language, `words.${key}`)} `;
+  // "40 euros/mo": the number and up to two words of money before the slash
+  const per = unit => new RegExp(`(\\d+(?:\\s[\\p{L}]+){0,2})\\s*\\/\\s*(?:${unit})(?![\\p{L}])`, 'giu');
   let t = String(s || '');
-  t = t.replace(/[\u2600-\u26FF\u{1F300}-\u{1FAFF}\u200B-\u200D\uFE0F\uFEFF]/gu, '');
-  t = t.replace(/[():]/g, ' ');
-  t = t.replace(/<=|≤/g, ' at or below ');
-  t = t.replace(/>=|≥/g, ' at or above ');
-  t = t.replace(/~/g,  ' about ');
-  t = t.replace(/%/g,  ' percent ');
-  t = t.replace(/\b(\d+)\s*\/\s*(wk|week)\b/gi, '$1 per week');
-  t = t.replace(/\b(\d+)\s*\/\s*(mo|month)\b/gi, '$1 per month');
-  t = t.replace(/\b(\d+)\s*\/\s*(yr|year)\b/gi, '$1 per year');
-  t = t.replace(/\//g, ' per ');
-  t = t.replace(/\bDTI\b/gi, 'debt to income');
-  t = t.replace(/\brunway\b/gi, 'months of savings');
-  t = t.replace(/\bratio\b/gi, 'share');
-  t = t.replace(/^\s*(good|fix|goal( next week)?)\b[\s\-]*/i, '');
-  t = t.replace(/\bmo\.?\b/gi, 'months');
-  t = t.replace(/\bper\s*cent\b/gi, 'percent');
-  t = t.replace(/\bpercent\s+percent\b/gi, 'percent');
-  t = t.replace(/\bspend(?:ing)?\s+share\s+(\d+(?:\.\d+)?)\s+percent\b/i, 'you spend $1 percent of your money');
-  t = t.replace(/\bshare\s+(\d+(?:\.\d+)?)\s+percent\b/i, 'the share is $1 percent');
-  t = t.replace(/\bmonths of savings\s+(\d+(?:\.\d+)?)\s+months\b/i, 'you have $1 months of savings');
-  t = t.replace(/\bdebt to income\s+(\d+(?:\.\d+)?)\s+percent\b/i, 'your debt is $1 percent of your income');
-  t = t.replace(/\s+/g, ' ').trim();
+  if (!keep.emoji) t = t.replace(/[\u2600-\u27BF\u{1F300}-\u{1FAFF}\u200B-\u200D\uFE0F\uFEFF]/gu, '');
+  t = t.replace(/[$€£¥₹]\s?(\d[\d,]*(?:\.\d+)?)/g, (_, n) => moneyWords(Number(n.replace(/,/g, '')), currency, language));
+  if (!keep.labels) t = t.replace(LABEL_RULES[language] || LABEL_RULES[DEFAULT_LANGUAGE], '');
+  if (!keep.symbols) {
+    t = t.replace(/[():]/g, ' ');
+    t = t.replace(/<=|≤/g, word('atOrBelow'));
+    t = t.replace(/>=|≥/g, word('atOrAbove'));
+    t = t.replace(/~/g,  word('about'));
+    t = t.replace(/%/g,  word('percent'));
+    t = t.replace(per('wk|week|sem|semana|semaine'), `$1${word('perWeek')}`);
+    t = t.replace(per('mo|month|mes|mois'), `$1${word('perMonth')}`);
+    t = t.replace(per('yr|year|año|an'), `$1${word('perYear')}`);
+    t = t.replace(/\//g, word('per'));
+  }
+  if (!keep.jargon) (JARGON_RULES[language] || JARGON_RULES[DEFAULT_LANGUAGE]).forEach(([re, to]) => { t = t.replace(re, to); });
+  t = t.replace(/\s+/g, ' ').replace(/ ([.,!?])/g, '$1').trim();
   if (t) {
     t = t.charAt(0).toUpperCase() + t.slice(1);
-    if (!/[.!?]$/.test(t)) t += '.';
+    // Lines ending in an emoji or punctuation get no extra period
+    if (/[\p{L}\p{N})%]$/u.test(t)) t += '.';
   }
   return t;
 }
 
+// A chat reply (see chat.js) cleaned up like advice, line by line, by the
+// voice's rules.
+export function cleanUpReply(text, style) {
+  return String(text || '').split('\n').map(line => sanitizeLine(line, style)).filter(Boolean).join('\n');
+}
+
 function shorten(s, max = 140) {
   const t = String(s || '').trim();
   if (t.length <= max) return t;
@@ -208,175 +395,127 @@ function uniqueList(list) {
   return out;
 }
 
-function finalizeForUI(obj){
+function finalizeForUI(obj, style){
   const currentText = (document.querySelector('#petMessage')?.textContent || '').trim();
-  const isAnalyzing = /analyzing/i.test(currentText);
+  const isAnalyzing = /analyzing/i.test(currentText) || currentText === translate(style.language, 'pet.analyzing');
 
-  let headline = sanitizeLine(shorten(obj.headline || obj.message || '', 200));
+  let headline = sanitizeLine(shorten(obj.headline || obj.message || '', 200), style);
   let advice   = (Array.isArray(obj.advice) ? obj.advice : [])
-    .map(a => sanitizeLine(shorten(a, 200)))
+    .map(a => sanitizeLine(shorten(a, 200), style))
     .filter(Boolean);
 
   advice = uniqueList(advice).slice(0, 3);
 
   const baseRaw = headline || (isAnalyzing ? '' : currentText);
-  const base = sanitizeLine(shorten(baseRaw, 200));
+  const base = sanitizeLine(shorten(baseRaw, 200), style);
   const bullets = advice.length ? advice.map(b => `• ${b}`).join('\n') : '';
   const message = bullets ? (base ? `${base}\n${bullets}` : bullets) : (base || '');
 
-  return {
+  const out = {
     state: toAllowedState(obj.state),
     health: clamp0to100(obj.health),
     message: message || 'All set.',
     headline,
-    advice
+    advice,
+    persona: style.persona
   };
-}
-
-function toAllowedState(s){
-  const allowed = ['ATROCIOUS','CRITICAL','STRUGGLING','SURVIVING','HEALTHY','THRIVING','FANTASTIC'];
-  const up = String(s || '').toUpperCase();
-  return allowed.includes(up) ? up : 'SURVIVING';
-}
-function clamp0to100(x){
-  const n = Number(x);
-  if (!Number.isFinite(n)) return 50;
-  return Math.max(0, Math.min(100, Math.round(n)));
+  // Keep the formula version so saved snapshots stay explainable
+  if (obj.scoringVersion != null) out.scoringVersion = obj.scoringVersion;
+  if (obj.breakdown && Array.isArray(obj.breakdown.factors)) out.breakdown = obj.breakdown;
+  if (obj.currentHappiness != null) out.currentHappiness = clamp0to100(obj.currentHappiness);
+  if (obj.projectedHappiness != null) out.projectedHappiness = clamp0to100(obj.projectedHappiness);
+  if (obj.trend) out.trend = obj.trend;
+  if (obj.trendHistory) out.trendHistory = obj.trendHistory;
+  return out;
 }
 
 /* ---------------- Local deterministic fallback (trend-aware math) ---------- */
 
-function computeLocalDeterministic(inputs) {
-  const m = localCoreMetrics(inputs);
-  const subs = localSubscores(m);
-  const F = 0.35*subs.B + 0.25*subs.H + 0.25*subs.R + 0.15*subs.L;
-
-  const hasShort = Number.isFinite(inputs.shortEmaPrev);
-  const hasLong  = Number.isFinite(inputs.longEmaPrev);
-  const E_short = hasShort ? (0.5*F + 0.5*inputs.shortEmaPrev) : NaN;
-  const E_long  = hasLong  ? (0.1*F + 0.9*inputs.longEmaPrev)   : NaN;
-  const Delta   = (hasShort && hasLong) ? (E_short - E_long) : 0;
-  const T       = Math.tanh(Delta / 0.10);
-
-  const hasSpendEma = Number.isFinite(inputs.spendEmaPrev);
-  const hasStd = Number.isFinite(inputs.spendStdDev) && inputs.spendStdDev > 0;
-  let P = 0;
-  if (hasSpendEma && hasStd) {
-    const spendEma = 0.3*inputs.monthly_spending + 0.7*inputs.spendEmaPrev;
-    const z = (inputs.monthly_spending - spendEma) / inputs.spendStdDev;
-    P = clamp01((z - 1.5) / 3.0);
-  }
-
-  let Pprime = P;
-  if (T >= 0) Pprime = P * (1 - 0.7*T); else Pprime = P * (1 + 0.7*Math.abs(T));
-  Pprime = clamp01(Pprime);
-
-  const U = Number.isFinite(inputs.fVolatility) ? Math.exp(- (inputs.fVolatility / 0.15)) : 1;
-
-  const H_now  = 100 * clamp01(F + 0.40*T + 0.20*U - 0.30*Pprime);
-  const F_proj = clamp01(F + 0.60*T - 0.50*Pprime);
-  const H_proj = 100 * F_proj;
+// Same engine as the server, so offline results match /analyze exactly.
+// data.nearestGoal (see scoring.goalProgress) turns the goal line toward it;
+// data.currency names the amounts, data.language picks the sentences and
+// data.persona whether percents keep their sign.
+function computeLocalDeterministic(inputs, data = {}) {
+  const style = {
+    currency: data.currency || DEFAULT_CURRENCY,
+    language: data.language || DEFAULT_LANGUAGE,
+    persona: data.persona || DEFAULT_PERSONA
+  };
+  const scored = score(inputs);
+  const m = scored.metrics;
+  const { summarizeTrend } = window.PennyScoring;
+  const kid = kidWords(style);
 
-  const state = stateFromH(H_now);
-  const headline = sanitizeLine(buildKidHeadline(state, H_now, m));
+  const headline = sanitizeLine(buildKidHeadline(kid, scored.state, scored.health), style);
   const advice = [
-    sanitizeLine(buildKidPositive(m)),
-    sanitizeLine(buildKidFix(m)),
-    sanitizeLine(buildKidGoal(m, inputs))
-  ].map(s => shorten(s, 200));
+    buildKidPositive(kid, m),
+    buildKidFix(kid, m),
+    buildKidGoal(kid, m, inputs, data.nearestGoal)
+  ].map(s => shorten(sanitizeLine(s, style), 200));
 
   return {
-    state,
-    health: clamp0to100(H_now),
+    state: scored.state,
+    health: scored.health,
+    scoringVersion: scored.version,
+    breakdown: scored.breakdown,
     headline,
     advice,
-    currentHappiness: clamp0to100(H_now),
-    projectedHappiness: clamp0to100(H_proj)
+    currentHappiness: scored.currentHappiness,
+    projectedHappiness: scored.projectedHappiness,
+    trend: summarizeTrend(scored, null)
   };
 }
 
-function localCoreMetrics(inp){
-  const inc  = +inp.monthly_income      || 0;
-  const sp   = +inp.monthly_spending    || 0;
-  const sav  = +inp.total_savings       || 0;
-  const debt = +inp.total_debt          || 0;
-  const invM = +inp.monthly_investments || 0;
-  const invB = +inp.investment_balance  || 0;
-
-  const u  = inc > 0 ? sp / inc : Infinity;
-  const h  = inc > 0 ? invM / inc : 0;
-  const m  = sp > 0 ? sav / sp : (sav > 0 ? 99.999 : 0);
-  const A  = sav + invB;
-  const ell = A > 0 ? debt / A : Infinity;
-
-  return { inc, sp, sav, debt, invM, invB, u, h, m, ell };
-}
-
-function localSubscores(m){
-  const sigma = (x) => 1 / (1 + Math.exp(-x));
-  const B = sigma((0.80 - m.u) / 0.10);
-  const H = sigma((m.h - 0.10) / 0.05);
-  const R = clamp01(m.m / 6.0);
-  const L = sigma((1 - m.ell) / 0.50);
-  return { B, H, R, L };
-}
-
-function clamp01(x){ return Math.min(1, Math.max(0, x)); }
+/* ------------------------ Kid-friendly sentence builders ------------------- */
 
-function stateFromH(h){
-  if (h < 15) return 'ATROCIOUS';
-  if (h < 30) return 'CRITICAL';
-  if (h < 45) return 'STRUGGLING';
-  if (h < 60) return 'SURVIVING';
-  if (h < 75) return 'HEALTHY';
-  if (h < 90) return 'THRIVING';
-  return 'FANTASTIC';
+// The `kid.*` sentences of one language, with its words for percents
+// ("12%" for personas that keep symbols), months and money.
+function kidWords({ currency, language, persona }) {
+  const say = (key, vars) => translate(language, `kid.${key}`, vars);
+  const symbols = personaOf(persona).keep.symbols;
+  return {
+    say,
+    percent: x => symbols ? `${Math.round(x*100)}%` : say('percent', { n: Math.round(x*100) }),
+    months: x => say('months', { n: (Math.round(x*10)/10).toFixed(1) }),
+    money: x => moneyWords(x, currency, language)
+  };
 }
 
-/* ------------------------ Kid-friendly sentence builders ------------------- */
-
-function dollars(n){ n = Math.max(0, Math.round(n)); return `${n} dollars`; }
-function percentWords(x){ return `${Math.round(x*100)} percent`; }
-function monthsWords(x){ return `${(Math.round(x*10)/10).toFixed(1)} months`; }
-
-function buildKidHeadline(state, h){
-  const hInt = Math.round(h);
-  if (state === 'FANTASTIC') return `Your pet is very strong with a score of ${hInt} points.`;
-  if (state === 'THRIVING')  return `Your pet is doing very well with a score of ${hInt} points.`;
-  if (state === 'HEALTHY')   return `Your pet is steady with a score of ${hInt} points.`;
-  if (state === 'SURVIVING') return `Your pet is okay with a score of ${hInt} points.`;
-  if (state === 'STRUGGLING')return `Your pet feels tight with a score of ${hInt} points.`;
-  if (state === 'CRITICAL')  return `Your pet needs care with a score of ${hInt} points.`;
-  return `Your pet needs help now with a score of ${hInt} points.`;
+function buildKidHeadline(kid, state, h){
+  return kid.say(`headline.${STATES.includes(state) ? state : 'ATROCIOUS'}`, { health: Math.round(h) });
 }
 
-function buildKidPositive(m){
-  if (m.u <= 0.80) return `You spend ${percentWords(m.u)} of your money which is under the goal.`;
-  if (m.m >= 3.0)  return `You have ${monthsWords(m.m)} of savings which is a strong base.`;
-  if (m.h >= 0.10) return `You invest ${percentWords(m.h)} of your income which is on track.`;
-  return `You took a good step that helps this week.`;
+function buildKidPositive(kid, m){
+  if (m.budget_ratio <= 0.80)  return kid.say('good.spend', { pct: kid.percent(m.budget_ratio) });
+  if (m.runway_months >= 3.0)  return kid.say('good.runway', { months: kid.months(m.runway_months) });
+  if (m.invest_rate >= 0.10)   return kid.say('good.invest', { pct: kid.percent(m.invest_rate) });
+  return kid.say('good.step');
 }
 
-function buildKidFix(m){
-  if (m.u > 0.90) {
-    const extra = Math.max(0, Math.round((m.u - 0.90) * 100));
-    return `Cut spending by about ${extra} percent to reach the goal.`;
+function buildKidFix(kid, m){
+  if (m.budget_ratio > 0.90) {
+    const extra = Number.isFinite(m.budget_ratio) ? Math.max(0, Math.round((m.budget_ratio - 0.90) * 100)) : 100;
+    return kid.say('fix.trim', { n: extra });
   }
-  if (m.h < 0.10) return `Raise investing to ten percent because you are at ${percentWords(m.h)} now.`;
-  if (m.m < 2.0) {
-    const need = Math.max(0, Math.round((2.0 - m.m) * (m.sp || 0)));
-    return `Add ${dollars(need)} to savings to build two months.`;
+  if (m.category_overspend > 0) return kid.say('fix.categories', { pct: kid.percent(m.category_overspend) });
+  if (m.invest_rate < 0.10) return kid.say('fix.invest', { pct: kid.percent(m.invest_rate) });
+  if (m.runway_months < 2.0) {
+    const need = Math.max(0, Math.round((2.0 - m.runway_months) * (m.sp || 0)));
+    return kid.say('fix.runway', { amount: kid.money(need) });
   }
-  return `Pick one small bill and lower it by ${10} percent this week.`;
+  return kid.say('fix.bill');
 }
 
-function buildKidGoal(m, inputs){
-  if (m.h < 0.10 && m.inc > 0) {
+function buildKidGoal(kid, m, inputs, goal){
+  if (goal) {
+    return kid.say('goal.saving', { amount: kid.money(Math.ceil(goal.monthlyNeeded)), name: goal.name, date: goal.targetDate });
+  }
+  if (m.invest_rate < 0.10 && m.inc > 0) {
     const weekly = Math.max(1, Math.ceil((m.inc * 0.10) / 4));
-    return `Send ${dollars(weekly)} each week to your investing account.`;
+    return kid.say('goal.invest', { amount: kid.money(weekly) });
   }
   const cap = Math.max(1, Math.ceil((m.inc * 0.80 - m.sp)));
-  return `Keep daily spending low so you end the month under eighty percent which is a cap of ${dollars(cap)}.`;
+  return kid.say('goal.cap', { amount: kid.money(cap) });
 }
 
 /* ---------------- Legacy parse of raw candidates (fallback) -------------- */
@@ -0,0 +1,169 @@
+// public/goals.js
+// Savings goals: the "Savings Goals" form and list on the Finances page, the
+// "Toward goal" picker on deposits and the progress bars on the pet view.
+// Money reaches a goal through an earmarked deposit or by setting part of the
+// balance aside; either way script.js hears about crossed milestones
+// (25/50/75/100%) and lets Penny celebrate.
+
+import { getGoals, addGoal, deleteGoal, allocateToGoal } from './penny-store.js';
+import { money } from './currency.js';
+import { t } from './lang.js';
+
+const { goalProgress, goalMilestone, dayKey } = window.PennyScoring;
+
+let onMilestone = () => {};
+let onChange = () => {};
+
+export function initGoals(opts) {
+  onMilestone = opts.onMilestone;
+  onChange = opts.onChange;
+  document.getElementById('addGoalBtn')?.addEventListener('click', handleAdd);
+  const date = document.getElementById('goalDate');
+  if (date) date.min = dayKey(new Date());
+}
+
+// Celebration message when `before` → `after` saved crosses a milestone.
+export function milestoneMessage(goal, before, after) {
+  const m = goalMilestone(before, after, goal.target);
+  if (!m) return null;
+  return m >= 1
+    ? t('goals.reached', { name: goal.name, target: money(goal.target) })
+    : t('goals.milestone', { name: goal.name, pct: Math.round(m * 100) });
+}
+
+/* --------------------------------- Render ---------------------------------- */
+
+export function renderGoals() {
+  const progress = goalProgress(getGoals());
+  renderDepositPicker(progress.goals);
+  renderManageList(progress.goals);
+  renderPetPanel(progress);
+}
+
+function renderDepositPicker(goals) {
+  const select = document.getElementById('depositGoal');
+  if (!select) return;
+  const keep = select.value;
+  select.innerHTML = '';
+  select.append(new Option(t('goals.noGoal'), ''));
+  goals.filter(g => !g.done).forEach(g => select.append(new Option(`→ ${g.name}`, g.id)));
+  select.value = [...select.options].some(o => o.value === keep) ? keep : '';
+  select.hidden = select.options.length === 1;
+}
+
+const goalLine = g =>
+  t('goals.line', { name: g.name, saved: money(g.saved), target: money(g.target), pct: Math.round(g.pct * 100) });
+
+const goalPlan = g =>
+  g.done
+    ? t('goals.done')
+    : t(g.onTrack ? 'goals.plan' : 'goals.planBehind', { amount: money(Math.ceil(g.monthlyNeeded), undefined, true), date: g.targetDate });
+
+function renderManageList(goals) {
+  const list = document.getElementById('goalManageList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  goals.forEach(g => {
+    const li = document.createElement('li');
+    li.className = 'recurring-item';
+
+    const text = document.createElement('span');
+    text.textContent = `${goalLine(g)} · ${goalPlan(g)}`;
+
+    const aside = document.createElement('button');
+    aside.className = 'recurring-btn';
+    aside.textContent = t('goals.setAside');
+    aside.title = t('goals.setAsideTitle');
+    aside.addEventListener('click', () => handleAllocate(g));
+
+    const remove = document.createElement('button');
+    remove.className = 'recurring-btn';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => handleDelete(g));
+
+    li.append(text, aside, remove);
+    list.appendChild(li);
+  });
+}
+
+function renderPetPanel({ goals, nearest }) {
+  const panel = document.getElementById('goalsPanel');
+  const list = document.getElementById('goalProgressList');
+  if (!panel || !list) return;
+  list.innerHTML = '';
+  panel.hidden = !goals.length;
+
+  // Nearest deadline first, finished goals last
+  const ordered = goals.slice().sort((a, b) => (a.done - b.done) || a.targetDate.localeCompare(b.targetDate));
+  ordered.forEach(g => {
+    const li = document.createElement('li');
+    li.className = 'goal-item' + (g.done ? ' done' : '') + (nearest && g.id === nearest.id ? ' nearest' : '');
+
+    const label = document.createElement('div');
+    label.className = 'goal-label';
+    label.textContent = goalLine(g);
+
+    const bar = document.createElement('div');
+    bar.className = 'goal-bar';
+    const fill = document.createElement('div');
+    fill.className = 'goal-fill' + (g.onTrack || g.done ? '' : ' behind');
+    fill.style.width = `${Math.round(Math.min(1, g.pct) * 100)}%`;
+    bar.appendChild(fill);
+
+    const plan = document.createElement('div');
+    plan.className = 'goal-plan';
+    plan.textContent = goalPlan(g);
+
+    li.append(label, bar, plan);
+    list.appendChild(li);
+  });
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleAdd() {
+  const name = document.getElementById('goalName').value.trim();
+  const target = parseFloat(document.getElementById('goalTarget').value);
+  const targetDate = document.getElementById('goalDate').value;
+  const saved = parseFloat(document.getElementById('goalSaved').value) || 0;
+
+  if (!name || !target || target <= 0 || !targetDate) {
+    alert(t('goals.needFields'));
+    return;
+  }
+  try {
+    await addGoal({ name, target, targetDate, saved });
+    ['goalName', 'goalTarget', 'goalDate', 'goalSaved'].forEach(id => { document.getElementById(id).value = ''; });
+    renderGoals();
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('goals.saveFailed') }));
+  }
+}
+
+async function handleAllocate(goal) {
+  const raw = prompt(t('goals.allocatePrompt', { name: goal.name }));
+  const amount = parseFloat(raw);
+  if (!amount) return;
+  try {
+    const saved = await allocateToGoal(goal.id, amount);
+    renderGoals();
+    onChange();
+    const msg = milestoneMessage(saved, goal.saved, saved.saved);
+    if (msg) onMilestone(msg);
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('goals.updateFailed') }));
+  }
+}
+
+async function handleDelete(goal) {
+  if (!confirm(t('goals.deleteConfirm', { name: goal.name }))) return;
+  try {
+    await deleteGoal(goal.id);
+    renderGoals();
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('goals.deleteFailed') }));
+  }
+}
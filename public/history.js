@@ -0,0 +1,213 @@
+// public/history.js
+// "History" page: every ledger entry of the chosen month, newest first, with
+// Edit and ✕ on each row, plus the one-tap Undo (also shown on the Finances
+// page) for the latest deposit, withdrawal, edit or delete. Edits re-book the
+// entry on the server, so balances, goal and debt progress follow; script.js
+// rescores and repaints through onChange().
+
+import {
+  getTransactions, getAccounts, editTransaction, deleteTransaction, getLastAction, undoLastAction
+} from './penny-store.js';
+import { accountName } from './accounts.js';
+import { accountMoney } from './currency.js';
+import { t, currentLanguage } from './lang.js';
+
+const { categoriesFor, dayKey, monthKey } = window.PennyScoring;
+
+let onChange = () => {};
+let editing = null;   // the entry open in the editor
+
+export function initHistory(opts) {
+  onChange = opts.onChange;
+  document.querySelectorAll('.undo-btn').forEach(btn => btn.addEventListener('click', handleUndo));
+  document.getElementById('historyMonth')?.addEventListener('change', renderHistory);
+  document.getElementById('editType')?.addEventListener('change', () => fillCategories());
+  document.getElementById('editSaveBtn')?.addEventListener('click', handleSave);
+  document.getElementById('editCancelBtn')?.addEventListener('click', closeEditor);
+}
+
+// An entry's amount, in its account's currency
+const money = tx => accountMoney(tx.amount, getAccounts().find(a => a.id === tx.accountId));
+const categoryLabel = key => (key ? t(`category.${key}`) : '');
+
+/* --------------------------------- Render ---------------------------------- */
+
+// The Undo buttons name what they would take back, and hide when nothing can be.
+export function renderUndo() {
+  const last = getLastAction();
+  const label = last && t(`undo.${last.kind}.${last.entry.type}`, { amount: money(last.entry) });
+  document.querySelectorAll('.undo-btn').forEach(btn => {
+    btn.hidden = !label;
+    btn.textContent = label || '';
+  });
+}
+
+export function renderHistory() {
+  renderUndo();
+  const list = document.getElementById('historyList');
+  if (!list) return;
+  const all = getTransactions();
+  const month = fillMonths(all);
+  const multiAccount = getAccounts().length > 1;
+
+  list.innerHTML = '';
+  const rows = all.filter(tx => monthKey(new Date(tx.createdAt)) === month).reverse();
+  document.getElementById('historyEmpty')?.toggleAttribute('hidden', rows.length > 0);
+
+  rows.forEach(tx => {
+    const li = document.createElement('li');
+    li.className = 'recurring-item history-item';
+
+    const text = document.createElement('span');
+    const details = [
+      dayKey(new Date(tx.createdAt)),
+      tx.description || categoryLabel(tx.category) || t(tx.type === 'deposit' ? 'history.deposit' : 'history.withdraw'),
+      tx.description && categoryLabel(tx.category),
+      multiAccount && accountName(tx.accountId)
+    ].filter(Boolean);
+    text.textContent = details.join(' · ');
+
+    const amount = document.createElement('span');
+    amount.className = `history-amount ${tx.type}`;
+    amount.textContent = `${tx.type === 'deposit' ? '+' : '-'}${money(tx)}`;
+
+    const edit = document.createElement('button');
+    edit.className = 'recurring-btn';
+    edit.textContent = t('history.edit');
+    edit.addEventListener('click', () => openEditor(tx));
+
+    const remove = document.createElement('button');
+    remove.className = 'recurring-btn';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => handleDelete(tx));
+    // Entries still on their way to the server have no id yet
+    edit.disabled = remove.disabled = !tx.id;
+
+    li.append(text, amount, edit, remove);
+    list.appendChild(li);
+  });
+}
+
+// Months that have entries (plus this one), newest first; keeps the current
+// choice. Returns the selected 'YYYY-MM'.
+function fillMonths(transactions) {
+  const select = document.getElementById('historyMonth');
+  const current = monthKey(new Date());
+  const months = [...new Set([current, ...transactions.map(tx => monthKey(new Date(tx.createdAt)))])].sort().reverse();
+  if (!select) return current;
+  const keep = select.value;
+  select.innerHTML = '';
+  months.forEach(m => {
+    const label = new Date(`${m}-01T12:00:00`).toLocaleString(currentLanguage(), { month: 'long', year: 'numeric' });
+    select.append(new Option(label, m));
+  });
+  select.value = months.includes(keep) ? keep : current;
+  return select.value;
+}
+
+/* --------------------------------- Editor ---------------------------------- */
+
+function fillCategories(selected) {
+  const select = document.getElementById('editCategory');
+  if (!select) return;
+  const kind = document.getElementById('editType').value === 'deposit' ? 'income' : 'expense';
+  const keep = selected ?? select.value;
+  select.innerHTML = '';
+  select.append(new Option(t('history.noCategory'), ''));
+  categoriesFor(kind).forEach(c => select.append(new Option(t(`category.${c.key}`), c.key)));
+  select.value = [...select.options].some(o => o.value === keep) ? keep : '';
+}
+
+function openEditor(tx) {
+  const editor = document.getElementById('historyEditor');
+  if (!editor) return;
+  editing = tx;
+  document.getElementById('editType').value = tx.type;
+  document.getElementById('editAmount').value = tx.amount;
+  document.getElementById('editDate').value = dayKey(new Date(tx.createdAt));
+  document.getElementById('editDate').max = dayKey(new Date());
+  document.getElementById('editDescription').value = tx.description || '';
+  fillCategories(tx.category || '');
+
+  const account = document.getElementById('editAccount');
+  const accounts = getAccounts();
+  account.innerHTML = '';
+  accounts.forEach(a => account.append(new Option(a.name, a.id)));
+  account.value = accounts.some(a => a.id === tx.accountId) ? tx.accountId : accounts[0]?.id || '';
+  account.closest('.input-group').hidden = accounts.length < 2;
+
+  editor.hidden = false;
+  editor.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function closeEditor() {
+  editing = null;
+  const editor = document.getElementById('historyEditor');
+  if (editor) editor.hidden = true;
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleSave() {
+  if (!editing) return;
+  const amount = parseFloat(document.getElementById('editAmount').value);
+  const day = document.getElementById('editDate').value;
+  if (!amount || amount <= 0) {
+    alert(t('alert.amount'));
+    return;
+  }
+  if (!day || day > dayKey(new Date())) {
+    alert(t('history.futureDay'));
+    return;
+  }
+
+  // A new day lands at local noon, like backdated entries; the same day keeps its time
+  const sameDay = day === dayKey(new Date(editing.createdAt));
+  const patch = {
+    type: document.getElementById('editType').value,
+    amount,
+    createdAt: sameDay ? editing.createdAt : new Date(`${day}T12:00:00`).toISOString(),
+    accountId: document.getElementById('editAccount').value || undefined,
+    category: document.getElementById('editCategory').value,
+    description: document.getElementById('editDescription').value.trim()
+  };
+
+  const btn = document.getElementById('editSaveBtn');
+  btn.disabled = true;
+  try {
+    await editTransaction(editing.id, patch);
+    closeEditor();
+    changed();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('history.saveFailed') }));
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function handleDelete(tx) {
+  if (!confirm(t(`history.deleteConfirm.${tx.type === 'deposit' ? 'deposit' : 'withdraw'}`, { amount: money(tx) }))) return;
+  try {
+    await deleteTransaction(tx.id);
+    if (editing?.id === tx.id) closeEditor();
+    changed();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('history.deleteFailed') }));
+  }
+}
+
+async function handleUndo() {
+  if (!getLastAction()) return;
+  try {
+    await undoLastAction();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('history.undoFailed') }));
+  }
+  closeEditor();
+  changed();
+}
+
+function changed() {
+  renderHistory();
+  onChange();
+}
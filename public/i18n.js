@@ -0,0 +1,109 @@
+/* ===== Penny translations (shared by server.js and the browser) =====
+ *
+ * Every word Penny shows or says, per language. Node loads it with
+ * require('./public/i18n'); the page loads it as a classic <script> after
+ * scoring.js and the dictionaries in public/locales/, which exposes
+ * window.PennyI18n.
+ *
+ * A dictionary is a flat { key: text } object. Keys are grouped by prefix:
+ *   label, option, placeholder, section, title, nav, zoom, ui
+ *             page text (data-i18n attributes in index.html, see lang.js)
+ *   state, factor, category
+ *             pet states, health factors and categories by their scoring.js key
+ *   pet, alert, react, why, finance, language, voice
+ *             what script.js, lang.js and voice.js say (alert: the pages' shared alerts too)
+ *   settings, accounts, investments, goals, debts, recurring, budgets, import, backup
+ *             the Finances page sections (settings: currency.js, budgets:
+ *             category-budgets.js, import: statement-import.js)
+ *   history, undo, simulator, trends
+ *             the History (and its Undo button), What-if and Trends pages
+ *   persona   names of Penny's voices by their personas.js key
+ *   chat      the chat form in the speech card (chat.js) and lib/chat.js's own answers
+ *   needs     hunger and the check-in streak (script.js, see needs.js)
+ *   offline   the offline / waiting-to-sync badge (offline.js)
+ *   progress, form, accessory, achievement
+ *             Penny's level, evolved forms, accessories and achievements
+ *             (progress.js, by their progression.js key)
+ *   advice    server.js fallback advice (and the Good/Fix/Goal prefixes)
+ *   kid       gemini-service.js offline sentences
+ *   words     what sanitized advice says instead of symbols (%, ~, /, ≤, ≥)
+ *   currency.<CODE>
+ *             "one|many" words for amounts; scoring.js's English otherwise
+ * Texts take {name} placeholders. English is complete; a key missing from
+ * another language falls back to English, then to the key itself.
+ */
+(function (root, factory) {
+  const api = typeof module === 'object' && module.exports
+    ? factory(require('./scoring'), {
+      en: require('./locales/en'),
+      es: require('./locales/es'),
+      fr: require('./locales/fr')
+    })
+    : factory(root.PennyScoring, root.PennyLocales || {});
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.PennyI18n = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (scoring, dictionaries) {
+  'use strict';
+
+  // `name` is what the language picker shows, `english` what the model is
+  // asked to write in.
+  const LANGUAGES = [
+    { code: 'en', name: 'English',  english: 'English' },
+    { code: 'es', name: 'Español',  english: 'Spanish' },
+    { code: 'fr', name: 'Français', english: 'French' }
+  ];
+  const DEFAULT_LANGUAGE = 'en';
+
+  function isLanguage(code) {
+    return LANGUAGES.some(l => l.code === code);
+  }
+
+  // The first supported language in a preference list like
+  // navigator.languages (['fr-CA', 'en']), by its primary subtag.
+  function pickLanguage(preferred) {
+    for (const tag of preferred || []) {
+      const code = String(tag).toLowerCase().split('-')[0];
+      if (isLanguage(code)) return code;
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  const languageName = code => (LANGUAGES.find(l => l.code === code) || LANGUAGES[0]).english;
+
+  // The text of `key` in `lang` with {placeholders} filled from `vars`.
+  function translate(lang, key, vars) {
+    const dict = dictionaries[lang] || {};
+    const text = dict[key] ?? dictionaries[DEFAULT_LANGUAGE]?.[key] ?? key;
+    if (!vars) return text;
+    return text.replace(/\{(\w+)\}/g, (all, name) => (vars[name] !== undefined ? String(vars[name]) : all));
+  }
+
+  // [one, many]: what a unit and amounts of currency `code` are called in `lang`.
+  function currencyWords(code, lang) {
+    const words = dictionaries[lang]?.[`currency.${code}`];
+    if (words) return words.split('|');
+    const c = scoring.CURRENCIES.find(x => x.code === code) || scoring.CURRENCIES[0];
+    return [c.one, c.many];
+  }
+
+  // "dólares": amounts of `code` in `lang`.
+  const currencyName = (code, lang) => currencyWords(code, lang)[1];
+
+  // "40 dollars", "40 dólares": scoring.moneyWords in `lang`.
+  function moneyWords(amount, code, lang) {
+    const [one, many] = currencyWords(code, lang);
+    const n = Math.max(0, Math.round(amount));
+    return `${n} ${n === 1 ? one : many}`;
+  }
+
+  return {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isLanguage,
+    pickLanguage,
+    languageName,
+    translate,
+    currencyName,
+    moneyWords
+  };
+});
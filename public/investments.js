@@ -0,0 +1,99 @@
+// public/investments.js
+// "Investments" section on the Finances page. For every investment account
+// it shows what it's worth, how much of that was put in and how much the
+// market added (or took), and lets the user type in today's value from their
+// brokerage. Contributions are money moved in (a transfer or a deposit into
+// the account); their three-month average is what the health model counts as
+// investing per month. Amounts are shown in the profile currency; values are
+// typed in the account's own. script.js rescores through onChange().
+
+import { getAccounts, getLedger, addValuation } from './penny-store.js';
+import { money, accountMoney } from './currency.js';
+import { t } from './lang.js';
+
+const { investmentSummary } = window.PennyScoring;
+
+let onChange = () => {};
+
+export function initInvestments(opts) {
+  onChange = opts.onChange;
+}
+
+const signed = x => `${x < 0 ? '-' : '+'}${money(Math.abs(x))}`;
+const pct = x => (x === null ? '' : ` (${x < 0 ? '' : '+'}${(x * 100).toFixed(1)}%)`);
+
+// The active profile's investment summary in the profile currency (see
+// scoring.investmentSummary).
+export function currentInvestments() {
+  return investmentSummary(getLedger());
+}
+
+/* --------------------------------- Render ---------------------------------- */
+
+export function renderInvestments() {
+  const section = document.getElementById('investmentsSection');
+  const summary = document.getElementById('investmentSummary');
+  const list = document.getElementById('investmentList');
+  const inv = currentInvestments();
+  if (section) section.hidden = !inv.accounts.length;
+  if (!list) return;
+
+  if (summary) {
+    const gainPct = inv.contributed > 0 ? inv.gain / inv.contributed : null;
+    summary.textContent = t('investments.summary', {
+      value: money(inv.value),
+      contributed: money(inv.contributed),
+      gain: signed(inv.gain) + pct(gainPct),
+      monthly: money(inv.monthlyContributions)
+    });
+  }
+
+  list.innerHTML = '';
+  inv.accounts.forEach(a => {
+    const li = document.createElement('li');
+    li.className = 'recurring-item';
+
+    const text = document.createElement('span');
+    const vars = { name: a.name, value: money(a.value), contributed: money(a.contributed), gain: signed(a.gain) };
+    text.textContent = a.lastValued
+      ? t('investments.line', { ...vars, day: a.lastValued.slice(0, 10) })
+      : t('investments.lineNew', vars);
+    text.className = a.gain < 0 ? 'investment-loss' : '';
+
+    const update = document.createElement('button');
+    update.className = 'recurring-btn';
+    update.textContent = t('investments.update');
+    update.title = t('investments.updateTitle');
+    update.addEventListener('click', () => handleValue(a));
+
+    li.append(text, update);
+    list.appendChild(li);
+  });
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleValue({ id, name }) {
+  const account = getAccounts().find(a => a.id === id);
+  if (!account) return;
+  const raw = prompt(t('investments.valuePrompt', { name }), String(account.balance));
+  if (raw === null) return;
+  const value = parseFloat(raw);
+  if (!(value >= 0)) {
+    alert(t('alert.amount'));
+    return;
+  }
+  try {
+    const v = await addValuation(account.id, value);
+    renderInvestments();
+    onChange();
+    const status = document.getElementById('investmentStatus');
+    if (status) {
+      status.textContent = v.gain === 0
+        ? t('investments.unchanged', { name: account.name })
+        : t(v.gain > 0 ? 'investments.grew' : 'investments.dropped', { name: account.name, amount: accountMoney(Math.abs(v.gain), account) });
+    }
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('investments.saveFailed') }));
+  }
+}
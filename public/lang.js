@@ -0,0 +1,66 @@
+// public/lang.js
+// "Language" section on the Finances page, and the t() every page uses for
+// its words (dictionaries in public/locales/, see i18n.js). A profile speaks
+// the language chosen here, or the browser's when none is. Static page text is
+// marked with data-i18n / data-i18n-placeholder in index.html; script.js
+// repaints the rest through onChange() when the language changes.
+
+import { getSettings, saveSettings } from './penny-store.js';
+
+const { LANGUAGES, pickLanguage, translate } = window.PennyI18n;
+
+let onChange = () => {};
+
+export function initLanguage(opts) {
+  onChange = opts.onChange;
+  document.getElementById('language')?.addEventListener('change', handleChange);
+}
+
+// The profile's language, or the best match for the browser's.
+export const currentLanguage = () => getSettings().language || pickLanguage(navigator.languages || [navigator.language]);
+
+export const t = (key, vars) => translate(currentLanguage(), key, vars);
+
+// Fills every data-i18n element under `root` with its text in the current
+// language (and data-i18n-placeholder inputs with their placeholder).
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  if (root === document) {
+    document.documentElement.lang = currentLanguage();
+    document.title = t('ui.title');
+  }
+}
+
+/* --------------------------------- Render ---------------------------------- */
+
+export function renderLanguage() {
+  applyTranslations();
+  const select = document.getElementById('language');
+  if (!select) return;
+  const browser = pickLanguage(navigator.languages || [navigator.language]);
+  select.innerHTML = '';
+  select.append(new Option(t('language.browser', { name: LANGUAGES.find(l => l.code === browser).name }), ''));
+  LANGUAGES.forEach(l => select.append(new Option(l.name, l.code)));
+  select.value = getSettings().language;
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleChange() {
+  const select = document.getElementById('language');
+  select.disabled = true;
+  try {
+    await saveSettings({ language: select.value });
+    renderLanguage();
+    const status = document.getElementById('languageStatus');
+    const name = LANGUAGES.find(l => l.code === currentLanguage()).name;
+    if (status) status.textContent = t('language.saved', { name });
+    onChange();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('language.saveFailed') }));
+    select.value = getSettings().language;
+  } finally {
+    select.disabled = false;
+  }
+}
@@ -0,0 +1,534 @@
+// public/locales/en.js
+// English: the reference dictionary. Every key lives here first; other
+// languages fall back to it for anything they leave out. Keys: see public/i18n.js.
+(function (root, dict) {
+  if (typeof module === 'object' && module.exports) module.exports = dict;
+  else (root.PennyLocales = root.PennyLocales || {}).en = dict;
+})(typeof globalThis !== 'undefined' ? globalThis : this, {
+  'ui.health': '❤️ Health',
+  'ui.why': 'Why is Penny feeling this way?',
+  'ui.achievements': '🏆 Achievements',
+  'section.goals': 'Goals',
+  'title.financeView': 'Your Finances',
+  'section.current_balance': 'Current Balance',
+  'section.profile': 'Profile',
+  'placeholder.profileId': 'profile name',
+  'ui.switchProfileBtn': 'Switch',
+  'section.currency': 'Currency',
+  'label.currency': 'Currency',
+  'label.locale': 'Number format',
+  'placeholder.locale': "this browser's (or e.g. en-GB, de-DE)",
+  'ui.saveSettingsBtn': 'Save Currency',
+  'section.financial_info': 'Financial Info',
+  'label.initialBalance': 'Initial Balance',
+  'placeholder.initialBalance': 'put a number here',
+  'label.monthlyEarnings': 'Monthly Earnings',
+  'placeholder.monthlyEarnings': 'put a number here',
+  'label.monthlyBudget': 'Monthly Budget',
+  'placeholder.monthlyBudget': 'put a number here',
+  'ui.feedPennyBtn': 'Feed Penny',
+  'label.txDate': 'Date',
+  'label.txAccount': 'Account',
+  'section.deposit': 'Deposit',
+  'placeholder.depositAmount': 'put a number here',
+  'ui.depositBtn': 'Deposit',
+  'section.withdraw': 'Withdraw',
+  'placeholder.withdrawAmount': 'put a number here',
+  'ui.withdrawBtn': 'Withdraw',
+  'section.accounts': 'Accounts',
+  'label.accountName': 'New account',
+  'placeholder.accountName': 'rainy day fund, wallet...',
+  'label.accountType': 'Type',
+  'label.accountOpening': 'Starting balance',
+  'label.accountCurrency': 'Kept in',
+  'ui.addAccountBtn': 'Add Account',
+  'label.transferFrom': 'Move from',
+  'label.transferTo': 'To',
+  'label.transferAmount': 'Amount',
+  'placeholder.transferAmount': 'put a number here',
+  'ui.transferBtn': 'Transfer',
+  'section.investments': 'Investments',
+  'ui.investmentStatus': 'Move money in with a transfer to count it as a contribution.',
+  'section.savings_goals': 'Savings Goals',
+  'label.goalName': 'Saving for',
+  'placeholder.goalName': 'new bike, trip, emergency fund...',
+  'label.goalTarget': 'Target amount',
+  'placeholder.goalTarget': 'put a number here',
+  'label.goalDate': 'Target date',
+  'label.goalSaved': 'Already saved',
+  'ui.addGoalBtn': 'Add Goal',
+  'section.debts': 'Debts',
+  'label.debtName': 'Loan or card',
+  'placeholder.debtName': 'credit card, car loan...',
+  'label.debtBalance': 'Still owed',
+  'placeholder.debtBalance': 'put a number here',
+  'label.debtApr': 'APR (%)',
+  'label.debtMin': 'Minimum payment / month',
+  'placeholder.debtMin': 'put a number here',
+  'ui.addDebtBtn': 'Add Debt',
+  'label.payoffExtra': 'Extra toward debt each month',
+  'ui.payoffPlanBtn': 'Compare Payoff Plans',
+  'section.recurring': 'Recurring',
+  'label.recType': 'Type',
+  'option.recType.withdraw': 'Bill / payment',
+  'option.recType.deposit': 'Paycheck / income',
+  'label.recAmount': 'Amount',
+  'placeholder.recAmount': 'put a number here',
+  'label.recDescription': 'What is it?',
+  'placeholder.recDescription': 'rent, salary, music app...',
+  'label.recCategory': 'Category',
+  'label.recAccount': 'Account',
+  'label.recFrequency': 'How often',
+  'option.recFrequency.monthly': 'Monthly',
+  'option.recFrequency.biweekly': 'Every 2 weeks',
+  'option.recFrequency.weekly': 'Weekly',
+  'label.recDay': 'Day of month',
+  'placeholder.recDay': 'same as first date',
+  'label.recStart': 'First date',
+  'ui.addRecurringBtn': 'Add Recurring',
+  'section.category_budgets': 'Category Budgets',
+  'ui.saveCategoryBudgetsBtn': 'Save Budgets',
+  'section.import_statement': 'Import Statement',
+  'label.importFile': 'CSV, OFX or QIF file',
+  'label.importAccount': 'Into account',
+  'ui.importConfirmBtn': 'Import',
+  'section.backup': 'Backup',
+  'ui.exportBackupBtn': 'Download Backup',
+  'label.backupFile': 'Restore from a backup file',
+  'label.backupMode': 'How',
+  'option.backupMode.merge': "Merge with what's here",
+  'option.backupMode.replace': 'Replace everything here',
+  'ui.restoreBackupBtn': 'Restore',
+  'ui.resetBtn': 'Reset All Data',
+  'title.historyView': 'History',
+  'label.historyMonth': 'Month',
+  'section.edit_entry': 'Edit Entry',
+  'label.editType': 'Type',
+  'option.editType.deposit': 'Deposit',
+  'option.editType.withdraw': 'Withdrawal',
+  'label.editAmount': 'Amount',
+  'label.editDate': 'Date',
+  'label.editCategory': 'Category',
+  'label.editAccount': 'Account',
+  'label.editDescription': 'Description',
+  'ui.editSaveBtn': 'Save',
+  'ui.editCancelBtn': 'Cancel',
+  'ui.historyEmpty': 'Nothing recorded this month yet.',
+  'title.trendsView': 'Trends',
+  'zoom.day': 'Days',
+  'zoom.week': 'Weeks',
+  'zoom.month': 'Months',
+  'ui.trendsEmpty': 'Feed Penny or log some money to start the timeline.',
+  'section.health': 'Health',
+  'section.balance': 'Balance',
+  'section.spent_this_month': 'Spent This Month',
+  'title.simulateView': 'What If?',
+  'ui.simulateIntro': 'Try a change and see which one hatches a happier Penny.',
+  'label.simSpendCut': 'Cut Spending (%)',
+  'label.simInvestMore': 'Invest More ($/month)',
+  'label.simDebtPayoff': 'Pay Off Debt Now ($)',
+  'label.simHorizon': 'Months Ahead',
+  'ui.simulateBtn': 'Simulate',
+  'nav.pet': 'Pet',
+  'nav.finances': 'Finances',
+  'nav.history': 'History',
+  'nav.trends': 'Trends',
+  'nav.what_if': 'What If',
+  'ui.title': 'Penny - Your Financial Pet',
+  'section.language': 'Language',
+  'label.language': 'Penny speaks',
+
+  'language.browser': "This browser's ({name})",
+  'language.saved': 'Penny now speaks {name}.',
+  'language.saveFailed': 'Could not change the language.',
+
+  'section.voice': 'Voice',
+  'label.persona': "Penny's voice",
+
+  'persona.kid': 'Kid: simple sentences, no symbols',
+  'persona.casual': 'Casual: Gen Z, with emojis',
+  'persona.plain': 'Plain: adult, real percentages',
+  'persona.coach': 'Coach: blunt and direct',
+
+  'voice.saved': 'Penny now talks like this: {name}.',
+  'voice.saveFailed': 'Could not change the voice.',
+
+  'chat.placeholder': 'Ask Penny, like: can I afford a 40 dollar ticket?',
+  'chat.send': 'Ask',
+  'chat.clear': 'Start over',
+  'chat.failed': 'Penny could not answer that.',
+  'chat.clearFailed': 'Could not clear the chat.',
+  'chat.thinking': 'Penny is thinking...',
+  'chat.you': 'You',
+  'chat.penny': 'Penny',
+  'chat.afford.yes': 'Yes. {amount} fits in the {left} you have left this month.',
+  'chat.afford.savings': 'Only from your savings. {amount} is more than the {left} left this month, but your savings would still last {months} months.',
+  'chat.afford.no': 'Not right now. {amount} is more than the {left} left this month, and taking it from savings would leave less than {safe} months of spending.',
+  'chat.summary': 'Penny is {state} at {health} health. You have {savings} saved and {left} left each month.',
+  'chat.summaryOver': 'Penny is {state} at {health} health. You have {savings} saved, but you spend {left} more than you earn each month.',
+  'chat.unsure': "I only know the numbers in your money log, so I won't guess that one.",
+
+  'needs.fedToday': '🍽️ Fed today',
+  'needs.fedYesterday': '🍽️ Fed yesterday',
+  'needs.fedDaysAgo': '🍽️ Fed {days} days ago',
+  'needs.hungryLabel': '😫 Hungry: fed {days} days ago',
+  'needs.streakLabel': '🔥 {days}-day streak',
+  'needs.noStreak': '🔥 Log something to start a streak',
+  'needs.hungry': "I'm hungry! Nothing's been logged for {days} days. Feed me a deposit or what you spent.",
+  'needs.streak': '🔥 {days} days in a row! Keep checking in.',
+
+  'offline.badge': '📡 Offline',
+  'offline.waiting': '📡 Offline · to sync: {count}',
+  'offline.syncing': '🔄 Syncing: {count}',
+
+  'progress.level': '⭐ Level {level}',
+  'progress.xp': '{xp} / {next} XP',
+  'progress.levelUp': '⭐ Penny reached level {level}!',
+  'progress.evolved': 'Penny grew into her {form} form!',
+  'progress.unlocked': 'New look: {items}.',
+  'progress.achievement': '🏆 Achievement unlocked: {name}!',
+  'progress.unlockedOn': 'Unlocked {date}',
+
+  'form.baby': 'baby',
+  'form.kid': 'kid',
+  'form.teen': 'teen',
+  'form.grown': 'grown-up',
+
+  'accessory.bow': 'bow',
+  'accessory.glasses': 'sunglasses',
+  'accessory.scarf': 'scarf',
+  'accessory.hat': 'top hat',
+  'accessory.crown': 'crown',
+
+  'achievement.firstEntry': 'First entry',
+  'achievement.firstEntry.hint': 'Log your first deposit or withdrawal.',
+  'achievement.entries100': 'Bookkeeper',
+  'achievement.entries100.hint': 'Log 100 deposits and withdrawals.',
+  'achievement.weekUnderBudget': '7 days under budget',
+  'achievement.weekUnderBudget.hint': 'Stay within your monthly budget 7 days in a row.',
+  'achievement.monthUnderBudget': '30 days under budget',
+  'achievement.monthUnderBudget.hint': 'Stay within your monthly budget 30 days in a row.',
+  'achievement.saved1000': 'First {amount} saved',
+  'achievement.saved1000.hint': 'Have {amount} across your accounts.',
+  'achievement.saved10000': '{amount} saved',
+  'achievement.saved10000.hint': 'Have {amount} across your accounts.',
+  'achievement.goalReached': 'Goal reached',
+  'achievement.goalReached.hint': 'Finish a savings goal.',
+  'achievement.debtPaidOff': 'Debt free',
+  'achievement.debtPaidOff.hint': 'Pay off a debt completely.',
+  'achievement.streak7': '7-day streak',
+  'achievement.streak7.hint': 'Log something 7 days in a row.',
+  'achievement.streak30': '30-day streak',
+  'achievement.streak30.hint': 'Log something 30 days in a row.',
+
+  'state.ATROCIOUS': 'ATROCIOUS',
+  'state.CRITICAL': 'CRITICAL',
+  'state.STRUGGLING': 'STRUGGLING',
+  'state.SURVIVING': 'SURVIVING',
+  'state.HEALTHY': 'HEALTHY',
+  'state.THRIVING': 'THRIVING',
+  'state.FANTASTIC': 'FANTASTIC',
+  'state.EGG': 'EGG',
+
+  'factor.budget': 'Spending vs income',
+  'factor.runway': 'Savings runway',
+  'factor.invest': 'Investing rate',
+  'factor.debt': 'Debt vs income',
+  'factor.categories': 'Category budgets',
+  'factor.goals': 'Savings goals on pace',
+
+  'category.paycheck': 'Paycheck',
+  'category.gift': 'Gift',
+  'category.refund': 'Refund',
+  'category.groceries': 'Groceries',
+  'category.rent': 'Rent',
+  'category.bills': 'Bills',
+  'category.transport': 'Transport',
+  'category.dining': 'Dining',
+  'category.fun': 'Fun',
+  'category.shopping': 'Shopping',
+  'category.health': 'Health',
+  'category.debt': 'Debt',
+  'category.other': 'Other',
+
+  'pet.hatch': "Feed me your financial data! I'm ready to hatch!",
+  'pet.analyzing': 'Gemini is analyzing your finances...',
+  'pet.analyzed': 'Analysis complete!',
+  'pet.error': 'Oops! {message}',
+  'pet.somethingWrong': 'Something went wrong.',
+  'ui.analyzing': 'Analyzing...',
+
+  'alert.fillFinancial': 'Please fill in all financial info fields!',
+  'alert.depositAmount': 'Please enter a valid deposit amount!',
+  'alert.withdrawAmount': 'Please enter a valid withdrawal amount!',
+  'alert.futureDate': "That date hasn't happened yet!",
+  'alert.overBalance': "You can't withdraw more than your balance ({balance})!",
+  'alert.oops': 'Oops! {message}',
+  'alert.amount': 'Please enter a valid amount!',
+  'alert.rate': 'Please enter a valid rate!',
+  'alert.resetOffline': "Penny can't reach the server, so nothing was reset. Try again once you're back online.",
+
+  'finance.monthSummary': '{month}: day {day} of {days} · in {in} · out {out}',
+
+  'react.depositBudget': 'You deposited {amount} which is {percent}% of your daily budget. Great job!',
+  'react.deposit': 'You deposited {amount}! Way to grow your savings.',
+  'react.withdrawBudget': 'You withdrew {amount} which is {percent}% of your daily budget. Try to stay within your plan!',
+  'react.withdraw': 'You withdrew {amount}. Keep an eye on your spending!',
+  'react.categoryOver': "You're {amount} over your {category} budget this month!",
+  'react.categoryUsed': "You've used {percent}% of your {category} budget.",
+  'react.batch': '{intro}: {in} in and {out} out. {verdict}',
+  'react.batchSaved': "That's {amount} saved. Yay!",
+  'react.batchOverspent': "That's {amount} more out than in. Let's tighten up!",
+  'react.imported': 'You imported {count} transactions',
+  'react.posted': '{name} just posted',
+  'react.scheduledPayment': 'A scheduled payment',
+  'react.postedMany': '{count} scheduled payments just posted',
+  'react.balanceNow': 'Balance is now {amount}.',
+
+  'why.months': '{n} mo',
+  'why.otherwise': 'otherwise',
+  'why.now': 'Now {value} ({threshold})',
+  'why.next': 'Next: reach {threshold} for {points}',
+  'why.top': 'Top tier reached!',
+  'why.base': 'Base {points}',
+  'why.trend': 'trend {points}',
+  'why.total': '{parts} → {health} health (capped 0–100)',
+
+  'advice.headline.FANTASTIC': 'Fantastic status — systems humming. 🚀',
+  'advice.headline.THRIVING': 'Strong trajectory — keep compounding. 📈',
+  'advice.headline.HEALTHY': 'On plan — maintain discipline. ✅',
+  'advice.headline.SURVIVING': 'Stable, but tighten a few screws. 🛠️',
+  'advice.headline.STRUGGLING': 'Pressure building — quick wins needed. ⚠️',
+  'advice.headline.CRITICAL': 'Critical — address cash risk now. 🆘',
+  'advice.headline.ATROCIOUS': 'Atrocious — emergency mode. 💀',
+  'advice.good.spend': 'Good: Spend ratio {pct} (≤80%). 👍',
+  'advice.good.runway': 'Good: Runway {months} mo (≥3). 💡',
+  'advice.good.invest': 'Good: Investing {pct} (≥10%). 📈',
+  'advice.good.dti': 'Good: DTI {pct} (≤60%). ✅',
+  'advice.good.start': 'Good: Clear starting point. ⭐',
+  'advice.fix.trim': 'Fix: Trim spend ~{pct}% to reach ≤90%. ✂️',
+  'advice.fix.categories': 'Fix: Categories {pct} over budget; rein one in. 🧾',
+  'advice.fix.runway': 'Fix: Boost savings to 2 mo (now {months}). 🏦',
+  'advice.fix.invest': 'Fix: Raise invest to 10% (now {pct}). 💸',
+  'advice.fix.debt': 'Fix: Pay down debt; DTI {pct} > 120%. 📉',
+  'advice.fix.cut': 'Fix: Pick one category to cut. 📝',
+  'advice.goal.saving': 'Goal: put {amount}/mo toward {name} to hit it by {date}. 🎯',
+  'advice.goal.invest': 'Goal (next week): auto-move {amount}/wk to investing. 🗓️',
+  'advice.goal.runway': 'Goal (next week): save {amount} to build runway. ⛳',
+  'advice.goal.track': 'Goal (next week): track spend daily; keep ≤80%. 🧭',
+  'advice.prefix.good': 'Good',
+  'advice.prefix.fix': 'Fix',
+  'advice.prefix.goal': 'Goal (next week)',
+
+  'kid.percent': '{n} percent',
+  'kid.months': '{n} months',
+  'kid.headline.FANTASTIC': 'Your pet is very strong with a score of {health} points.',
+  'kid.headline.THRIVING': 'Your pet is doing very well with a score of {health} points.',
+  'kid.headline.HEALTHY': 'Your pet is steady with a score of {health} points.',
+  'kid.headline.SURVIVING': 'Your pet is okay with a score of {health} points.',
+  'kid.headline.STRUGGLING': 'Your pet feels tight with a score of {health} points.',
+  'kid.headline.CRITICAL': 'Your pet needs care with a score of {health} points.',
+  'kid.headline.ATROCIOUS': 'Your pet needs help now with a score of {health} points.',
+  'kid.good.spend': 'You spend {pct} of your money which is under the goal.',
+  'kid.good.runway': 'You have {months} of savings which is a strong base.',
+  'kid.good.invest': 'You invest {pct} of your income which is on track.',
+  'kid.good.step': 'You took a good step that helps this week.',
+  'kid.fix.trim': 'Cut spending by about {n} percent to reach the goal.',
+  'kid.fix.categories': 'Your spending groups went {pct} over their budgets so pick one to trim.',
+  'kid.fix.invest': 'Raise investing to ten percent because you are at {pct} now.',
+  'kid.fix.runway': 'Add {amount} to savings to build two months.',
+  'kid.fix.bill': 'Pick one small bill and lower it by 10 percent this week.',
+  'kid.goal.saving': 'Save {amount} each month for {name} to reach it by {date}.',
+  'kid.goal.invest': 'Send {amount} each week to your investing account.',
+  'kid.goal.cap': 'Keep daily spending low so you end the month under eighty percent which is a cap of {amount}.',
+
+  'words.percent': 'percent',
+  'words.about': 'about',
+  'words.atOrBelow': 'at or below',
+  'words.atOrAbove': 'at or above',
+  'words.per': 'per',
+  'words.perWeek': 'per week',
+  'words.perMonth': 'per month',
+  'words.perYear': 'per year',
+  'words.months': 'months',
+
+  'currency.USD': 'dollar|dollars',
+  'currency.EUR': 'euro|euros',
+  'currency.GBP': 'pound|pounds',
+  'currency.JPY': 'yen|yen',
+  'currency.CAD': 'Canadian dollar|Canadian dollars',
+  'currency.AUD': 'Australian dollar|Australian dollars',
+  'currency.CHF': 'Swiss franc|Swiss francs',
+  'currency.SEK': 'Swedish krona|Swedish kronor',
+  'currency.INR': 'rupee|rupees',
+  'currency.MXN': 'peso|pesos',
+  'currency.BRL': 'real|reais',
+  'currency.CNY': 'yuan|yuan',
+
+  'settings.rateLabel': '1 {code} is worth ({currency})',
+  'settings.noRate': 'no rate: counts 1 to 1',
+  'settings.ratePrompt': '1 {from} is worth how many {to}? Everything in {from} keeps its worth.',
+  'settings.saved': 'Totals are in {name}: {example}.',
+  'settings.saveFailed': 'Could not save those settings.',
+
+  'accounts.type.checking': 'Checking',
+  'accounts.type.savings': 'Savings',
+  'accounts.type.cash': 'Cash',
+  'accounts.type.investment': 'Investment',
+  'accounts.profileCurrency': 'The profile currency',
+  'accounts.set': 'Set',
+  'accounts.setTitle': 'Correct the balance (e.g. to match your bank)',
+  'accounts.setPrompt': 'What is in {name} right now?',
+  'accounts.needName': 'Give the account a name!',
+  'accounts.addFailed': 'Could not add that account.',
+  'accounts.removeConfirm': 'Remove {name}?',
+  'accounts.removeFailed': 'Could not remove that account.',
+  'accounts.sameAccount': 'Pick two different accounts!',
+  'accounts.onlyHas': '{name} only has {amount}!',
+  'accounts.moved': 'Moved {amount} from {from} to {to}.',
+  'accounts.moveFailed': 'Could not move that money.',
+
+  'investments.summary': 'Worth {value} · put in {contributed} · growth {gain} · investing {monthly}/mo',
+  'investments.line': '{name}: {value} = {contributed} in {gain} growth · valued {day}',
+  'investments.lineNew': '{name}: {value} = {contributed} in {gain} growth · not valued yet',
+  'investments.update': 'Update value',
+  'investments.updateTitle': "Type in what your brokerage says it's worth today",
+  'investments.valuePrompt': 'What is {name} worth today?',
+  'investments.unchanged': '{name} is unchanged.',
+  'investments.grew': '{name} grew {amount} since the last update.',
+  'investments.dropped': '{name} dropped {amount} since the last update.',
+  'investments.saveFailed': 'Could not save that value.',
+
+  'goals.reached': '🎉 You reached your {name} goal: {target} saved!',
+  'goals.milestone': '🎉 {name} is {pct}% of the way there!',
+  'goals.noGoal': 'No goal',
+  'goals.line': '{name}: {saved} of {target} ({pct}%)',
+  'goals.done': 'Done! 🎉',
+  'goals.plan': '{amount}/mo to hit it by {date}',
+  'goals.planBehind': '{amount}/mo to hit it by {date} · behind',
+  'goals.setAside': 'Set aside',
+  'goals.setAsideTitle': 'Earmark part of your balance for this goal',
+  'goals.needFields': 'Give your goal a name, a target amount and a date!',
+  'goals.saveFailed': 'Could not save that goal.',
+  'goals.allocatePrompt': 'How much of your balance should go toward {name}? (negative to take some back)',
+  'goals.updateFailed': 'Could not update that goal.',
+  'goals.deleteConfirm': 'Delete the {name} goal? Your balance stays the same.',
+  'goals.deleteFailed': 'Could not delete that goal.',
+
+  'debts.total': 'Total owed: {total} · minimums {minimums}/mo',
+  'debts.line': '{name}: {balance} at {apr}% · min {min}/mo',
+  'debts.lineDone': '{name}: paid off! 🎉',
+  'debts.pay': 'Pay',
+  'debts.edit': 'Edit',
+  'debts.editTitle': 'Update the balance (new charges, interest)',
+  'debts.needFields': 'Give the debt a name and what you still owe!',
+  'debts.aprHint': 'APR is a yearly percentage, like 19.9.',
+  'debts.saveFailed': 'Could not save that debt.',
+  'debts.payPrompt': 'How much are you paying toward {name}? (owed: {owed})',
+  'debts.overOwed': "That's more than you owe on {name} ({owed}).",
+  'debts.overBalance': "You can't pay more than your balance ({balance})!",
+  'debts.payment': '{name} payment',
+  'debts.payFailed': 'Could not record that payment.',
+  'debts.paidOff': '🎉 {name} is paid off! One less thing to carry!',
+  'debts.paid': '💪 Paid {amount} toward {name}. {left} to go!',
+  'debts.editPrompt': 'What do you owe on {name} now?',
+  'debts.updateFailed': 'Could not update that debt.',
+  'debts.removeConfirm': 'Remove {name}? Payments already made stay in the ledger.',
+  'debts.deleteFailed': 'Could not delete that debt.',
+  'debts.avalanche': 'Avalanche (highest APR first)',
+  'debts.snowball': 'Snowball (smallest balance first)',
+  'debts.debtFree': 'Debt-free by {date} ({months} months) · {interest} interest',
+  'debts.never': 'Never paid off at this rate',
+  'debts.outrun': 'At {payment}/mo the interest outruns the payments. Try a bigger extra payment.',
+  'debts.avalancheSaves': 'Avalanche saves {amount} in interest.',
+  'debts.avalancheSavesSnowballSooner': 'Avalanche saves {amount} in interest; snowball clears your first debt sooner.',
+  'debts.same': 'Both orders cost the same here, so pick whichever keeps you going!',
+  'debts.planFailed': 'Could not plan that.',
+
+  'recurring.income': 'Income',
+  'recurring.payment': 'Payment',
+  'recurring.weekly': 'weekly',
+  'recurring.biweekly': 'every 2 weeks',
+  'recurring.monthly': 'monthly on day {day}',
+  'recurring.next': 'next {date}',
+  'recurring.paused': 'paused',
+  'recurring.pause': 'Pause',
+  'recurring.resume': 'Resume',
+  'recurring.deleteTitle': 'Delete (already posted entries stay in the ledger)',
+  'recurring.stopConfirm': 'Stop "{name}"? Entries already posted stay in the ledger.',
+  'recurring.thisRule': 'this rule',
+  'recurring.saveFailed': 'Could not save that.',
+  'recurring.updateFailed': 'Could not update that.',
+  'recurring.deleteFailed': 'Could not delete that.',
+
+  'budgets.none': 'no budget',
+
+  'import.field.date': 'Date',
+  'import.field.description': 'Description',
+  'import.field.amount': 'Amount (+in / -out)',
+  'import.field.debit': 'Money out',
+  'import.field.credit': 'Money in',
+  'import.column': 'Column {number}',
+  'import.noColumn': '(none)',
+  'import.autoDate': 'Auto',
+  'import.dateFormat': 'Date format',
+  'import.hasHeader': 'First row is a header',
+  'import.emptyFile': 'That file looks empty.',
+  'import.noRows': 'No transactions found. Check the column mapping.',
+  'import.dup': 'dup',
+  'import.new': 'new',
+  'import.future': 'future',
+  'import.futureCount': '{count} dated after today will be skipped.',
+  'import.confirmOne': 'Import 1 transaction',
+  'import.confirmMany': 'Import {count} transactions',
+  'import.counts': '{fresh} new, {dups} already logged.',
+  'import.done': 'Imported {imported}, skipped {skipped} duplicates.',
+  'import.failed': 'Import failed.',
+
+  'backup.saved': "Saved {count} entries and Penny's history.",
+  'backup.saveFailed': 'Could not make a backup.',
+  'backup.pickFile': 'Pick a backup file first!',
+  'backup.notBackup': "That file isn't a Penny backup.",
+  'backup.replaceConfirm': "Replace everything in \"{profile}\" with this backup? This can't be undone.",
+  'backup.restored': 'Restored the backup.',
+  'backup.restoredFrom': 'Restored the backup from {day}.',
+  'backup.merged': 'Merged the backup into this profile.',
+  'backup.mergedFrom': 'Merged the backup from {day} into this profile.',
+  'backup.restoreFailed': 'Could not restore: {message}',
+
+  'history.deposit': 'Deposit',
+  'history.withdraw': 'Withdrawal',
+  'history.edit': 'Edit',
+  'history.noCategory': 'No category',
+  'history.futureDay': "Pick a day that isn't in the future!",
+  'history.saveFailed': 'Could not save that change.',
+  'history.deleteConfirm.deposit': 'Delete this deposit of {amount}?',
+  'history.deleteConfirm.withdraw': 'Delete this withdrawal of {amount}?',
+  'history.deleteFailed': 'Could not delete that entry.',
+  'history.undoFailed': 'Could not undo that.',
+
+  'undo.record.deposit': '↩ Undo deposit of {amount}',
+  'undo.record.withdraw': '↩ Undo withdrawal of {amount}',
+  'undo.edit.deposit': '↩ Undo edit of a deposit of {amount}',
+  'undo.edit.withdraw': '↩ Undo edit of a withdrawal of {amount}',
+  'undo.delete.deposit': '↩ Undo delete of a deposit of {amount}',
+  'undo.delete.withdraw': '↩ Undo delete of a withdrawal of {amount}',
+
+  'simulator.cut': 'Cut spending {pct}%',
+  'simulator.invest': 'Invest {amount} more/mo',
+  'simulator.payoff': 'Pay {amount} off debt',
+  'simulator.all': 'All together',
+  'simulator.empty': 'Try at least one change first!',
+  'simulator.running': 'Simulating...',
+  'simulator.failed': 'Simulation failed',
+  'simulator.now': 'now',
+  'simulator.months': '{months} mo',
+  'simulator.today': 'Today',
+  'simulator.baseline': 'Change nothing',
+  'simulator.row': '{label}: {state} ({health})',
+
+  'trends.summary': 'Health {from} → {to} ({diff}) · {state} now. {verdict}',
+  'trends.better': 'Penny is getting healthier!',
+  'trends.worse': 'Penny has been slipping.',
+  'trends.steady': 'Penny is holding steady.'
+});
@@ -0,0 +1,533 @@
+// public/locales/es.js
+// Spanish (español). Keys: see public/i18n.js.
+(function (root, dict) {
+  if (typeof module === 'object' && module.exports) module.exports = dict;
+  else (root.PennyLocales = root.PennyLocales || {}).es = dict;
+})(typeof globalThis !== 'undefined' ? globalThis : this, {
+  'ui.health': '❤️ Salud',
+  'ui.why': '¿Por qué Penny se siente así?',
+  'ui.achievements': '🏆 Logros',
+  'section.goals': 'Metas',
+  'title.financeView': 'Tus finanzas',
+  'section.current_balance': 'Saldo actual',
+  'section.profile': 'Perfil',
+  'placeholder.profileId': 'nombre del perfil',
+  'ui.switchProfileBtn': 'Cambiar',
+  'section.currency': 'Moneda',
+  'label.currency': 'Moneda',
+  'label.locale': 'Formato de números',
+  'placeholder.locale': 'el de este navegador (o p. ej. es-ES, es-MX)',
+  'ui.saveSettingsBtn': 'Guardar moneda',
+  'section.financial_info': 'Datos financieros',
+  'label.initialBalance': 'Saldo inicial',
+  'placeholder.initialBalance': 'escribe un número',
+  'label.monthlyEarnings': 'Ingresos mensuales',
+  'placeholder.monthlyEarnings': 'escribe un número',
+  'label.monthlyBudget': 'Presupuesto mensual',
+  'placeholder.monthlyBudget': 'escribe un número',
+  'ui.feedPennyBtn': 'Alimentar a Penny',
+  'label.txDate': 'Fecha',
+  'label.txAccount': 'Cuenta',
+  'section.deposit': 'Ingresar',
+  'placeholder.depositAmount': 'escribe un número',
+  'ui.depositBtn': 'Ingresar',
+  'section.withdraw': 'Retirar',
+  'placeholder.withdrawAmount': 'escribe un número',
+  'ui.withdrawBtn': 'Retirar',
+  'section.accounts': 'Cuentas',
+  'label.accountName': 'Cuenta nueva',
+  'placeholder.accountName': 'fondo de emergencia, cartera...',
+  'label.accountType': 'Tipo',
+  'label.accountOpening': 'Saldo inicial',
+  'label.accountCurrency': 'En',
+  'ui.addAccountBtn': 'Añadir cuenta',
+  'label.transferFrom': 'Mover desde',
+  'label.transferTo': 'A',
+  'label.transferAmount': 'Cantidad',
+  'placeholder.transferAmount': 'escribe un número',
+  'ui.transferBtn': 'Transferir',
+  'section.investments': 'Inversiones',
+  'ui.investmentStatus': 'Mete dinero con una transferencia para que cuente como aportación.',
+  'section.savings_goals': 'Metas de ahorro',
+  'label.goalName': 'Ahorrando para',
+  'placeholder.goalName': 'bici nueva, viaje, fondo de emergencia...',
+  'label.goalTarget': 'Cantidad objetivo',
+  'placeholder.goalTarget': 'escribe un número',
+  'label.goalDate': 'Fecha objetivo',
+  'label.goalSaved': 'Ya ahorrado',
+  'ui.addGoalBtn': 'Añadir meta',
+  'section.debts': 'Deudas',
+  'label.debtName': 'Préstamo o tarjeta',
+  'placeholder.debtName': 'tarjeta de crédito, préstamo del coche...',
+  'label.debtBalance': 'Aún debes',
+  'placeholder.debtBalance': 'escribe un número',
+  'label.debtApr': 'TAE (%)',
+  'label.debtMin': 'Pago mínimo / mes',
+  'placeholder.debtMin': 'escribe un número',
+  'ui.addDebtBtn': 'Añadir deuda',
+  'label.payoffExtra': 'Extra para deudas cada mes',
+  'ui.payoffPlanBtn': 'Comparar planes de pago',
+  'section.recurring': 'Recurrentes',
+  'label.recType': 'Tipo',
+  'option.recType.withdraw': 'Factura / pago',
+  'option.recType.deposit': 'Nómina / ingreso',
+  'label.recAmount': 'Cantidad',
+  'placeholder.recAmount': 'escribe un número',
+  'label.recDescription': '¿Qué es?',
+  'placeholder.recDescription': 'alquiler, sueldo, app de música...',
+  'label.recCategory': 'Categoría',
+  'label.recAccount': 'Cuenta',
+  'label.recFrequency': 'Cada cuánto',
+  'option.recFrequency.monthly': 'Mensual',
+  'option.recFrequency.biweekly': 'Cada 2 semanas',
+  'option.recFrequency.weekly': 'Semanal',
+  'label.recDay': 'Día del mes',
+  'placeholder.recDay': 'el de la primera fecha',
+  'label.recStart': 'Primera fecha',
+  'ui.addRecurringBtn': 'Añadir recurrente',
+  'section.category_budgets': 'Presupuestos por categoría',
+  'ui.saveCategoryBudgetsBtn': 'Guardar presupuestos',
+  'section.import_statement': 'Importar extracto',
+  'label.importFile': 'Archivo CSV, OFX o QIF',
+  'label.importAccount': 'En la cuenta',
+  'ui.importConfirmBtn': 'Importar',
+  'section.backup': 'Copia de seguridad',
+  'ui.exportBackupBtn': 'Descargar copia',
+  'label.backupFile': 'Restaurar desde una copia',
+  'label.backupMode': 'Cómo',
+  'option.backupMode.merge': 'Combinar con lo que hay aquí',
+  'option.backupMode.replace': 'Reemplazar todo lo de aquí',
+  'ui.restoreBackupBtn': 'Restaurar',
+  'ui.resetBtn': 'Borrar todos los datos',
+  'title.historyView': 'Historial',
+  'label.historyMonth': 'Mes',
+  'section.edit_entry': 'Editar movimiento',
+  'label.editType': 'Tipo',
+  'option.editType.deposit': 'Ingreso',
+  'option.editType.withdraw': 'Retirada',
+  'label.editAmount': 'Cantidad',
+  'label.editDate': 'Fecha',
+  'label.editCategory': 'Categoría',
+  'label.editAccount': 'Cuenta',
+  'label.editDescription': 'Descripción',
+  'ui.editSaveBtn': 'Guardar',
+  'ui.editCancelBtn': 'Cancelar',
+  'ui.historyEmpty': 'Todavía no hay nada este mes.',
+  'title.trendsView': 'Tendencias',
+  'zoom.day': 'Días',
+  'zoom.week': 'Semanas',
+  'zoom.month': 'Meses',
+  'ui.trendsEmpty': 'Alimenta a Penny o anota dinero para empezar la línea de tiempo.',
+  'section.health': 'Salud',
+  'section.balance': 'Saldo',
+  'section.spent_this_month': 'Gastado este mes',
+  'title.simulateView': '¿Y si...?',
+  'ui.simulateIntro': 'Prueba un cambio y mira cuál hace más feliz a Penny.',
+  'label.simSpendCut': 'Reducir gastos (%)',
+  'label.simInvestMore': 'Invertir más (por mes)',
+  'label.simDebtPayoff': 'Pagar deuda ya',
+  'label.simHorizon': 'Meses vista',
+  'ui.simulateBtn': 'Simular',
+  'nav.pet': 'Mascota',
+  'nav.finances': 'Finanzas',
+  'nav.history': 'Historial',
+  'nav.trends': 'Tendencias',
+  'nav.what_if': 'Y si',
+  'ui.title': 'Penny - Tu mascota financiera',
+  'section.language': 'Idioma',
+  'label.language': 'Penny habla',
+
+  'language.browser': 'El de este navegador ({name})',
+  'language.saved': 'Penny ahora habla {name}.',
+  'language.saveFailed': 'No se pudo cambiar el idioma.',
+
+  'section.voice': 'Voz',
+  'label.persona': 'La voz de Penny',
+
+  'persona.kid': 'Peque: frases simples, sin símbolos',
+  'persona.casual': 'Casual: Gen Z, con emojis',
+  'persona.plain': 'Clara: adulta, porcentajes reales',
+  'persona.coach': 'Entrenadora: directa y sin rodeos',
+
+  'voice.saved': 'Ahora Penny habla así: {name}.',
+  'voice.saveFailed': 'No se pudo cambiar la voz.',
+
+  'chat.placeholder': 'Pregúntale a Penny, por ejemplo: ¿puedo pagar una entrada de 40 dólares?',
+  'chat.send': 'Preguntar',
+  'chat.clear': 'Empezar de nuevo',
+  'chat.failed': 'Penny no pudo responder a eso.',
+  'chat.clearFailed': 'No se pudo borrar el chat.',
+  'chat.thinking': 'Penny está pensando...',
+  'chat.you': 'Tú',
+  'chat.penny': 'Penny',
+  'chat.afford.yes': 'Sí. {amount} cabe en los {left} que te quedan este mes.',
+  'chat.afford.savings': 'Solo con tus ahorros. {amount} es más que los {left} que te quedan este mes, pero tus ahorros aún durarían {months} meses.',
+  'chat.afford.no': 'Ahora no. {amount} es más que los {left} que te quedan este mes, y sacarlo de tus ahorros te dejaría menos de {safe} meses de gastos.',
+  'chat.summary': 'Penny está {state} con {health} de salud. Tienes {savings} ahorrados y te quedan {left} cada mes.',
+  'chat.summaryOver': 'Penny está {state} con {health} de salud. Tienes {savings} ahorrados, pero gastas {left} más de lo que ganas cada mes.',
+  'chat.unsure': 'Solo conozco los números de tu registro de dinero, así que no voy a adivinar eso.',
+
+  'needs.fedToday': '🍽️ Comió hoy',
+  'needs.fedYesterday': '🍽️ Comió ayer',
+  'needs.fedDaysAgo': '🍽️ Comió hace {days} días',
+  'needs.hungryLabel': '😫 Con hambre: comió hace {days} días',
+  'needs.streakLabel': '🔥 Racha de {days} días',
+  'needs.noStreak': '🔥 Registra algo para empezar una racha',
+  'needs.hungry': '¡Tengo hambre! No se ha registrado nada en {days} días. Dame un depósito o lo que gastaste.',
+  'needs.streak': '🔥 ¡{days} días seguidos! Sigue pasando por aquí.',
+
+  'offline.badge': '📡 Sin conexión',
+  'offline.waiting': '📡 Sin conexión · por enviar: {count}',
+  'offline.syncing': '🔄 Enviando: {count}',
+
+  'progress.level': '⭐ Nivel {level}',
+  'progress.xp': '{xp} / {next} XP',
+  'progress.levelUp': '⭐ ¡Penny llegó al nivel {level}!',
+  'progress.evolved': '¡Penny creció a su forma {form}!',
+  'progress.unlocked': 'Nuevo look: {items}.',
+  'progress.achievement': '🏆 Logro desbloqueado: ¡{name}!',
+  'progress.unlockedOn': 'Desbloqueado el {date}',
+
+  'form.baby': 'bebé',
+  'form.kid': 'niña',
+  'form.teen': 'adolescente',
+  'form.grown': 'adulta',
+
+  'accessory.bow': 'lazo',
+  'accessory.glasses': 'gafas de sol',
+  'accessory.scarf': 'bufanda',
+  'accessory.hat': 'sombrero de copa',
+  'accessory.crown': 'corona',
+
+  'achievement.firstEntry': 'Primer movimiento',
+  'achievement.firstEntry.hint': 'Registra tu primer depósito o retiro.',
+  'achievement.entries100': 'Contable',
+  'achievement.entries100.hint': 'Registra 100 depósitos y retiros.',
+  'achievement.weekUnderBudget': '7 días dentro del presupuesto',
+  'achievement.weekUnderBudget.hint': 'Mantente dentro de tu presupuesto mensual 7 días seguidos.',
+  'achievement.monthUnderBudget': '30 días dentro del presupuesto',
+  'achievement.monthUnderBudget.hint': 'Mantente dentro de tu presupuesto mensual 30 días seguidos.',
+  'achievement.saved1000': 'Primeros {amount} ahorrados',
+  'achievement.saved1000.hint': 'Ten {amount} entre todas tus cuentas.',
+  'achievement.saved10000': '{amount} ahorrados',
+  'achievement.saved10000.hint': 'Ten {amount} entre todas tus cuentas.',
+  'achievement.goalReached': 'Meta cumplida',
+  'achievement.goalReached.hint': 'Completa una meta de ahorro.',
+  'achievement.debtPaidOff': 'Sin deudas',
+  'achievement.debtPaidOff.hint': 'Paga una deuda por completo.',
+  'achievement.streak7': 'Racha de 7 días',
+  'achievement.streak7.hint': 'Registra algo 7 días seguidos.',
+  'achievement.streak30': 'Racha de 30 días',
+  'achievement.streak30.hint': 'Registra algo 30 días seguidos.',
+
+  'state.ATROCIOUS': 'ATROZ',
+  'state.CRITICAL': 'CRÍTICO',
+  'state.STRUGGLING': 'APURADO',
+  'state.SURVIVING': 'AGUANTANDO',
+  'state.HEALTHY': 'SANO',
+  'state.THRIVING': 'PRÓSPERO',
+  'state.FANTASTIC': 'FANTÁSTICO',
+  'state.EGG': 'HUEVO',
+
+  'factor.budget': 'Gastos frente a ingresos',
+  'factor.runway': 'Meses de ahorro',
+  'factor.invest': 'Tasa de inversión',
+  'factor.debt': 'Deuda frente a ingresos',
+  'factor.categories': 'Presupuestos por categoría',
+  'factor.goals': 'Metas de ahorro al día',
+
+  'category.paycheck': 'Nómina',
+  'category.gift': 'Regalo',
+  'category.refund': 'Reembolso',
+  'category.groceries': 'Supermercado',
+  'category.rent': 'Alquiler',
+  'category.bills': 'Facturas',
+  'category.transport': 'Transporte',
+  'category.dining': 'Comer fuera',
+  'category.fun': 'Ocio',
+  'category.shopping': 'Compras',
+  'category.health': 'Salud',
+  'category.debt': 'Deuda',
+  'category.other': 'Otros',
+
+  'pet.hatch': '¡Dame tus datos financieros! ¡Estoy listo para nacer!',
+  'pet.analyzing': 'Gemini está analizando tus finanzas...',
+  'pet.analyzed': '¡Análisis completo!',
+  'pet.error': '¡Uy! {message}',
+  'pet.somethingWrong': 'Algo salió mal.',
+  'ui.analyzing': 'Analizando...',
+
+  'alert.fillFinancial': '¡Rellena todos los datos financieros!',
+  'alert.depositAmount': '¡Escribe una cantidad válida para ingresar!',
+  'alert.withdrawAmount': '¡Escribe una cantidad válida para retirar!',
+  'alert.futureDate': '¡Esa fecha todavía no ha llegado!',
+  'alert.overBalance': '¡No puedes retirar más que tu saldo ({balance})!',
+  'alert.oops': '¡Uy! {message}',
+  'alert.amount': '¡Escribe una cantidad válida!',
+  'alert.resetOffline': 'Penny no puede conectar con el servidor, así que no se ha reiniciado nada. Vuelve a intentarlo cuando tengas conexión.',
+  'alert.rate': '¡Escribe un tipo de cambio válido!',
+
+  'finance.monthSummary': '{month}: día {day} de {days} · entra {in} · sale {out}',
+
+  'react.depositBudget': 'Ingresaste {amount}, que es el {percent}% de tu presupuesto diario. ¡Muy bien!',
+  'react.deposit': '¡Ingresaste {amount}! Así crecen tus ahorros.',
+  'react.withdrawBudget': 'Retiraste {amount}, que es el {percent}% de tu presupuesto diario. ¡Intenta seguir tu plan!',
+  'react.withdraw': 'Retiraste {amount}. ¡Vigila tus gastos!',
+  'react.categoryOver': '¡Te pasaste {amount} de tu presupuesto de {category} este mes!',
+  'react.categoryUsed': 'Ya usaste el {percent}% de tu presupuesto de {category}.',
+  'react.batch': '{intro}: entran {in} y salen {out}. {verdict}',
+  'react.batchSaved': 'Eso son {amount} ahorrados. ¡Bien!',
+  'react.batchOverspent': 'Sale {amount} más de lo que entra. ¡Hay que ajustarse!',
+  'react.imported': 'Importaste {count} movimientos',
+  'react.posted': '{name} se acaba de cobrar',
+  'react.scheduledPayment': 'Un pago programado',
+  'react.postedMany': 'Se acaban de cobrar {count} pagos programados',
+  'react.balanceNow': 'Tu saldo ahora es {amount}.',
+
+  'why.months': '{n} meses',
+  'why.otherwise': 'si no',
+  'why.now': 'Ahora {value} ({threshold})',
+  'why.next': 'Siguiente: llega a {threshold} para {points}',
+  'why.top': '¡Nivel máximo alcanzado!',
+  'why.base': 'Base {points}',
+  'why.trend': 'tendencia {points}',
+  'why.total': '{parts} → {health} de salud (entre 0 y 100)',
+
+  'advice.headline.FANTASTIC': 'Estado fantástico — todo funciona. 🚀',
+  'advice.headline.THRIVING': 'Buen rumbo — sigue sumando. 📈',
+  'advice.headline.HEALTHY': 'Según el plan — mantén la disciplina. ✅',
+  'advice.headline.SURVIVING': 'Estable, pero ajusta algunas cosas. 🛠️',
+  'advice.headline.STRUGGLING': 'Sube la presión — hacen falta logros rápidos. ⚠️',
+  'advice.headline.CRITICAL': 'Crítico — atiende el riesgo de liquidez ya. 🆘',
+  'advice.headline.ATROCIOUS': 'Atroz — modo emergencia. 💀',
+  'advice.good.spend': 'Bien: Gastas el {pct} (≤80%). 👍',
+  'advice.good.runway': 'Bien: Ahorro para {months} meses (≥3). 💡',
+  'advice.good.invest': 'Bien: Inviertes el {pct} (≥10%). 📈',
+  'advice.good.dti': 'Bien: Deuda del {pct} de tus ingresos (≤60%). ✅',
+  'advice.good.start': 'Bien: Punto de partida claro. ⭐',
+  'advice.fix.trim': 'Mejora: Recorta gastos ~{pct}% hasta ≤90%. ✂️',
+  'advice.fix.categories': 'Mejora: Categorías {pct} por encima del presupuesto; controla una. 🧾',
+  'advice.fix.runway': 'Mejora: Sube tus ahorros a 2 meses (ahora {months}). 🏦',
+  'advice.fix.invest': 'Mejora: Invierte el 10% (ahora {pct}). 💸',
+  'advice.fix.debt': 'Mejora: Paga deuda; es el {pct} de tus ingresos (> 120%). 📉',
+  'advice.fix.cut': 'Mejora: Elige una categoría para recortar. 📝',
+  'advice.goal.saving': 'Meta: aparta {amount}/mes para {name} y llega el {date}. 🎯',
+  'advice.goal.invest': 'Meta (próxima semana): mueve {amount}/sem a inversión. 🗓️',
+  'advice.goal.runway': 'Meta (próxima semana): ahorra {amount} para tu colchón. ⛳',
+  'advice.goal.track': 'Meta (próxima semana): apunta tus gastos cada día; quédate ≤80%. 🧭',
+  'advice.prefix.good': 'Bien',
+  'advice.prefix.fix': 'Mejora',
+  'advice.prefix.goal': 'Meta (próxima semana)',
+
+  'kid.percent': '{n} por ciento',
+  'kid.months': '{n} meses',
+  'kid.headline.FANTASTIC': 'Tu mascota está muy fuerte con {health} puntos.',
+  'kid.headline.THRIVING': 'Tu mascota va muy bien con {health} puntos.',
+  'kid.headline.HEALTHY': 'Tu mascota está tranquila con {health} puntos.',
+  'kid.headline.SURVIVING': 'Tu mascota está bien con {health} puntos.',
+  'kid.headline.STRUGGLING': 'Tu mascota va justa con {health} puntos.',
+  'kid.headline.CRITICAL': 'Tu mascota necesita cuidados con {health} puntos.',
+  'kid.headline.ATROCIOUS': 'Tu mascota necesita ayuda ya con {health} puntos.',
+  'kid.good.spend': 'Gastas el {pct} de tu dinero y eso está por debajo de la meta.',
+  'kid.good.runway': 'Tienes ahorros para {months} y eso es una buena base.',
+  'kid.good.invest': 'Inviertes el {pct} de lo que ganas y vas por buen camino.',
+  'kid.good.step': 'Diste un buen paso que ayuda esta semana.',
+  'kid.fix.trim': 'Gasta alrededor de un {n} por ciento menos para llegar a la meta.',
+  'kid.fix.categories': 'Tus grupos de gastos se pasaron un {pct} de sus presupuestos así que elige uno para recortar.',
+  'kid.fix.invest': 'Sube lo que inviertes al diez por ciento porque ahora estás en el {pct}.',
+  'kid.fix.runway': 'Añade {amount} a tus ahorros para juntar dos meses.',
+  'kid.fix.bill': 'Elige una factura pequeña y bájala un 10 por ciento esta semana.',
+  'kid.goal.saving': 'Ahorra {amount} cada mes para {name} y llegarás el {date}.',
+  'kid.goal.invest': 'Manda {amount} cada semana a tu cuenta de inversión.',
+  'kid.goal.cap': 'Gasta poco cada día para acabar el mes por debajo del ochenta por ciento, que es un tope de {amount}.',
+
+  'words.percent': 'por ciento',
+  'words.about': 'alrededor de',
+  'words.atOrBelow': 'como mucho',
+  'words.atOrAbove': 'como mínimo',
+  'words.per': 'por',
+  'words.perWeek': 'por semana',
+  'words.perMonth': 'al mes',
+  'words.perYear': 'al año',
+  'words.months': 'meses',
+
+  'currency.USD': 'dólar|dólares',
+  'currency.EUR': 'euro|euros',
+  'currency.GBP': 'libra|libras',
+  'currency.JPY': 'yen|yenes',
+  'currency.CAD': 'dólar canadiense|dólares canadienses',
+  'currency.AUD': 'dólar australiano|dólares australianos',
+  'currency.CHF': 'franco suizo|francos suizos',
+  'currency.SEK': 'corona sueca|coronas suecas',
+  'currency.INR': 'rupia|rupias',
+  'currency.MXN': 'peso|pesos',
+  'currency.BRL': 'real|reales',
+  'currency.CNY': 'yuan|yuanes',
+
+  'settings.rateLabel': '1 {code} vale ({currency})',
+  'settings.noRate': 'sin tipo: cuenta 1 a 1',
+  'settings.ratePrompt': '¿Cuántos {to} vale 1 {from}? Todo lo que está en {from} conserva su valor.',
+  'settings.saved': 'Los totales están en {name}: {example}.',
+  'settings.saveFailed': 'No se pudieron guardar esos ajustes.',
+
+  'accounts.type.checking': 'Corriente',
+  'accounts.type.savings': 'Ahorros',
+  'accounts.type.cash': 'Efectivo',
+  'accounts.type.investment': 'Inversión',
+  'accounts.profileCurrency': 'La moneda del perfil',
+  'accounts.set': 'Ajustar',
+  'accounts.setTitle': 'Corrige el saldo (por ejemplo, para que coincida con tu banco)',
+  'accounts.setPrompt': '¿Cuánto hay en {name} ahora mismo?',
+  'accounts.needName': '¡Ponle un nombre a la cuenta!',
+  'accounts.addFailed': 'No se pudo añadir esa cuenta.',
+  'accounts.removeConfirm': '¿Quitar {name}?',
+  'accounts.removeFailed': 'No se pudo quitar esa cuenta.',
+  'accounts.sameAccount': '¡Elige dos cuentas distintas!',
+  'accounts.onlyHas': '¡{name} solo tiene {amount}!',
+  'accounts.moved': 'Movido {amount} de {from} a {to}.',
+  'accounts.moveFailed': 'No se pudo mover ese dinero.',
+
+  'investments.summary': 'Vale {value} · aportado {contributed} · crecimiento {gain} · inviertes {monthly}/mes',
+  'investments.line': '{name}: {value} = {contributed} aportado y {gain} de crecimiento · valorado el {day}',
+  'investments.lineNew': '{name}: {value} = {contributed} aportado y {gain} de crecimiento · sin valorar todavía',
+  'investments.update': 'Actualizar valor',
+  'investments.updateTitle': 'Escribe lo que tu bróker dice que vale hoy',
+  'investments.valuePrompt': '¿Cuánto vale {name} hoy?',
+  'investments.unchanged': '{name} no ha cambiado.',
+  'investments.grew': '{name} subió {amount} desde la última actualización.',
+  'investments.dropped': '{name} bajó {amount} desde la última actualización.',
+  'investments.saveFailed': 'No se pudo guardar ese valor.',
+
+  'goals.reached': '🎉 ¡Alcanzaste tu meta {name}: {target} ahorrados!',
+  'goals.milestone': '🎉 ¡{name} va por el {pct}% del camino!',
+  'goals.noGoal': 'Sin meta',
+  'goals.line': '{name}: {saved} de {target} ({pct}%)',
+  'goals.done': '¡Hecho! 🎉',
+  'goals.plan': '{amount}/mes para lograrlo antes del {date}',
+  'goals.planBehind': '{amount}/mes para lograrlo antes del {date} · con retraso',
+  'goals.setAside': 'Apartar',
+  'goals.setAsideTitle': 'Reserva parte de tu saldo para esta meta',
+  'goals.needFields': '¡Ponle a tu meta un nombre, una cantidad y una fecha!',
+  'goals.saveFailed': 'No se pudo guardar esa meta.',
+  'goals.allocatePrompt': '¿Cuánto de tu saldo va para {name}? (en negativo para recuperar una parte)',
+  'goals.updateFailed': 'No se pudo actualizar esa meta.',
+  'goals.deleteConfirm': '¿Borrar la meta {name}? Tu saldo no cambia.',
+  'goals.deleteFailed': 'No se pudo borrar esa meta.',
+
+  'debts.total': 'Total adeudado: {total} · mínimos {minimums}/mes',
+  'debts.line': '{name}: {balance} al {apr}% · mín. {min}/mes',
+  'debts.lineDone': '{name}: ¡pagada! 🎉',
+  'debts.pay': 'Pagar',
+  'debts.edit': 'Editar',
+  'debts.editTitle': 'Actualiza el saldo (cargos nuevos, intereses)',
+  'debts.needFields': '¡Ponle a la deuda un nombre y lo que aún debes!',
+  'debts.aprHint': 'La TAE es un porcentaje anual, como 19,9.',
+  'debts.saveFailed': 'No se pudo guardar esa deuda.',
+  'debts.payPrompt': '¿Cuánto vas a pagar de {name}? (debes: {owed})',
+  'debts.overOwed': 'Eso es más de lo que debes en {name} ({owed}).',
+  'debts.overBalance': '¡No puedes pagar más que tu saldo ({balance})!',
+  'debts.payment': 'Pago de {name}',
+  'debts.payFailed': 'No se pudo registrar ese pago.',
+  'debts.paidOff': '🎉 ¡{name} está pagada! ¡Una carga menos!',
+  'debts.paid': '💪 Pagaste {amount} de {name}. ¡Faltan {left}!',
+  'debts.editPrompt': '¿Cuánto debes ahora en {name}?',
+  'debts.updateFailed': 'No se pudo actualizar esa deuda.',
+  'debts.removeConfirm': '¿Quitar {name}? Los pagos hechos se quedan en el registro.',
+  'debts.deleteFailed': 'No se pudo borrar esa deuda.',
+  'debts.avalanche': 'Avalancha (primero la TAE más alta)',
+  'debts.snowball': 'Bola de nieve (primero el saldo más pequeño)',
+  'debts.debtFree': 'Sin deudas el {date} ({months} meses) · {interest} de intereses',
+  'debts.never': 'Nunca se paga a este ritmo',
+  'debts.outrun': 'Con {payment}/mes los intereses crecen más que los pagos. Prueba con un pago extra mayor.',
+  'debts.avalancheSaves': 'Avalancha ahorra {amount} en intereses.',
+  'debts.avalancheSavesSnowballSooner': 'Avalancha ahorra {amount} en intereses; bola de nieve liquida tu primera deuda antes.',
+  'debts.same': 'Aquí los dos órdenes cuestan lo mismo, ¡elige el que te mantenga motivado!',
+  'debts.planFailed': 'No se pudo hacer ese plan.',
+
+  'recurring.income': 'Ingreso',
+  'recurring.payment': 'Pago',
+  'recurring.weekly': 'cada semana',
+  'recurring.biweekly': 'cada 2 semanas',
+  'recurring.monthly': 'cada mes el día {day}',
+  'recurring.next': 'próximo {date}',
+  'recurring.paused': 'en pausa',
+  'recurring.pause': 'Pausar',
+  'recurring.resume': 'Reanudar',
+  'recurring.deleteTitle': 'Borrar (lo ya registrado se queda en el registro)',
+  'recurring.stopConfirm': '¿Detener "{name}"? Lo ya registrado se queda en el registro.',
+  'recurring.thisRule': 'esta regla',
+  'recurring.saveFailed': 'No se pudo guardar.',
+  'recurring.updateFailed': 'No se pudo actualizar.',
+  'recurring.deleteFailed': 'No se pudo borrar.',
+
+  'budgets.none': 'sin presupuesto',
+
+  'import.field.date': 'Fecha',
+  'import.field.description': 'Descripción',
+  'import.field.amount': 'Cantidad (+entra / -sale)',
+  'import.field.debit': 'Dinero que sale',
+  'import.field.credit': 'Dinero que entra',
+  'import.column': 'Columna {number}',
+  'import.noColumn': '(ninguna)',
+  'import.autoDate': 'Automático',
+  'import.dateFormat': 'Formato de fecha',
+  'import.hasHeader': 'La primera fila es un encabezado',
+  'import.emptyFile': 'Ese archivo parece vacío.',
+  'import.noRows': 'No se encontraron movimientos. Revisa las columnas.',
+  'import.dup': 'repetido',
+  'import.future': 'futuro',
+  'import.futureCount': 'Se omitirán {count} con fecha posterior a hoy.',
+  'import.new': 'nuevo',
+  'import.confirmOne': 'Importar 1 movimiento',
+  'import.confirmMany': 'Importar {count} movimientos',
+  'import.counts': '{fresh} nuevos, {dups} ya registrados.',
+  'import.done': 'Importados {imported}, omitidos {skipped} repetidos.',
+  'import.failed': 'La importación falló.',
+
+  'backup.saved': 'Guardados {count} movimientos y la historia de Penny.',
+  'backup.saveFailed': 'No se pudo hacer la copia.',
+  'backup.pickFile': '¡Elige primero un archivo de copia!',
+  'backup.notBackup': 'Ese archivo no es una copia de Penny.',
+  'backup.replaceConfirm': '¿Reemplazar todo lo de "{profile}" con esta copia? No se puede deshacer.',
+  'backup.restored': 'Copia restaurada.',
+  'backup.restoredFrom': 'Copia del {day} restaurada.',
+  'backup.merged': 'Copia combinada con este perfil.',
+  'backup.mergedFrom': 'Copia del {day} combinada con este perfil.',
+  'backup.restoreFailed': 'No se pudo restaurar: {message}',
+
+  'history.deposit': 'Ingreso',
+  'history.withdraw': 'Retiro',
+  'history.edit': 'Editar',
+  'history.noCategory': 'Sin categoría',
+  'history.futureDay': '¡Elige un día que no esté en el futuro!',
+  'history.saveFailed': 'No se pudo guardar ese cambio.',
+  'history.deleteConfirm.deposit': '¿Borrar este ingreso de {amount}?',
+  'history.deleteConfirm.withdraw': '¿Borrar este retiro de {amount}?',
+  'history.deleteFailed': 'No se pudo borrar ese movimiento.',
+  'history.undoFailed': 'No se pudo deshacer.',
+
+  'undo.record.deposit': '↩ Deshacer ingreso de {amount}',
+  'undo.record.withdraw': '↩ Deshacer retiro de {amount}',
+  'undo.edit.deposit': '↩ Deshacer edición de un ingreso de {amount}',
+  'undo.edit.withdraw': '↩ Deshacer edición de un retiro de {amount}',
+  'undo.delete.deposit': '↩ Deshacer borrado de un ingreso de {amount}',
+  'undo.delete.withdraw': '↩ Deshacer borrado de un retiro de {amount}',
+
+  'simulator.cut': 'Gastar un {pct}% menos',
+  'simulator.invest': 'Invertir {amount} más/mes',
+  'simulator.payoff': 'Pagar {amount} de deuda',
+  'simulator.all': 'Todo junto',
+  'simulator.empty': '¡Prueba primero al menos un cambio!',
+  'simulator.running': 'Simulando...',
+  'simulator.failed': 'La simulación falló',
+  'simulator.now': 'hoy',
+  'simulator.months': '{months} m',
+  'simulator.today': 'Hoy',
+  'simulator.baseline': 'Sin cambios',
+  'simulator.row': '{label}: {state} ({health})',
+
+  'trends.summary': 'Salud {from} → {to} ({diff}) · ahora {state}. {verdict}',
+  'trends.better': '¡Penny está cada vez más sano!',
+  'trends.worse': 'Penny ha ido a peor.',
+  'trends.steady': 'Penny se mantiene estable.'
+});
@@ -0,0 +1,533 @@
+// public/locales/fr.js
+// French (français). Keys: see public/i18n.js.
+(function (root, dict) {
+  if (typeof module === 'object' && module.exports) module.exports = dict;
+  else (root.PennyLocales = root.PennyLocales || {}).fr = dict;
+})(typeof globalThis !== 'undefined' ? globalThis : this, {
+  'ui.health': '❤️ Santé',
+  'ui.why': 'Pourquoi Penny se sent comme ça ?',
+  'ui.achievements': '🏆 Succès',
+  'section.goals': 'Objectifs',
+  'title.financeView': 'Tes finances',
+  'section.current_balance': 'Solde actuel',
+  'section.profile': 'Profil',
+  'placeholder.profileId': 'nom du profil',
+  'ui.switchProfileBtn': 'Changer',
+  'section.currency': 'Devise',
+  'label.currency': 'Devise',
+  'label.locale': 'Format des nombres',
+  'placeholder.locale': 'celui du navigateur (ou p. ex. fr-FR, fr-CA)',
+  'ui.saveSettingsBtn': 'Enregistrer la devise',
+  'section.financial_info': 'Infos financières',
+  'label.initialBalance': 'Solde de départ',
+  'placeholder.initialBalance': 'mets un nombre ici',
+  'label.monthlyEarnings': 'Revenus mensuels',
+  'placeholder.monthlyEarnings': 'mets un nombre ici',
+  'label.monthlyBudget': 'Budget mensuel',
+  'placeholder.monthlyBudget': 'mets un nombre ici',
+  'ui.feedPennyBtn': 'Nourrir Penny',
+  'label.txDate': 'Date',
+  'label.txAccount': 'Compte',
+  'section.deposit': 'Dépôt',
+  'placeholder.depositAmount': 'mets un nombre ici',
+  'ui.depositBtn': 'Déposer',
+  'section.withdraw': 'Retrait',
+  'placeholder.withdrawAmount': 'mets un nombre ici',
+  'ui.withdrawBtn': 'Retirer',
+  'section.accounts': 'Comptes',
+  'label.accountName': 'Nouveau compte',
+  'placeholder.accountName': 'fonds de secours, portefeuille...',
+  'label.accountType': 'Type',
+  'label.accountOpening': 'Solde de départ',
+  'label.accountCurrency': 'Tenu en',
+  'ui.addAccountBtn': 'Ajouter le compte',
+  'label.transferFrom': 'Depuis',
+  'label.transferTo': 'Vers',
+  'label.transferAmount': 'Montant',
+  'placeholder.transferAmount': 'mets un nombre ici',
+  'ui.transferBtn': 'Virer',
+  'section.investments': 'Placements',
+  'ui.investmentStatus': 'Fais un virement vers le compte pour que ça compte comme un versement.',
+  'section.savings_goals': "Objectifs d'épargne",
+  'label.goalName': "J'épargne pour",
+  'placeholder.goalName': 'vélo neuf, voyage, fonds de secours...',
+  'label.goalTarget': 'Montant visé',
+  'placeholder.goalTarget': 'mets un nombre ici',
+  'label.goalDate': 'Date visée',
+  'label.goalSaved': 'Déjà épargné',
+  'ui.addGoalBtn': "Ajouter l'objectif",
+  'section.debts': 'Dettes',
+  'label.debtName': 'Prêt ou carte',
+  'placeholder.debtName': 'carte de crédit, prêt auto...',
+  'label.debtBalance': 'Reste dû',
+  'placeholder.debtBalance': 'mets un nombre ici',
+  'label.debtApr': 'TAEG (%)',
+  'label.debtMin': 'Paiement minimum / mois',
+  'placeholder.debtMin': 'mets un nombre ici',
+  'ui.addDebtBtn': 'Ajouter la dette',
+  'label.payoffExtra': 'En plus pour les dettes chaque mois',
+  'ui.payoffPlanBtn': 'Comparer les plans de remboursement',
+  'section.recurring': 'Récurrents',
+  'label.recType': 'Type',
+  'option.recType.withdraw': 'Facture / paiement',
+  'option.recType.deposit': 'Salaire / revenu',
+  'label.recAmount': 'Montant',
+  'placeholder.recAmount': 'mets un nombre ici',
+  'label.recDescription': "C'est quoi ?",
+  'placeholder.recDescription': 'loyer, salaire, appli de musique...',
+  'label.recCategory': 'Catégorie',
+  'label.recAccount': 'Compte',
+  'label.recFrequency': 'Tous les combien',
+  'option.recFrequency.monthly': 'Mensuel',
+  'option.recFrequency.biweekly': 'Toutes les 2 semaines',
+  'option.recFrequency.weekly': 'Hebdomadaire',
+  'label.recDay': 'Jour du mois',
+  'placeholder.recDay': 'celui de la première date',
+  'label.recStart': 'Première date',
+  'ui.addRecurringBtn': 'Ajouter le récurrent',
+  'section.category_budgets': 'Budgets par catégorie',
+  'ui.saveCategoryBudgetsBtn': 'Enregistrer les budgets',
+  'section.import_statement': 'Importer un relevé',
+  'label.importFile': 'Fichier CSV, OFX ou QIF',
+  'label.importAccount': 'Dans le compte',
+  'ui.importConfirmBtn': 'Importer',
+  'section.backup': 'Sauvegarde',
+  'ui.exportBackupBtn': 'Télécharger la sauvegarde',
+  'label.backupFile': 'Restaurer depuis une sauvegarde',
+  'label.backupMode': 'Comment',
+  'option.backupMode.merge': 'Fusionner avec ce qui est ici',
+  'option.backupMode.replace': 'Tout remplacer ici',
+  'ui.restoreBackupBtn': 'Restaurer',
+  'ui.resetBtn': 'Effacer toutes les données',
+  'title.historyView': 'Historique',
+  'label.historyMonth': 'Mois',
+  'section.edit_entry': "Modifier l'opération",
+  'label.editType': 'Type',
+  'option.editType.deposit': 'Dépôt',
+  'option.editType.withdraw': 'Retrait',
+  'label.editAmount': 'Montant',
+  'label.editDate': 'Date',
+  'label.editCategory': 'Catégorie',
+  'label.editAccount': 'Compte',
+  'label.editDescription': 'Description',
+  'ui.editSaveBtn': 'Enregistrer',
+  'ui.editCancelBtn': 'Annuler',
+  'ui.historyEmpty': "Rien d'enregistré ce mois-ci pour l'instant.",
+  'title.trendsView': 'Tendances',
+  'zoom.day': 'Jours',
+  'zoom.week': 'Semaines',
+  'zoom.month': 'Mois',
+  'ui.trendsEmpty': "Nourris Penny ou note de l'argent pour lancer la frise.",
+  'section.health': 'Santé',
+  'section.balance': 'Solde',
+  'section.spent_this_month': 'Dépensé ce mois-ci',
+  'title.simulateView': 'Et si ?',
+  'ui.simulateIntro': 'Essaie un changement et regarde lequel rend Penny plus heureux.',
+  'label.simSpendCut': 'Réduire les dépenses (%)',
+  'label.simInvestMore': 'Investir plus (par mois)',
+  'label.simDebtPayoff': 'Rembourser une dette maintenant',
+  'label.simHorizon': 'Mois à venir',
+  'ui.simulateBtn': 'Simuler',
+  'nav.pet': 'Animal',
+  'nav.finances': 'Finances',
+  'nav.history': 'Historique',
+  'nav.trends': 'Tendances',
+  'nav.what_if': 'Et si',
+  'ui.title': 'Penny - Ton animal financier',
+  'section.language': 'Langue',
+  'label.language': 'Penny parle',
+
+  'language.browser': 'Celle du navigateur ({name})',
+  'language.saved': 'Penny parle maintenant {name}.',
+  'language.saveFailed': 'Impossible de changer de langue.',
+
+  'section.voice': 'Voix',
+  'label.persona': 'La voix de Penny',
+
+  'persona.kid': 'Enfant : phrases simples, sans symboles',
+  'persona.casual': 'Décontractée : Gen Z, avec emojis',
+  'persona.plain': 'Claire : adulte, vrais pourcentages',
+  'persona.coach': 'Coach : franche et directe',
+
+  'voice.saved': 'Penny parle maintenant ainsi : {name}.',
+  'voice.saveFailed': 'Impossible de changer de voix.',
+
+  'chat.placeholder': 'Demande à Penny, par exemple : puis-je payer un billet à 40 dollars ?',
+  'chat.send': 'Demander',
+  'chat.clear': 'Recommencer',
+  'chat.failed': "Penny n'a pas pu répondre à ça.",
+  'chat.clearFailed': "Impossible d'effacer la discussion.",
+  'chat.thinking': 'Penny réfléchit...',
+  'chat.you': 'Toi',
+  'chat.penny': 'Penny',
+  'chat.afford.yes': 'Oui. {amount} tient dans les {left} qui te restent ce mois-ci.',
+  'chat.afford.savings': 'Seulement avec ton épargne. {amount} dépasse les {left} qui te restent ce mois-ci, mais ton épargne durerait encore {months} mois.',
+  'chat.afford.no': 'Pas maintenant. {amount} dépasse les {left} qui te restent ce mois-ci, et le prendre sur ton épargne te laisserait moins de {safe} mois de dépenses.',
+  'chat.summary': "Penny est {state} avec {health} de santé. Tu as {savings} d'épargne et il te reste {left} chaque mois.",
+  'chat.summaryOver': "Penny est {state} avec {health} de santé. Tu as {savings} d'épargne, mais tu dépenses {left} de plus que tu ne gagnes chaque mois.",
+  'chat.unsure': "Je ne connais que les chiffres de ton journal d'argent, alors je ne vais pas deviner ça.",
+
+  'needs.fedToday': "🍽️ Nourrie aujourd'hui",
+  'needs.fedYesterday': '🍽️ Nourrie hier',
+  'needs.fedDaysAgo': '🍽️ Nourrie il y a {days} jours',
+  'needs.hungryLabel': '😫 Affamée : nourrie il y a {days} jours',
+  'needs.streakLabel': '🔥 Série de {days} jours',
+  'needs.noStreak': '🔥 Enregistre quelque chose pour lancer une série',
+  'needs.hungry': "J'ai faim ! Rien n'a été enregistré depuis {days} jours. Donne-moi un dépôt ou ce que tu as dépensé.",
+  'needs.streak': "🔥 {days} jours d'affilée ! Continue de passer me voir.",
+
+  'offline.badge': '📡 Hors ligne',
+  'offline.waiting': '📡 Hors ligne · à envoyer : {count}',
+  'offline.syncing': '🔄 Envoi : {count}',
+
+  'progress.level': '⭐ Niveau {level}',
+  'progress.xp': '{xp} / {next} XP',
+  'progress.levelUp': '⭐ Penny a atteint le niveau {level} !',
+  'progress.evolved': 'Penny a grandi : la voilà en forme {form} !',
+  'progress.unlocked': 'Nouveau look : {items}.',
+  'progress.achievement': '🏆 Succès débloqué : {name} !',
+  'progress.unlockedOn': 'Débloqué le {date}',
+
+  'form.baby': 'bébé',
+  'form.kid': 'enfant',
+  'form.teen': 'ado',
+  'form.grown': 'adulte',
+
+  'accessory.bow': 'nœud',
+  'accessory.glasses': 'lunettes de soleil',
+  'accessory.scarf': 'écharpe',
+  'accessory.hat': 'haut-de-forme',
+  'accessory.crown': 'couronne',
+
+  'achievement.firstEntry': 'Première opération',
+  'achievement.firstEntry.hint': 'Enregistre ton premier dépôt ou retrait.',
+  'achievement.entries100': 'Comptable',
+  'achievement.entries100.hint': 'Enregistre 100 dépôts et retraits.',
+  'achievement.weekUnderBudget': '7 jours sous le budget',
+  'achievement.weekUnderBudget.hint': "Reste dans ton budget mensuel 7 jours d'affilée.",
+  'achievement.monthUnderBudget': '30 jours sous le budget',
+  'achievement.monthUnderBudget.hint': "Reste dans ton budget mensuel 30 jours d'affilée.",
+  'achievement.saved1000': 'Premiers {amount} épargnés',
+  'achievement.saved1000.hint': "Aie {amount} sur l'ensemble de tes comptes.",
+  'achievement.saved10000': '{amount} épargnés',
+  'achievement.saved10000.hint': "Aie {amount} sur l'ensemble de tes comptes.",
+  'achievement.goalReached': 'Objectif atteint',
+  'achievement.goalReached.hint': "Termine un objectif d'épargne.",
+  'achievement.debtPaidOff': 'Plus de dette',
+  'achievement.debtPaidOff.hint': 'Rembourse entièrement une dette.',
+  'achievement.streak7': 'Série de 7 jours',
+  'achievement.streak7.hint': "Enregistre quelque chose 7 jours d'affilée.",
+  'achievement.streak30': 'Série de 30 jours',
+  'achievement.streak30.hint': "Enregistre quelque chose 30 jours d'affilée.",
+
+  'state.ATROCIOUS': 'ATROCE',
+  'state.CRITICAL': 'CRITIQUE',
+  'state.STRUGGLING': 'EN DIFFICULTÉ',
+  'state.SURVIVING': 'ÇA PASSE',
+  'state.HEALTHY': 'EN FORME',
+  'state.THRIVING': 'PROSPÈRE',
+  'state.FANTASTIC': 'FANTASTIQUE',
+  'state.EGG': 'ŒUF',
+
+  'factor.budget': 'Dépenses / revenus',
+  'factor.runway': "Mois d'épargne",
+  'factor.invest': "Taux d'investissement",
+  'factor.debt': 'Dette / revenus',
+  'factor.categories': 'Budgets par catégorie',
+  'factor.goals': "Objectifs d'épargne dans les temps",
+
+  'category.paycheck': 'Salaire',
+  'category.gift': 'Cadeau',
+  'category.refund': 'Remboursement',
+  'category.groceries': 'Courses',
+  'category.rent': 'Loyer',
+  'category.bills': 'Factures',
+  'category.transport': 'Transport',
+  'category.dining': 'Restaurants',
+  'category.fun': 'Loisirs',
+  'category.shopping': 'Achats',
+  'category.health': 'Santé',
+  'category.debt': 'Dette',
+  'category.other': 'Autre',
+
+  'pet.hatch': 'Donne-moi tes données financières ! Je suis prêt à éclore !',
+  'pet.analyzing': 'Gemini analyse tes finances...',
+  'pet.analyzed': 'Analyse terminée !',
+  'pet.error': 'Oups ! {message}',
+  'pet.somethingWrong': "Quelque chose s'est mal passé.",
+  'ui.analyzing': 'Analyse...',
+
+  'alert.fillFinancial': 'Remplis toutes les infos financières !',
+  'alert.depositAmount': 'Entre un montant de dépôt valide !',
+  'alert.withdrawAmount': 'Entre un montant de retrait valide !',
+  'alert.futureDate': "Cette date n'est pas encore arrivée !",
+  'alert.overBalance': 'Tu ne peux pas retirer plus que ton solde ({balance}) !',
+  'alert.oops': 'Oups ! {message}',
+  'alert.amount': 'Entre un montant valide !',
+  'alert.resetOffline': "Penny n'arrive pas à joindre le serveur, donc rien n'a été réinitialisé. Réessaie une fois la connexion revenue.",
+  'alert.rate': 'Entre un taux valide !',
+
+  'finance.monthSummary': '{month} : jour {day} sur {days} · entrées {in} · sorties {out}',
+
+  'react.depositBudget': 'Tu as déposé {amount}, soit {percent} % de ton budget du jour. Bravo !',
+  'react.deposit': 'Tu as déposé {amount} ! Ton épargne grandit.',
+  'react.withdrawBudget': 'Tu as retiré {amount}, soit {percent} % de ton budget du jour. Essaie de suivre ton plan !',
+  'react.withdraw': 'Tu as retiré {amount}. Garde un œil sur tes dépenses !',
+  'react.categoryOver': 'Tu dépasses ton budget {category} de {amount} ce mois-ci !',
+  'react.categoryUsed': 'Tu as utilisé {percent} % de ton budget {category}.',
+  'react.batch': "{intro} : {in} d'entrées et {out} de sorties. {verdict}",
+  'react.batchSaved': "Ça fait {amount} d'épargnés. Youpi !",
+  'react.batchOverspent': "Il sort {amount} de plus qu'il n'en rentre. On se serre la ceinture !",
+  'react.imported': 'Tu as importé {count} opérations',
+  'react.posted': '{name} vient de passer',
+  'react.scheduledPayment': 'Un paiement programmé',
+  'react.postedMany': '{count} paiements programmés viennent de passer',
+  'react.balanceNow': 'Ton solde est maintenant de {amount}.',
+
+  'why.months': '{n} mois',
+  'why.otherwise': 'sinon',
+  'why.now': 'Maintenant {value} ({threshold})',
+  'why.next': 'Prochain palier : {threshold} pour {points}',
+  'why.top': 'Palier maximum atteint !',
+  'why.base': 'Base {points}',
+  'why.trend': 'tendance {points}',
+  'why.total': '{parts} → {health} de santé (entre 0 et 100)',
+
+  'advice.headline.FANTASTIC': 'État fantastique — tout tourne rond. 🚀',
+  'advice.headline.THRIVING': 'Belle trajectoire — continue de capitaliser. 📈',
+  'advice.headline.HEALTHY': 'Dans le plan — garde le cap. ✅',
+  'advice.headline.SURVIVING': 'Stable, mais resserre quelques boulons. 🛠️',
+  'advice.headline.STRUGGLING': 'La pression monte — il faut des victoires rapides. ⚠️',
+  'advice.headline.CRITICAL': 'Critique — traite le risque de trésorerie maintenant. 🆘',
+  'advice.headline.ATROCIOUS': 'Atroce — mode urgence. 💀',
+  'advice.good.spend': 'Bien: Tu dépenses {pct} (≤80%). 👍',
+  'advice.good.runway': 'Bien: Épargne pour {months} mois (≥3). 💡',
+  'advice.good.invest': 'Bien: Tu investis {pct} (≥10%). 📈',
+  'advice.good.dti': 'Bien: Dette à {pct} des revenus (≤60%). ✅',
+  'advice.good.start': 'Bien: Point de départ clair. ⭐',
+  'advice.fix.trim': 'À corriger: Réduis tes dépenses de ~{pct}% pour atteindre ≤90%. ✂️',
+  'advice.fix.categories': 'À corriger: Catégories {pct} au-dessus du budget; freine-en une. 🧾',
+  'advice.fix.runway': 'À corriger: Monte ton épargne à 2 mois (maintenant {months}). 🏦',
+  'advice.fix.invest': 'À corriger: Investis 10% (maintenant {pct}). 💸',
+  'advice.fix.debt': 'À corriger: Rembourse tes dettes; elles font {pct} des revenus (> 120%). 📉',
+  'advice.fix.cut': 'À corriger: Choisis une catégorie à réduire. 📝',
+  'advice.goal.saving': 'Objectif: mets {amount}/mois pour {name} et atteins-le le {date}. 🎯',
+  'advice.goal.invest': 'Objectif (semaine prochaine): vire {amount}/sem vers tes placements. 🗓️',
+  'advice.goal.runway': 'Objectif (semaine prochaine): épargne {amount} pour ton coussin. ⛳',
+  'advice.goal.track': 'Objectif (semaine prochaine): note tes dépenses chaque jour; reste ≤80%. 🧭',
+  'advice.prefix.good': 'Bien',
+  'advice.prefix.fix': 'À corriger',
+  'advice.prefix.goal': 'Objectif (semaine prochaine)',
+
+  'kid.percent': '{n} pour cent',
+  'kid.months': '{n} mois',
+  'kid.headline.FANTASTIC': 'Ton animal est très fort avec {health} points.',
+  'kid.headline.THRIVING': 'Ton animal va très bien avec {health} points.',
+  'kid.headline.HEALTHY': 'Ton animal est stable avec {health} points.',
+  'kid.headline.SURVIVING': 'Ton animal va bien avec {health} points.',
+  'kid.headline.STRUGGLING': 'Ton animal est un peu serré avec {health} points.',
+  'kid.headline.CRITICAL': 'Ton animal a besoin de soins avec {health} points.',
+  'kid.headline.ATROCIOUS': "Ton animal a besoin d'aide tout de suite avec {health} points.",
+  'kid.good.spend': "Tu dépenses {pct} de ton argent et c'est sous l'objectif.",
+  'kid.good.runway': "Tu as {months} d'épargne et c'est une bonne base.",
+  'kid.good.invest': 'Tu investis {pct} de tes revenus et tu es sur la bonne voie.',
+  'kid.good.step': 'Tu as fait un bon pas qui aide cette semaine.',
+  'kid.fix.trim': "Dépense environ {n} pour cent de moins pour atteindre l'objectif.",
+  'kid.fix.categories': 'Tes groupes de dépenses ont dépassé leurs budgets de {pct} alors choisis-en un à réduire.',
+  'kid.fix.invest': 'Monte tes placements à dix pour cent car tu es à {pct} maintenant.',
+  'kid.fix.runway': 'Ajoute {amount} à ton épargne pour avoir deux mois.',
+  'kid.fix.bill': 'Choisis une petite facture et baisse-la de 10 pour cent cette semaine.',
+  'kid.goal.saving': 'Mets {amount} de côté chaque mois pour {name} et tu y arriveras le {date}.',
+  'kid.goal.invest': 'Envoie {amount} chaque semaine sur ton compte de placement.',
+  'kid.goal.cap': 'Dépense peu chaque jour pour finir le mois sous quatre-vingts pour cent, soit un plafond de {amount}.',
+
+  'words.percent': 'pour cent',
+  'words.about': 'environ',
+  'words.atOrBelow': 'au plus',
+  'words.atOrAbove': 'au moins',
+  'words.per': 'par',
+  'words.perWeek': 'par semaine',
+  'words.perMonth': 'par mois',
+  'words.perYear': 'par an',
+  'words.months': 'mois',
+
+  'currency.USD': 'dollar|dollars',
+  'currency.EUR': 'euro|euros',
+  'currency.GBP': 'livre|livres',
+  'currency.JPY': 'yen|yens',
+  'currency.CAD': 'dollar canadien|dollars canadiens',
+  'currency.AUD': 'dollar australien|dollars australiens',
+  'currency.CHF': 'franc suisse|francs suisses',
+  'currency.SEK': 'couronne suédoise|couronnes suédoises',
+  'currency.INR': 'roupie|roupies',
+  'currency.MXN': 'peso|pesos',
+  'currency.BRL': 'réal|réaux',
+  'currency.CNY': 'yuan|yuans',
+
+  'settings.rateLabel': '1 {code} vaut ({currency})',
+  'settings.noRate': 'sans taux : compte 1 pour 1',
+  'settings.ratePrompt': '1 {from} vaut combien de {to} ? Tout ce qui est en {from} garde sa valeur.',
+  'settings.saved': 'Les totaux sont en {name} : {example}.',
+  'settings.saveFailed': "Impossible d'enregistrer ces réglages.",
+
+  'accounts.type.checking': 'Courant',
+  'accounts.type.savings': 'Épargne',
+  'accounts.type.cash': 'Espèces',
+  'accounts.type.investment': 'Placement',
+  'accounts.profileCurrency': 'La devise du profil',
+  'accounts.set': 'Corriger',
+  'accounts.setTitle': "Corrige le solde (par exemple pour qu'il colle à ta banque)",
+  'accounts.setPrompt': 'Combien y a-t-il sur {name} en ce moment ?',
+  'accounts.needName': 'Donne un nom au compte !',
+  'accounts.addFailed': "Impossible d'ajouter ce compte.",
+  'accounts.removeConfirm': 'Supprimer {name} ?',
+  'accounts.removeFailed': 'Impossible de supprimer ce compte.',
+  'accounts.sameAccount': 'Choisis deux comptes différents !',
+  'accounts.onlyHas': "{name} n'a que {amount} !",
+  'accounts.moved': '{amount} déplacés de {from} vers {to}.',
+  'accounts.moveFailed': 'Impossible de déplacer cet argent.',
+
+  'investments.summary': 'Vaut {value} · versé {contributed} · croissance {gain} · tu places {monthly}/mois',
+  'investments.line': '{name} : {value} = {contributed} versés et {gain} de croissance · estimé le {day}',
+  'investments.lineNew': '{name} : {value} = {contributed} versés et {gain} de croissance · pas encore estimé',
+  'investments.update': 'Mettre à jour',
+  'investments.updateTitle': "Entre ce que ton courtier dit que ça vaut aujourd'hui",
+  'investments.valuePrompt': "Combien vaut {name} aujourd'hui ?",
+  'investments.unchanged': "{name} n'a pas bougé.",
+  'investments.grew': '{name} a pris {amount} depuis la dernière mise à jour.',
+  'investments.dropped': '{name} a perdu {amount} depuis la dernière mise à jour.',
+  'investments.saveFailed': "Impossible d'enregistrer cette valeur.",
+
+  'goals.reached': '🎉 Tu as atteint ton objectif {name} : {target} mis de côté !',
+  'goals.milestone': '🎉 {name} est à {pct} % du chemin !',
+  'goals.noGoal': 'Aucun objectif',
+  'goals.line': '{name} : {saved} sur {target} ({pct} %)',
+  'goals.done': 'Fait ! 🎉',
+  'goals.plan': "{amount}/mois pour y arriver d'ici le {date}",
+  'goals.planBehind': "{amount}/mois pour y arriver d'ici le {date} · en retard",
+  'goals.setAside': 'Mettre de côté',
+  'goals.setAsideTitle': 'Réserve une partie de ton solde pour cet objectif',
+  'goals.needFields': 'Donne à ton objectif un nom, un montant et une date !',
+  'goals.saveFailed': "Impossible d'enregistrer cet objectif.",
+  'goals.allocatePrompt': 'Quelle part de ton solde va vers {name} ? (en négatif pour en reprendre)',
+  'goals.updateFailed': 'Impossible de mettre à jour cet objectif.',
+  'goals.deleteConfirm': "Supprimer l'objectif {name} ? Ton solde ne change pas.",
+  'goals.deleteFailed': 'Impossible de supprimer cet objectif.',
+
+  'debts.total': 'Total dû : {total} · minimums {minimums}/mois',
+  'debts.line': '{name} : {balance} à {apr} % · min. {min}/mois',
+  'debts.lineDone': '{name} : remboursé ! 🎉',
+  'debts.pay': 'Payer',
+  'debts.edit': 'Modifier',
+  'debts.editTitle': 'Mets à jour le solde (nouveaux frais, intérêts)',
+  'debts.needFields': 'Donne un nom à la dette et ce que tu dois encore !',
+  'debts.aprHint': 'Le TAEG est un pourcentage annuel, comme 19,9.',
+  'debts.saveFailed': "Impossible d'enregistrer cette dette.",
+  'debts.payPrompt': 'Combien rembourses-tu sur {name} ? (dû : {owed})',
+  'debts.overOwed': "C'est plus que ce que tu dois sur {name} ({owed}).",
+  'debts.overBalance': 'Tu ne peux pas payer plus que ton solde ({balance}) !',
+  'debts.payment': 'Remboursement {name}',
+  'debts.payFailed': "Impossible d'enregistrer ce paiement.",
+  'debts.paidOff': '🎉 {name} est remboursé ! Un poids en moins !',
+  'debts.paid': '💪 {amount} remboursés sur {name}. Encore {left} !',
+  'debts.editPrompt': 'Combien dois-tu sur {name} maintenant ?',
+  'debts.updateFailed': 'Impossible de mettre à jour cette dette.',
+  'debts.removeConfirm': "Supprimer {name} ? Les paiements déjà faits restent dans l'historique.",
+  'debts.deleteFailed': 'Impossible de supprimer cette dette.',
+  'debts.avalanche': "Avalanche (TAEG le plus haut d'abord)",
+  'debts.snowball': "Boule de neige (plus petit solde d'abord)",
+  'debts.debtFree': "Sans dettes le {date} ({months} mois) · {interest} d'intérêts",
+  'debts.never': 'Jamais remboursé à ce rythme',
+  'debts.outrun': 'À {payment}/mois, les intérêts vont plus vite que les paiements. Essaie un paiement en plus plus gros.',
+  'debts.avalancheSaves': "Avalanche économise {amount} d'intérêts.",
+  'debts.avalancheSavesSnowballSooner': "Avalanche économise {amount} d'intérêts ; boule de neige solde ta première dette plus tôt.",
+  'debts.same': 'Les deux ordres coûtent pareil ici, choisis celui qui te motive le plus !',
+  'debts.planFailed': 'Impossible de faire ce plan.',
+
+  'recurring.income': 'Revenu',
+  'recurring.payment': 'Paiement',
+  'recurring.weekly': 'chaque semaine',
+  'recurring.biweekly': 'toutes les 2 semaines',
+  'recurring.monthly': 'chaque mois le {day}',
+  'recurring.next': 'prochain le {date}',
+  'recurring.paused': 'en pause',
+  'recurring.pause': 'Pause',
+  'recurring.resume': 'Reprendre',
+  'recurring.deleteTitle': "Supprimer (ce qui est déjà passé reste dans l'historique)",
+  'recurring.stopConfirm': "Arrêter « {name} » ? Ce qui est déjà passé reste dans l'historique.",
+  'recurring.thisRule': 'cette règle',
+  'recurring.saveFailed': "Impossible d'enregistrer.",
+  'recurring.updateFailed': 'Impossible de mettre à jour.',
+  'recurring.deleteFailed': 'Impossible de supprimer.',
+
+  'budgets.none': 'pas de budget',
+
+  'import.field.date': 'Date',
+  'import.field.description': 'Libellé',
+  'import.field.amount': 'Montant (+entrée / -sortie)',
+  'import.field.debit': 'Sorties',
+  'import.field.credit': 'Entrées',
+  'import.column': 'Colonne {number}',
+  'import.noColumn': '(aucune)',
+  'import.autoDate': 'Automatique',
+  'import.dateFormat': 'Format de date',
+  'import.hasHeader': 'La première ligne est un en-tête',
+  'import.emptyFile': "Ce fichier a l'air vide.",
+  'import.noRows': 'Aucune opération trouvée. Vérifie les colonnes.',
+  'import.dup': 'doublon',
+  'import.future': 'futur',
+  'import.futureCount': "{count} datées après aujourd'hui seront ignorées.",
+  'import.new': 'nouveau',
+  'import.confirmOne': 'Importer 1 opération',
+  'import.confirmMany': 'Importer {count} opérations',
+  'import.counts': '{fresh} nouvelles, {dups} déjà enregistrées.',
+  'import.done': '{imported} importées, {skipped} doublons ignorés.',
+  'import.failed': "L'import a échoué.",
+
+  'backup.saved': "{count} opérations et l'histoire de Penny enregistrées.",
+  'backup.saveFailed': 'Impossible de faire la sauvegarde.',
+  'backup.pickFile': "Choisis d'abord un fichier de sauvegarde !",
+  'backup.notBackup': "Ce fichier n'est pas une sauvegarde de Penny.",
+  'backup.replaceConfirm': "Remplacer tout « {profile} » par cette sauvegarde ? C'est irréversible.",
+  'backup.restored': 'Sauvegarde restaurée.',
+  'backup.restoredFrom': 'Sauvegarde du {day} restaurée.',
+  'backup.merged': 'Sauvegarde fusionnée avec ce profil.',
+  'backup.mergedFrom': 'Sauvegarde du {day} fusionnée avec ce profil.',
+  'backup.restoreFailed': 'Impossible de restaurer : {message}',
+
+  'history.deposit': 'Dépôt',
+  'history.withdraw': 'Retrait',
+  'history.edit': 'Modifier',
+  'history.noCategory': 'Sans catégorie',
+  'history.futureDay': "Choisis un jour qui n'est pas dans le futur !",
+  'history.saveFailed': "Impossible d'enregistrer cette modification.",
+  'history.deleteConfirm.deposit': 'Supprimer ce dépôt de {amount} ?',
+  'history.deleteConfirm.withdraw': 'Supprimer ce retrait de {amount} ?',
+  'history.deleteFailed': 'Impossible de supprimer cette opération.',
+  'history.undoFailed': "Impossible d'annuler.",
+
+  'undo.record.deposit': '↩ Annuler le dépôt de {amount}',
+  'undo.record.withdraw': '↩ Annuler le retrait de {amount}',
+  'undo.edit.deposit': "↩ Annuler la modification d'un dépôt de {amount}",
+  'undo.edit.withdraw': "↩ Annuler la modification d'un retrait de {amount}",
+  'undo.delete.deposit': "↩ Annuler la suppression d'un dépôt de {amount}",
+  'undo.delete.withdraw': "↩ Annuler la suppression d'un retrait de {amount}",
+
+  'simulator.cut': 'Dépenser {pct} % de moins',
+  'simulator.invest': 'Placer {amount} de plus/mois',
+  'simulator.payoff': 'Rembourser {amount} de dette',
+  'simulator.all': 'Tout ensemble',
+  'simulator.empty': "Essaie d'abord au moins un changement !",
+  'simulator.running': 'Simulation...',
+  'simulator.failed': 'La simulation a échoué',
+  'simulator.now': 'auj.',
+  'simulator.months': '{months} m',
+  'simulator.today': "Aujourd'hui",
+  'simulator.baseline': 'Ne rien changer',
+  'simulator.row': '{label} : {state} ({health})',
+
+  'trends.summary': 'Santé {from} → {to} ({diff}) · {state} maintenant. {verdict}',
+  'trends.better': 'Penny va de mieux en mieux !',
+  'trends.worse': 'Penny est en train de glisser.',
+  'trends.steady': 'Penny tient bon.'
+});
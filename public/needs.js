@@ -0,0 +1,97 @@
+// public/needs.js
+// Penny's needs between check-ins. Pure functions, no DOM; everything is
+// worked out from timestamps, so a page reopened after a week shows the
+// week that went by.
+//
+//   hunger   logging an entry by hand (a deposit, withdrawal, debt payment or
+//            import; scheduled entries post themselves) feeds Penny. After
+//            HUNGRY_AFTER_DAYS without one she is hungry and her health
+//            target drops HUNGER_POINTS_PER_DAY a day, down to MAX_HUNGER_POINTS.
+//   decay    between saves her health drifts from where it was left toward
+//            the finance-driven baseline (minus hunger), halving the gap
+//            every DECAY_HALF_LIFE_HOURS. A FANTASTIC pet nobody checks on
+//            settles back to what the ledger says.
+//   streak   calendar days in a row with at least one check-in; it breaks
+//            when a whole day goes by without one.
+//
+// Saved with the pet state as `needs`:
+//   { fedAt, settledAt (when `health` was last worked out), streak,
+//     bestStreak, checkedInOn: 'YYYY-MM-DD' }
+
+const { dayKey, clamp0to100 } = window.PennyScoring;
+
+export const HUNGRY_AFTER_DAYS = 3;
+export const HUNGER_POINTS_PER_DAY = 3;
+export const MAX_HUNGER_POINTS = 30;
+export const DECAY_HALF_LIFE_HOURS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const midnight = d => {
+  const x = new Date(d);
+  return new Date(x.getFullYear(), x.getMonth(), x.getDate());
+};
+
+const yesterdayOf = now => {
+  const d = new Date(now);
+  return dayKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() - 1));
+};
+
+// The saved needs with gaps filled in for pets saved before needs existed:
+// fed by their latest entry, settled when they were fed.
+export function needsOf(saved, transactions = [], now = new Date()) {
+  const fedAt = saved?.fedAt || transactions[transactions.length - 1]?.createdAt || null;
+  return {
+    fedAt,
+    settledAt: saved?.settledAt || fedAt || new Date(now).toISOString(),
+    streak: +saved?.streak || 0,
+    bestStreak: +saved?.bestStreak || 0,
+    checkedInOn: saved?.checkedInOn || null
+  };
+}
+
+// { days (calendar days since Penny was fed), hungry, points (off her
+// health) }. A pet that was never fed (still an egg) is not hungry.
+export function hungerOf(needs, now = new Date()) {
+  if (!needs.fedAt) return { days: 0, hungry: false, points: 0 };
+  const days = Math.max(0, Math.round((midnight(now) - midnight(needs.fedAt)) / DAY_MS));
+  const over = days - HUNGRY_AFTER_DAYS + 1;
+  return {
+    days,
+    hungry: over > 0,
+    points: over > 0 ? Math.min(MAX_HUNGER_POINTS, over * HUNGER_POINTS_PER_DAY) : 0
+  };
+}
+
+// What Penny's health settles toward right now: the ledger's score, less hunger.
+export const targetHealth = (baseline, needs, now = new Date()) =>
+  clamp0to100(baseline - hungerOf(needs, now).points);
+
+// `health` as left at needs.settledAt, decayed toward the target until `now`.
+export function decayedHealth(health, baseline, needs, now = new Date()) {
+  const target = targetHealth(baseline, needs, now);
+  const hours = Math.max(0, (new Date(now) - new Date(needs.settledAt)) / HOUR_MS);
+  return clamp0to100(target + (health - target) * Math.pow(0.5, hours / DECAY_HALF_LIFE_HOURS));
+}
+
+// The streak as of `now`: still alive when the last check-in was today or
+// yesterday, 0 once a whole day went by without one.
+export function currentStreak(needs, now = new Date()) {
+  const on = needs.checkedInOn;
+  return on === dayKey(now) || on === yesterdayOf(now) ? needs.streak : 0;
+}
+
+// Needs after a check-in at `now`: fed, and the streak grows on the first
+// check-in of a day.
+export function checkIn(needs, now = new Date()) {
+  const today = dayKey(now);
+  const streak = needs.checkedInOn === today ? needs.streak : currentStreak(needs, now) + 1;
+  return {
+    ...needs,
+    fedAt: new Date(now).toISOString(),
+    streak,
+    bestStreak: Math.max(needs.bestStreak, streak),
+    checkedInOn: today
+  };
+}
@@ -0,0 +1,60 @@
+// public/offline.js
+// Penny without the server: registers the service worker (sw.js) that keeps
+// the page and pet images cached, shows the offline badge, and replays the
+// deposits and withdrawals recorded meanwhile (penny-store.js's outbox) once
+// the server answers again. The browser's online event tries at once; while
+// offline or with writes waiting it tries again every RETRY_MS. onSynced(sent)
+// runs when the connection is back, with how many queued writes were sent, so
+// script.js can repaint and ask /analyze again.
+
+import { isOffline, outboxSize, syncOutbox, watchConnection } from './penny-store.js';
+import { t } from './lang.js';
+
+const RETRY_MS = 30000;
+
+let onSynced = () => {};
+let syncingNow = false;
+
+export function initOffline(opts) {
+  onSynced = opts.onSynced;
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker not registered:', err));
+  }
+  watchConnection(renderOffline);
+  window.addEventListener('online', sync);
+  window.addEventListener('offline', renderOffline);
+  setInterval(() => {
+    if (isOffline() || outboxSize()) sync();
+  }, RETRY_MS);
+  renderOffline();
+  if (outboxSize()) sync();
+}
+
+/* --------------------------------- Render ---------------------------------- */
+
+export function renderOffline() {
+  const badge = document.getElementById('offlineBadge');
+  if (!badge) return;
+  const offline = isOffline() || navigator.onLine === false;
+  const count = outboxSize();
+  badge.hidden = !offline && !count;
+  badge.classList.toggle('syncing', !offline);
+  badge.textContent = offline
+    ? (count ? t('offline.waiting', { count }) : t('offline.badge'))
+    : t('offline.syncing', { count });
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function sync() {
+  if (syncingNow) return;
+  syncingNow = true;
+  try {
+    const was = isOffline();
+    const sent = await syncOutbox();
+    if (!isOffline() && (sent || was)) onSynced(sent);
+  } finally {
+    syncingNow = false;
+    renderOffline();
+  }
+}
@@ -0,0 +1,725 @@
+// public/penny-store.js
+// Client side of the profile API. The server owns the data; this module keeps
+// an in-memory copy of the active profile so script.js can keep reading it
+// synchronously, and pushes every change back through a single write queue
+// so requests reach the server in the order they were made.
+//
+// The active profile id comes from ?profile=<id>, then localStorage, then
+// 'default'. The only other thing kept in localStorage is the outbox: the
+// deposits, withdrawals, balances, finances and pet snapshots made while the
+// server could not be reached, waiting to be replayed (see syncOutbox).
+
+const API = '/api/profiles';
+const PROFILE_KEY = 'pennyProfileId';
+const OUTBOX_KEY = 'pennyOutbox';
+const DEFAULT_PROFILE = 'default';
+
+// Keys written by older builds; imported once into an empty server profile.
+// The old day/month pairing counters are only cleared: days now come from
+// transaction dates, and those counters never had any.
+const LEGACY_KEYS = [
+  'dayCount', 'dailyDeposit', 'dailyWithdraw', 'totalDeposits', 'totalWithdrawals', 'lastAction',
+  'currentBalance', 'initialBalance', 'monthlyEarnings', 'monthlyBudget', 'pennyState'
+];
+
+let profileId = DEFAULT_PROFILE;
+let cache = emptyCache();
+let queue = Promise.resolve();
+// The latest ledger change, undoable once: { kind, entry, revert } (see getLastAction)
+let lastAction = null;
+// The server stopped answering (or the service worker answered from its cache)
+let offline = false;
+// The profile could not be read at all: the cache is an empty stand-in
+let standIn = false;
+let connectionChanged = () => {};
+
+function emptyCache() {
+  return {
+    name: '',
+    financial: { initialBalance: 0, monthlyEarnings: 0, monthlyBudget: 0, categoryBudgets: {} },
+    settings: { currency: 'USD', locale: '', rates: {}, language: '', persona: 'kid' },
+    balance: 0,
+    petState: null,
+    trend: null,
+    accounts: [],
+    transactions: [],
+    transfers: [],
+    valuations: [],
+    recurring: [],
+    goals: [],
+    debts: []
+  };
+}
+
+/* ------------------------------ fetch helpers ------------------------------ */
+
+// A request that never got an answer has no `status`; any answer from the
+// server means it is reachable again.
+async function request(method, url, body) {
+  let r;
+  try {
+    r = await fetch(url, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  } catch (err) {
+    setOffline(true);
+    throw err;
+  }
+  // sw.js marks the copy it kept of a profile read
+  setOffline(r.headers.get('X-Penny-Offline') === '1');
+  const json = r.status === 204 ? null : await r.json().catch(() => null);
+  if (!r.ok) {
+    const err = new Error(json?.error || `${method} ${url} failed (${r.status})`);
+    err.status = r.status;
+    throw err;
+  }
+  return json;
+}
+
+const profileUrl = (suffix = '') => `${API}/${encodeURIComponent(profileId)}${suffix}`;
+
+function setOffline(value) {
+  if (offline === value) return;
+  offline = value;
+  connectionChanged();
+}
+
+// Serialize writes; a failed write is logged and does not block later ones.
+// A `keep` write (a deposit, withdrawal, balance, the finances or a pet
+// snapshot, already applied to the local copy) that cannot reach the server
+// goes to the outbox instead and resolves to { queued: <outbox id> }; while
+// anything waits there, later ones line up behind it so they replay in order.
+// From an empty stand-in only ledger entries are kept: anything else would
+// replace the real profile's pet, balance or finances; it resolves to
+// { queued: null } and stays local.
+function enqueue(method, suffix, body, { keep = false } = {}) {
+  const run = queue.then(async () => {
+    if (keep && standIn && suffix !== '/transactions') return { queued: null };
+    if (keep && readOutbox().length) return toOutbox(method, suffix, body);
+    try {
+      return await request(method, profileUrl(suffix), body);
+    } catch (err) {
+      if (keep && !err.status) return toOutbox(method, suffix, body);
+      throw err;
+    }
+  });
+  queue = run.catch(err => console.warn(`[penny-store] ${method} ${suffix || '/'} failed:`, err));
+  return run;
+}
+
+/* ---------------------------------- Outbox ---------------------------------- */
+
+// [{ id, method, suffix, body }] per profile, oldest first
+const outboxKey = () => `${OUTBOX_KEY}:${profileId}`;
+
+function readOutbox() {
+  try { return JSON.parse(localStorage.getItem(outboxKey()) || '[]'); } catch { return []; }
+}
+
+function writeOutbox(box) {
+  if (box.length) localStorage.setItem(outboxKey(), JSON.stringify(box));
+  else localStorage.removeItem(outboxKey());
+  connectionChanged();
+}
+
+// Only the newest of a run of pet snapshots, finances or one account's
+// balance is worth replaying.
+function toOutbox(method, suffix, body) {
+  const box = readOutbox();
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const last = box[box.length - 1];
+  const same = last?.suffix === suffix && (suffix !== '/balance' || last.body.accountId === body.accountId);
+  if (same && suffix !== '/transactions') box.pop();
+  box.push({ id, method, suffix, body });
+  writeOutbox(box);
+  return { queued: id };
+}
+
+// Puts what still waits in the outbox back on top of a copy read from the
+// server (or from the service worker's cache).
+function applyOutbox() {
+  readOutbox().forEach(({ id, suffix, body }) => {
+    if (suffix === '/transactions') applyTransaction(body).outboxId = id;
+    else if (suffix === '/pet') cache.petState = body;
+    else if (suffix === '/balance') applyBalance(body.balance, body.accountId);
+    else if (suffix === '') cache.financial = { ...cache.financial, ...body.financial };
+  });
+}
+
+export const isOffline = () => offline;
+export const outboxSize = () => readOutbox().length;
+
+// fn() whenever the server stops or starts answering, or the outbox changes.
+export function watchConnection(fn) {
+  connectionChanged = fn;
+}
+
+// Replays the outbox in order and returns how many writes were sent. Stops at
+// the first one that still cannot reach the server, so nothing is lost; one
+// the server turns down is dropped (sending it again would not help). With
+// nothing waiting, an offline store only checks whether the server answers
+// again. Overlapping calls share one run.
+let syncing = null;
+
+export function syncOutbox() {
+  syncing = syncing || replayOutbox().finally(() => { syncing = null; });
+  return syncing;
+}
+
+async function replayOutbox() {
+  await queue;
+  let sent = 0;
+  try {
+    if (!readOutbox().length && offline && !standIn) await request('HEAD', profileUrl());
+    for (let entry = readOutbox()[0]; entry; entry = readOutbox()[0]) {
+      try {
+        await request(entry.method, profileUrl(entry.suffix), entry.body);
+      } catch (err) {
+        if (!err.status) throw err;
+        console.warn(`[penny-store] The server turned down a queued ${entry.method} ${entry.suffix}:`, err);
+      }
+      writeOutbox(readOutbox().filter(e => e.id !== entry.id));
+      sent++;
+    }
+  } catch {
+    // Still offline; the rest waits for the next try
+  }
+  // A stand-in is swapped for the real profile as soon as it can be read
+  if (standIn) await loadProfile().catch(() => {});
+  else if (sent) await reloadLedger().catch(() => {});
+  return sent;
+}
+
+function applyProfile(p) {
+  const base = emptyCache();
+  cache = {
+    name: p?.name || profileId,
+    financial: { ...base.financial, ...(p?.financial || {}) },
+    settings: { ...base.settings, ...(p?.settings || {}) },
+    balance: Number(p?.balance) || 0,
+    petState: p?.petState || null,
+    trend: p?.trend || null,
+    accounts: Array.isArray(p?.accounts) ? p.accounts : [],
+    transactions: Array.isArray(p?.transactions) ? p.transactions : [],
+    transfers: Array.isArray(p?.transfers) ? p.transfers : [],
+    valuations: Array.isArray(p?.valuations) ? p.valuations : [],
+    recurring: Array.isArray(p?.recurring) ? p.recurring : [],
+    goals: Array.isArray(p?.goals) ? p.goals : [],
+    debts: Array.isArray(p?.debts) ? p.debts : []
+  };
+}
+
+/* ------------------------------ Legacy import ------------------------------ */
+
+function readLegacy() {
+  const has = LEGACY_KEYS.some(k => localStorage.getItem(k) !== null);
+  if (!has) return null;
+  let petState = null;
+  try { petState = JSON.parse(localStorage.getItem('pennyState') || 'null'); } catch {}
+  return {
+    financial: {
+      initialBalance: parseFloat(localStorage.getItem('initialBalance')) || 0,
+      monthlyEarnings: parseFloat(localStorage.getItem('monthlyEarnings')) || 0,
+      monthlyBudget: parseFloat(localStorage.getItem('monthlyBudget')) || 0
+    },
+    balance: parseFloat(localStorage.getItem('currentBalance')) || 0,
+    petState
+  };
+}
+
+function isBlank(p) {
+  return !p.petState && !p.transactions?.length && !p.balance &&
+    !p.financial?.initialBalance && !p.financial?.monthlyEarnings && !p.financial?.monthlyBudget;
+}
+
+async function importLegacy(profile) {
+  const legacy = readLegacy();
+  if (!legacy || !isBlank(profile)) return profile;
+
+  await request('PUT', profileUrl(), { financial: legacy.financial });
+  await request('PUT', profileUrl('/balance'), { balance: legacy.balance });
+  if (legacy.petState) await request('POST', profileUrl('/pet'), legacy.petState);
+
+  LEGACY_KEYS.forEach(k => localStorage.removeItem(k));
+  return request('GET', profileUrl());
+}
+
+/* ---------------------------------- Public --------------------------------- */
+
+export function getProfileId() {
+  return profileId;
+}
+
+// Loads (or creates) the active profile. Safe to call again after a switch.
+export async function initStore() {
+  const fromUrl = new URLSearchParams(location.search).get('profile');
+  profileId = fromUrl || localStorage.getItem(PROFILE_KEY) || DEFAULT_PROFILE;
+  localStorage.setItem(PROFILE_KEY, profileId);
+
+  standIn = false;
+  try {
+    // Whatever waited from last time goes first, so the profile read has it
+    await syncOutbox();
+    await loadProfile();
+  } catch (err) {
+    console.warn('[penny-store] Could not load profile; working from an empty one:', err);
+    applyProfile(null);
+    standIn = true;
+  }
+  lastAction = null;
+  return cache;
+}
+
+// Reads (or creates) the active profile, with what still waits in the outbox
+// on top.
+async function loadProfile() {
+  let profile;
+  try {
+    profile = await request('GET', profileUrl());
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    profile = await request('PUT', profileUrl(), {});
+  }
+  applyProfile(await importLegacy(profile));
+  applyOutbox();
+  standIn = false;
+}
+
+export async function switchProfile(id) {
+  const next = String(id || '').trim();
+  if (!/^[a-z0-9][a-z0-9_-]{0,39}$/i.test(next)) {
+    throw new Error('Profile names use letters, numbers, - and _ (max 40).');
+  }
+  await queue;
+  localStorage.setItem(PROFILE_KEY, next);
+  const url = new URL(location.href);
+  url.searchParams.delete('profile');
+  history.replaceState(null, '', url);
+  return initStore();
+}
+
+export const getFinancial = () => ({ ...cache.financial });
+export const getBalance = () => cache.balance;
+export const getPetState = () => cache.petState;
+export const getAccounts = () => cache.accounts.map(a => ({ ...a }));
+export const getTransactions = () => cache.transactions.slice();
+export const getTransfers = () => cache.transfers.slice();
+export const getValuations = () => cache.valuations.slice();
+export const getTrendHistory = () => cache.trend;
+export const getRecurring = () => cache.recurring.slice();
+export const getGoals = () => cache.goals.map(g => ({ ...g }));
+export const getDebts = () => cache.debts.map(d => ({ ...d }));
+export const getSettings = () => ({ ...cache.settings, rates: { ...cache.settings.rates } });
+
+// The ledger with every amount in the profile currency, for totals and
+// scoring (see scoring.inProfileCurrency).
+export function getLedger() {
+  const { accounts, transactions, transfers, valuations, settings } = cache;
+  return window.PennyScoring.inProfileCurrency({ accounts, transactions, transfers, valuations, settings });
+}
+
+// The server saves trend history itself during /analyze; this only refreshes
+// the local copy that the offline fallback reads.
+export function setTrendHistory(history) {
+  cache.trend = history || null;
+}
+
+export function saveFinancial(financial) {
+  cache.financial = { ...cache.financial, ...financial };
+  return enqueue('PUT', '', { financial: cache.financial }, { keep: true });
+}
+
+// { currency, locale, rates, language, persona }. The server revalues the total and the ledger
+// at the new currency and rates (and, for a new currency, converts the
+// finances, goals and debts); those come back with the profile.
+export async function saveSettings(settings) {
+  const p = await enqueue('PUT', '', { settings });
+  cache.settings = p.settings;
+  cache.balance = Number(p.balance) || 0;
+  cache.accounts = p.accounts;
+  cache.transactions = p.transactions;
+  cache.financial = p.financial;
+  cache.goals = p.goals;
+  cache.debts = p.debts;
+  cache.trend = p.trend || null;
+  return getSettings();
+}
+
+// Whether switching currency needs the current one's rate (see scoring.holdsMoney).
+export const holdsMoney = () => window.PennyScoring.holdsMoney(cache);
+
+// Same fallback as the server: no (or an unknown) id means the first account.
+const findAccount = accountId => cache.accounts.find(a => a.id === accountId) || cache.accounts[0];
+
+// `amount` held in `account`, in the profile currency
+const inProfileCurrency = (amount, account) =>
+  window.PennyScoring.toProfileCurrency(amount, account?.currency, cache.settings);
+
+const sumAccounts = () => cache.accounts.reduce((s, a) => s + inProfileCurrency(a.balance, a), 0);
+
+// Sets one account's balance (the default account when accountId is omitted).
+export function setBalance(balance, accountId) {
+  const amount = Number(balance) || 0;
+  const account = applyBalance(amount, accountId);
+  return enqueue('PUT', '/balance', { balance: amount, accountId: account?.id }, { keep: true });
+}
+
+function applyBalance(amount, accountId) {
+  const account = findAccount(accountId);
+  if (account) account.balance = amount;
+  cache.balance = account ? sumAccounts() : amount;
+  return account;
+}
+
+export function savePetSnapshot(state) {
+  cache.petState = state;
+  return enqueue('POST', '/pet', state, { keep: true });
+}
+
+// Applies the transaction locally right away; the server stores it in the
+// ledger and recomputes the balance the same way. Options: accountId (the
+// default account when omitted), category, description, createdAt (backdates
+// it; slotted in by date like the server does), goalId (a deposit that also counts toward that savings goal) and
+// debtId (a withdrawal that also pays down that debt). The amount is in the
+// account's currency. Offline it waits in the outbox (see syncOutbox); undoing
+// it then just takes it back out.
+export function recordTransaction(type, amount, { accountId, category, description, createdAt, goalId, debtId } = {}) {
+  const local = applyTransaction({ type, amount, accountId, category, description, createdAt, goalId, debtId });
+  const run = enqueue('POST', '/transactions', {
+    type, amount: local.amount, createdAt: local.createdAt, accountId: local.accountId,
+    category, description, goalId: local.goalId, debtId: local.debtId
+  }, { keep: true })
+    .then(res => {
+      if (res?.transaction) Object.assign(local, res.transaction);
+      else if (res?.queued) local.outboxId = res.queued;
+      return res;
+    });
+  lastAction = {
+    kind: 'record',
+    entry: local,
+    revert: async () => {
+      const res = await run;
+      if (res.queued) {
+        writeOutbox(readOutbox().filter(e => e.id !== res.queued));
+        unapplyTransaction(res.queued);
+      }
+      else await removeEntry(res.transaction.id);
+    }
+  };
+  return run;
+}
+
+const cents = x => Math.round(x * 100) / 100;
+
+// The entry applied to the local copy the way the server will book it;
+// returns the local entry.
+function applyTransaction({ type, amount, accountId, category, description, createdAt, goalId, debtId }) {
+  const amt = Number(amount) || 0;
+  const account = findAccount(accountId);
+  const value = inProfileCurrency(amt, account);
+  const delta = type === 'deposit' ? value : -value;
+  const local = { type, amount: amt, balanceAfter: 0, createdAt: createdAt || new Date().toISOString() };
+  if (account) local.accountId = account.id;
+  if (category) local.category = category;
+  if (description) local.description = description;
+  const goal = type === 'deposit' && goalId ? cache.goals.find(g => g.id === goalId) : null;
+  if (goal) {
+    local.goalId = goalId;
+    goal.saved = cents(goal.saved + value);
+  }
+  const debt = type === 'withdraw' && debtId ? cache.debts.find(d => d.id === debtId) : null;
+  if (debt) {
+    local.debtId = debtId;
+    local.debtPaid = Math.min(debt.balance, cents(value));
+    debt.balance = cents(debt.balance - local.debtPaid);
+  }
+
+  const list = cache.transactions;
+  let at = list.length;
+  while (at > 0 && list[at - 1].createdAt > local.createdAt) at--;
+  const next = list[at];
+  const nextDelta = next && inProfileCurrency(next.type === 'deposit' ? next.amount : -next.amount, findAccount(next.accountId));
+  local.balanceAfter = cents((next ? next.balanceAfter - nextDelta : cache.balance) + delta);
+  for (let i = at; i < list.length; i++) list[i].balanceAfter = cents(list[i].balanceAfter + delta);
+  list.splice(at, 0, local);
+  if (account) account.balance = cents(account.balance + (type === 'deposit' ? amt : -amt));
+  cache.balance = cents(cache.balance + delta);
+  return local;
+}
+
+// Takes an entry that never left the outbox back out of the local copy, as if
+// applyTransaction had not run; the server has nothing to re-read it from.
+function unapplyTransaction(outboxId) {
+  const list = cache.transactions;
+  const at = list.findIndex(t => t.outboxId === outboxId);
+  if (at < 0) return;
+  const [local] = list.splice(at, 1);
+  const account = findAccount(local.accountId);
+  const amt = local.type === 'deposit' ? local.amount : -local.amount;
+  const delta = inProfileCurrency(amt, account);
+  for (let i = at; i < list.length; i++) list[i].balanceAfter = cents(list[i].balanceAfter - delta);
+  if (account) account.balance = cents(account.balance - amt);
+  cache.balance = cents(cache.balance - delta);
+  const goal = local.goalId && cache.goals.find(g => g.id === local.goalId);
+  if (goal) goal.saved = cents(goal.saved - delta);
+  const debt = local.debtId && cache.debts.find(d => d.id === local.debtId);
+  if (debt) debt.balance = cents(debt.balance + (local.debtPaid || 0));
+}
+
+/* --------------------------- Editing the history --------------------------- */
+
+const removeEntry = txId => enqueue('DELETE', `/transactions/${encodeURIComponent(txId)}`);
+const restoreEntry = tx => enqueue('POST', '/transactions/restore', { transaction: tx });
+
+// What undoLastAction() would take back, or null: { kind, entry }, where kind
+// is 'record', 'edit' or 'delete' and entry the ledger entry as it was.
+export const getLastAction = () => (lastAction ? { kind: lastAction.kind, entry: lastAction.entry } : null);
+
+// Edits and deletes re-book entries on the server (balances, goal and debt
+// progress included), so the money side of the profile is re-read after each.
+export async function editTransaction(txId, patch) {
+  const before = cache.transactions.find(t => t.id === txId);
+  const res = await enqueue('PUT', `/transactions/${encodeURIComponent(txId)}`, patch);
+  await reloadLedger();
+  // Putting the old entry back as it was also restores a goal or debt link
+  // that a type change dropped
+  lastAction = before && {
+    kind: 'edit',
+    entry: before,
+    revert: async () => {
+      await removeEntry(txId);
+      await restoreEntry(before);
+    }
+  };
+  return res.transaction;
+}
+
+export async function deleteTransaction(txId) {
+  const res = await removeEntry(txId);
+  await reloadLedger();
+  lastAction = {
+    kind: 'delete',
+    entry: res.transaction,
+    revert: () => restoreEntry(res.transaction)
+  };
+  return res.transaction;
+}
+
+// Entries are matched by id, so undo still works after other changes. The
+// re-read is best effort: offline the local copy is already up to date.
+export async function undoLastAction() {
+  const action = lastAction;
+  lastAction = null;
+  if (!action) return;
+  try {
+    await action.revert();
+  } finally {
+    await reloadLedger().catch(err => console.warn('[penny-store] Could not re-read the ledger:', err));
+  }
+}
+
+// Which of these rows the server already has in that account (indexes).
+// Nothing is saved.
+export async function findDuplicateTransactions(list, accountId) {
+  await queue;
+  const res = await request('POST', profileUrl('/transactions/import'), { transactions: list, dryRun: true, accountId });
+  return res?.duplicates || [];
+}
+
+// Bulk import into one account; the server skips duplicates and returns what
+// it added. Imported rows land all over the calendar, so the ledger (and the
+// account balances) are re-read.
+export async function importTransactions(list, accountId) {
+  const res = await enqueue('POST', '/transactions/import', { transactions: list, accountId });
+  await reloadLedger();
+  return res;
+}
+
+// Re-reads everything a ledger change can move: the entries, the balances and
+// goal / debt progress.
+async function reloadLedger() {
+  await queue;
+  const p = await request('GET', profileUrl());
+  cache.balance = Number(p.balance) || 0;
+  cache.accounts = p.accounts;
+  cache.transactions = p.transactions;
+  cache.goals = p.goals;
+  cache.debts = p.debts;
+  applyOutbox();
+}
+
+/* -------------------------------- Recurring -------------------------------- */
+
+// The browser's calendar day; the server schedules against it.
+const localToday = () => window.PennyScoring.dayKey(new Date());
+
+export async function addRecurring(rule) {
+  const saved = await enqueue('POST', '/recurring', { ...rule, today: localToday() });
+  cache.recurring.push(saved);
+  return saved;
+}
+
+export async function updateRecurring(ruleId, patch) {
+  const saved = await enqueue('PUT', `/recurring/${encodeURIComponent(ruleId)}`, { ...patch, today: localToday() });
+  cache.recurring = cache.recurring.map(r => (r.id === ruleId ? saved : r));
+  return saved;
+}
+
+export async function deleteRecurring(ruleId) {
+  await enqueue('DELETE', `/recurring/${encodeURIComponent(ruleId)}`);
+  cache.recurring = cache.recurring.filter(r => r.id !== ruleId);
+}
+
+// Asks the server to post whatever is due (catching up missed days) and
+// returns the new ledger entries. Backdated entries can land anywhere in the
+// ledger, so it is re-read when anything was posted.
+export async function postDueRecurring() {
+  const res = await enqueue('POST', '/recurring/run', { today: localToday() });
+  cache.recurring = res.recurring || cache.recurring;
+  if (res.posted?.length) await reloadLedger();
+  return res.posted || [];
+}
+
+/* --------------------------------- Accounts -------------------------------- */
+
+export async function addAccount(account) {
+  const res = await enqueue('POST', '/accounts', account);
+  cache.accounts.push(res.account);
+  cache.balance = Number(res.balance) || 0;
+  return res.account;
+}
+
+export async function updateAccount(accountId, patch) {
+  const saved = await enqueue('PUT', `/accounts/${encodeURIComponent(accountId)}`, patch);
+  cache.accounts = cache.accounts.map(a => (a.id === accountId ? saved : a));
+  return saved;
+}
+
+export async function deleteAccount(accountId) {
+  await enqueue('DELETE', `/accounts/${encodeURIComponent(accountId)}`);
+  cache.accounts = cache.accounts.filter(a => a.id !== accountId);
+}
+
+// Moves money between two accounts; the total balance stays the same.
+export async function transferBetweenAccounts(from, to, amount, { createdAt, description } = {}) {
+  const res = await enqueue('POST', '/transfers', { from, to, amount, createdAt, description });
+  cache.accounts = res.accounts;
+  cache.transfers.push(res.transfer);
+  cache.transfers.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return res.transfer;
+}
+
+// Today's market value of an investment account; the server works out the
+// gain or loss since the last update.
+export async function addValuation(accountId, value) {
+  const res = await enqueue('POST', `/accounts/${encodeURIComponent(accountId)}/valuations`, { value });
+  cache.accounts = res.accounts;
+  cache.balance = Number(res.balance) || 0;
+  cache.valuations.push(res.valuation);
+  return res.valuation;
+}
+
+/* ---------------------------------- Goals ---------------------------------- */
+
+export async function addGoal(goal) {
+  const saved = await enqueue('POST', '/goals', goal);
+  cache.goals.push(saved);
+  return saved;
+}
+
+export async function deleteGoal(goalId) {
+  await enqueue('DELETE', `/goals/${encodeURIComponent(goalId)}`);
+  cache.goals = cache.goals.filter(g => g.id !== goalId);
+}
+
+// Sets aside `amount` of the current balance for the goal (negative releases).
+export async function allocateToGoal(goalId, amount) {
+  const saved = await enqueue('POST', `/goals/${encodeURIComponent(goalId)}/allocate`, { amount });
+  cache.goals = cache.goals.map(g => (g.id === goalId ? saved : g));
+  return saved;
+}
+
+/* ---------------------------------- Debts ---------------------------------- */
+
+export async function addDebt(debt) {
+  const saved = await enqueue('POST', '/debts', debt);
+  cache.debts.push(saved);
+  return saved;
+}
+
+export async function updateDebt(debtId, patch) {
+  const saved = await enqueue('PUT', `/debts/${encodeURIComponent(debtId)}`, patch);
+  cache.debts = cache.debts.map(d => (d.id === debtId ? saved : d));
+  return saved;
+}
+
+export async function deleteDebt(debtId) {
+  await enqueue('DELETE', `/debts/${encodeURIComponent(debtId)}`);
+  cache.debts = cache.debts.filter(d => d.id !== debtId);
+}
+
+// Avalanche vs. snowball schedules (see lib/payoff.js); nothing is saved.
+export async function getPayoffPlan(extraMonthly = 0) {
+  await queue;
+  return request('GET', profileUrl(`/debts/plan?extra=${encodeURIComponent(extraMonthly)}`));
+}
+
+/* --------------------------------- Backup ---------------------------------- */
+
+// The whole active profile as a versioned backup (see lib/backup.js).
+export async function exportBackup() {
+  await queue;
+  return request('GET', profileUrl('/backup'));
+}
+
+// 'replace' or 'merge' the active profile with a backup; the server checks
+// and migrates it, and the profile is re-read as it came back.
+export async function restoreBackup(backup, mode) {
+  const profile = await enqueue('POST', '/restore', { backup, mode });
+  applyProfile(profile);
+  lastAction = null;
+  return cache;
+}
+
+/* -------------------------------- Timeline --------------------------------- */
+
+// Health, state, balance and monthly spend per 'day' | 'week' | 'month' (see
+// scoring.timelineSeries); read once pending writes have landed.
+export async function getTimeline(zoom = 'day') {
+  await queue;
+  const res = await request('GET', profileUrl(`/timeline?zoom=${encodeURIComponent(zoom)}`));
+  return res.buckets;
+}
+
+/* ---------------------------------- Chat ----------------------------------- */
+
+// Asks Penny about this profile's money (see lib/chat.js); she answers from
+// the ledger once pending writes have landed. Resolves to
+// { reply, source, persona, history }.
+export async function askPenny(message, { language, persona } = {}) {
+  await queue;
+  return request('POST', '/chat', { profileId, message, language, persona });
+}
+
+// The conversation so far, which the server keeps for a while per profile.
+export async function getChatHistory() {
+  const res = await request('GET', `/chat/${encodeURIComponent(profileId)}`);
+  return res.history;
+}
+
+export async function clearChat() {
+  await request('DELETE', `/chat/${encodeURIComponent(profileId)}`);
+}
+
+// Only the server can wipe the profile, so offline this throws and nothing
+// changes. Writes still waiting in the outbox belong to the old profile and
+// are dropped with it.
+export async function resetProfile() {
+  const profile = await enqueue('POST', '/reset');
+  writeOutbox([]);
+  lastAction = null;
+  applyProfile(profile);
+  return cache;
+}
@@ -0,0 +1,72 @@
+/* ===== Penny's voices (shared by server.js and the browser) =====
+ *
+ * How Penny talks: each persona is one set of instructions for the model
+ * (`voice`, always in English; the language is asked for separately) and the
+ * matching clean-up rules gemini-service.js applies to whatever comes back
+ * (`keep`), so the prompt and the post-processing never pull against each
+ * other. Node loads it with require('./public/personas'); the page loads it
+ * as a classic <script>, which exposes window.PennyPersonas.
+ *
+ * keep: emoji    emojis stay
+ *       symbols  %, ~, ≤, ≥ and "/mo" stay (otherwise they become words)
+ *       jargon   DTI, runway, ratio stay (otherwise they become plain words)
+ *       labels   the "Good:" / "Fix:" / "Goal:" prefixes stay
+ * Names shown in the picker are `persona.<key>` in public/locales/.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.PennyPersonas = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const PERSONAS = [
+    {
+      key: 'kid',
+      voice: [
+        'You are Penny, a kind money helper in a pet game. Speak so a ten year old understands.',
+        'Use short full sentences with one clear number each. No emojis, no symbols like % or /, no hard words like ratio, runway or DTI.'
+      ],
+      keep: { emoji: false, symbols: false, jargon: false, labels: false }
+    },
+    {
+      key: 'casual',
+      voice: [
+        'You are Penny, a money pet with a casual Gen Z voice: playful, upbeat, a little slangy, never mean.',
+        'Use 1 emoji per line. Max ~60 chars per bullet. No hashtags. Say things plainly, no finance jargon.'
+      ],
+      keep: { emoji: true, symbols: true, jargon: false, labels: false }
+    },
+    {
+      key: 'plain',
+      voice: [
+        'You are a clear, friendly financial adviser talking to an adult.',
+        'Use real numbers and percentages. No emojis, no slang. Max ~80 chars per bullet.'
+      ],
+      keep: { emoji: false, symbols: true, jargon: true, labels: true }
+    },
+    {
+      key: 'coach',
+      voice: [
+        'You are a blunt money coach. Be direct and specific; no sugarcoating, no pep talk.',
+        'Lead with the number, then the order. Real percentages. No emojis. Max ~60 chars per bullet.'
+      ],
+      keep: { emoji: false, symbols: true, jargon: true, labels: true }
+    }
+  ];
+  // Kid sentences were Penny's only voice before personas existed
+  const DEFAULT_PERSONA = 'kid';
+
+  function isPersona(key) {
+    return PERSONAS.some(p => p.key === key);
+  }
+
+  const personaOf = key => PERSONAS.find(p => p.key === key) || PERSONAS.find(p => p.key === DEFAULT_PERSONA);
+
+  return {
+    PERSONAS,
+    DEFAULT_PERSONA,
+    isPersona,
+    personaOf
+  };
+});
@@ -0,0 +1,122 @@
+// public/progress.js
+// Penny's level, XP bar and achievements on the pet view, and her evolved
+// form and accessories on the sprite (see progression.js for how XP is
+// earned). script.js saves the progress with the pet state and lets Penny
+// cheer whatever progressMessage() says is new.
+
+import { getLedger, getFinancial, getBalance, getGoals, getDebts, getPetState, getSettings } from './penny-store.js';
+import { ACHIEVEMENTS, ACCESSORIES, MILESTONE_CURRENCY, progressStats, progressOf } from './progression.js';
+import { money } from './currency.js';
+import { currentLanguage, t } from './lang.js';
+
+// Progress as of now on top of the saved pet state's; `needs` (see needs.js)
+// supplies the check-in days and the best check-in streak.
+export function currentProgress(now = new Date(), needs = getPetState()?.needs) {
+  const stats = progressStats({
+    ...getLedger(),
+    financial: getFinancial(),
+    settings: getSettings(),
+    needs,
+    balance: getBalance(),
+    goals: getGoals(),
+    debts: getDebts()
+  }, now);
+  return progressOf({ ...stats, bestCheckInStreak: +needs?.bestStreak || 0 }, getPetState()?.progress, now);
+}
+
+const achievementAmount = a => (a.amount ? { amount: money(a.amount, MILESTONE_CURRENCY, true) } : undefined);
+const achievementName = a => t(`achievement.${a.key}`, achievementAmount(a));
+const accessoryName = key => {
+  const a = ACCESSORIES.find(x => x.key === key);
+  return `${a.emoji} ${t(`accessory.${key}`)}`;
+};
+
+// What Penny says about a level reached or achievements unlocked just now,
+// or null when there is nothing new.
+export function progressMessage(progress) {
+  const lines = [];
+  if (progress.levelUp) {
+    lines.push(t('progress.levelUp', { level: progress.level }));
+    if (progress.evolved) {
+      lines.push(t('progress.evolved', { form: t(`form.${progress.form}`) }));
+    }
+    if (progress.unlocked.length) {
+      lines.push(t('progress.unlocked', { items: progress.unlocked.map(accessoryName).join(', ') }));
+    }
+  }
+  progress.fresh.forEach(key => {
+    lines.push(t('progress.achievement', { name: achievementName(ACHIEVEMENTS.find(a => a.key === key)) }));
+  });
+  return lines.length ? lines.join(' ') : null;
+}
+
+/* --------------------------------- Render ---------------------------------- */
+
+export function renderProgress(progress = currentProgress()) {
+  renderLevel(progress);
+  renderAchievements(progress);
+  dressPet(progress);
+}
+
+function renderLevel({ xp, level, levelXp, nextXp }) {
+  const label = document.getElementById('levelLabel');
+  const value = document.getElementById('xpValue');
+  const bar = document.getElementById('xpBar');
+  if (!label || !value || !bar) return;
+  label.textContent = t('progress.level', { level });
+  value.textContent = t('progress.xp', { xp, next: nextXp });
+  bar.style.width = `${Math.round(Math.min(1, Math.max(0, (xp - levelXp) / (nextXp - levelXp))) * 100)}%`;
+}
+
+function renderAchievements({ achievements }) {
+  const count = document.getElementById('achievementCount');
+  const list = document.getElementById('achievementList');
+  if (!count || !list) return;
+  const locale = getSettings().locale || currentLanguage();
+  count.textContent = `${Object.keys(achievements).length}/${ACHIEVEMENTS.length}`;
+
+  list.innerHTML = '';
+  ACHIEVEMENTS.forEach(a => {
+    const at = achievements[a.key];
+    const li = document.createElement('li');
+    li.className = 'achievement-item' + (at ? ' unlocked' : '');
+
+    const name = document.createElement('div');
+    name.className = 'achievement-name';
+    name.textContent = `${at ? '🏆' : '🔒'} ${achievementName(a)}`;
+
+    const detail = document.createElement('div');
+    detail.className = 'achievement-detail';
+    detail.textContent = at
+      ? t('progress.unlockedOn', { date: new Date(at).toLocaleDateString(locale) })
+      : t(`achievement.${a.key}.hint`, achievementAmount(a));
+
+    li.append(name, detail);
+    list.appendChild(li);
+  });
+}
+
+// The evolved form is a data-form attribute the stylesheet sizes the sprite
+// by; accessories are emoji laid over it, one per slot.
+function dressPet({ form, worn }) {
+  const pet = document.getElementById('pet');
+  if (!pet) return;
+  pet.dataset.form = form;
+  if (getComputedStyle(pet).position === 'static') pet.style.position = 'relative';
+
+  let layer = pet.querySelector('.pet-accessories');
+  if (!layer) {
+    layer = document.createElement('div');
+    layer.className = 'pet-accessories';
+    pet.appendChild(layer);
+  }
+  layer.innerHTML = '';
+  worn.forEach(key => {
+    const a = ACCESSORIES.find(x => x.key === key);
+    const span = document.createElement('span');
+    span.className = `accessory accessory-${a.slot}`;
+    span.textContent = a.emoji;
+    span.title = t(`accessory.${key}`);
+    layer.appendChild(span);
+  });
+}
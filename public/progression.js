@@ -0,0 +1,194 @@
+// public/progression.js
+// Penny growing up: XP, levels, evolved forms, accessories and achievements.
+// Pure functions, no DOM; progress.js paints them on the pet view and
+// script.js saves them with the pet state and cheers whatever is new.
+//
+// XP is earned from the ledger (amounts in the profile currency, see
+// penny-store.js getLedger), so every device works out the same number:
+//   XP_PER_ENTRY      each deposit or withdrawal logged, up to ENTRIES_PER_DAY a day
+//   XP_PER_GOOD_DAY   each finished day with an entry or a check-in on which
+//                     the month's spending was still within the monthly budget
+//   XP_PER_MILESTONE  each savings milestone: a quarter of a goal (the steps of
+//                     scoring.goalMilestone) or a SAVINGS_MILESTONES amount the
+//                     balance has reached (in MILESTONE_CURRENCY, so a profile
+//                     in yen does not pass them all on day one)
+// plus the xp of every unlocked achievement (the check-in streak ones read the
+// best streak from needs.js). Saved progress never goes back:
+// editing an entry away keeps the XP, level and achievements it earned.
+//
+// Saved with the pet state as `progress`: { xp, level, achievements: { [key]: unlockedAt } }.
+
+const { dayKey, monthKey, goalProgress, fromProfileCurrency } = window.PennyScoring;
+
+export const XP_PER_ENTRY = 5;
+export const ENTRIES_PER_DAY = 3;
+export const XP_PER_GOOD_DAY = 10;
+export const XP_PER_MILESTONE = 50;
+export const SAVINGS_MILESTONES = [100, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000];
+// What the milestones and the achievement amounts are in; a profile kept in
+// another currency reaches them at its rate for this one (one to one without).
+export const MILESTONE_CURRENCY = 'USD';
+
+// Forms Penny evolves into and what she can wear, by the level that unlocks
+// them. One accessory per slot is worn: the newest.
+export const FORMS = [
+  { key: 'baby',  level: 1 },
+  { key: 'kid',   level: 3 },
+  { key: 'teen',  level: 6 },
+  { key: 'grown', level: 10 }
+];
+export const ACCESSORIES = [
+  { key: 'bow',     level: 2,  slot: 'head', emoji: '🎀' },
+  { key: 'glasses', level: 4,  slot: 'face', emoji: '🕶️' },
+  { key: 'scarf',   level: 5,  slot: 'neck', emoji: '🧣' },
+  { key: 'hat',     level: 7,  slot: 'head', emoji: '🎩' },
+  { key: 'crown',   level: 12, slot: 'head', emoji: '👑' }
+];
+
+// Names and hints are `achievement.<key>` / `achievement.<key>.hint` in
+// public/locales/; `amount` (when there is one) fills their {amount}.
+export const ACHIEVEMENTS = [
+  { key: 'firstEntry',       xp: 20,  test: s => s.entries >= 1 },
+  { key: 'entries100',       xp: 100, test: s => s.entries >= 100 },
+  { key: 'weekUnderBudget',  xp: 50,  test: s => s.bestStreak >= 7 },
+  { key: 'monthUnderBudget', xp: 200, test: s => s.bestStreak >= 30 },
+  { key: 'saved1000',        xp: 150, amount: 1000,  test: s => s.peakBalance >= 1000 },
+  { key: 'saved10000',       xp: 400, amount: 10000, test: s => s.peakBalance >= 10000 },
+  { key: 'goalReached',      xp: 150, test: s => s.goalsDone >= 1 },
+  { key: 'debtPaidOff',      xp: 150, test: s => s.debtsPaidOff >= 1 },
+  { key: 'streak7',          xp: 70,  test: s => s.bestCheckInStreak >= 7 },
+  { key: 'streak30',         xp: 300, test: s => s.bestCheckInStreak >= 30 }
+];
+
+/* ---------------------------------- Levels ---------------------------------- */
+
+// XP needed to reach `level`: 0, 100, 300, 600, 1000, ... (each level asks
+// 100 more than the one before).
+export const xpForLevel = level => 50 * level * (level - 1);
+
+export function levelFor(xp) {
+  let level = 1;
+  while (xpForLevel(level + 1) <= xp) level++;
+  return level;
+}
+
+const formFor = level => FORMS.filter(f => f.level <= level).pop();
+
+// Keys of the accessories worn at `level`, one per slot.
+export function wornAccessories(level) {
+  const bySlot = {};
+  ACCESSORIES.filter(a => a.level <= level).forEach(a => { bySlot[a.slot] = a.key; });
+  return Object.values(bySlot);
+}
+
+/* ---------------------------------- Stats ----------------------------------- */
+
+const shiftDay = (key, by) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return dayKey(new Date(y, m - 1, d + by));
+};
+
+// The check-in days the saved needs (see needs.js) still know about: the
+// run of `streak` days up to the last check-in.
+function checkInDays(needs) {
+  const days = new Set();
+  let key = needs?.checkedInOn;
+  for (let n = +needs?.streak || 0; key && n > 0; n--, key = shiftDay(key, -1)) days.add(key);
+  return days;
+}
+
+// What the ledger has earned as of `now`:
+// { entries, loggedXp, goodDays, streak, bestStreak, peakBalance,
+//   savingsMilestones, goalMilestones, goalsDone, debtsPaidOff }
+// streak is the run of good days up to yesterday (a day nobody logged or
+// checked in on breaks it); bestStreak the longest ever. peakBalance is the
+// highest the balance has been, in MILESTONE_CURRENCY.
+export function progressStats({ financial = {}, settings, needs, balance = 0, transactions = [], goals = [], debts = [] } = {}, now = new Date()) {
+  const days = {};
+  transactions.forEach(tx => {
+    const key = dayKey(tx.createdAt);
+    const day = days[key] || (days[key] = { count: 0, spent: 0 });
+    day.count += 1;
+    if (tx.type === 'withdraw') day.spent += +tx.amount || 0;
+  });
+  const keys = Object.keys(days).sort();
+
+  // Finished days from the first entry to yesterday, against the month's budget
+  const budget = +financial.monthlyBudget || 0;
+  const today = dayKey(now);
+  const checkedIn = checkInDays(needs);
+  let goodDays = 0, streak = 0, bestStreak = 0, month = '', spent = 0;
+  if (budget > 0 && keys.length) {
+    for (let key = keys[0]; key < today; key = shiftDay(key, 1)) {
+      if (monthKey(key) !== month) { month = monthKey(key); spent = 0; }
+      spent += days[key]?.spent || 0;
+      if ((days[key] || checkedIn.has(key)) && spent <= budget) {
+        goodDays++;
+        bestStreak = Math.max(bestStreak, ++streak);
+      } else {
+        streak = 0;
+      }
+    }
+  }
+
+  const peak = transactions.reduce((max, tx) => Math.max(max, +tx.balanceAfter || 0), +balance || 0);
+  const peakBalance = fromProfileCurrency(peak, MILESTONE_CURRENCY, settings);
+  const goalList = goalProgress(goals, now).goals;
+
+  return {
+    entries: transactions.length,
+    loggedXp: keys.reduce((s, k) => s + Math.min(ENTRIES_PER_DAY, days[k].count), 0) * XP_PER_ENTRY,
+    goodDays,
+    streak,
+    bestStreak,
+    peakBalance,
+    savingsMilestones: SAVINGS_MILESTONES.filter(m => peakBalance >= m).length,
+    goalMilestones: goalList.reduce((s, g) => s + Math.floor(Math.min(1, g.pct) * 4), 0),
+    goalsDone: goalList.filter(g => g.done).length,
+    debtsPaidOff: debts.filter(d => !(+d.balance > 0)).length
+  };
+}
+
+/* --------------------------------- Progress --------------------------------- */
+
+// Progress from `stats` (progressStats plus bestCheckInStreak) on top of
+// what was saved before (`saved`, the pet state's `progress`):
+// { xp, level, levelXp, nextXp, form, worn, achievements,
+//   fresh: [achievement keys unlocked just now], levelUp: the old level or
+//   null, evolved: the new level brought a new form, unlocked: [accessory
+//   keys the new level brought] }
+export function progressOf(stats, saved, now = new Date()) {
+  const at = new Date(now).toISOString();
+  const achievements = { ...(saved?.achievements || {}) };
+  const fresh = [];
+  ACHIEVEMENTS.forEach(a => {
+    if (achievements[a.key] || !a.test(stats)) return;
+    achievements[a.key] = at;
+    fresh.push(a.key);
+  });
+
+  const earned = stats.loggedXp +
+    stats.goodDays * XP_PER_GOOD_DAY +
+    (stats.savingsMilestones + stats.goalMilestones) * XP_PER_MILESTONE +
+    ACHIEVEMENTS.filter(a => achievements[a.key]).reduce((s, a) => s + a.xp, 0);
+  const xp = Math.max(+saved?.xp || 0, earned);
+  const before = Math.max(1, +saved?.level || 1);
+  const level = Math.max(before, levelFor(xp));
+
+  return {
+    xp,
+    level,
+    levelXp: xpForLevel(level),
+    nextXp: xpForLevel(level + 1),
+    form: formFor(level).key,
+    worn: wornAccessories(level),
+    achievements,
+    fresh,
+    levelUp: level > before ? before : null,
+    evolved: formFor(level) !== formFor(before),
+    unlocked: ACCESSORIES.filter(a => a.level > before && a.level <= level).map(a => a.key)
+  };
+}
+
+// What is kept with the pet state.
+export const savedProgress = p => ({ xp: p.xp, level: p.level, achievements: p.achievements });
@@ -0,0 +1,165 @@
+// public/recurring.js
+// "Recurring" section on the Finances page: rent, paychecks, subscriptions.
+// Rules live on the server, which posts each occurrence to the ledger when it
+// falls due. runDueRecurring() asks it to do so (on open, after a profile
+// switch, hourly while the page stays open, and right after a rule is added);
+// anything posted, including catch-up for days the app was closed, goes back
+// to script.js through onPosted() so Penny can react.
+
+import {
+  getRecurring, getAccounts, addRecurring, updateRecurring, deleteRecurring, postDueRecurring
+} from './penny-store.js';
+import { selectedAccountId, accountName } from './accounts.js';
+import { accountMoney } from './currency.js';
+import { t } from './lang.js';
+
+const { categoriesFor, dayKey } = window.PennyScoring;
+
+const RUN_EVERY_MS = 60 * 60 * 1000;
+
+let onPosted = () => {};
+
+export function initRecurring(opts) {
+  onPosted = opts.onPosted;
+
+  const type = document.getElementById('recType');
+  const freq = document.getElementById('recFrequency');
+  type?.addEventListener('change', fillCategories);
+  freq?.addEventListener('change', toggleDayOfMonth);
+  document.getElementById('addRecurringBtn')?.addEventListener('click', handleAdd);
+
+  fillCategories();
+  toggleDayOfMonth();
+  resetForm();
+  setInterval(runDueRecurring, RUN_EVERY_MS);
+}
+
+// Posts whatever is due and hands new ledger entries to onPosted.
+export async function runDueRecurring() {
+  try {
+    const posted = await postDueRecurring();
+    renderRecurring();
+    if (posted.length) onPosted(posted);
+  } catch (err) {
+    console.warn('Recurring run failed:', err);
+  }
+}
+
+/* ---------------------------------- Form ----------------------------------- */
+
+function fillCategories() {
+  const select = document.getElementById('recCategory');
+  const kind = document.getElementById('recType')?.value === 'deposit' ? 'income' : 'expense';
+  if (!select) return;
+  select.innerHTML = '';
+  categoriesFor(kind).forEach(c => select.append(new Option(t(`category.${c.key}`), c.key)));
+  select.value = kind === 'income' ? 'paycheck' : 'bills';
+}
+
+function toggleDayOfMonth() {
+  const group = document.getElementById('recDayGroup');
+  if (group) group.hidden = document.getElementById('recFrequency')?.value !== 'monthly';
+}
+
+function resetForm() {
+  document.getElementById('recAmount').value = '';
+  document.getElementById('recDescription').value = '';
+  document.getElementById('recDay').value = '';
+  document.getElementById('recStart').value = dayKey(new Date());
+}
+
+async function handleAdd() {
+  const amount = parseFloat(document.getElementById('recAmount').value);
+  if (!amount || amount <= 0) {
+    alert(t('alert.amount'));
+    return;
+  }
+  const frequency = document.getElementById('recFrequency').value;
+  const day = parseInt(document.getElementById('recDay').value);
+  const rule = {
+    type: document.getElementById('recType').value,
+    amount,
+    description: document.getElementById('recDescription').value.trim(),
+    category: document.getElementById('recCategory').value,
+    frequency,
+    startDate: document.getElementById('recStart').value || dayKey(new Date())
+  };
+  const accountId = selectedAccountId('recAccount');
+  if (accountId) rule.accountId = accountId;
+  if (frequency === 'monthly' && day) rule.dayOfMonth = day;
+
+  const btn = document.getElementById('addRecurringBtn');
+  btn.disabled = true;
+  try {
+    await addRecurring(rule);
+    resetForm();
+    // A first date of today (or earlier) posts straight away
+    await runDueRecurring();
+  } catch (error) {
+    console.error('Add recurring failed:', error);
+    alert(t('alert.oops', { message: error?.message || t('recurring.saveFailed') }));
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/* ---------------------------------- List ----------------------------------- */
+
+function describeRule(r) {
+  const name = r.description || t(r.type === 'deposit' ? 'recurring.income' : 'recurring.payment');
+  const sign = r.type === 'deposit' ? '+' : '-';
+  const when = t(`recurring.${r.frequency}`, { day: r.dayOfMonth });
+  const next = r.active ? t('recurring.next', { date: r.nextDue }) : t('recurring.paused');
+  const accounts = getAccounts();
+  const where = accounts.length > 1 ? ` · ${accountName(r.accountId)}` : '';
+  const amount = accountMoney(r.amount, accounts.find(a => a.id === r.accountId) || accounts[0]);
+  return `${name}: ${sign}${amount} ${when}${where} · ${next}`;
+}
+
+export function renderRecurring() {
+  document.querySelectorAll('#recCategory option').forEach(o => { o.text = t(`category.${o.value}`); });
+  const list = document.getElementById('recurringList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  getRecurring().forEach(r => {
+    const li = document.createElement('li');
+    li.className = 'recurring-item' + (r.active ? '' : ' paused');
+
+    const text = document.createElement('span');
+    text.textContent = describeRule(r);
+
+    const pause = document.createElement('button');
+    pause.className = 'recurring-btn';
+    pause.textContent = t(r.active ? 'recurring.pause' : 'recurring.resume');
+    pause.addEventListener('click', () => handleUpdate(r.id, { active: !r.active }));
+
+    const remove = document.createElement('button');
+    remove.className = 'recurring-btn';
+    remove.textContent = '✕';
+    remove.title = t('recurring.deleteTitle');
+    remove.addEventListener('click', () => handleDelete(r));
+
+    li.append(text, pause, remove);
+    list.appendChild(li);
+  });
+}
+
+async function handleUpdate(ruleId, patch) {
+  try {
+    await updateRecurring(ruleId, patch);
+    renderRecurring();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('recurring.updateFailed') }));
+  }
+}
+
+async function handleDelete(rule) {
+  if (!confirm(t('recurring.stopConfirm', { name: rule.description || t('recurring.thisRule') }))) return;
+  try {
+    await deleteRecurring(rule.id);
+    renderRecurring();
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('recurring.deleteFailed') }));
+  }
+}
@@ -0,0 +1,829 @@
+/* ===== Penny scoring engine (shared by server.js and the browser) =====
+ *
+ * One health model for everything: /analyze on the server, the offline
+ * fallback in gemini-service.js and the deposit/withdraw updates in script.js.
+ * Node loads it with require('./public/scoring'); the page loads it as a
+ * classic <script> before the modules, which exposes window.PennyScoring.
+ *
+ * Every result carries `version`. Bump SCORING_VERSION whenever a number in
+ * here changes, so saved snapshots can always be traced back to the formula
+ * that produced them.
+ *
+ * v1  Tiered factor points (spend ratio, runway, invest rate, DTI) on a base
+ *     of 40. State is always derived from health. Optional trend inputs
+ *     (EMAs of the financial score, spending shock, volatility) nudge the
+ *     current and projected health.
+ * v2  Trend inputs come from rolling history kept between analyses
+ *     (nextTrendHistory/trendInputs): EMAs of the financial score and of
+ *     spending, plus exponentially weighted spread of spending and of the
+ *     score for the shock and volatility terms.
+ * v3  Optional category-budget factor: this calendar month's overspend across
+ *     budgeted spending categories, as a share of those budgets. Only scored
+ *     once at least one category budget is set, so other scores are unchanged.
+ * v4  Ledger inputs follow the real calendar month instead of deposit/withdraw
+ *     pairs: spending is this month's withdrawals plus the budget for the days
+ *     still ahead (or withdrawals projected to the full month without one).
+ * v5  Optional savings-goal factor: money saved toward goals vs. where a
+ *     straight line from each goal's start to its target date says it should
+ *     be by now. Only scored while there are goals.
+ * v6  Ledger inputs carry real debt: total_debt is the sum of the profile's
+ *     debt accounts (it was always 0), so DTI now counts from the ledger too.
+ * v7  Ledger savings come from the money accounts by type: runway counts
+ *     checking, savings and cash; investment accounts are the investment
+ *     balance instead of padding the runway.
+ * v8  Ledger invest rate uses recorded contributions (money moved into
+ *     investment accounts, averaged over the last three months) instead of 0.
+ *     Market gains and losses change the investment balance but are not
+ *     contributions.
+ * v9  Ledger inputs are converted into the profile currency first: accounts
+ *     kept in another currency count at the profile's exchange rates. Single
+ *     currency profiles score as before.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.PennyScoring = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const SCORING_VERSION = 9;
+
+  const STATES = ['ATROCIOUS','CRITICAL','STRUGGLING','SURVIVING','HEALTHY','THRIVING','FANTASTIC'];
+
+  // Health range of every state, worst first: min inclusive, max exclusive
+  // (FANTASTIC runs up to and including 100).
+  const STATE_BANDS = [
+    { state: 'ATROCIOUS',  min: 0,  max: 15 },
+    { state: 'CRITICAL',   min: 15, max: 30 },
+    { state: 'STRUGGLING', min: 30, max: 45 },
+    { state: 'SURVIVING',  min: 45, max: 60 },
+    { state: 'HEALTHY',    min: 60, max: 75 },
+    { state: 'THRIVING',   min: 75, max: 90 },
+    { state: 'FANTASTIC',  min: 90, max: 100 }
+  ];
+
+  const BASE_HEALTH = 40;
+
+  // Labels for ledger entries. 'expense' categories can carry a monthly
+  // budget; 'income' ones only label deposits; 'other' fits either side and
+  // is where uncategorized (e.g. imported) entries land.
+  const CATEGORIES = [
+    { key: 'paycheck',  label: 'Paycheck',  kind: 'income' },
+    { key: 'gift',      label: 'Gift',      kind: 'income' },
+    { key: 'refund',    label: 'Refund',    kind: 'income' },
+    { key: 'groceries', label: 'Groceries', kind: 'expense' },
+    { key: 'rent',      label: 'Rent',      kind: 'expense' },
+    { key: 'bills',     label: 'Bills',     kind: 'expense' },
+    { key: 'transport', label: 'Transport', kind: 'expense' },
+    { key: 'dining',    label: 'Dining',    kind: 'expense' },
+    { key: 'fun',       label: 'Fun',       kind: 'expense' },
+    { key: 'shopping',  label: 'Shopping',  kind: 'expense' },
+    { key: 'health',    label: 'Health',    kind: 'expense' },
+    { key: 'debt',      label: 'Debt',      kind: 'expense' },
+    { key: 'other',     label: 'Other',     kind: 'any' }
+  ];
+  const DEFAULT_CATEGORY = 'other';
+
+  // Money accounts. Liquid ones count toward the savings runway; investment
+  // accounts are the investment balance.
+  const ACCOUNT_TYPES = [
+    { key: 'checking',   label: 'Checking',   liquid: true },
+    { key: 'savings',    label: 'Savings',    liquid: true },
+    { key: 'cash',       label: 'Cash',       liquid: true },
+    { key: 'investment', label: 'Investment', liquid: false }
+  ];
+
+  // Each metric is judged against ordered tiers. For 'lower' metrics a tier
+  // applies when value <= limit; for 'higher' metrics when value >= limit.
+  // The last tier (limit null) catches everything else.
+  const FACTORS = [
+    {
+      key: 'budget', label: 'Spending vs income', metric: 'budget_ratio', unit: 'percent', better: 'lower',
+      tiers: [
+        { limit: 0.80, points: 15 },
+        { limit: 0.90, points: 5 },
+        { limit: 1.10, points: -10 },
+        { limit: 1.50, points: -25 },
+        { limit: null, points: -40 }
+      ]
+    },
+    {
+      key: 'runway', label: 'Savings runway', metric: 'runway_months', unit: 'months', better: 'higher',
+      tiers: [
+        { limit: 6, points: 20 },
+        { limit: 3, points: 10 },
+        { limit: 2, points: 5 },
+        { limit: 1, points: -10 },
+        { limit: 0.5, points: -25 },
+        { limit: null, points: -35 }
+      ]
+    },
+    {
+      key: 'invest', label: 'Investing rate', metric: 'invest_rate', unit: 'percent', better: 'higher',
+      tiers: [
+        { limit: 0.12, points: 10 },
+        { limit: 0.10, points: 5 },
+        { limit: 0.05, points: 2 },
+        { limit: null, points: 0 }
+      ]
+    },
+    {
+      key: 'debt', label: 'Debt vs income', metric: 'dti', unit: 'percent', better: 'lower',
+      tiers: [
+        { limit: 0.40, points: 10 },
+        { limit: 0.60, points: 5 },
+        { limit: 1.20, points: -10 },
+        { limit: null, points: -20 }
+      ]
+    },
+    {
+      // optional: left out entirely until the metric exists (category budgets set)
+      key: 'categories', label: 'Category budgets', metric: 'category_overspend', unit: 'percent', better: 'lower',
+      optional: true,
+      tiers: [
+        { limit: 0, points: 5 },
+        { limit: 0.10, points: -5 },
+        { limit: 0.25, points: -10 },
+        { limit: null, points: -20 }
+      ]
+    },
+    {
+      key: 'goals', label: 'Savings goals on pace', metric: 'goal_pace', unit: 'percent', better: 'higher',
+      optional: true,
+      tiers: [
+        { limit: 1, points: 5 },
+        { limit: 0.75, points: 0 },
+        { limit: 0.5, points: -5 },
+        { limit: null, points: -10 }
+      ]
+    }
+  ];
+
+  /* ------------------------------- Helpers -------------------------------- */
+
+  function clamp01(x) { return Math.min(1, Math.max(0, x)); }
+
+  function clamp0to100(x) {
+    const n = Number(x);
+    if (!Number.isFinite(n)) return 50;
+    return Math.max(0, Math.min(100, Math.round(n)));
+  }
+
+  function toAllowedState(s) {
+    const up = String(s || '').toUpperCase();
+    return STATES.includes(up) ? up : 'SURVIVING';
+  }
+
+  function stateFromHealth(h) {
+    const n = Number(h);
+    if (!Number.isFinite(n)) return 'SURVIVING';
+    return (STATE_BANDS.find(b => n < b.max) || STATE_BANDS[STATE_BANDS.length - 1]).state;
+  }
+
+  const finite = x => Number.isFinite(x);
+
+  /* ------------------------------- Metrics -------------------------------- */
+
+  function computeMetrics(inputs) {
+    const inc  = +inputs.monthly_income      || 0;
+    const sp   = +inputs.monthly_spending    || 0;
+    const sav  = +inputs.total_savings       || 0;
+    const debt = +inputs.total_debt          || 0;
+    const invM = +inputs.monthly_investments || 0;
+    const invB = +inputs.investment_balance  || 0;
+    const over = inputs.category_overspend;
+    const pace = inputs.goal_pace;
+
+    // exact math (no rounding for decisions)
+    const budget_ratio  = inc > 0 ? sp / inc : Number.POSITIVE_INFINITY;
+    const runway_months = sp > 0 ? sav / sp : (sav > 0 ? 99.999 : 0);
+    const invest_rate   = inc > 0 ? invM / inc : 0;
+    const dti           = inc > 0 ? debt / inc : (debt > 0 ? Number.POSITIVE_INFINITY : 0);
+
+    // null (not NaN/0) when no category budgets are set, so the factor is skipped
+    const optional = x => (x === null || x === undefined || x === '' || !finite(+x) ? null : Math.max(0, +x));
+    const category_overspend = optional(over);
+    const goal_pace = optional(pace);
+
+    return { budget_ratio, runway_months, invest_rate, dti, category_overspend, goal_pace, inc, sp, sav, debt, invM, invB };
+  }
+
+  function pickTier(factor, value) {
+    const tiers = factor.tiers;
+    for (let i = 0; i < tiers.length; i++) {
+      const t = tiers[i];
+      if (t.limit === null) return i;
+      if (factor.better === 'lower' ? value <= t.limit : value >= t.limit) return i;
+    }
+    return tiers.length - 1;
+  }
+
+  // Per factor: the points it contributed, the tier it landed in, every
+  // threshold it was judged against, and the next tier up (null at the top).
+  function scoreFactors(m) {
+    return FACTORS.filter(f => !f.optional || m[f.metric] !== null).map(f => {
+      const value = m[f.metric];
+      const tier = pickTier(f, value);
+      const points = f.tiers[tier].points;
+      const up = tier > 0 ? f.tiers[tier - 1] : null;
+      return {
+        key: f.key,
+        label: f.label,
+        metric: f.metric,
+        unit: f.unit,
+        better: f.better,
+        value,
+        points,
+        tier,
+        limit: f.tiers[tier].limit,
+        thresholds: f.tiers.map(t => ({ limit: t.limit, points: t.points })),
+        next: up ? { limit: up.limit, points: up.points, gain: up.points - points } : null
+      };
+    });
+  }
+
+  /* -------------------------------- Trend --------------------------------- */
+
+  // F is the financial score in 0..1. Prev values come from earlier analyses;
+  // when they are missing the trend terms are neutral and the EMAs seed
+  // themselves from this call.
+  function computeTrend(F, inputs, sp) {
+    const shortPrev = +inputs.shortEmaPrev;
+    const longPrev  = +inputs.longEmaPrev;
+    const spendPrev = +inputs.spendEmaPrev;
+    const spendStd  = +inputs.spendStdDev;
+    const vol       = +inputs.fVolatility;
+
+    const shortEma = finite(shortPrev) ? 0.5*F + 0.5*shortPrev : F;
+    const longEma  = finite(longPrev)  ? 0.1*F + 0.9*longPrev  : F;
+    const T = (finite(shortPrev) && finite(longPrev)) ? Math.tanh((shortEma - longEma) / 0.10) : 0;
+
+    const spendEma = finite(spendPrev) ? 0.3*sp + 0.7*spendPrev : sp;
+    let shock = 0;
+    if (finite(spendPrev) && finite(spendStd) && spendStd > 0) {
+      const z = (sp - spendEma) / spendStd;
+      shock = clamp01((z - 1.5) / 3.0);
+    }
+    // An improving trend softens a spending shock; a falling one amplifies it.
+    shock = clamp01(T >= 0 ? shock * (1 - 0.7*T) : shock * (1 + 0.7*Math.abs(T)));
+
+    const stability = finite(vol) ? Math.exp(-(vol / 0.15)) : 1;
+
+    return { shortEma, longEma, spendEma, trend: T, shock, stability };
+  }
+
+  /* -------------------------------- Score --------------------------------- */
+
+  // Returns { version, state, health, baseHealth, currentHappiness,
+  // projectedHappiness, metrics, factors, breakdown, trend }. breakdown is the
+  // explainable part: base + factor points (capped to 0..100) + trendPoints = health.
+  //
+  // inputs: { monthly_income, monthly_spending, total_savings, total_debt,
+  //           monthly_investments, investment_balance, category_overspend?, goal_pace?,
+  //           shortEmaPrev?, longEmaPrev?, spendEmaPrev?, spendStdDev?, fVolatility? }
+  function score(inputs) {
+    const m = computeMetrics(inputs || {});
+    const factors = scoreFactors(m);
+    const base = clamp0to100(BASE_HEALTH + factors.reduce((s, f) => s + f.points, 0));
+    const F = base / 100;
+
+    const t = computeTrend(F, inputs || {}, m.sp);
+    const now  = 100 * clamp01(F + 0.10*t.trend - 0.15*t.shock - 0.10*(1 - t.stability));
+    const proj = 100 * clamp01(F + 0.25*t.trend - 0.25*t.shock);
+
+    const health = clamp0to100(now);
+    return {
+      version: SCORING_VERSION,
+      state: stateFromHealth(health),
+      health,
+      baseHealth: base,
+      currentHappiness: health,
+      projectedHappiness: clamp0to100(proj),
+      metrics: m,
+      factors,
+      breakdown: { base: BASE_HEALTH, factors, trendPoints: health - base, health },
+      trend: t
+    };
+  }
+
+  /* ---------------------------- Trend history ----------------------------- */
+
+  // History kept between analyses (the server stores one per profile):
+  // { shortEma, longEma, spendEma, spendVar, lastF, fVar, samples, updatedAt }
+  // Spreads need two samples before they mean anything.
+  function trendInputs(history) {
+    const h = history || {};
+    const ready = (h.samples || 0) >= 2;
+    return {
+      shortEmaPrev: finite(h.shortEma) ? h.shortEma : NaN,
+      longEmaPrev:  finite(h.longEma)  ? h.longEma  : NaN,
+      spendEmaPrev: finite(h.spendEma) ? h.spendEma : NaN,
+      spendStdDev:  ready && finite(h.spendVar) ? Math.sqrt(h.spendVar) : NaN,
+      fVolatility:  ready && finite(h.fVar)     ? Math.sqrt(h.fVar)     : NaN
+    };
+  }
+
+  // Folds one scored analysis into the history. Variances are exponentially
+  // weighted (0.3 new / 0.7 old) so old months fade out.
+  function nextTrendHistory(history, scored) {
+    const h = history || {};
+    const F = scored.baseHealth / 100;
+    const sp = scored.metrics.sp;
+
+    const spendDev = finite(h.spendEma) ? sp - h.spendEma : 0;
+    const fDelta   = finite(h.lastF)    ? F - h.lastF     : 0;
+
+    return {
+      shortEma: scored.trend.shortEma,
+      longEma:  scored.trend.longEma,
+      spendEma: scored.trend.spendEma,
+      spendVar: finite(h.spendVar) ? 0.7*h.spendVar + 0.3*spendDev*spendDev : 0,
+      lastF:    F,
+      fVar:     finite(h.fVar) ? 0.7*h.fVar + 0.3*fDelta*fDelta : 0,
+      samples:  (h.samples || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // Compact, UI-friendly view of the trend terms of a score() result.
+  function summarizeTrend(scored, history) {
+    const t = scored.trend;
+    return {
+      direction: t.trend > 0.05 ? 'up' : t.trend < -0.05 ? 'down' : 'flat',
+      strength: t.trend,
+      shock: t.shock,
+      stability: t.stability,
+      samples: (history && history.samples) || 0
+    };
+  }
+
+  /* ---------------------------- Calendar days ----------------------------- */
+
+  // Ledger entries are grouped by the local calendar day/month they happened
+  // on (the browser's time zone in the page, the server's in Node).
+  const pad2 = n => String(n).padStart(2, '0');
+
+  function dayKey(d) {
+    const x = new Date(d);
+    return `${x.getFullYear()}-${pad2(x.getMonth() + 1)}-${pad2(x.getDate())}`;
+  }
+
+  function monthKey(d) {
+    return dayKey(d).slice(0, 7);
+  }
+
+  // The calendar month containing `now` (default: today), from the ledger:
+  // { month: 'YYYY-MM', daysInMonth, daysElapsed, activeDays, deposits,
+  //   withdrawals, today: { deposits, withdrawals },
+  //   days: { 'YYYY-MM-DD': { deposits, withdrawals, count } } }
+  // daysElapsed counts `now`'s own day, so it is 1 on the 1st.
+  function monthSummary(transactions, now) {
+    const ref = now ? new Date(now) : new Date();
+    const month = monthKey(ref);
+    const today = dayKey(ref);
+    const out = {
+      month,
+      daysInMonth: new Date(ref.getFullYear(), ref.getMonth() + 1, 0).getDate(),
+      daysElapsed: ref.getDate(),
+      activeDays: 0,
+      deposits: 0,
+      withdrawals: 0,
+      today: { deposits: 0, withdrawals: 0 },
+      days: {}
+    };
+    (transactions || []).forEach(tx => {
+      const key = dayKey(tx.createdAt);
+      if (key.slice(0, 7) !== month) return;
+      const amt = +tx.amount || 0;
+      const field = tx.type === 'deposit' ? 'deposits' : 'withdrawals';
+      const day = out.days[key] || (out.days[key] = { deposits: 0, withdrawals: 0, count: 0 });
+      day[field] += amt;
+      day.count += 1;
+      out[field] += amt;
+      if (key === today) out.today[field] += amt;
+    });
+    out.activeDays = Object.keys(out.days).length;
+    return out;
+  }
+
+  /* ------------------------------ Categories ------------------------------ */
+
+  const CATEGORY_KEYS = CATEGORIES.map(c => c.key);
+
+  function isCategory(key) {
+    return CATEGORY_KEYS.includes(key);
+  }
+
+  // Categories offered for a deposit ('income') or a withdrawal ('expense').
+  function categoriesFor(kind) {
+    return CATEGORIES.filter(c => c.kind === kind || c.kind === 'any');
+  }
+
+  // Spending per expense category in the calendar month containing `now`,
+  // against the budgets ({ [key]: monthly amount }). Lists every category that
+  // has a budget or spending; `used` is spent / budget (null without a budget).
+  // overspendRatio is what scoring reads as category_overspend.
+  function categoryUsage(transactions, budgets, now) {
+    const month = monthKey(now || new Date());
+    const spent = {};
+    (transactions || []).forEach(tx => {
+      if (tx.type !== 'withdraw' || monthKey(tx.createdAt) !== month) return;
+      const key = isCategory(tx.category) ? tx.category : DEFAULT_CATEGORY;
+      spent[key] = (spent[key] || 0) + (+tx.amount || 0);
+    });
+
+    const b = budgets || {};
+    let budgetTotal = 0;
+    let overspend = 0;
+    const categories = categoriesFor('expense')
+      .map(c => {
+        const budget = +b[c.key] > 0 ? +b[c.key] : 0;
+        const s = spent[c.key] || 0;
+        if (budget) {
+          budgetTotal += budget;
+          overspend += Math.max(0, s - budget);
+        }
+        return { key: c.key, label: c.label, budget, spent: s, used: budget ? s / budget : null };
+      })
+      .filter(c => c.budget || c.spent);
+
+    return {
+      categories,
+      budgetTotal,
+      overspend,
+      overspendRatio: budgetTotal > 0 ? overspend / budgetTotal : null
+    };
+  }
+
+  /* ---------------------------- Savings goals ----------------------------- */
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const GOAL_MILESTONES = [0.25, 0.5, 0.75, 1];
+
+  // Calendar day 'YYYY-MM-DD' → local midnight
+  const fromDayKey = key => {
+    const [y, m, d] = String(key).split('-').map(Number);
+    return new Date(y, m - 1, d);
+  };
+
+  // Progress of every goal as of `now`. Goals: [{ id, name, target,
+  // targetDate: 'YYYY-MM-DD', saved, createdAt }]. Per goal: pct, remaining,
+  // monthsLeft, monthlyNeeded (to finish on time), expected (where a straight
+  // line from createdAt to targetDate puts it today) and onTrack. `nearest` is
+  // the unfinished goal due soonest; `pace` (saved / expected across goals,
+  // capped at 2; null without goals) is what scoring reads as goal_pace.
+  function goalProgress(goals, now) {
+    const ref = now ? new Date(now) : new Date();
+    const today = fromDayKey(dayKey(ref));
+    let saved = 0;
+    let expected = 0;
+
+    const list = (goals || []).map(g => {
+      const target = Math.max(0, +g.target || 0);
+      const have = Math.min(target, Math.max(0, +g.saved || 0));
+      const start = fromDayKey(dayKey(g.createdAt || ref));
+      const end = fromDayKey(g.targetDate);
+      const span = end - start;
+      const elapsed = span > 0 ? clamp01((today - start) / span) : 1;
+      const daysLeft = Math.max(0, Math.round((end - today) / DAY_MS));
+      const monthsLeft = daysLeft / (365.25 / 12);
+      const remaining = target - have;
+      const exp = target * elapsed;
+      saved += have;
+      expected += exp;
+      return {
+        id: g.id,
+        name: g.name,
+        target,
+        saved: have,
+        targetDate: g.targetDate,
+        pct: target > 0 ? have / target : 1,
+        remaining,
+        done: remaining <= 0,
+        daysLeft,
+        monthsLeft,
+        // Due this month (or overdue): everything left is needed now
+        monthlyNeeded: remaining <= 0 ? 0 : remaining / Math.max(1, monthsLeft),
+        expected: exp,
+        onTrack: have >= exp - 0.005
+      };
+    });
+
+    const open = list.filter(g => !g.done).sort((a, b) => a.targetDate.localeCompare(b.targetDate));
+    return {
+      goals: list,
+      nearest: open[0] || null,
+      pace: !list.length ? null : expected > 0 ? Math.min(2, saved / expected) : 1
+    };
+  }
+
+  // The highest milestone (0.25, 0.5, 0.75 or 1) crossed going from
+  // `before` to `after` saved toward `target`, or null.
+  function goalMilestone(before, after, target) {
+    if (!(target > 0)) return null;
+    const crossed = GOAL_MILESTONES.filter(m => before / target < m && after / target >= m);
+    return crossed.length ? crossed[crossed.length - 1] : null;
+  }
+
+  /* -------------------------------- Debts --------------------------------- */
+
+  // Sum of what is still owed across debt accounts ({ balance }).
+  function totalDebt(debts) {
+    return (debts || []).reduce((s, d) => s + (Math.max(0, +d.balance) || 0), 0);
+  }
+
+  /* ------------------------------- Accounts ------------------------------- */
+
+  const isAccountType = key => ACCOUNT_TYPES.some(t => t.key === key);
+  const isLiquidType = key => ACCOUNT_TYPES.some(t => t.key === key && t.liquid);
+
+  // Balances by what the money can do: { liquid, invested, total }.
+  function accountTotals(accounts) {
+    const out = { liquid: 0, invested: 0, total: 0 };
+    (accounts || []).forEach(a => {
+      const bal = +a.balance || 0;
+      if (isLiquidType(a.type)) out.liquid += bal;
+      else out.invested += bal;
+      out.total += bal;
+    });
+    return out;
+  }
+
+  /* ----------------------------- Investments ------------------------------ */
+
+  const CONTRIBUTION_WINDOW_DAYS = 90;   // "monthly" contributions = last 3 months / 3
+
+  // Investment accounts split into what was put in and what the market did.
+  // Contributions are money moving into an investment account (a transfer in
+  // or a deposit straight into it; moving money out counts negative).
+  // Valuations ({ accountId, value, gain }) record the market: each one's gain
+  // is the new value minus the balance just before it. So for every account
+  //   value = contributed + gain
+  // which also covers whatever it started with (counted as contributed).
+  //
+  // Returns { value, contributed, gain, monthlyContributions,
+  //           accounts: [{ id, name, value, contributed, gain, gainPct, lastValued }] }
+  function investmentSummary({ accounts = [], transactions = [], transfers = [], valuations = [], now } = {}) {
+    const list = accounts.filter(a => !isLiquidType(a.type));
+    const ids = new Set(list.map(a => a.id));
+    const ref = now ? new Date(now) : new Date();
+    const since = ref.getTime() - CONTRIBUTION_WINDOW_DAYS * DAY_MS;
+
+    let recent = 0;
+    const flow = (accountId, amount, createdAt) => {
+      if (ids.has(accountId) && Date.parse(createdAt) >= since) recent += amount;
+    };
+    transactions.forEach(tx => flow(tx.accountId, tx.type === 'deposit' ? +tx.amount : -tx.amount, tx.createdAt));
+    transfers.forEach(t => {
+      // Moves between two investment accounts cancel out
+      flow(t.to, +t.amount, t.createdAt);
+      flow(t.from, -t.amount, t.createdAt);
+    });
+
+    const out = list.map(a => {
+      const mine = valuations.filter(v => v.accountId === a.id);
+      const value = +a.balance || 0;
+      const gain = mine.reduce((s, v) => s + (+v.gain || 0), 0);
+      const contributed = value - gain;
+      return {
+        id: a.id,
+        name: a.name,
+        value,
+        contributed,
+        gain,
+        gainPct: contributed > 0 ? gain / contributed : null,
+        lastValued: mine.length ? mine[mine.length - 1].createdAt : null
+      };
+    });
+    const sum = key => out.reduce((s, a) => s + a[key], 0);
+    return {
+      value: sum('value'),
+      contributed: sum('contributed'),
+      gain: sum('gain'),
+      monthlyContributions: Math.max(0, recent) / (CONTRIBUTION_WINDOW_DAYS / 30),
+      accounts: out
+    };
+  }
+
+  // Maps the deposit/withdraw ledger onto the same inputs as /analyze, so the
+  // bar moves by the same rules whether Penny was fed or a transaction logged.
+  // Everything is read from the calendar month containing `now`:
+  //   income   = monthly earnings (or deposits so far projected to the month)
+  //   spending = withdrawals so far + the budget for the rest of the month
+  //              (withdrawals projected to the month when there is no budget)
+  //   savings  = checking + savings + cash accounts (the whole balance when
+  //              no accounts are given)
+  //   invested = investment accounts
+  //   investing = contributions to them per month (last three months)
+  //   debt     = what is still owed across the debt accounts
+  //   (all in the profile currency; see inProfileCurrency)
+  //   category overspend from this month's categorized withdrawals
+  //   goal pace from the savings goals
+  function inputsFromLedger({
+    financial = {}, balance = 0, accounts = [], transactions = [], transfers = [], valuations = [],
+    goals = [], debts = [], settings, now
+  } = {}) {
+    ({ accounts, transactions, transfers, valuations } = inProfileCurrency({ accounts, transactions, transfers, valuations, settings }));
+    const money = accounts.length ? accountTotals(accounts) : { liquid: +balance || 0, invested: 0 };
+    const month = monthSummary(transactions, now);
+    const share = month.daysElapsed / month.daysInMonth;   // of the month behind us
+
+    const earnings = +financial.monthlyEarnings || 0;
+    const budget = +financial.monthlyBudget || 0;
+
+    let spending = budget;
+    if (month.withdrawals > 0) {
+      spending = budget > 0 ? month.withdrawals + budget * (1 - share) : month.withdrawals / share;
+    }
+
+    return {
+      monthly_income: earnings > 0 ? earnings : month.deposits / share,
+      monthly_spending: spending,
+      total_savings: money.liquid,
+      total_debt: totalDebt(debts),
+      monthly_investments: investmentSummary({ accounts, transactions, transfers, valuations, now }).monthlyContributions,
+      investment_balance: money.invested,
+      category_overspend: categoryUsage(transactions, financial.categoryBudgets, now).overspendRatio,
+      goal_pace: goalProgress(goals, now).pace
+    };
+  }
+
+  /* -------------------------------- Money --------------------------------- */
+
+  // Currencies a profile or account can be kept in, with the words Penny's
+  // sentences use for amounts ("1 euro", "40 euros").
+  const CURRENCIES = [
+    { code: 'USD', one: 'dollar',            many: 'dollars' },
+    { code: 'EUR', one: 'euro',              many: 'euros' },
+    { code: 'GBP', one: 'pound',             many: 'pounds' },
+    { code: 'JPY', one: 'yen',               many: 'yen' },
+    { code: 'CAD', one: 'Canadian dollar',   many: 'Canadian dollars' },
+    { code: 'AUD', one: 'Australian dollar', many: 'Australian dollars' },
+    { code: 'CHF', one: 'Swiss franc',       many: 'Swiss francs' },
+    { code: 'SEK', one: 'Swedish krona',     many: 'Swedish kronor' },
+    { code: 'INR', one: 'rupee',             many: 'rupees' },
+    { code: 'MXN', one: 'peso',              many: 'pesos' },
+    { code: 'BRL', one: 'real',              many: 'reais' },
+    { code: 'CNY', one: 'yuan',              many: 'yuan' }
+  ];
+  const DEFAULT_CURRENCY = 'USD';
+
+  function isCurrency(code) {
+    return CURRENCIES.some(c => c.code === code);
+  }
+
+  // Money settings kept with the profile:
+  //   { currency, locale ('' = the browser's), rates: { [code]: value of one
+  //     unit in `currency` } }
+  // Totals, goals, debts and health are all in `currency`; an amount in a
+  // currency without a rate counts one to one.
+  function toProfileCurrency(amount, code, settings) {
+    const rate = +settings?.rates?.[code];
+    if (!code || code === (settings?.currency || DEFAULT_CURRENCY) || !(rate > 0)) return amount;
+    return amount * rate;
+  }
+
+  function fromProfileCurrency(amount, code, settings) {
+    const rate = +settings?.rates?.[code];
+    if (!code || code === (settings?.currency || DEFAULT_CURRENCY) || !(rate > 0)) return amount;
+    return amount / rate;
+  }
+
+  // True when a profile has money a new profile currency would have to
+  // convert (entries, balances, schedules, goals, debts or monthly finances),
+  // so switching needs the old currency's rate.
+  function holdsMoney({ financial = {}, accounts = [], transactions = [], recurring = [], goals = [], debts = [] } = {}) {
+    return transactions.length > 0 || recurring.length > 0 || goals.length > 0 || debts.length > 0 ||
+      accounts.some(a => +a.balance) ||
+      [financial.initialBalance, financial.monthlyEarnings, financial.monthlyBudget].some(x => +x) ||
+      Object.keys(financial.categoryBudgets || {}).length > 0;
+  }
+
+  // The ledger with every amount and balance in the profile currency. Entries
+  // are in their account's currency (the profile's when it has none) and
+  // transfers in the sending account's. Hands back the same lists when every
+  // account already is in the profile currency.
+  function inProfileCurrency({ accounts = [], transactions = [], transfers = [], valuations = [], settings, ...rest } = {}) {
+    const base = settings?.currency || DEFAULT_CURRENCY;
+    const currencyOf = id => (accounts.find(a => a.id === id) || accounts[0])?.currency || base;
+    if (accounts.every(a => (a.currency || base) === base)) return { accounts, transactions, transfers, valuations, settings, ...rest };
+
+    const conv = (x, id) => toProfileCurrency(x, currencyOf(id), settings);
+    return {
+      ...rest,
+      settings,
+      accounts: accounts.map(a => ({ ...a, balance: conv(a.balance, a.id), currency: base })),
+      transactions: transactions.map(t => ({ ...t, amount: conv(t.amount, t.accountId) })),
+      transfers: transfers.map(t => ({ ...t, amount: conv(t.amount, t.from) })),
+      valuations: valuations.map(v => ({ ...v, value: conv(v.value, v.accountId), gain: conv(v.gain, v.accountId) }))
+    };
+  }
+
+  const moneyFormats = new Map();
+
+  // "$1,234.50", "1.234,50 €", "¥1,235" in `locale` (the runtime's when
+  // empty or unknown). `whole` drops the cents.
+  function formatMoney(amount, code, locale, whole) {
+    const currency = isCurrency(code) ? code : DEFAULT_CURRENCY;
+    const key = `${locale || ''}|${currency}|${whole ? 1 : 0}`;
+    let format = moneyFormats.get(key);
+    if (!format) {
+      const opts = { style: 'currency', currency, ...(whole ? { maximumFractionDigits: 0, minimumFractionDigits: 0 } : {}) };
+      try {
+        format = new Intl.NumberFormat(locale || undefined, opts);
+      } catch {
+        format = new Intl.NumberFormat(undefined, opts);
+      }
+      moneyFormats.set(key, format);
+    }
+    return format.format(+amount || 0);
+  }
+
+  // "40 euros": whole units in words, for the sentences Penny says.
+  function moneyWords(amount, code) {
+    const c = CURRENCIES.find(x => x.code === code) || CURRENCIES[0];
+    const n = Math.max(0, Math.round(amount));
+    return `${n} ${n === 1 ? c.one : c.many}`;
+  }
+
+  /* ------------------------------- Timeline ------------------------------- */
+
+  // Buckets each zoom shows: about a month of days, half a year of weeks and
+  // two years of months.
+  const TIMELINE_ZOOMS = { day: 31, week: 26, month: 24 };
+
+  // Monday of the week containing `d`, as 'YYYY-MM-DD'.
+  function weekKey(d) {
+    const x = new Date(d);
+    x.setDate(x.getDate() - ((x.getDay() + 6) % 7));
+    return dayKey(x);
+  }
+
+  // Timeline points ({ at, health, state, balance, monthSpend }, oldest
+  // first) grouped per day, week or month, newest `limit` buckets (the zoom's
+  // default). A bucket ends as its last point did (health, state, balance and
+  // that month's spending so far) and keeps the lowest and highest health:
+  // [{ key, health, low, high, state, balance, monthSpend, count }]
+  function timelineSeries(points, zoom = 'day', limit) {
+    const keyOf = zoom === 'month' ? monthKey : zoom === 'week' ? weekKey : dayKey;
+    const buckets = [];
+    (points || []).forEach(p => {
+      const key = keyOf(p.at);
+      let b = buckets[buckets.length - 1];
+      if (!b || b.key !== key) buckets.push(b = { key, low: p.health, high: p.health, count: 0 });
+      b.health = p.health;
+      b.low = Math.min(b.low, p.health);
+      b.high = Math.max(b.high, p.health);
+      b.state = p.state;
+      b.balance = p.balance;
+      b.monthSpend = p.monthSpend;
+      b.count += 1;
+    });
+    return buckets.slice(-(limit || TIMELINE_ZOOMS[zoom] || buckets.length));
+  }
+
+  return {
+    SCORING_VERSION,
+    STATES,
+    STATE_BANDS,
+    FACTORS,
+    CATEGORIES,
+    DEFAULT_CATEGORY,
+    ACCOUNT_TYPES,
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    clamp01,
+    clamp0to100,
+    toAllowedState,
+    stateFromHealth,
+    computeMetrics,
+    scoreFactors,
+    score,
+    trendInputs,
+    nextTrendHistory,
+    summarizeTrend,
+    dayKey,
+    monthKey,
+    monthSummary,
+    isCategory,
+    categoriesFor,
+    categoryUsage,
+    goalProgress,
+    goalMilestone,
+    totalDebt,
+    isAccountType,
+    accountTotals,
+    investmentSummary,
+    inputsFromLedger,
+    isCurrency,
+    toProfileCurrency,
+    fromProfileCurrency,
+    holdsMoney,
+    inProfileCurrency,
+    formatMoney,
+    moneyWords,
+    TIMELINE_ZOOMS,
+    weekKey,
+    timelineSeries
+  };
+});
@@ -1,17 +1,41 @@
 
 // script.js
 import { analyzeFinancialData } from './gemini-service.js';
+import { initSimulator } from './simulator.js';
+import { initStatementImport } from './statement-import.js';
+import { initCategoryBudgets, renderCategoryBudgets, currentCategoryUsage } from './category-budgets.js';
+import { initRecurring, renderRecurring, runDueRecurring } from './recurring.js';
+import { initGoals, renderGoals, milestoneMessage } from './goals.js';
+import { initDebts, renderDebts } from './debts.js';
+import { initAccounts, renderAccounts, selectedAccountId } from './accounts.js';
+import { initInvestments, renderInvestments, currentInvestments } from './investments.js';
+import { initHistory, renderHistory, renderUndo } from './history.js';
+import { initTrends, renderTrends } from './trends.js';
+import { initBackup } from './backup.js';
+import {
+  initStore, switchProfile, getProfileId, resetProfile,
+  getFinancial, saveFinancial, getBalance, setBalance,
+  getPetState, savePetSnapshot, recordTransaction, getGoals, getDebts, getAccounts, getLedger, getSettings,
+  getTrendHistory, setTrendHistory
+} from './penny-store.js';
+import { initCurrency, renderCurrency, money, accountMoney } from './currency.js';
+import { initLanguage, renderLanguage, currentLanguage, t } from './lang.js';
+import { initVoice, renderVoice } from './voice.js';
+import { initChat, renderChat } from './chat.js';
+import { currentProgress, renderProgress, progressMessage } from './progress.js';
+import { savedProgress } from './progression.js';
+import { needsOf, hungerOf, targetHealth, decayedHealth, currentStreak, checkIn } from './needs.js';
+import { initOffline, renderOffline } from './offline.js';
 
 /*
- * Persistent progress helpers
+ * Calendar helpers
  *
- * We track the user's daily deposit and withdrawal activity to compute both an
- * instantaneous mood change and a longer‑term monthly health score. Each day
- * in this simplified simulation consists of one deposit and one withdrawal.
- * If an action happens twice in a row (two deposits or two withdrawals) the
- * missing counterpart is treated as zero for that day. After 30 days the
- * counters reset. Progress is stored in localStorage so it survives page
- * reloads.
+ * Every deposit and withdrawal is a timestamped ledger entry (optionally
+ * backdated from the date picker). Days and months are the user's real local
+ * calendar days and months: scoring.monthSummary groups the ledger, and the
+ * monthly health reads the current calendar month, which rolls over on the
+ * 1st. The ledger lives on the server (see penny-store.js), so it survives
+ * page reloads and follows the profile across devices.
  */
 
 // Holds the most recent analysis returned from the Gemini server. We update
@@ -28,214 +52,71 @@ let overallHealthState = null;
 window.__pennyTempSpeech = window.__pennyTempSpeech || '';
 
 
-function getProgress() {
-  return {
-    dayCount: parseInt(localStorage.getItem('dayCount')) || 0,
-    dailyDeposit: parseFloat(localStorage.getItem('dailyDeposit')) || 0,
-    dailyWithdraw: parseFloat(localStorage.getItem('dailyWithdraw')) || 0,
-    totalDeposits: parseFloat(localStorage.getItem('totalDeposits')) || 0,
-    totalWithdrawals: parseFloat(localStorage.getItem('totalWithdrawals')) || 0,
-    lastAction: localStorage.getItem('lastAction') || null
-  };
+// Health/state math lives in scoring.js (window.PennyScoring), the same engine
+// the server uses for /analyze, so the bar never disagrees with Penny's advice.
+const {
+  stateFromHealth, clamp0to100, score, inputsFromLedger, trendInputs, monthSummary, dayKey, goalProgress,
+  totalDebt, accountTotals, toProfileCurrency
+} = window.PennyScoring;
+
+// Scores the ledger: earnings vs. this calendar month's withdrawals, with the
+// checking/savings/cash accounts as savings, investment accounts as the
+// investment balance (and what went into them as monthly investing), what is
+// owed on the debt accounts, this month's
+// category overspend and savings goal pace, all in the profile currency.
+// Returns the full scoring result (health, state, version, factors).
+function scoreLedger() {
+  return score(inputsFromLedger({
+    ...getLedger(),
+    financial: getFinancialData(),
+    balance: getCurrentBalance(),
+    goals: getGoals(),
+    debts: getDebts()
+  }));
 }
 
-function saveProgress(p) {
-  localStorage.setItem('dayCount', p.dayCount);
-  localStorage.setItem('dailyDeposit', p.dailyDeposit);
-  localStorage.setItem('dailyWithdraw', p.dailyWithdraw);
-  localStorage.setItem('totalDeposits', p.totalDeposits);
-  localStorage.setItem('totalWithdrawals', p.totalWithdrawals);
-  // persist lastAction as empty string when null to avoid string 'null'
-  localStorage.setItem('lastAction', p.lastAction || '');
-}
-
-function resetProgress() {
-  const p = {
-    dayCount: 0,
-    dailyDeposit: 0,
-    dailyWithdraw: 0,
-    totalDeposits: 0,
-    totalWithdrawals: 0,
-    lastAction: null
+// The account deposits and withdrawals go to, and what `amount` of its
+// currency is worth in the profile's (for the mood ratios).
+function txAccount() {
+  const accounts = getAccounts();
+  const accountId = selectedAccountId('txAccount');
+  return accounts.find(a => a.id === accountId) || accounts[0];
+}
+const worthOf = (amount, account) => toProfileCurrency(amount, account?.currency, getSettings());
+
+// Rescores the ledger into overallAnalysis (creating a minimal one if Penny
+// hasn't been fed yet), repaints the bar and persists it. Returns the score.
+// `fed`: an entry logged by hand is behind it (a check-in, see needs.js);
+// otherwise a hungry Penny stays that much below the score.
+function refreshOverallHealth({ fed = false } = {}) {
+  const scored = scoreLedger();
+  const health = fed ? scored.health : targetHealth(scored.health, savedNeeds());
+  overallAnalysis = {
+    ...(overallAnalysis || { headline: '', advice: [], message: '' }),
+    state: stateFromHealth(health),
+    health,
+    scoringVersion: scored.version,
+    breakdown: scored.breakdown
   };
-  saveProgress(p);
-}
-
-// Converts a numeric health score (0–100) into a game state name. These
-// thresholds mirror those used on the backend. Keep in sync with
-// gemini-service.js.
-function stateFromHealth(h) {
-  const n = Number(h);
-  if (!Number.isFinite(n)) return 'SURVIVING';
-  if (n < 15) return 'ATROCIOUS';
-  if (n < 30) return 'CRITICAL';
-  if (n < 45) return 'STRUGGLING';
-  if (n < 60) return 'SURVIVING';
-  if (n < 75) return 'HEALTHY';
-  if (n < 90) return 'THRIVING';
-  return 'FANTASTIC';
-}
-
-// Computes a revised overall health score based on current balance, how much
-// has been deposited versus withdrawn over the month so far, and how those
-// numbers compare to the user's budget. The returned value is bounded
-// between 0 and 100. See README for details.
+  updatePetDisplay(overallAnalysis, false);
+  savePetState(overallAnalysis, { fed });
+  return scored;
+}
+
+// Overall health (0–100) of the ledger right now.
 function computeOverallHealth() {
-  /*
-   * The overall health score reflects both long‑term wealth accumulation and
-   * day‑to‑day budgeting habits. We start from 50 and adjust the score
-   * using several factors:
-   *   1) How much your current balance has grown or shrunk compared to
-   *      your initial balance. Large gains boost the score; large losses
-   *      lower it. This encourages building wealth over time.
-   *   2) The momentum of your deposits versus withdrawals over the entire
-   *      cycle. A net surplus adds a small bonus, while a net deficit
-   *      subtracts a small amount. This rewards consistent saving.
-   *   3) Your average net change per day relative to your earning/spending
-   *      ability. Saving more than your daily budget or earnings nudges
-   *      the score up, while spending more nudges it down.
-   *   4) Your projected monthly spending relative to your budget. Staying
-   *      under budget adds a few points; overspending takes points away.
-   */
-  const { initialBalance, monthlyBudget, monthlyEarnings } = getFinancialData();
-  const progress = getProgress();
-  const currentBal = getCurrentBalance();
-
-  // Use a small baseline to avoid divide‑by‑zero if initial balance is zero.
-  const initBal = initialBalance || 1;
-
-  // Begin from neutral midpoint.
-  let score = 50;
-
-  // 1) Balance change ratio: compute how much your current balance has
-  //    increased or decreased relative to your starting balance. We weight
-  //    this heavily because growing your nest egg is the most important
-  //    indicator of long‑term financial health. A 100% gain adds 40 points;
-  //    a 100% loss subtracts 40 points. Anything beyond ±100% is capped.
-  const balRatio = (currentBal - initialBalance) / initBal;
-  score += Math.max(-40, Math.min(40, balRatio * 50));
-
-  // 2) Momentum of deposits vs withdrawals: look at the cumulative net
-  //    deposits relative to your starting balance. This is a smaller factor
-  //    because large deposits/withdrawals already show up in the balance.
-  let netTotalRatio = (progress.totalDeposits - progress.totalWithdrawals) / initBal;
-  netTotalRatio = Math.max(-1, Math.min(1, netTotalRatio));
-  score += netTotalRatio * 10; // ±10
-
-  // 3) Average daily net change compared to your earning/spending power.
-  //    This rewards regular saving (net positive) and discourages net
-  //    withdrawals. We compare the average net change to either your daily
-  //    budget (if known) or your daily income. The effect is capped to
-  //    ±10 points.
-  const days = progress.dayCount || 1;
-  const avgNet = (progress.totalDeposits - progress.totalWithdrawals) / days;
-  let dailyRatio = 0;
-  if (monthlyBudget > 0) {
-    const dailyBudget = monthlyBudget / 30;
-    dailyRatio = avgNet / dailyBudget;
-  } else if (monthlyEarnings > 0) {
-    const dailyEarnings = monthlyEarnings / 30;
-    dailyRatio = avgNet / dailyEarnings;
-  }
-  // Clamp dailyRatio so extreme values don't dominate
-  dailyRatio = Math.max(-1, Math.min(1, dailyRatio));
-  score += dailyRatio * 10;
-
-  // 4) Projected monthly spending relative to budget. We estimate your
-  //    monthly spending based on your average daily withdrawals minus
-  //    deposits. Underspending relative to budget adds up to 10 points;
-  //    overspending subtracts up to 20 points. This keeps budgets in mind
-  //    without overwhelming the impact of actual savings.
-  if (monthlyBudget > 0) {
-    const monthlyExpectedSpending = (progress.totalWithdrawals - progress.totalDeposits) / days * 30;
-    const spendingRatio = monthlyExpectedSpending / monthlyBudget;
-    if (spendingRatio > 1) {
-      // For every 10% over budget, subtract 2 points, up to -20
-      score -= Math.min(20, (spendingRatio - 1) * 20);
-    } else {
-      // For being under budget, add up to 10 points depending on how much is saved
-      score += Math.min(10, (1 - spendingRatio) * 10);
-    }
-  }
+  return scoreLedger().health;
+}
 
-  return clamp0to100(score);
-}
-
-// When a deposit is made, update the progress tracker. Depending on the
-// previous action this may finalize a day (assigning missing values as 0) or
-// start a new day. See README for the day definition rules.
-function handleDepositProgress(amount) {
-  const p = getProgress();
-  if (p.lastAction === 'deposit') {
-    // two deposits in a row: finalize previous day with withdraw=0
-    finalizeDay(p.dailyDeposit, 0);
-    // start new day with this deposit
-    p.dailyDeposit = amount;
-    p.dailyWithdraw = 0;
-    p.lastAction = 'deposit';
-  } else if (p.lastAction === 'withdraw') {
-    // deposit completes a day after a withdrawal; deposit and previous withdraw
-    finalizeDay(amount, p.dailyWithdraw);
-    // no ongoing day
-    p.dailyDeposit = 0;
-    p.dailyWithdraw = 0;
-    p.lastAction = null;
-  } else {
-    // first action of the day is a deposit
-    p.dailyDeposit = amount;
-    p.dailyWithdraw = 0;
-    p.lastAction = 'deposit';
-  }
-  saveProgress(p);
-}
-
-// When a withdrawal is made, update the progress tracker. Depending on the
-// previous action this may finalize a day or start a new day. See README.
-function handleWithdrawProgress(amount) {
-  const p = getProgress();
-  if (p.lastAction === 'withdraw') {
-    // two withdrawals in a row: finalize previous day with deposit=0
-    finalizeDay(0, p.dailyWithdraw);
-    // start new day with this withdrawal
-    p.dailyDeposit = 0;
-    p.dailyWithdraw = amount;
-    p.lastAction = 'withdraw';
-  } else if (p.lastAction === 'deposit') {
-    // withdrawal completes a day after a deposit; deposit and this withdrawal
-    finalizeDay(p.dailyDeposit, amount);
-    p.dailyDeposit = 0;
-    p.dailyWithdraw = 0;
-    p.lastAction = null;
-  } else {
-    // first action of the day is a withdrawal
-    p.dailyDeposit = 0;
-    p.dailyWithdraw = amount;
-    p.lastAction = 'withdraw';
-  }
-  saveProgress(p);
-}
-
-// Finalize a day by adding the deposit and withdrawal amounts to the monthly
-// totals and incrementing the day counter. If 30 days have passed, reset
-// the totals for a fresh monthly cycle. This does not persist the daily
-// deposit/withdraw—those should be cleared by the caller.
-function finalizeDay(depositAmt, withdrawAmt) {
-  const p = getProgress();
-  p.totalDeposits += depositAmt;
-  p.totalWithdrawals += withdrawAmt;
-  p.dayCount += 1;
-  if (p.dayCount >= 30) {
-    p.dayCount = 0;
-    p.totalDeposits = 0;
-    p.totalWithdrawals = 0;
-  }
-  // after finalizing a day, recompute overall health and update
-  if (overallAnalysis) {
-    const newHealth = computeOverallHealth();
-    overallAnalysis.health = newHealth;
-    overallAnalysis.state = stateFromHealth(newHealth);
-  }
-  saveProgress(p);
+// createdAt for a new entry from the date picker: now for today (or an empty
+// picker), local noon for a past day so it stays on that calendar day.
+// Returns null for a future date.
+function transactionTimestamp() {
+  const picked = document.getElementById('txDate')?.value;
+  const today = dayKey(new Date());
+  if (!picked || picked === today) return new Date().toISOString();
+  if (picked > today) return null;
+  return new Date(`${picked}T12:00:00`).toISOString();
 }
 
 
@@ -261,27 +142,35 @@ window.switchPage = function(pageId) {
    // Update balance display when switching to finance view
    if (pageId === 'financeView') {
        updateBalanceDisplay();
+   } else if (pageId === 'historyView') {
+       renderHistory();
+   } else if (pageId === 'trendsView') {
+       renderTrends();
    }
 };
 
 
-function handleReset() {
+async function handleReset() {
     // Confirm with user
     window.__pennyTempSpeech = '';
     console.log("RESET CLICKED");
 
-    // Clear all localStorage
-    localStorage.removeItem('currentBalance');
-    localStorage.removeItem('initialBalance');
-    localStorage.removeItem('monthlyEarnings');
-    localStorage.removeItem('monthlyBudget');
-    localStorage.removeItem('pennyState');
+    // Wipe the profile on the server (financial info, ledger, pet); offline
+    // nothing is wiped and Penny stays as she is
+    try {
+        await resetProfile();
+    } catch (error) {
+        alert(t('alert.oops', { message: error?.status ? error.message : t('alert.resetOffline') }));
+        return;
+    }
+    overallAnalysis = null;
+    overallHealthState = null;
 
     // Reset to egg state
     const eggState = {
         state: 'EGG',
         health: 0,
-        message: "Feed me your financial data! I'm ready to hatch!"
+        message: t('pet.hatch')
     };
 
     updatePetDisplay(eggState);
@@ -293,6 +182,11 @@ function handleReset() {
     document.getElementById('monthlyBudget').value = '';
     document.getElementById('depositAmount').value = '';
     document.getElementById('withdrawAmount').value = '';
+    resetDatePicker();
+    renderCategoryBudgets();
+    renderRecurring();
+    renderGoals();
+    renderDebts();
 
     // Hide speech bubble
     if (window.pennyHideMessage) {
@@ -306,31 +200,27 @@ function handleReset() {
     window.switchPage('petView');
 }
 
-/* ------------------------- localStorage Helpers ------------------------- */
+/* ---------------------------- Profile Helpers ---------------------------- */
+// Thin wrappers over penny-store.js: reads come from the loaded profile,
+// writes go to the server in the background.
 function getCurrentBalance() {
-   return parseFloat(localStorage.getItem('currentBalance')) || 0;
+   return getBalance();
 }
 
 
 function setCurrentBalance(amount) {
-   localStorage.setItem('currentBalance', amount);
+   setBalance(amount);
    updateBalanceDisplay();
 }
 
 
 function getFinancialData() {
-   return {
-       initialBalance: parseFloat(localStorage.getItem('initialBalance')) || 0,
-       monthlyEarnings: parseFloat(localStorage.getItem('monthlyEarnings')) || 0,
-       monthlyBudget: parseFloat(localStorage.getItem('monthlyBudget')) || 0
-   };
+   return getFinancial();
 }
 
 
 function saveFinancialData(data) {
-   localStorage.setItem('initialBalance', data.initialBalance);
-   localStorage.setItem('monthlyEarnings', data.monthlyEarnings);
-   localStorage.setItem('monthlyBudget', data.monthlyBudget);
+   saveFinancial(data);
 }
 
 
@@ -338,24 +228,140 @@ function updateBalanceDisplay() {
    const balance = getCurrentBalance();
    const displayEl = document.getElementById('currentBalanceDisplay');
    if (displayEl) {
-       displayEl.textContent = `$${balance.toFixed(2)}`;
+       displayEl.textContent = money(balance);
+   }
+   renderAccounts();
+   renderInvestments();
+   renderUndo();
+   // This calendar month so far, e.g. "Oct: day 18 of 31 · in $250.00 · out $42.10"
+   const monthEl = document.getElementById('monthSummary');
+   if (monthEl) {
+       const m = monthSummary(getLedger().transactions);
+       const name = new Date().toLocaleString(getSettings().locale || currentLanguage(), { month: 'short' });
+       monthEl.textContent = t('finance.monthSummary', {
+         month: name, day: m.daysElapsed, days: m.daysInMonth, in: money(m.deposits), out: money(m.withdrawals)
+       });
    }
 }
 
 
-function savePetState(state) {
-   localStorage.setItem('pennyState', JSON.stringify(state));
+// Penny's needs as saved with the pet state (see needs.js).
+const savedNeeds = () => needsOf(getPetState()?.needs, getLedger().transactions);
+
+// Every save also settles Penny's needs (needs.js; `fed` is a check-in) and
+// brings her XP, level and achievements up to date (progress.js). Both are
+// kept with the pet state; a longer streak and anything else new get a cheer.
+function savePetState(state, { fed = false } = {}) {
+   const now = new Date();
+   const before = savedNeeds();
+   const needs = { ...(fed ? checkIn(before, now) : before), settledAt: now.toISOString() };
+   const progress = currentProgress(now, needs);
+   savePetSnapshot({ ...state, progress: savedProgress(progress), needs });
+   renderProgress(progress);
+   renderNeeds(needs, now);
+   const grew = needs.streak > currentStreak(before, now) && needs.streak > 1;
+   const news = [grew && t('needs.streak', { days: needs.streak }), progressMessage(progress)].filter(Boolean).join(' ');
+   if (news) cheerProgress(news);
+}
+
+// The saved pet as she is now: her health decayed toward the ledger's score
+// (less hunger) for the time since it was saved, and a word about her hunger.
+function feltState(saved, now = new Date()) {
+  const needs = savedNeeds();
+  const health = decayedHealth(saved.health, scoreLedger().health, needs, now);
+  const hunger = hungerOf(needs, now);
+  return {
+    ...saved,
+    health,
+    state: stateFromHealth(health),
+    message: hunger.hungry ? t('needs.hungry', { days: hunger.days }) : saved.message
+  };
+}
+
+// Hunger and the check-in streak under the health bar.
+function renderNeeds(needs, now = new Date()) {
+  const hungerEl = document.getElementById('hungerValue');
+  const streakEl = document.getElementById('streakValue');
+  if (!hungerEl || !streakEl) return;
+  const hunger = hungerOf(needs, now);
+  hungerEl.hidden = !needs.fedAt;
+  hungerEl.textContent = hunger.hungry ? t('needs.hungryLabel', { days: hunger.days })
+    : hunger.days === 0 ? t('needs.fedToday')
+    : hunger.days === 1 ? t('needs.fedYesterday')
+    : t('needs.fedDaysAgo', { days: hunger.days });
+  const streak = currentStreak(needs, now);
+  streakEl.textContent = streak ? t('needs.streakLabel', { days: streak }) : t('needs.noStreak');
 }
 
 
 function loadPetState() {
-  const saved = localStorage.getItem('pennyState');
+  const saved = getPetState();
+  renderNeeds(savedNeeds());
   if (saved) {
-    const state = JSON.parse(saved);
-    updatePetDisplay(state);
+    updatePetDisplay(feltState(saved));
+  } else {
+    updatePetDisplay({ state: 'EGG', health: 0, message: t('pet.hatch') });
+    const stats = document.getElementById('stats');
+    if (stats) stats.style.display = 'none';
   }
 }
 
+// Today's finances in /analyze input form; the what-if page projects from here.
+function currentInputs() {
+   const { monthlyEarnings, monthlyBudget } = getFinancialData();
+   const totals = accountTotals(getLedger().accounts);
+   return {
+       monthly_income: monthlyEarnings,
+       monthly_spending: monthlyBudget,
+       total_savings: totals.liquid,
+       total_debt: totalDebt(getDebts()),
+       monthly_investments: currentInvestments().monthlyContributions,
+       investment_balance: totals.invested
+   };
+}
+
+// Fill the finance form and pet view from the active profile.
+function renderProfile() {
+   overallAnalysis = null;
+   overallHealthState = null;
+   window.__pennyTempSpeech = '';
+   renderLanguage();
+   renderVoice();
+   renderChat();
+   loadPetState();
+   renderProgress();
+   renderCurrency();
+   renderOffline();
+   updateBalanceDisplay();
+   renderFinances();
+   document.getElementById('profileId').value = getProfileId();
+   renderCategoryBudgets();
+   renderRecurring();
+   renderGoals();
+   renderDebts();
+}
+
+// The finance form's saved numbers.
+function renderFinances() {
+   const saved = getFinancialData();
+   document.getElementById('initialBalance').value = saved.initialBalance || '';
+   document.getElementById('monthlyEarnings').value = saved.monthlyEarnings || '';
+   document.getElementById('monthlyBudget').value = saved.monthlyBudget || '';
+}
+
+async function handleSwitchProfile() {
+   const input = document.getElementById('profileId');
+   try {
+     await switchProfile(input.value);
+     renderProfile();
+     runDueRecurring();
+     if (window.pennyHideMessage) window.pennyHideMessage();
+   } catch (error) {
+     alert(error.message);
+     input.value = getProfileId();
+   }
+}
+
 // Temporary debug function - add at the top of script.js
 window.debugGemini = async function() {
   const testData = {
@@ -441,13 +447,6 @@ function toAllowedState(s) {
 }
 
 
-function clamp0to100(x) {
-   const n = Number(x);
-   if (!Number.isFinite(n)) return 50;
-   return Math.max(0, Math.min(100, Math.round(n)));
-}
-
-
 /* -------------------------- Update Pet Display -------------------------- */
 function updatePetDisplay(analysis, isTemporary = false, updateBarWhenTemporary = false) {
   const petArea     = document.getElementById('petArea');
@@ -513,7 +512,7 @@ function updatePetDisplay(analysis, isTemporary = false, updateBarWhenTemporary
 
   if (stateName) {
       // show the reaction word during temp reactions; otherwise show long-term state name
-      stateName.textContent = (isTemporary && analysis?.state) ? analysis.state : current.name;
+      stateName.textContent = t(`state.${(isTemporary && analysis?.state) ? toAllowedState(analysis.state) : current.name}`);
     }
   // When updating the pet, decide whether to change the health bar.
   // For temporary reactions (isTemporary=true), we do not update the health bar.
@@ -557,9 +556,13 @@ function updatePetDisplay(analysis, isTemporary = false, updateBarWhenTemporary
   if (isTemporary && analysis && analysis.direction) {
     showArrows(analysis.direction);   // 'up' or 'down'
   }
+  if (isTemporary && analysis?.celebrate) {
+    showConfetti();                   // savings goal milestone
+  }
 
   // For permanent updates, remember this state so we can revert to it later.
   if (!isTemporary) {
+    renderBreakdown(analysis?.breakdown);
     overallHealthState = analysis;
     overallAnalysis = analysis;
   }
@@ -584,6 +587,78 @@ function updatePetDisplay(analysis, isTemporary = false, updateBarWhenTemporary
 
 }
 
+/* ------------------- Why is Penny feeling this way? panel ------------------- */
+// Renders the per-factor breakdown from scoring.js: what each factor added or
+// took away, the thresholds it was judged against and the next one to reach.
+
+// JSON turns Infinity (e.g. no income) into null, so anything non-finite is ∞.
+function formatFactorValue(unit, v) {
+  const n = Number(v);
+  if (v === null || v === undefined || !Number.isFinite(n)) return '∞';
+  if (unit === 'months') return t('why.months', { n: n >= 99 ? '99+' : n.toFixed(1) });
+  return `${Math.round(n * 100)}%`;
+}
+
+function formatThreshold(factor, limit) {
+  if (limit === null || limit === undefined) return t('why.otherwise');
+  return `${factor.better === 'lower' ? '≤' : '≥'}${formatFactorValue(factor.unit, limit)}`;
+}
+
+const signedPoints = n => (n > 0 ? `+${n}` : `${n}`);
+
+function renderBreakdown(breakdown) {
+  const panel = document.getElementById('whyPanel');
+  const list  = document.getElementById('whyList');
+  const total = document.getElementById('whyTotal');
+  if (!panel || !list || !total) return;
+
+  if (!breakdown || !Array.isArray(breakdown.factors)) {
+    panel.hidden = true;
+    return;
+  }
+
+  list.innerHTML = '';
+  breakdown.factors.forEach(f => {
+    const li = document.createElement('li');
+    li.className = 'why-item ' + (f.points >= 0 ? 'why-good' : 'why-bad');
+
+    const row = document.createElement('div');
+    row.className = 'why-row';
+    const label = document.createElement('span');
+    label.textContent = t(`factor.${f.key}`);
+    const pts = document.createElement('span');
+    pts.className = 'why-points';
+    pts.textContent = signedPoints(f.points);
+    row.append(label, pts);
+
+    const now = document.createElement('div');
+    now.className = 'why-detail';
+    now.textContent = t('why.now', { value: formatFactorValue(f.unit, f.value), threshold: formatThreshold(f, f.limit) });
+
+    const next = document.createElement('div');
+    next.className = 'why-detail';
+    next.textContent = f.next
+      ? t('why.next', { threshold: formatThreshold(f, f.next.limit), points: signedPoints(f.next.gain) })
+      : t('why.top');
+
+    const tiers = document.createElement('div');
+    tiers.className = 'why-thresholds';
+    tiers.textContent = f.thresholds
+      .map(t => `${formatThreshold(f, t.limit)} ${signedPoints(t.points)}`)
+      .join(' · ');
+
+    li.append(row, now, next, tiers);
+    list.appendChild(li);
+  });
+
+  const parts = [t('why.base', { points: breakdown.base })]
+    .concat(breakdown.factors.map(f => signedPoints(f.points)));
+  if (breakdown.trendPoints) parts.push(t('why.trend', { points: signedPoints(breakdown.trendPoints) }));
+  total.textContent = t('why.total', { parts: parts.join(' '), health: breakdown.health });
+
+  panel.hidden = false;
+}
+
 function showArrows(direction) {
   const petEl = document.getElementById('pet');
   if (!petEl) return;
@@ -605,6 +680,77 @@ function showArrows(direction) {
 }
 
 
+// Burst of confetti over the pet for savings goal milestones.
+function showConfetti() {
+  const petEl = document.getElementById('pet');
+  if (!petEl) return;
+
+  petEl.querySelectorAll('.confetti-container').forEach(el => el.remove());
+  if (getComputedStyle(petEl).position === 'static') petEl.style.position = 'relative';
+  const container = document.createElement('div');
+  container.className = 'confetti-container';
+
+  ['🎉', '⭐', '💖', '🪙', '🎊', '✨'].forEach((emoji, i) => {
+    const piece = document.createElement('span');
+    piece.className = 'confetti';
+    piece.textContent = emoji;
+    piece.style.left = `${8 + i * 16}%`;
+    piece.style.animationDelay = `${i * 80}ms`;
+    container.appendChild(piece);
+  });
+
+  petEl.appendChild(container);
+  setTimeout(() => { try { container.remove(); } catch {} }, 1800);
+}
+
+// A goal milestone reached outside a deposit (setting money aside), a new
+// level or an achievement.
+function celebrate(message) {
+  window.__pennyTempSpeech = '';
+  updatePetDisplay({
+    state: 'FANTASTIC',
+    health: overallAnalysis?.health ?? computeOverallHealth(),
+    message,
+    direction: 'up',
+    celebrate: true
+  }, true);
+  try {
+    if (window.pennyShowMessage) window.pennyShowMessage(message);
+  } catch {}
+  window.switchPage('petView');
+}
+
+
+// Levels and achievements are earned by the entry Penny is busy reacting to;
+// cheer once that reaction is over (see the revert in updatePetDisplay).
+const CHEER_DELAY_MS = 3000;
+
+function cheerProgress(message) {
+  setTimeout(() => celebrate(message), CHEER_DELAY_MS);
+}
+
+
+// A debt payment already went through the ledger; rescore and cheer (paying
+// a debt off completely gets the confetti).
+function cheerDebtPayment({ message, paidOff }) {
+  updateBalanceDisplay();
+  renderCategoryBudgets();
+  const scored = refreshOverallHealth({ fed: true });
+  window.__pennyTempSpeech = '';
+  updatePetDisplay({
+    state: paidOff ? 'FANTASTIC' : scored.state,
+    health: scored.health,
+    message,
+    direction: 'up',
+    celebrate: paidOff
+  }, true);
+  try {
+    if (window.pennyShowMessage) window.pennyShowMessage(message);
+  } catch {}
+  window.switchPage('petView');
+}
+
+
 /* --------------------------- Submit handler (NEW) --------------------------- */
 async function handleSubmit() {
   const income             = document.getElementById('income').value;
@@ -662,6 +808,12 @@ async function handleSubmit() {
 
 
 /* ----------------------- Feed Penny (Gemini Analysis) ----------------------- */
+// Asks /analyze again once the server is back, if Penny was ever fed.
+function reanalyze() {
+   const { initialBalance, monthlyEarnings, monthlyBudget } = getFinancialData();
+   if (initialBalance && monthlyEarnings && monthlyBudget) handleFeedPenny();
+}
+
 async function handleFeedPenny() {
    window.__pennyTempSpeech = '';
    const initialBalance = document.getElementById('initialBalance').value;
@@ -670,12 +822,12 @@ async function handleFeedPenny() {
 
 
    if (!initialBalance || !monthlyEarnings || !monthlyBudget) {
-       alert('Please fill in all financial info fields!');
+       alert(t('alert.fillFinancial'));
        return;
    }
 
 
-   // Save to localStorage
+   // Save to the profile (server-side)
    saveFinancialData({
        initialBalance: parseFloat(initialBalance),
        monthlyEarnings: parseFloat(monthlyEarnings),
@@ -695,32 +847,50 @@ async function handleFeedPenny() {
 
    if (feedBtn) {
        feedBtn.disabled = true;
-       feedBtn.textContent = 'Analyzing...';
+       feedBtn.textContent = t('ui.analyzing');
    }
-   if (petMsgEl) petMsgEl.textContent = 'Gemini is analyzing your finances...';
+   if (petMsgEl) petMsgEl.textContent = t('pet.analyzing');
 
 
    try {
-       // Convert to format expected by gemini-service
+       const goals = goalProgress(getGoals());
+       const totals = accountTotals(getLedger().accounts);
+       // Convert to format expected by gemini-service. The trend prevs come
+       // from the profile's stored history (the server uses its own copy; the
+       // offline fallback uses these).
        const formData = {
            income: monthlyEarnings,
            spending: monthlyBudget,
-           savings: initialBalance,
-           debt: '0',
-           monthlyInvestments: '0',
-           investmentBalance: '0'
+           savings: String(totals.liquid),
+           debt: String(totalDebt(getDebts())),
+           monthlyInvestments: String(currentInvestments().monthlyContributions),
+           investmentBalance: String(totals.invested),
+           categoryOverspend: currentCategoryUsage().overspendRatio,
+           goalPace: goals.pace,
+           nearestGoal: goals.nearest,
+           currency: getSettings().currency,
+           language: currentLanguage(),
+           persona: getSettings().persona,
+           ...trendInputs(getTrendHistory())
        };
 
        // Ask the backend/Gemini for an analysis of the high‑level finances.
-       const analysis = await analyzeFinancialData(formData);
+       // A streamed answer scores Penny first: show her while the advice is typed.
+       const analysis = await analyzeFinancialData(formData, {
+         onState: scored => {
+           updatePetDisplay(scored);
+           window.switchPage('petView');
+         }
+       });
+
+       // Keep the refreshed history locally; it is not part of the pet state.
+       if (analysis.trendHistory) setTrendHistory(analysis.trendHistory);
+       delete analysis.trendHistory;
 
        // Persist the analysis so that deposit/withdrawal reactions can revert
        // back to these values after a short time.
        overallAnalysis = analysis;
 
-       // Reset monthly progress since a new financial snapshot has been provided
-       resetProgress();
-
        // Update the pet display and save state
        updatePetDisplay(analysis);
        savePetState(analysis);
@@ -728,16 +898,16 @@ async function handleFeedPenny() {
 
        const nextMsg =
          (analysis && typeof analysis.message === 'string' && analysis.message.trim()) ||
-         'Analysis complete!';
+         t('pet.analyzed');
        if (petMsgEl) petMsgEl.textContent = nextMsg;
 
    } catch (error) {
        console.error('Feed Penny failed:', error);
-       if (petMsgEl) petMsgEl.textContent = `Oops! ${error?.message || 'Something went wrong.'}`;
+       if (petMsgEl) petMsgEl.textContent = t('pet.error', { message: error?.message || t('pet.somethingWrong') });
    } finally {
        if (feedBtn) {
            feedBtn.disabled = false;
-           feedBtn.textContent = 'Feed Penny';
+           feedBtn.textContent = t('ui.feedPennyBtn');
        }
    }
 }
@@ -752,14 +922,33 @@ async function handleDeposit() {
 
 
    if (!amount || amount <= 0) {
-       alert('Please enter a valid deposit amount!');
+       alert(t('alert.depositAmount'));
+       return;
+   }
+
+   const createdAt = transactionTimestamp();
+   if (!createdAt) {
+       alert(t('alert.futureDate'));
        return;
    }
 
 
-   // Update balance
-   const newBalance = getCurrentBalance() + amount;
-   setCurrentBalance(newBalance);
+   // Record in the ledger (updates the balance too), counting it toward the
+   // chosen savings goal if there is one
+   const goalId = document.getElementById('depositGoal')?.value || undefined;
+   const goalBefore = goalId ? getGoals().find(g => g.id === goalId) : null;
+   const account = txAccount();
+   const worth = worthOf(amount, account);
+   recordTransaction('deposit', amount, {
+     accountId: account?.id,
+     category: document.getElementById('depositCategory').value,
+     createdAt,
+     goalId
+   });
+   updateBalanceDisplay();
+   renderGoals();
+   const goalAfter = goalBefore ? getGoals().find(g => g.id === goalId) : null;
+   const celebration = goalAfter ? milestoneMessage(goalAfter, goalBefore.saved, goalAfter.saved) : null;
 
    // Determine the user's financial context
    const { monthlyBudget, monthlyEarnings } = getFinancialData();
@@ -771,12 +960,15 @@ async function handleDeposit() {
    // analysis object and refresh the pet display. If no prior analysis exists
    // (for example, if the user hasn't fed Penny yet), synthesize a minimal
    // analysis object so the bar can still update.
-   const newOverallHealth = computeOverallHealth();
-   const newState = stateFromHealth(newOverallHealth);
+   const scored = scoreLedger();
+   const newOverallHealth = scored.health;
+   const newState = scored.state;
    if (!overallAnalysis) {
      overallAnalysis = {
        state: newState,
        health: newOverallHealth,
+       scoringVersion: scored.version,
+       breakdown: scored.breakdown,
        headline: '',
        advice: [],
        message: ''
@@ -784,12 +976,14 @@ async function handleDeposit() {
    } else {
      overallAnalysis.health = newOverallHealth;
      overallAnalysis.state  = newState;
+     overallAnalysis.scoringVersion = scored.version;
+     overallAnalysis.breakdown = scored.breakdown;
    }
    // Update the display and persist the new long‑term state. This ensures
    // the health bar always reflects the overall portfolio after each
    // transaction.
    updatePetDisplay(overallAnalysis, false);
-   savePetState(overallAnalysis);
+   savePetState(overallAnalysis, { fed: true });
 
    // Compute an effective ratio for the instant mood. We consider how
    // meaningful the deposit is relative to your current balance, your daily
@@ -800,15 +994,15 @@ async function handleDeposit() {
    let totalRatio = 0;
    let weightSum  = 0;
    if (currentBal > 0) {
-     totalRatio += (amount / currentBal) * 1;
+     totalRatio += (worth / currentBal) * 1;
      weightSum  += 1;
    }
    if (dailyBudget > 0) {
-     totalRatio += (amount / dailyBudget) * 2; // double weight for budget
+     totalRatio += (worth / dailyBudget) * 2; // double weight for budget
      weightSum  += 2;
    }
    if (monthlyEarnings > 0) {
-     totalRatio += (amount / monthlyEarnings) * 1;
+     totalRatio += (worth / monthlyEarnings) * 1;
      weightSum  += 1;
    }
    let effectiveRatio = 0;
@@ -830,23 +1024,19 @@ async function handleDeposit() {
    // Use the base overall health for the health value during the reaction
    const baseHealth = newOverallHealth;
 
-   // Construct a message for the reaction
-   const msg = dailyBudget > 0
-     ? `You deposited $${amount.toFixed(2)} which is ${(amount / dailyBudget * 100).toFixed(0)}% of your daily budget. Great job!`
-     : `You deposited $${amount.toFixed(2)}! Way to grow your savings.`;
+   // Construct a message for the reaction. A goal milestone outranks it.
+   const msg = celebration || (dailyBudget > 0
+     ? t('react.depositBudget', { amount: accountMoney(amount, account), percent: (worth / dailyBudget * 100).toFixed(0) })
+     : t('react.deposit', { amount: accountMoney(amount, account) }));
 
    const petReaction = {
-     state: reactionState,
+     state: celebration ? 'FANTASTIC' : reactionState,
      health: baseHealth,
      message: msg,
-    direction: 'up'
-
-
+    direction: 'up',
+     celebrate: Boolean(celebration)
    };
 
-   // Update progress tracker (handles day finalization rules)
-   handleDepositProgress(amount);
-
    // Show the instantaneous reaction. Do not change the health bar during
    // the temporary mood; the bar already reflects the new overall health.
    updatePetDisplay(petReaction, true);
@@ -869,23 +1059,36 @@ async function handleWithdraw() {
 
 
    if (!amount || amount <= 0) {
-       alert('Please enter a valid withdrawal amount!');
+       alert(t('alert.withdrawAmount'));
        return;
    }
 
 
-   const currentBalance = getCurrentBalance();
+   // Each account can only give what it holds
+   const account = txAccount();
+   const accountId = account?.id;
+   const currentBalance = account ? account.balance : getCurrentBalance();
+   const worth = worthOf(amount, account);
 
 
    if (amount > currentBalance) {
-       alert(`You can't withdraw more than your balance ($${currentBalance.toFixed(2)})!`);
+       alert(t('alert.overBalance', { balance: accountMoney(currentBalance, account) }));
+       return;
+   }
+
+   const createdAt = transactionTimestamp();
+   if (!createdAt) {
+       alert(t('alert.futureDate'));
        return;
    }
 
 
-   // Update balance
-   const newBalance = currentBalance - amount;
-   setCurrentBalance(newBalance);
+   // Record in the ledger (updates the balance too)
+   const category = document.getElementById('withdrawCategory').value;
+   recordTransaction('withdraw', amount, { accountId, category, createdAt });
+   updateBalanceDisplay();
+   renderCategoryBudgets();
+   const categoryUse = currentCategoryUsage().categories.find(c => c.key === category);
 
    // Determine the user's financial context
    const { monthlyBudget, monthlyEarnings } = getFinancialData();
@@ -898,12 +1101,15 @@ async function handleWithdraw() {
    // ensures the bar moves immediately after a withdrawal. If there's no
    // prior analysis (e.g. the user hasn't fed Penny), create a minimal
    // object to hold the state.
-   const newOverallHealth = computeOverallHealth();
-   const newState = stateFromHealth(newOverallHealth);
+   const scored = scoreLedger();
+   const newOverallHealth = scored.health;
+   const newState = scored.state;
    if (!overallAnalysis) {
      overallAnalysis = {
        state: newState,
        health: newOverallHealth,
+       scoringVersion: scored.version,
+       breakdown: scored.breakdown,
        headline: '',
        advice: [],
        message: ''
@@ -911,9 +1117,11 @@ async function handleWithdraw() {
    } else {
      overallAnalysis.health = newOverallHealth;
      overallAnalysis.state  = newState;
+     overallAnalysis.scoringVersion = scored.version;
+     overallAnalysis.breakdown = scored.breakdown;
    }
    updatePetDisplay(overallAnalysis, false);
-   savePetState(overallAnalysis);
+   savePetState(overallAnalysis, { fed: true });
 
    // Compute an effective ratio reflecting how significant this withdrawal is
    // relative to your current balance, your daily budget, and your monthly
@@ -923,15 +1131,15 @@ async function handleWithdraw() {
    let totalRatio = 0;
    let weightSum  = 0;
    if (currentBal > 0) {
-     totalRatio += (amount / currentBal) * 1;
+     totalRatio += (worth / currentBal) * 1;
      weightSum  += 1;
    }
    if (dailyBudget > 0) {
-     totalRatio += (amount / dailyBudget) * 2; // double weight for budget
+     totalRatio += (worth / dailyBudget) * 2; // double weight for budget
      weightSum  += 2;
    }
    if (monthlyEarnings > 0) {
-     totalRatio += (amount / monthlyEarnings) * 1;
+     totalRatio += (worth / monthlyEarnings) * 1;
      weightSum  += 1;
    }
    let effectiveRatio = 0;
@@ -949,13 +1157,17 @@ async function handleWithdraw() {
    else if (effectiveRatio >= 0.25) reactionState = 'STRUGGLING';
    else reactionState = 'SURVIVING';
 
+   // Going over this category's monthly budget makes it one step worse
+   const overBudget = categoryUse && categoryUse.used !== null && categoryUse.used >= 1;
+   if (overBudget) reactionState = WITHDRAW_REACTIONS[Math.min(WITHDRAW_REACTIONS.length - 1, WITHDRAW_REACTIONS.indexOf(reactionState) + 1)];
+
    // Use the base overall health for the health value during the reaction
    const baseHealth = newOverallHealth;
 
    // Construct a message for the reaction
-   const msg = dailyBudget > 0
-     ? `You withdrew $${amount.toFixed(2)} which is ${(amount / dailyBudget * 100).toFixed(0)}% of your daily budget. Try to stay within your plan!`
-     : `You withdrew $${amount.toFixed(2)}. Keep an eye on your spending!`;
+   const msg = (dailyBudget > 0
+     ? t('react.withdrawBudget', { amount: accountMoney(amount, account), percent: (worth / dailyBudget * 100).toFixed(0) })
+     : t('react.withdraw', { amount: accountMoney(amount, account) })) + categoryBudgetNote(categoryUse);
    const petReaction = {
      state: reactionState,
      health: baseHealth,
@@ -964,9 +1176,6 @@ async function handleWithdraw() {
 
    };
 
-   // Update progress tracker (handles day finalization rules)
-   handleWithdrawProgress(amount);
-
    // Show the instantaneous reaction. Do not update the health bar during
    // the temporary mood; the bar already reflects the new overall health.
    updatePetDisplay(petReaction, true);
@@ -980,22 +1189,146 @@ async function handleWithdraw() {
 }
 
 
-/* ------------------------- Event Listeners ------------------------- */
-document.addEventListener('DOMContentLoaded', () => {
-   loadPetState();
+// Withdrawal moods from mildest to worst.
+const WITHDRAW_REACTIONS = ['SURVIVING', 'STRUGGLING', 'CRITICAL', 'ATROCIOUS'];
+
+// Extra sentence about the withdrawal's category budget, once it is 75% used.
+function categoryBudgetNote(use) {
+  if (!use || use.used === null || use.used < 0.75) return '';
+  const category = t(`category.${use.key}`).toLowerCase();
+  if (use.used >= 1) return ` ${t('react.categoryOver', { amount: money(use.spent - use.budget), category })}`;
+  return ` ${t('react.categoryUsed', { percent: Math.round(use.used * 100), category })}`;
+}
+
+
+// Date picker for deposits/withdrawals: today by default, no future days.
+function resetDatePicker() {
+   const input = document.getElementById('txDate');
+   if (!input) return;
+   input.max = dayKey(new Date());
+   input.value = input.max;
+}
+
+
+/* ------------------------- Imported / Scheduled ------------------------- */
+// Imported rows and posted recurring entries are already in the ledger (and
+// the balance) on their own dates; rescore the month and let Penny react
+// once to the whole batch. `intro` opens the message; `outro` replaces the
+// saved/overspent verdict (planned bills shouldn't get a telling-off).
+function reactToBatch(transactions, intro, outro) {
+   if (!transactions.length) return;
+   window.__pennyTempSpeech = '';
+
+   // In the profile currency, like the balance
+   const accounts = getAccounts();
+   let totalIn = 0;
+   let totalOut = 0;
+   transactions.forEach(tx => {
+     const worth = worthOf(tx.amount, accounts.find(a => a.id === tx.accountId) || accounts[0]);
+     if (tx.type === 'deposit') totalIn += worth;
+     else totalOut += worth;
+   });
    updateBalanceDisplay();
+   renderCategoryBudgets();
 
+   // Scheduled entries post themselves; only imported ones are a check-in
+   const scored = refreshOverallHealth({ fed: transactions.some(tx => tx.source !== 'recurring') });
+
+   const net = totalIn - totalOut;
+   const verdict = outro ||
+     (net >= 0 ? t('react.batchSaved', { amount: money(net) }) : t('react.batchOverspent', { amount: money(Math.abs(net)) }));
+   const msg = t('react.batch', { intro, in: money(totalIn), out: money(totalOut), verdict });
+   const petReaction = {
+     state: outro ? (net >= 0 ? 'HEALTHY' : 'SURVIVING') : (net >= 0 ? 'THRIVING' : 'STRUGGLING'),
+     health: scored.health,
+     message: msg,
+     direction: net >= 0 ? 'up' : 'down'
+   };
+   updatePetDisplay(petReaction, true);
+   try {
+     if (window.pennyShowMessage) window.pennyShowMessage(msg);
+   } catch {}
+   window.switchPage('petView');
+}
 
-   // Load saved financial data into inputs
-   const saved = getFinancialData();
-   if (saved.initialBalance) document.getElementById('initialBalance').value = saved.initialBalance;
-   if (saved.monthlyEarnings) document.getElementById('monthlyEarnings').value = saved.monthlyEarnings;
-   if (saved.monthlyBudget) document.getElementById('monthlyBudget').value = saved.monthlyBudget;
 
+/* ------------------------- Event Listeners ------------------------- */
+document.addEventListener('DOMContentLoaded', async () => {
+   // Load the active profile from the server, then paint from it
+   await initStore();
+   renderProfile();
+
+   initSimulator({ getInputs: currentInputs });
+   initTrends();
+   // A restored profile is painted like a switched-to one
+   initBackup({ onRestored: () => { renderProfile(); runDueRecurring(); } });
+   initStatementImport({
+     onImported: list => reactToBatch(list, t('react.imported', { count: list.length }))
+   });
+   initRecurring({
+     onPosted: list => reactToBatch(list, list.length === 1
+       ? t('react.posted', { name: list[0].description || t('react.scheduledPayment') })
+       : t('react.postedMany', { count: list.length }),
+       t('react.balanceNow', { amount: money(getCurrentBalance()) }))
+   });
+   initCategoryBudgets({ onSaved: refreshOverallHealth });
+   resetDatePicker();
+   initGoals({ onMilestone: celebrate, onChange: refreshOverallHealth });
+   initDebts({ onPaid: cheerDebtPayment, onChange: refreshOverallHealth });
+   // A new language rewrites the page, the pet's state name, the breakdown, the level and achievements,
+   // the voice names and the chat
+   initLanguage({
+     onChange: () => {
+       loadPetState(); renderProgress(); updateBalanceDisplay(); renderVoice(); renderChat(); renderOffline();
+       renderCurrency(); renderCategoryBudgets(); renderRecurring(); renderGoals(); renderDebts();
+     }
+   });
+   initVoice();
+   initChat();
+   // A new currency or rate rewrites every amount on screen and revalues the totals
+   // (a new currency also converts the finances, goals and debts)
+   initCurrency({
+     onChange: () => {
+       renderFinances(); updateBalanceDisplay(); renderCategoryBudgets(); renderRecurring(); renderGoals(); renderDebts(); refreshOverallHealth();
+     }
+   });
+   // ...and an account in another currency asks for its rate
+   initAccounts({ onChange: () => { renderCurrency(); updateBalanceDisplay(); refreshOverallHealth(); } });
+   initInvestments({ onChange: () => { updateBalanceDisplay(); refreshOverallHealth(); } });
+   // Any edit, delete or undo can move balances, budgets, goals and debts
+   initHistory({
+     onChange: () => {
+       updateBalanceDisplay();
+       renderCategoryBudgets();
+       renderGoals();
+       renderDebts();
+       refreshOverallHealth();
+     }
+   });
+
+   document.getElementById('switchProfileBtn').addEventListener('click', handleSwitchProfile);
    document.getElementById('feedPennyBtn').addEventListener('click', handleFeedPenny);
     document.getElementById('depositBtn').addEventListener('click', handleDeposit);
     document.getElementById('withdrawBtn').addEventListener('click', handleWithdraw);
     document.getElementById('resetBtn').addEventListener('click', handleReset); // ✅ move here
+
+   // Post rent/paychecks that fell due while the app was closed
+   runDueRecurring();
+
+   // Back online: the server now has what was recorded offline (and whatever
+   // other devices did); repaint from it and let Penny take a fresh look
+   initOffline({
+     onSynced: sent => {
+       const stale = overallAnalysis?.offline;
+       renderProfile();
+       if (sent || stale) reanalyze();
+     }
+   });
+
+   // Back to a tab left open: catch Penny up on the time that went by
+   document.addEventListener('visibilitychange', () => {
+     if (document.visibilityState === 'visible') loadPetState();
+   });
 });
 
 
@@ -1007,6 +1340,30 @@ document.querySelectorAll('input').forEach(input => {
                handleDeposit();
            } else if (input.id === 'withdrawAmount') {
                handleWithdraw();
+           } else if (input.id === 'txDate') {
+               // The date is for whichever amount has been typed
+               if (document.getElementById('depositAmount').value) handleDeposit();
+               else if (document.getElementById('withdrawAmount').value) handleWithdraw();
+           } else if (input.id === 'profileId') {
+               handleSwitchProfile();
+           } else if (input.id.startsWith('goal')) {
+               document.getElementById('addGoalBtn').click();
+           } else if (input.id.startsWith('account')) {
+               document.getElementById('addAccountBtn').click();
+           } else if (input.id === 'transferAmount') {
+               document.getElementById('transferBtn').click();
+           } else if (input.id.startsWith('debt')) {
+               document.getElementById('addDebtBtn').click();
+           } else if (input.id.startsWith('edit')) {
+               document.getElementById('editSaveBtn').click();
+           } else if (input.id === 'payoffExtra') {
+               document.getElementById('payoffPlanBtn').click();
+           } else if (input.id.startsWith('rec')) {
+               document.getElementById('addRecurringBtn').click();
+           } else if (input.id.startsWith('sim')) {
+               document.getElementById('simulateBtn').click();
+           } else if (input.id === 'locale') {
+               document.getElementById('saveSettingsBtn').click();
            } else {
                handleFeedPenny();
            }
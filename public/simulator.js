@@ -0,0 +1,157 @@
+// public/simulator.js
+// What-if page. Sends today's finances plus the hypothetical changes typed in
+// the form to POST /simulate, then charts each projected health line against
+// today's health and the "change nothing" baseline.
+
+import { money } from './currency.js';
+import { t } from './lang.js';
+
+const LINE_COLORS = ['#ff6ec7', '#2e86de', '#65d52d', '#f39c12', '#8e44ad'];
+
+let getInputs = () => ({});
+
+export function initSimulator(opts) {
+  getInputs = opts.getInputs;
+  const btn = document.getElementById('simulateBtn');
+  if (btn) btn.addEventListener('click', handleSimulate);
+}
+
+/* ------------------------------ Scenarios ------------------------------ */
+
+// One scenario per filled-in change, plus "All together" when there are several.
+function readScenarios() {
+  const val = id => parseFloat(document.getElementById(id)?.value) || 0;
+  const cut = val('simSpendCut');
+  const invest = val('simInvestMore');
+  const payoff = val('simDebtPayoff');
+
+  const list = [];
+  if (cut) list.push({ label: t('simulator.cut', { pct: cut }), changes: { spendingCutPct: cut } });
+  if (invest) list.push({ label: t('simulator.invest', { amount: money(invest) }), changes: { extraInvestMonthly: invest } });
+  if (payoff) list.push({ label: t('simulator.payoff', { amount: money(payoff) }), changes: { debtPayoff: payoff } });
+  if (list.length > 1) {
+    list.push({
+      label: t('simulator.all'),
+      changes: { spendingCutPct: cut, extraInvestMonthly: invest, debtPayoff: payoff }
+    });
+  }
+  return list;
+}
+
+async function handleSimulate() {
+  const scenarios = readScenarios();
+  if (!scenarios.length) {
+    alert(t('simulator.empty'));
+    return;
+  }
+
+  const btn = document.getElementById('simulateBtn');
+  const horizonMonths = parseInt(document.getElementById('simHorizon')?.value) || 12;
+
+  if (btn) { btn.disabled = true; btn.textContent = t('simulator.running'); }
+  try {
+    const r = await fetch('/simulate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ inputs: getInputs(), scenarios, horizonMonths })
+    });
+    const json = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(json.error || t('simulator.failed'));
+    renderChart(json);
+    renderResults(json);
+  } catch (error) {
+    console.error('Simulate failed:', error);
+    alert(t('alert.oops', { message: error?.message || t('pet.somethingWrong') }));
+  } finally {
+    if (btn) { btn.disabled = false; btn.textContent = t('ui.simulateBtn'); }
+  }
+}
+
+/* -------------------------------- Chart -------------------------------- */
+
+function renderChart(sim) {
+  const canvas = document.getElementById('simChart');
+  if (!canvas) return;
+  canvas.hidden = false;
+
+  // Crisp lines on high-DPI screens
+  const dpr = window.devicePixelRatio || 1;
+  const cssW = canvas.clientWidth || 380;
+  const cssH = canvas.clientHeight || 220;
+  canvas.width = cssW * dpr;
+  canvas.height = cssH * dpr;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, cssW, cssH);
+
+  const pad = { l: 28, r: 8, t: 8, b: 20 };
+  const w = cssW - pad.l - pad.r;
+  const h = cssH - pad.t - pad.b;
+  const x = m => pad.l + (m / sim.horizonMonths) * w;
+  const y = v => pad.t + (1 - v / 100) * h;
+
+  // Grid + axis labels
+  ctx.font = '8px "Press Start 2P", monospace';
+  ctx.fillStyle = '#3d3d3d';
+  ctx.strokeStyle = '#e0e0e0';
+  ctx.lineWidth = 1;
+  [0, 25, 50, 75, 100].forEach(v => {
+    ctx.beginPath(); ctx.moveTo(pad.l, y(v)); ctx.lineTo(pad.l + w, y(v)); ctx.stroke();
+    ctx.fillText(String(v), 2, y(v) + 3);
+  });
+  ctx.fillText(t('simulator.now'), pad.l, cssH - 6);
+  ctx.fillText(t('simulator.months', { months: sim.horizonMonths }), pad.l + w - 32, cssH - 6);
+
+  // Today's health (dashed) and the do-nothing baseline (grey)
+  ctx.setLineDash([4, 4]);
+  drawLine(ctx, [[x(0), y(sim.today.health)], [x(sim.horizonMonths), y(sim.today.health)]], '#999');
+  ctx.setLineDash([]);
+  drawLine(ctx, sim.baseline.map(p => [x(p.month), y(p.health)]), '#555');
+
+  sim.scenarios.forEach((s, i) => {
+    drawLine(ctx, s.months.map(p => [x(p.month), y(p.health)]), LINE_COLORS[i % LINE_COLORS.length]);
+  });
+}
+
+function drawLine(ctx, points, color) {
+  if (!points.length) return;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  points.forEach(([px, py], i) => (i ? ctx.lineTo(px, py) : ctx.moveTo(px, py)));
+  ctx.stroke();
+}
+
+/* ------------------------------- Legend -------------------------------- */
+
+function renderResults(sim) {
+  const list = document.getElementById('simResults');
+  if (!list) return;
+  list.innerHTML = '';
+
+  const last = sim.baseline[sim.baseline.length - 1];
+  const rows = [
+    { label: t('simulator.today'), color: '#999', health: sim.today.health, state: sim.today.state },
+    { label: t('simulator.baseline'), color: '#555', health: last.health, state: last.state }
+  ].concat(sim.scenarios.map((s, i) => ({
+    label: s.label,
+    color: LINE_COLORS[i % LINE_COLORS.length],
+    health: s.final.health,
+    state: s.final.state
+  })));
+
+  // Happiest outcome gets a star so the best change stands out
+  const best = Math.max(...sim.scenarios.map(s => s.final.health));
+
+  rows.forEach((row, i) => {
+    const li = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'sim-swatch';
+    swatch.style.background = row.color;
+    const text = document.createElement('span');
+    const star = i >= 2 && row.health === best && best > last.health ? ' ★' : '';
+    text.textContent = t('simulator.row', { label: row.label, state: t(`state.${row.state}`), health: row.health }) + star;
+    li.append(swatch, text);
+    list.appendChild(li);
+  });
+}
@@ -1,11 +1,14 @@
 
-/* ===== Speech Bubble controller (creates its own DOM) ===== */
+/* ===== Speech Bubble controller (creates its own DOM) =====
+ * The card also holds the chat form; chat.js wires it up. */
 (function () {
   const CHAR_SELECTOR = '#pet';
   const AREA_SELECTOR = '#petArea';
+  const TYPE_MS = 18; // typewriter speed, per character
 
   let trigger, overlay, card, closeBtn, textEl, charEl, areaEl, lastText = '';
   let ro;
+  let typedText = '', typeTimer = null;
 
   function onReady(fn) {
     if (document.readyState === 'loading') {
@@ -46,6 +49,15 @@
           <button class="speech-close" aria-label="Close" title="Close">×</button>
           <h3 id="speech-title">Penny says</h3>
           <p id="speech-text"></p>
+          <div class="speech-chat">
+            <ol id="chatLog" class="chat-log" aria-live="polite"></ol>
+            <form id="chatForm" class="chat-form">
+              <input type="text" id="chatInput" class="chat-input" maxlength="500" autocomplete="off"
+                     data-i18n-placeholder="chat.placeholder" placeholder="Ask Penny about your money" />
+              <button type="submit" class="chat-send" data-i18n="chat.send">Ask</button>
+              <button type="button" id="chatClearBtn" class="chat-clear" data-i18n="chat.clear">Start over</button>
+            </form>
+          </div>
         </div>
       `;
       document.body.appendChild(o);
@@ -132,7 +144,11 @@
     trigger.style.top  = `${top}px`;
   }
 
-  function show(text) {
+  // show(text) puts the message up at once; show(text, { typing: true }) types
+  // it out. Calling it again with a longer text (a reply still streaming in)
+  // keeps typing from where it is; a text that changed backs up to where they
+  // still agree first.
+  function show(text, opts = {}) {
     lastText = String(text || '').trim();
 
     // The mini bubble always shows "..." in pixel font (no sentence preview)
@@ -140,7 +156,13 @@
     if (previewEl) previewEl.textContent = '...';
 
     // The full message goes in the overlay
-    textEl.textContent = lastText || '';
+    if (opts.typing) {
+      if (!typeTimer) typeTimer = setInterval(typeNext, TYPE_MS);
+    } else {
+      stopTyping();
+      typedText = lastText;
+      textEl.textContent = lastText || '';
+    }
 
     trigger.hidden = false;
     trigger.classList.add('visible');
@@ -148,6 +170,21 @@
     positionTrigger();
   }
 
+  function typeNext() {
+    let same = 0;
+    while (same < typedText.length && typedText[same] === lastText[same]) same++;
+    if (same === lastText.length && same === typedText.length) return stopTyping();
+    // One more character (both halves of an emoji)
+    const next = same + (/[\uD800-\uDBFF]/.test(lastText[same] || '') ? 2 : 1);
+    typedText = lastText.slice(0, same < typedText.length ? same : next);
+    textEl.textContent = typedText;
+  }
+
+  function stopTyping() {
+    clearInterval(typeTimer);
+    typeTimer = null;
+  }
+
   function hide() {
     if (!trigger) return;
     trigger.classList.remove('visible');
@@ -0,0 +1,193 @@
+// public/statement-import.js
+// Import flow on the Finances page: pick a CSV/OFX/QIF statement, map CSV
+// columns, preview every row (duplicates of what the account already has are
+// flagged by the server, rows dated after today are skipped), then import the
+// new ones in one go. script.js gets
+// the imported transactions back through onImported() and replays them.
+
+import {
+  detectFormat, parseCsvText, guessCsvMapping, csvToRows, parseOfx, parseQif, toTransactions
+} from './statement-parsers.js';
+import { findDuplicateTransactions, importTransactions, getAccounts } from './penny-store.js';
+import { selectedAccountId } from './accounts.js';
+import { accountMoney } from './currency.js';
+import { t } from './lang.js';
+
+// The CSV columns to map (labels: import.field.<key>)
+const MAPPING_FIELDS = ['date', 'description', 'amount', 'debit', 'credit'];
+
+let onImported = () => {};
+let file = null;          // { name, text, format }
+let csvTable = null;
+let csvMapping = null;
+let pending = [];         // ledger rows from the last preview
+let duplicates = new Set();
+let future = new Set();   // indexes of rows the ledger would turn down
+
+export function initStatementImport(opts) {
+  onImported = opts.onImported;
+  document.getElementById('importFile')?.addEventListener('change', handleFile);
+  // Duplicates are per account
+  document.getElementById('importAccount')?.addEventListener('change', () => { if (pending.length) preview(); });
+  document.getElementById('importConfirmBtn')?.addEventListener('click', handleConfirm);
+}
+
+/* ---------------------------------- File ----------------------------------- */
+
+async function handleFile(e) {
+  const f = e.target.files?.[0];
+  resetPreview();
+  if (!f) return;
+
+  const text = await f.text();
+  file = { name: f.name, text, format: detectFormat(f.name, text) };
+
+  if (file.format === 'csv') {
+    csvTable = parseCsvText(text);
+    if (!csvTable.length) return showStatus(t('import.emptyFile'));
+    csvMapping = guessCsvMapping(csvTable[0]);
+    renderMapping();
+  } else {
+    csvTable = null;
+    csvMapping = null;
+    document.getElementById('importMapping').hidden = true;
+  }
+  await preview();
+}
+
+function parseRows() {
+  if (file.format === 'ofx') return parseOfx(file.text);
+  if (file.format === 'qif') return parseQif(file.text);
+  return csvToRows(csvTable, csvMapping);
+}
+
+/* ------------------------------ CSV mapping -------------------------------- */
+
+function renderMapping() {
+  const box = document.getElementById('importMapping');
+  box.innerHTML = '';
+  const column = i => t('import.column', { number: i + 1 });
+  const header = csvMapping.hasHeader ? csvTable[0] : csvTable[0].map((_, i) => column(i));
+
+  MAPPING_FIELDS.forEach(key => {
+    const select = document.createElement('select');
+    select.append(new Option(t('import.noColumn'), '-1'));
+    header.forEach((h, i) => select.append(new Option(String(h || column(i)), String(i))));
+    select.value = String(csvMapping[key]);
+    select.addEventListener('change', () => { csvMapping[key] = parseInt(select.value); preview(); });
+    box.appendChild(labelled(t(`import.field.${key}`), select));
+  });
+
+  const fmt = document.createElement('select');
+  [['auto', t('import.autoDate')], ['mdy', 'MM/DD/YYYY'], ['dmy', 'DD/MM/YYYY'], ['ymd', 'YYYY-MM-DD']]
+    .forEach(([value, text]) => fmt.append(new Option(text, value)));
+  fmt.value = csvMapping.dateFormat;
+  fmt.addEventListener('change', () => { csvMapping.dateFormat = fmt.value; preview(); });
+  box.appendChild(labelled(t('import.dateFormat'), fmt));
+
+  const hdr = document.createElement('input');
+  hdr.type = 'checkbox';
+  hdr.checked = csvMapping.hasHeader;
+  hdr.addEventListener('change', () => { csvMapping.hasHeader = hdr.checked; renderMapping(); preview(); });
+  box.appendChild(labelled(t('import.hasHeader'), hdr));
+
+  box.hidden = false;
+}
+
+function labelled(text, control) {
+  const wrap = document.createElement('div');
+  wrap.className = 'input-group';
+  const label = document.createElement('label');
+  label.textContent = text;
+  wrap.append(label, control);
+  return wrap;
+}
+
+/* -------------------------------- Preview ---------------------------------- */
+
+async function preview() {
+  pending = toTransactions(parseRows(), file.format);
+  duplicates = new Set();
+  const { dayKey } = window.PennyScoring;
+  const today = dayKey(new Date());
+  future = new Set(pending.flatMap((tx, i) => (dayKey(new Date(tx.createdAt)) > today ? [i] : [])));
+  if (!pending.length) {
+    renderPreview();
+    return showStatus(t('import.noRows'));
+  }
+  // Only the rows that can be imported are checked (the server turns the
+  // whole list down over one future date)
+  const checked = pending.flatMap((_, i) => (future.has(i) ? [] : [i]));
+  try {
+    if (checked.length) {
+      const found = await findDuplicateTransactions(checked.map(i => pending[i]), selectedAccountId('importAccount'));
+      duplicates = new Set(found.map(j => checked[j]));
+    }
+  } catch (err) {
+    console.warn('Duplicate check failed:', err);
+  }
+  renderPreview();
+}
+
+function renderPreview() {
+  const table = document.getElementById('importPreview');
+  const btn = document.getElementById('importConfirmBtn');
+  table.innerHTML = '';
+  const accounts = getAccounts();
+  const account = accounts.find(a => a.id === selectedAccountId('importAccount')) || accounts[0];
+
+  pending.forEach((tx, i) => {
+    const tr = document.createElement('tr');
+    const status = future.has(i) ? 'future' : duplicates.has(i) ? 'dup' : 'new';
+    if (status !== 'new') tr.className = 'import-dup';
+    const sign = tx.type === 'deposit' ? '+' : '-';
+    [tx.createdAt.slice(0, 10), tx.description || '—', `${sign}${accountMoney(tx.amount, account)}`, t(`import.${status}`)]
+      .forEach(v => { const td = document.createElement('td'); td.textContent = v; tr.appendChild(td); });
+    table.appendChild(tr);
+  });
+
+  const fresh = pending.length - duplicates.size - future.size;
+  table.hidden = !pending.length;
+  btn.hidden = !fresh;
+  btn.textContent = fresh === 1 ? t('import.confirmOne') : t('import.confirmMany', { count: fresh });
+  if (pending.length) {
+    const counts = t('import.counts', { fresh, dups: duplicates.size });
+    showStatus(future.size ? `${counts} ${t('import.futureCount', { count: future.size })}` : counts);
+  }
+}
+
+function showStatus(text) {
+  const el = document.getElementById('importStatus');
+  if (el) el.textContent = text;
+}
+
+function resetPreview() {
+  pending = [];
+  duplicates = new Set();
+  future = new Set();
+  document.getElementById('importPreview').innerHTML = '';
+  document.getElementById('importPreview').hidden = true;
+  document.getElementById('importConfirmBtn').hidden = true;
+  document.getElementById('importMapping').hidden = true;
+  showStatus('');
+}
+
+/* -------------------------------- Import ----------------------------------- */
+
+async function handleConfirm() {
+  const btn = document.getElementById('importConfirmBtn');
+  btn.disabled = true;
+  try {
+    const toSend = pending.filter((_, i) => !duplicates.has(i) && !future.has(i));
+    const res = await importTransactions(toSend, selectedAccountId('importAccount'));
+    resetPreview();
+    document.getElementById('importFile').value = '';
+    showStatus(t('import.done', { imported: res.imported.length, skipped: res.duplicates.length }));
+    onImported(res.imported);
+  } catch (error) {
+    console.error('Import failed:', error);
+    alert(t('alert.oops', { message: error?.message || t('import.failed') }));
+  } finally {
+    btn.disabled = false;
+  }
+}
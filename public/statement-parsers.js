@@ -0,0 +1,205 @@
+// public/statement-parsers.js
+// Bank statement parsers for the import flow. Pure functions, no DOM.
+// Every parser ends in the same row shape:
+//   { date: 'YYYY-MM-DD', amount: signed number (negative = money out),
+//     description: string, externalId?: string }
+// toTransactions() turns rows into ledger entries (deposit/withdraw).
+
+/* --------------------------------- Format ---------------------------------- */
+
+export function detectFormat(fileName, text) {
+  const name = String(fileName || '').toLowerCase();
+  const head = String(text || '').slice(0, 2000);
+  if (/\.(ofx|qfx)$/.test(name) || /<OFX>|OFXHEADER/i.test(head)) return 'ofx';
+  if (/\.qif$/.test(name) || /^!Type:/im.test(head)) return 'qif';
+  return 'csv';
+}
+
+/* --------------------------------- Values ---------------------------------- */
+
+// "$1,234.50", "(12.00)", "-12", "12.00-", "1.234,50" (comma decimals)
+export function parseAmount(raw) {
+  let s = String(raw ?? '').trim();
+  if (!s) return NaN;
+  let neg = false;
+  if (/^\(.*\)$/.test(s)) { neg = true; s = s.slice(1, -1); }
+  if (/-$/.test(s)) { neg = true; s = s.slice(0, -1); }
+  s = s.replace(/[^\d.,-]/g, '');
+  if (s.startsWith('-')) { neg = !neg; s = s.slice(1); }
+  // Comma as decimal separator when it is the last separator with 1–2 digits after
+  if (/,\d{1,2}$/.test(s) && !/\.\d{1,2}$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+  // ...and dots only grouping thousands without one ("1.234" is 1234)
+  else if (/^[1-9]\d{0,2}(\.\d{3})+$/.test(s)) s = s.replace(/\./g, '');
+  else s = s.replace(/,/g, '');
+  const n = parseFloat(s);
+  return Number.isFinite(n) ? (neg ? -n : n) : NaN;
+}
+
+const pad2 = n => String(n).padStart(2, '0');
+
+function isoDate(y, m, d) {
+  if (y < 100) y += y < 70 ? 2000 : 1900;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return '';
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+// dateFormat: 'auto' | 'mdy' | 'dmy' | 'ymd'. Auto reads ISO first, then
+// assumes month/day unless the first number can't be a month.
+export function parseDate(raw, dateFormat = 'auto') {
+  const s = String(raw || '').trim();
+  if (!s) return '';
+
+  // OFX: YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]
+  const compact = /^(\d{4})(\d{2})(\d{2})/.exec(s);
+  if (compact && !/[\/.\-]/.test(s.slice(0, 8))) return isoDate(+compact[1], +compact[2], +compact[3]);
+
+  const parts = s.split(/[\/.\-' ]+/).filter(Boolean).slice(0, 3).map(Number);
+  if (parts.length < 3 || parts.some(n => !Number.isFinite(n))) return '';
+  const [a, b, c] = parts;
+
+  if (dateFormat === 'ymd' || (dateFormat === 'auto' && a > 31)) return isoDate(a, b, c);
+  if (dateFormat === 'dmy' || (dateFormat === 'auto' && a > 12)) return isoDate(c, b, a);
+  return isoDate(c, a, b);
+}
+
+/* ----------------------------------- CSV ----------------------------------- */
+
+// RFC 4180-ish: quoted fields, doubled quotes, commas/semicolons/tabs.
+export function parseCsvText(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const delim = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((x, y) => y[1] - x[1])[0][0];
+
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+  return rows;
+}
+
+// Best guess at which column is which, from the header names.
+export function guessCsvMapping(header) {
+  const find = re => header.findIndex(h => re.test(String(h).trim()));
+  const debit = find(/^(debit|withdrawal|money out|paid out|outflow)/i);
+  const credit = find(/^(credit|deposit|money in|paid in|inflow)/i);
+  return {
+    date: Math.max(0, find(/date|posted|time/i)),
+    description: find(/desc|payee|memo|narrative|details|name|merchant/i),
+    amount: find(/^amount|^value|^sum|transaction amount/i),
+    debit,
+    credit,
+    dateFormat: 'auto',
+    hasHeader: true
+  };
+}
+
+// mapping: { date, description, amount, debit, credit, dateFormat, hasHeader }
+// Column indexes; -1 means "not in this file". Either amount (signed) or
+// debit/credit (unsigned, split) must be mapped.
+export function csvToRows(table, mapping) {
+  const body = mapping.hasHeader ? table.slice(1) : table;
+  const col = (r, i) => (i >= 0 ? r[i] : '');
+  const out = [];
+  for (const r of body) {
+    const date = parseDate(col(r, mapping.date), mapping.dateFormat);
+    let amount = NaN;
+    if (mapping.amount >= 0) {
+      amount = parseAmount(col(r, mapping.amount));
+    } else {
+      const debit = Math.abs(parseAmount(col(r, mapping.debit))) || 0;
+      const credit = Math.abs(parseAmount(col(r, mapping.credit))) || 0;
+      if (debit || credit) amount = credit - debit;
+    }
+    if (!date || !Number.isFinite(amount) || amount === 0) continue;
+    out.push({ date, amount, description: String(col(r, mapping.description) || '').trim() });
+  }
+  return out;
+}
+
+/* ----------------------------------- OFX ----------------------------------- */
+
+// Handles both SGML (unclosed tags) and XML flavors of OFX/QFX.
+export function parseOfx(text) {
+  const src = String(text || '');
+  const blocks = src.split(/<STMTTRN>/i).slice(1).map(b => b.split(/<\/STMTTRN>/i)[0]);
+  const tag = (b, name) => {
+    const m = new RegExp(`<${name}>([^<\\r\\n]*)`, 'i').exec(b);
+    return m ? m[1].trim() : '';
+  };
+  const out = [];
+  for (const b of blocks) {
+    const date = parseDate(tag(b, 'DTPOSTED'));
+    const amount = parseAmount(tag(b, 'TRNAMT'));
+    if (!date || !Number.isFinite(amount) || amount === 0) continue;
+    const name = tag(b, 'NAME');
+    const memo = tag(b, 'MEMO');
+    out.push({
+      date,
+      amount,
+      description: [name, memo && memo !== name ? memo : ''].filter(Boolean).join(' – '),
+      externalId: tag(b, 'FITID') || undefined
+    });
+  }
+  return out;
+}
+
+/* ----------------------------------- QIF ----------------------------------- */
+
+// Records end with "^". D = date, T/U = amount, P = payee, M = memo.
+// QIF dates are US month/day; "1/31'24" means 2024.
+export function parseQif(text, dateFormat = 'mdy') {
+  const out = [];
+  let cur = {};
+  const flush = () => {
+    const date = parseDate(cur.D, dateFormat);
+    const amount = parseAmount(cur.T ?? cur.U);
+    if (date && Number.isFinite(amount) && amount !== 0) {
+      out.push({ date, amount, description: [cur.P, cur.M].filter(Boolean).join(' – ') });
+    }
+    cur = {};
+  };
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line || line.startsWith('!')) continue;
+    if (line.startsWith('^')) { flush(); continue; }
+    const code = line[0];
+    if (!(code in cur)) cur[code] = line.slice(1).trim();
+  }
+  if (Object.keys(cur).length) flush();
+  return out;
+}
+
+/* -------------------------------- Ledger rows -------------------------------- */
+
+// Oldest first, so replaying them walks the calendar forward. Noon local
+// time keeps the calendar day stable across time zones. `source` is the
+// statement format the rows came from.
+export function toTransactions(rows, source = 'import') {
+  return rows
+    .map(r => ({
+      type: r.amount > 0 ? 'deposit' : 'withdraw',
+      amount: Math.round(Math.abs(r.amount) * 100) / 100,
+      createdAt: new Date(`${r.date}T12:00:00`).toISOString(),
+      description: r.description || '',
+      externalId: r.externalId,
+      source
+    }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
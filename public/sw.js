@@ -0,0 +1,120 @@
+// public/sw.js
+// Service worker: keeps Penny working without the server. Every file the
+// page needs is cached when it installs (add new public/ files to ASSETS,
+// and bump CACHE so browsers fetch them) and served from the cache whenever
+// the network or the server is gone; online, the network always wins so
+// edits show up on the next load. A profile read (GET /api/profiles/<id>) is
+// kept too and served with X-Penny-Offline: 1, which penny-store.js takes as
+// "still offline". Every other API call goes straight to the network: writes
+// made offline wait in penny-store.js's outbox, and /analyze falls back to
+// the local math in gemini-service.js.
+
+const CACHE = 'penny-v1';
+const FONT_CACHE = 'penny-fonts-v1';
+
+const ASSETS = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/style.css',
+  '/speech-bubble.css',
+  '/scoring.js',
+  '/locales/en.js',
+  '/locales/es.js',
+  '/locales/fr.js',
+  '/i18n.js',
+  '/personas.js',
+  '/speech-bubble.js',
+  '/config.js',
+  '/penny-store.js',
+  '/gemini-service.js',
+  '/script.js',
+  '/accounts.js',
+  '/backup.js',
+  '/category-budgets.js',
+  '/chat.js',
+  '/currency.js',
+  '/debts.js',
+  '/goals.js',
+  '/history.js',
+  '/investments.js',
+  '/lang.js',
+  '/needs.js',
+  '/offline.js',
+  '/progress.js',
+  '/progression.js',
+  '/recurring.js',
+  '/simulator.js',
+  '/statement-import.js',
+  '/statement-parsers.js',
+  '/trends.js',
+  '/voice.js',
+  '/images/logo.png',
+  '/images/icon.svg',
+  '/images/egg.webp',
+  '/images/critical.webp',
+  '/images/struggling.webp',
+  '/images/happy.webp',
+  '/images/thriving.webp'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const PROFILE_PATH = /^\/api\/profiles\/[^/]+$/;
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(ASSETS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE && k !== FONT_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE));
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (PROFILE_PATH.test(url.pathname)) {
+    event.respondWith(networkFirst(request, { mark: true }));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, { fallback: '/index.html' }));
+  } else if (ASSETS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// The network's answer (kept for later when it is a good one), else the
+// cached copy: marked as offline for profile reads, or `fallback`'s.
+async function networkFirst(request, { mark = false, fallback } = {}) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: !mark }) || (fallback && await cache.match(fallback));
+    if (!cached) throw err;
+    if (!mark) return cached;
+    const headers = new Headers(cached.headers);
+    headers.set('X-Penny-Offline', '1');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+  }
+}
+
+// Fonts never change under the same URL.
+async function cacheFirst(request, name) {
+  const cache = await caches.open(name);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
@@ -0,0 +1,182 @@
+// public/trends.js
+// "Trends" page: is Penny actually getting healthier? Charts the profile's
+// timeline (the server keeps a point for every pet save and ledger change) by
+// day, week or month: health over bands in each state's color, the balance,
+// and how much had been spent that month.
+
+import { getTimeline } from './penny-store.js';
+import { money } from './currency.js';
+import { t } from './lang.js';
+
+const { STATE_BANDS } = window.PennyScoring;
+
+// The pet background colors of each state
+const STATE_COLORS = {
+  ATROCIOUS: '#ffd6d6', CRITICAL: '#f9c5c5', STRUGGLING: '#fff0b3', SURVIVING: '#a9f0c1',
+  HEALTHY: '#a0e6e6', THRIVING: '#fbbde0', FANTASTIC: '#ffe38f'
+};
+
+let zoom = 'day';
+let drawn = 0;   // the latest render; slower older ones are dropped
+
+export function initTrends() {
+  document.querySelectorAll('.zoom-btn').forEach(btn => btn.addEventListener('click', () => {
+    zoom = btn.dataset.zoom;
+    renderTrends();
+  }));
+}
+
+// 'MM-DD' for days and weeks (the Monday), 'YYYY-MM' for months
+const shortKey = key => (key.length > 7 ? key.slice(5) : key);
+
+export async function renderTrends() {
+  const run = ++drawn;
+  document.querySelectorAll('.zoom-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.zoom === zoom));
+
+  let buckets = [];
+  try {
+    buckets = await getTimeline(zoom);
+  } catch (error) {
+    console.warn('Timeline failed:', error);
+  }
+  if (run !== drawn) return;
+
+  document.getElementById('trendsEmpty')?.toggleAttribute('hidden', buckets.length > 0);
+  document.querySelectorAll('.trend-chart').forEach(c => { c.hidden = !buckets.length; });
+  renderSummary(buckets);
+  if (!buckets.length) return;
+
+  drawHealth(document.getElementById('healthChart'), buckets);
+  drawBalance(document.getElementById('balanceChart'), buckets);
+  drawSpend(document.getElementById('spendChart'), buckets);
+}
+
+// "Health 48 → 63 (+15) · HEALTHY now" across the buckets on screen
+function renderSummary(buckets) {
+  const box = document.getElementById('trendsSummary');
+  if (!box) return;
+  if (!buckets.length) {
+    box.textContent = '';
+    return;
+  }
+  const first = buckets[0];
+  const last = buckets[buckets.length - 1];
+  const diff = last.health - first.health;
+  const verdict = t(diff > 0 ? 'trends.better' : diff < 0 ? 'trends.worse' : 'trends.steady');
+  box.textContent = t('trends.summary', {
+    from: first.health, to: last.health, diff: `${diff >= 0 ? '+' : ''}${diff}`, state: t(`state.${last.state}`), verdict
+  });
+}
+
+/* --------------------------------- Charts ---------------------------------- */
+
+// A crisp 2D context the size the canvas is shown at, plus the plot area.
+function setup(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  const cssW = canvas.clientWidth || 380;
+  const cssH = canvas.clientHeight || 160;
+  canvas.width = cssW * dpr;
+  canvas.height = cssH * dpr;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, cssW, cssH);
+  ctx.font = '8px "Press Start 2P", monospace';
+  ctx.fillStyle = '#3d3d3d';
+
+  const pad = { l: 40, r: 8, t: 8, b: 20 };
+  return { ctx, cssH, pad, w: cssW - pad.l - pad.r, h: cssH - pad.t - pad.b };
+}
+
+// x of the i-th of n buckets; a single bucket sits in the middle
+const xAt = (c, i, n) => c.pad.l + (n === 1 ? c.w / 2 : (i / (n - 1)) * c.w);
+
+function axisLabels(c, buckets) {
+  c.ctx.fillStyle = '#3d3d3d';
+  c.ctx.fillText(shortKey(buckets[0].key), c.pad.l, c.cssH - 6);
+  if (buckets.length > 1) {
+    const last = shortKey(buckets[buckets.length - 1].key);
+    c.ctx.fillText(last, c.pad.l + c.w - c.ctx.measureText(last).width, c.cssH - 6);
+  }
+}
+
+function drawLine(ctx, points, color) {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  points.forEach(([px, py], i) => (i ? ctx.lineTo(px, py) : ctx.moveTo(px, py)));
+  ctx.stroke();
+}
+
+// Health with its low–high range per bucket, over one band per state
+function drawHealth(canvas, buckets) {
+  if (!canvas) return;
+  const c = setup(canvas);
+  const { ctx, pad, w, h } = c;
+  const y = v => pad.t + (1 - v / 100) * h;
+
+  STATE_BANDS.forEach(b => {
+    ctx.fillStyle = STATE_COLORS[b.state];
+    ctx.fillRect(pad.l, y(b.max), w, y(b.min) - y(b.max));
+  });
+  ctx.fillStyle = '#3d3d3d';
+  [0, 50, 100].forEach(v => ctx.fillText(String(v), 2, y(v) + 3));
+
+  const n = buckets.length;
+  ctx.strokeStyle = '#999';
+  ctx.lineWidth = 1;
+  buckets.forEach((b, i) => {
+    if (b.low === b.high) return;
+    ctx.beginPath(); ctx.moveTo(xAt(c, i, n), y(b.low)); ctx.lineTo(xAt(c, i, n), y(b.high)); ctx.stroke();
+  });
+  drawLine(ctx, buckets.map((b, i) => [xAt(c, i, n), y(b.health)]), '#000');
+
+  // Dots in the color of the state Penny ended the bucket in
+  buckets.forEach((b, i) => {
+    ctx.fillStyle = STATE_COLORS[b.state] || '#fff';
+    ctx.strokeStyle = '#000';
+    ctx.beginPath();
+    ctx.arc(xAt(c, i, n), y(b.health), 3, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+  });
+  axisLabels(c, buckets);
+}
+
+function drawBalance(canvas, buckets) {
+  if (!canvas) return;
+  const c = setup(canvas);
+  const { ctx, pad, w, h } = c;
+  const values = buckets.map(b => b.balance);
+  let lo = Math.min(0, ...values);
+  let hi = Math.max(...values);
+  if (hi === lo) hi = lo + 1;
+  const y = v => pad.t + (1 - (v - lo) / (hi - lo)) * h;
+
+  ctx.strokeStyle = '#e0e0e0';
+  ctx.lineWidth = 1;
+  [lo, hi].forEach(v => {
+    ctx.beginPath(); ctx.moveTo(pad.l, y(v)); ctx.lineTo(pad.l + w, y(v)); ctx.stroke();
+    ctx.fillText(money(v, undefined, true), 2, y(v) + 3);
+  });
+  drawLine(ctx, buckets.map((b, i) => [xAt(c, i, buckets.length), y(b.balance)]), '#2e86de');
+  axisLabels(c, buckets);
+}
+
+function drawSpend(canvas, buckets) {
+  if (!canvas) return;
+  const c = setup(canvas);
+  const { ctx, pad, w, h } = c;
+  const hi = Math.max(1, ...buckets.map(b => b.monthSpend));
+  const y = v => pad.t + (1 - v / hi) * h;
+  const bar = Math.max(2, Math.min(16, w / buckets.length - 2));
+
+  ctx.fillText(money(hi, undefined, true), 2, y(hi) + 3);
+  ctx.fillText(money(0, undefined, true), 2, y(0) + 3);
+  ctx.fillStyle = '#ff6b6b';
+  buckets.forEach((b, i) => {
+    const x = xAt(c, i, buckets.length);
+    const left = Math.min(Math.max(x - bar / 2, pad.l), pad.l + w - bar);
+    ctx.fillRect(left, y(b.monthSpend), bar, y(0) - y(b.monthSpend));
+  });
+  axisLabels(c, buckets);
+}
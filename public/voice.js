@@ -0,0 +1,42 @@
+// public/voice.js
+// "Voice" section on the Finances page: which persona Penny talks in (see
+// personas.js). The choice is saved with the profile's settings and sent to
+// /analyze, which words the prompt for it; gemini-service.js cleans the reply
+// up by the same persona's rules. Nothing on screen changes until Penny next
+// talks, so there is no onChange.
+
+import { getSettings, saveSettings } from './penny-store.js';
+import { t } from './lang.js';
+
+const { PERSONAS } = window.PennyPersonas;
+
+export function initVoice() {
+  document.getElementById('persona')?.addEventListener('change', handleChange);
+}
+
+/* --------------------------------- Render ---------------------------------- */
+
+export function renderVoice() {
+  const select = document.getElementById('persona');
+  if (!select) return;
+  select.innerHTML = '';
+  PERSONAS.forEach(p => select.append(new Option(t(`persona.${p.key}`), p.key)));
+  select.value = getSettings().persona;
+}
+
+/* --------------------------------- Actions --------------------------------- */
+
+async function handleChange() {
+  const select = document.getElementById('persona');
+  select.disabled = true;
+  try {
+    await saveSettings({ persona: select.value });
+    const status = document.getElementById('personaStatus');
+    if (status) status.textContent = t('voice.saved', { name: t(`persona.${select.value}`) });
+  } catch (error) {
+    alert(t('alert.oops', { message: error?.message || t('voice.saveFailed') }));
+    select.value = getSettings().persona;
+  } finally {
+    select.disabled = false;
+  }
+}
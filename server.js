@@ -1,247 +1,335 @@
 
 // server.js (CommonJS)
-// Deterministic metrics/state/health on server; Gemini only supplies headline + advice.
-// Uses v1beta + JSON mode + responseSchema. Returns:
-// { state, health, message, headline, advice }
+// Deterministic metrics/state/health on server (public/scoring.js, shared with the
+// browser); the LLM only supplies headline + advice.
+// The model behind it is pluggable (lib/llm-providers.js, LLM_PROVIDER). Returns:
+// { state, health, scoringVersion, breakdown, currentHappiness, projectedHappiness,
+//   trend, trendHistory, persona, message, headline, advice }
+// Penny's voice (persona, see public/personas.js) shapes the prompt; the client
+// cleans the reply up by the same persona's rules.
+// /analyze/stream answers the same as Server-Sent Events: the state first, then
+// the headline and advice as the model writes them.
+// With a profileId the server keeps rolling trend history (EMAs, spreads) per profile.
+// Profiles, ledger and pet snapshots persist in a JSON file under /api/profiles.
+// /chat answers questions about them (lib/chat.js).
 
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
+const path = require('path');
 dotenv.config();
 
+const { createStore } = require('./lib/store');
+const { profileRoutes, jsonErrors } = require('./lib/profile-routes');
+const { chatRoutes } = require('./lib/chat');
+const { createProvider, partialAdvice } = require('./lib/llm-providers');
+const scoring = require('./public/scoring');
+const i18n = require('./public/i18n');
+const personas = require('./public/personas');
+const { simulate, validateScenarios } = require('./lib/simulator');
+
 // Node 18+ has global fetch. For older Node, install node-fetch and uncomment:
 // const fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));   // statement imports and backups can be large
 app.use(express.static('public'));
 
 app.get('/favicon.ico', (req, res) => res.status(204).end());
 
-/* ------------------------------ Deterministic ------------------------------ */
-
-const ALLOWED_STATES = [
-  'ATROCIOUS','CRITICAL','STRUGGLING','SURVIVING','HEALTHY','THRIVING','FANTASTIC'
-];
-
-const toAllowedState = s => (ALLOWED_STATES.includes(String(s).toUpperCase()) ? String(s).toUpperCase() : 'SURVIVING');
-const clamp0to100   = x => Number.isFinite(+x) ? Math.max(0, Math.min(100, Math.round(+x))) : 50;
+/* --------------------------------- Storage --------------------------------- */
 
-function computeMetrics(inputs) {
-  const inc  = +inputs.monthly_income      || 0;
-  const sp   = +inputs.monthly_spending    || 0;
-  const sav  = +inputs.total_savings       || 0;
-  const debt = +inputs.total_debt          || 0;
-  const invM = +inputs.monthly_investments || 0;
+const store = createStore(process.env.PENNY_DATA_FILE || path.join(__dirname, 'data', 'penny.json'));
+app.use('/api/profiles', profileRoutes(store));
 
-  // exact math (no rounding for decisions)
-  const budget_ratio  = inc > 0 ? sp / inc : Number.POSITIVE_INFINITY;
-  const runway_months = sp > 0 ? sav / sp : (sav > 0 ? 99.999 : 0);
-  const invest_rate   = inc > 0 ? invM / inc : 0;
-  const dti           = inc > 0 ? debt / inc : Number.POSITIVE_INFINITY;
+// LLM used for headline + advice (see lib/llm-providers.js for env config)
+const llm = createProvider();
 
-  return { budget_ratio, runway_months, invest_rate, dti, inc, sp, sav, debt };
-}
+// Chat with Penny, grounded in the profile's ledger (see lib/chat.js)
+app.use('/chat', chatRoutes(store, llm));
 
-function pickState(m) {
-  if (m.inc <= 0 || m.budget_ratio >= 1.5 || m.runway_months < 0.5) return 'ATROCIOUS';
-  if (m.budget_ratio > 1.10 || m.runway_months < 1.0 || m.dti > 1.20) return 'CRITICAL';
-  if ((m.budget_ratio > 0.90 && m.budget_ratio <= 1.10) || (m.runway_months >= 1.0 && m.runway_months < 2.0) || (m.dti > 0.60 && m.dti <= 1.20)) return 'STRUGGLING';
-  if ((m.budget_ratio > 0.80 && m.budget_ratio <= 0.90) || (m.runway_months >= 2.0 && m.runway_months < 3.0) || (m.invest_rate >= 0.05 && m.invest_rate < 0.10)) return 'SURVIVING';
-  if (m.budget_ratio <= 0.80 && (m.runway_months >= 3.0 && m.runway_months <= 6.0) && m.invest_rate >= 0.10 && m.dti <= 0.60) return 'HEALTHY';
-  if (m.budget_ratio <= 0.70 && (m.runway_months > 6.0 && m.runway_months <= 12.0) && m.invest_rate >= 0.12 && m.dti <= 0.40) return 'THRIVING';
-  if (m.budget_ratio <= 0.60 && m.runway_months > 12.0 && m.invest_rate >= 0.15 && m.dti <= 0.20) return 'FANTASTIC';
-  return 'SURVIVING';
-}
-
-function computeHealth(m) {
-  let h = 50;
-  // budget
-  if (m.budget_ratio <= 0.80) h += 15;
-  else if (m.budget_ratio <= 0.90) h += 5;
-  else if (m.budget_ratio <= 1.10) h -= 10;
-  else h -= 25;
-  if (m.budget_ratio >= 1.50) h -= 15; // extra penalty to match flatline
-
-  // runway
-  if (m.runway_months >= 6) h += 20;
-  else if (m.runway_months >= 3) h += 10;
-  else if (m.runway_months >= 2) h += 5;
-  else if (m.runway_months >= 1) h -= 10;
-  else { h -= 25; if (m.runway_months < 0.5) h -= 10; }
-
-  // investing
-  if (m.invest_rate >= 0.12) h += 10;
-  else if (m.invest_rate >= 0.10) h += 5;
-  else if (m.invest_rate >= 0.05) h += 2;
-
-  // debt
-  if (m.dti <= 0.40) h += 10;
-  else if (m.dti <= 0.60) h += 5;
-  else if (m.dti <= 1.20) h -= 10;
-  else h -= 20;
-
-  return clamp0to100(h);
-}
+/* ---------------------------------- Helpers --------------------------------- */
 
 const normalizeAdvice = arr =>
   Array.isArray(arr) ? arr.map(s => String(s||'').trim()).filter(Boolean).slice(0,3) : [];
 
+// e.g. { Dining: 112, Groceries: 64 } — percent of each category budget used
+const categoryBudgetsUsed = usage =>
+  Object.fromEntries(usage.categories.filter(c => c.budget).map(c => [c.label, Math.round(c.used * 100)]));
+
+// Nearest savings goal, pre-formatted for the prompt
+const goalContext = g => ({
+  name: g.name,
+  saved: Math.round(g.saved),
+  target: Math.round(g.target),
+  due: g.targetDate,
+  monthly_needed: Math.ceil(g.monthlyNeeded),
+  on_track: g.onTrack
+});
+
 const makeSpeechMessage = (headline, advice3) =>
   `${headline || ''}${advice3.length ? '\n' + advice3.map(b => '• ' + b).join('\n') : ''}`.trim();
 
 /* ---------------------------------- Route ----------------------------------- */
 
+// Everything /analyze and /analyze/stream share: the deterministic result
+// (trend history saved), the coach prompt and the local fallback advice.
+async function prepareAnalysis(body) {
+  // Expect structured numbers from client; fallback to 0 if missing
+  let inputs = body.inputs || {};
+
+  // Trend history: stored per profile; client-sent prevs only seed a new one
+  const profileId = store.isValidId(body.profileId) ? body.profileId : null;
+  const profile = profileId ? store.getProfile(profileId) : null;
+  const history = profile?.trend || null;
+  // Amounts are in the profile currency; accounts kept in others are converted
+  const currency = profile?.settings.currency || scoring.DEFAULT_CURRENCY;
+  // ...and Penny answers in the language the page is in (the profile's otherwise)
+  const language = [body.language, profile?.settings.language].find(i18n.isLanguage) || i18n.DEFAULT_LANGUAGE;
+  // ...in the voice the page asked for (the profile's otherwise)
+  const persona = personas.personaOf([body.persona, profile?.settings.persona].find(personas.isPersona));
+  const ledger = profile ? scoring.inProfileCurrency(profile) : null;
+  // Category budgets are judged against the profile's own ledger this month
+  const usage = ledger ? scoring.categoryUsage(ledger.transactions, profile.financial.categoryBudgets) : null;
+  if (usage) inputs = { ...inputs, category_overspend: usage.overspendRatio };
+  // ...and so are savings goals; the nearest one steers the advice
+  const goals = profile ? scoring.goalProgress(profile.goals) : null;
+  if (goals) inputs = { ...inputs, goal_pace: goals.pace };
+  const nearestGoal = goals?.nearest || null;
+  // Debt accounts, once entered, are the real total debt
+  if (profile?.debts.length) inputs = { ...inputs, total_debt: scoring.totalDebt(profile.debts) };
+  // ...and investment accounts are the real investing (recorded contributions, not a guess)
+  const investments = ledger ? scoring.investmentSummary(ledger) : null;
+  if (investments?.accounts.length) {
+    inputs = {
+      ...inputs,
+      monthly_investments: investments.monthlyContributions,
+      investment_balance: investments.value
+    };
+  }
+  const scored = scoring.score(history ? { ...inputs, ...scoring.trendInputs(history) } : inputs);
+  const trendHistory = scoring.nextTrendHistory(history, scored);
+  if (profile) await store.saveTrend(profileId, trendHistory);
+
+  const m = scored.metrics;
+  const { state, health } = scored;
+  const result = {
+    state,
+    health,
+    scoringVersion: scored.version,
+    breakdown: scored.breakdown,   // per-factor points + thresholds for the UI
+    currentHappiness: scored.currentHappiness,
+    projectedHappiness: scored.projectedHappiness,
+    trend: scoring.summarizeTrend(scored, trendHistory),
+    trendHistory,
+    persona: persona.key
+  };
+
+  // pre-format numbers to reduce model work
+  const ctx = {
+    budget_ratio_pct: Number.isFinite(m.budget_ratio) ? Math.round(m.budget_ratio*100) : '∞',
+    runway_months_1d: +m.runway_months.toFixed(1),
+    invest_rate_pct:  Math.round(m.invest_rate*100),
+    dti_pct:          Number.isFinite(m.dti) ? Math.round(m.dti*100) : '∞',
+    ...(usage && usage.budgetTotal ? { category_budgets_used: categoryBudgetsUsed(usage) } : {}),
+    ...(nearestGoal ? { nearest_goal: goalContext(nearestGoal) } : {}),
+    currency: i18n.currencyName(currency, language),
+    state,
+    health
+  };
+
+  // Short prompt in the persona's voice; voices that keep the Good/Fix/Goal
+  // labels get them in the answer's language
+  const slot = (key, what) =>
+    `"${persona.keep.labels ? `${i18n.translate(language, `advice.prefix.${key}`)}: ` : ''}<${what}>"`;
+  const prompt =
+    persona.voice.join('\n') + '\n' +
+    (persona.keep.symbols ? `Use the numbers I give you in parentheses.\n` : `Use the numbers I give you, written as words.\n`) +
+    `Write the headline and advice in ${i18n.languageName(language)}.\n` +
+    `Money amounts are in ${ctx.currency}; say "${i18n.moneyWords(40, currency, language)}", never another currency.\n` +
+    (nearestGoal ? `Make the Goal bullet about nearest_goal and its monthly_needed.\n` : '') + `\n` +
+    `Numbers:\n` + JSON.stringify(ctx) + `\n\n` +
+    `Return JSON ONLY (no code fences):\n` +
+    `{\n  "headline": "<<=80 chars${persona.keep.emoji ? ', can include 1 emoji' : ''}>",\n` +
+    `  "advice": [\n` +
+    `    ${slot('good', 'strength tied to a number')},\n` +
+    `    ${slot('fix', 'highest-impact fix tied to a number')},\n` +
+    `    ${slot('goal', 'one tiny step with a number')}\n` +
+    `  ]\n}\n`;
+
+  return { result, ctx, prompt, fallback: () => buildLocalAdvice(m, state, nearestGoal, currency, language) };
+}
+
+// The model's answer, or the local advice if it gave nothing usable
+function finishAdvice(llmObj, fallback) {
+  const headline = String(llmObj?.headline || '').trim();
+  const advice   = normalizeAdvice(llmObj?.advice);
+  if (!headline && advice.length === 0) {
+    const fb = fallback();
+    return { message: makeSpeechMessage(fb.headline, fb.advice), ...fb };
+  }
+  return { message: makeSpeechMessage(headline, advice), headline, advice };
+}
+
+// Both routes turn a misconfigured provider away before anything is scored,
+// so a failed request never moves the profile's trend history.
 app.post('/analyze', async (req, res) => {
+  if (llm.configError) return res.status(500).json({ error: llm.configError });
   try {
-    // Expect structured numbers from client; fallback to 0 if missing
-    const inputs = req.body.inputs || {};
-    const m = computeMetrics(inputs);
-    const state = pickState(m);
-    const health = computeHealth(m);
-
-    // pre-format numbers to reduce model work
-    const ctx = {
-      budget_ratio_pct: Number.isFinite(m.budget_ratio) ? Math.round(m.budget_ratio*100) : '∞',
-      runway_months_1d: +m.runway_months.toFixed(1),
-      invest_rate_pct:  Math.round(m.invest_rate*100),
-      dti_pct:          Number.isFinite(m.dti) ? Math.round(m.dti*100) : '∞',
-      state,
-      health
-    };
+    const { result, ctx, prompt, fallback } = await prepareAnalysis(req.body);
 
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) return res.status(500).json({ error: 'Missing GEMINI_API_KEY in .env' });
+    // Provider errors (HTTP, timeout, truncated output) → local fallback
+    let llmObj;
+    try { llmObj = await llm.generate({ prompt, ctx }); }
+    catch (err) { console.warn(`[${llm.name}] falling back to local advice:`, err.message); }
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+    return res.json({ ...result, ...finishAdvice(llmObj, fallback) });
 
-    const responseSchema = {
-      type: 'OBJECT',
-      properties: {
-        headline: { type: 'STRING' },         // emojis OK
-        advice:   { type: 'ARRAY', items: { type: 'STRING' }, minItems: 3, maxItems: 3 }
-      },
-      required: ['headline','advice'],
-      propertyOrdering: ['headline','advice']
-    };
+  } catch (err) {
+    console.error('Analyze error:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
 
-    // === NEW: Short + cute prompt (1 emoji per line, plain words) ===
-    const coachPrompt =
-      `You are a concise, friendly money coach. Keep it simple and cute.\n` +
-      `Use 1 emoji per line. Max ~60 chars per bullet. No hashtags.\n` +
-      `Use the numbers I give you in parentheses.\n\n` +
-      `Numbers:\n` + JSON.stringify(ctx) + `\n\n` +
-      `Return JSON ONLY (no code fences):\n` +
-      `{\n  "headline": "<<=80 chars, can include 1 emoji>",\n` +
-      `  "advice": [\n` +
-      `    "Good: <strength tied to a number>",\n` +
-      `    "Fix: <highest-impact fix tied to a number>",\n` +
-      `    "Goal (next week): <one tiny step with a number>"\n` +
-      `  ]\n}\n`;
-
-    const body = {
-      contents: [{ parts: [{ text: coachPrompt }] }],
-      generationConfig: {
-        responseMimeType: 'application/json',
-        responseSchema,
-        temperature: 0.3,
-        maxOutputTokens: 120
+// Same body and answer as /analyze, as Server-Sent Events:
+//   state  the deterministic part of the answer right away, plus the local
+//          advice as `fallback` for a client whose stream dies
+//   token  { field: 'headline', text } or { field: 'advice', index, text }:
+//          the next piece of that line
+//   done   { message, headline, advice }, the model's or the local advice
+// Errors before the stream starts are plain JSON, as on /analyze.
+app.post('/analyze/stream', async (req, res) => {
+  if (llm.configError) return res.status(500).json({ error: llm.configError });
+  let analysis;
+  try {
+    analysis = await prepareAnalysis(req.body);
+  } catch (err) {
+    console.error('Analyze error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+  const { result, ctx, prompt, fallback } = analysis;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // A client that goes away stops the model too
+  const ctrl = new AbortController();
+  res.on('close', () => ctrl.abort());
+
+  send('state', { ...result, fallback: fallback() });
+
+  // Send what each line gained since the last piece
+  const sent = { headline: '', advice: [] };
+  const onText = text => {
+    if (ctrl.signal.aborted) return;
+    const now = partialAdvice(text);
+    if (now.headline.length > sent.headline.length) {
+      send('token', { field: 'headline', text: now.headline.slice(sent.headline.length) });
+      sent.headline = now.headline;
+    }
+    now.advice.slice(0, 3).forEach((line, index) => {
+      const before = sent.advice[index] || '';
+      if (line.length > before.length) {
+        send('token', { field: 'advice', index, text: line.slice(before.length) });
+        sent.advice[index] = line;
       }
-    };
-
-    const r = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
     });
+  };
 
-    const data = await r.json().catch(() => ({}));
-
-    // If API error OR MAX_TOKENS OR empty text → fallback immediately
-    const finish = data?.candidates?.[0]?.finishReason;
-    const cand   = data?.candidates?.[0];
-    let text     = '';
-
-    if (!r.ok || finish === 'MAX_TOKENS') {
-      const fb = buildLocalAdvice(m, state);
-      const msg = makeSpeechMessage(fb.headline, fb.advice);
-      return res.status(200).json({ state, health, message: msg, ...fb });
-    }
+  // Provider errors (HTTP, timeout, truncated output) → local fallback
+  let llmObj;
+  try { llmObj = await llm.stream({ prompt, ctx, signal: ctrl.signal }, onText); }
+  catch (err) {
+    if (!ctrl.signal.aborted) console.warn(`[${llm.name}] falling back to local advice:`, err.message);
+  }
+  if (ctrl.signal.aborted) return;
 
-    if (Array.isArray(cand?.content?.parts)) text = cand.content.parts.map(p => p?.text || '').join('');
-    else if (typeof cand?.text === 'string') text = cand.text;
+  send('done', finishAdvice(llmObj, fallback));
+  res.end();
+});
 
-    let llmObj;
-    try { llmObj = JSON.parse((text||'').trim() || '{}'); }
-    catch { llmObj = {}; }
+/* --------------------------------- Simulate --------------------------------- */
+// What-if projections: same inputs as /analyze plus hypothetical changes.
+// Body: { inputs, horizonMonths, changes } or { inputs, horizonMonths, scenarios: [{ label, changes }] }
+// Returns { scoringVersion, horizonMonths, today, baseline: [month], scenarios: [{ label, changes, months, final }] }
 
-    const headline = (llmObj.headline || '').trim();
-    const advice   = normalizeAdvice(llmObj.advice);
+const MAX_SCENARIOS = 8;
 
-    // If Gemini returned nothing usable → fallback
-    if (!headline && advice.length === 0) {
-      const fb = buildLocalAdvice(m, state);
-      const msg = makeSpeechMessage(fb.headline, fb.advice);
-      return res.status(200).json({ state, health, message: msg, ...fb });
+app.post('/simulate', (req, res) => {
+  try {
+    const { inputs, changes, scenarios, horizonMonths } = req.body || {};
+    const list = scenarios !== undefined ? scenarios : (changes ? [{ label: 'What if', changes }] : []);
+    const invalid = validateScenarios(list);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (inputs !== undefined && (!inputs || typeof inputs !== 'object' || Array.isArray(inputs))) {
+      return res.status(400).json({ error: 'inputs must be an object' });
     }
-
-    const message  = makeSpeechMessage(headline, advice);
-    return res.json({ state, health, message, headline, advice });
-
+    if (list.length > MAX_SCENARIOS) {
+      return res.status(400).json({ error: `At most ${MAX_SCENARIOS} scenarios per request` });
+    }
+    res.json(simulate({ inputs: inputs || {}, scenarios: list, horizonMonths }));
   } catch (err) {
-    console.error('Analyze error:', err);
+    console.error('Simulate error:', err);
     res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
 /* -------------------------- Local advice fallback --------------------------- */
 
-function buildLocalAdvice(m, state) {
-  const headline =
-    state === 'FANTASTIC' ? 'Fantastic status — systems humming. 🚀' :
-    state === 'THRIVING'  ? 'Strong trajectory — keep compounding. 📈' :
-    state === 'HEALTHY'   ? 'On plan — maintain discipline. ✅' :
-    state === 'SURVIVING' ? 'Stable, but tighten a few screws. 🛠️' :
-    state === 'STRUGGLING'? 'Pressure building — quick wins needed. ⚠️' :
-    state === 'CRITICAL'  ? 'Critical — address cash risk now. 🆘' :
-                            'Atrocious — emergency mode. 💀';
+// `currency` names the amounts in the Goal line ("put 120 euros/mo ..."), and
+// `language` is the one it is written in (public/locales/, `advice.*`).
+function buildLocalAdvice(m, state, goal, currency = scoring.DEFAULT_CURRENCY, language = i18n.DEFAULT_LANGUAGE) {
+  const say = (key, vars) => i18n.translate(language, `advice.${key}`, vars);
+  const headline = say(`headline.${scoring.STATES.includes(state) ? state : 'ATROCIOUS'}`);
 
   const pct = x => isFinite(x) ? `${Math.round(x*100)}%` : '∞';
   const one = (m.budget_ratio <= 0.8)
-    ? `Good: Spend ratio ${pct(m.budget_ratio)} (≤80%). 👍`
+    ? say('good.spend', { pct: pct(m.budget_ratio) })
     : (m.runway_months >= 3)
-      ? `Good: Runway ${m.runway_months.toFixed(1)} mo (≥3). 💡`
+      ? say('good.runway', { months: m.runway_months.toFixed(1) })
       : (m.invest_rate >= 0.10)
-        ? `Good: Investing ${pct(m.invest_rate)} (≥10%). 📈`
+        ? say('good.invest', { pct: pct(m.invest_rate) })
         : (m.dti <= 0.60)
-          ? `Good: DTI ${pct(m.dti)} (≤60%). ✅`
-          : `Good: Clear starting point. ⭐`;
+          ? say('good.dti', { pct: pct(m.dti) })
+          : say('good.start');
 
   const two = (m.budget_ratio > 0.9)
-    ? `Fix: Trim spend ~${Math.ceil((m.budget_ratio-0.9)*100)}% to reach ≤90%. ✂️`
-    : (m.runway_months < 2)
-      ? `Fix: Boost savings to 2 mo (now ${m.runway_months.toFixed(1)}). 🏦`
-      : (m.invest_rate < 0.10)
-        ? `Fix: Raise invest to 10% (now ${pct(m.invest_rate)}). 💸`
-        : (m.dti > 1.2)
-          ? `Fix: Pay down debt; DTI ${pct(m.dti)} > 120%. 📉`
-          : `Fix: Pick one category to cut. 📝`;
-
+    ? say('fix.trim', { pct: Math.ceil((m.budget_ratio-0.9)*100) })
+    : (m.category_overspend > 0)
+      ? say('fix.categories', { pct: pct(m.category_overspend) })
+      : (m.runway_months < 2)
+        ? say('fix.runway', { months: m.runway_months.toFixed(1) })
+        : (m.invest_rate < 0.10)
+          ? say('fix.invest', { pct: pct(m.invest_rate) })
+          : (m.dti > 1.2)
+            ? say('fix.debt', { pct: pct(m.dti) })
+            : say('fix.cut');
+
+  const money = x => i18n.moneyWords(Math.ceil(x), currency, language);
   const weekly = Math.max(1, Math.ceil(((m.inc||0)*0.10)/4));
-  const three = (m.invest_rate < 0.10)
-    ? `Goal (next week): auto-move ${weekly}/wk to investing. 🗓️`
-    : (m.runway_months < 3)
-      ? `Goal (next week): save ${Math.ceil((m.sp||0)*0.1)} to build runway. ⛳`
-      : `Goal (next week): track spend daily; keep ≤80%. 🧭`;
+  const three = goal
+    ? say('goal.saving', { amount: money(goal.monthlyNeeded), name: goal.name, date: goal.targetDate })
+    : (m.invest_rate < 0.10)
+      ? say('goal.invest', { amount: money(weekly) })
+      : (m.runway_months < 3)
+        ? say('goal.runway', { amount: money((m.sp||0)*0.1) })
+        : say('goal.track');
 
   return { headline, advice: [one, two, three] };
 }
 
 /* --------------------------------- Boot ------------------------------------ */
 
+// e.g. a body that is not JSON, or over the size limit
+app.use(jsonErrors);
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Penny server at http://localhost:${PORT}`);
+  console.log(`LLM provider: ${llm.name}${llm.configError ? ` (${llm.configError})` : ''}`);
   console.log('Open http://localhost:3000 (do NOT use file://)');
 });
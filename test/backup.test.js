@@ -0,0 +1,90 @@
+// Backups: validation, migration of older versions and restore into the store.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+const { buildBackup, validateBackup, readBackup } = require('../lib/backup');
+
+const tempStore = () => createStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'penny-')), 'penny.json'));
+const backupOf = (version, profile) => ({ format: 'penny-backup', version, exportedAt: new Date().toISOString(), profile });
+
+test('validateBackup refuses what is not a backup it can read', () => {
+  assert.equal(validateBackup({ format: 'other' }), 'Not a Penny backup file');
+  assert.match(validateBackup(backupOf(99, {})), /newer Penny/);
+  assert.equal(validateBackup(backupOf(4, { transactions: {} })), 'profile.transactions must be a list');
+  assert.equal(
+    validateBackup(backupOf(4, { transactions: [{ id: 'a', type: 'deposit', amount: -1, createdAt: '2026-01-01' }] })),
+    'profile.transactions[0]: amount must be a positive number'
+  );
+  assert.equal(validateBackup(backupOf(4, { name: 'Bob' })), null);
+});
+
+test('readBackup fills in every list a bare profile leaves out', () => {
+  const p = readBackup(backupOf(4, { name: 'Bob', balance: 25 }));
+  ['transactions', 'transfers', 'valuations', 'recurring', 'goals', 'debts', 'petSnapshots', 'timeline']
+    .forEach(key => assert.deepEqual(p[key], [], key));
+  assert.equal(p.accounts.length, 1);
+  assert.equal(p.accounts[0].balance, 25);
+});
+
+test('a v1 backup gets a Checking account holding its whole ledger', () => {
+  const p = readBackup(backupOf(1, {
+    name: 'Al',
+    balance: 150,
+    progress: { dayCount: 3 },
+    transactions: [
+      { id: 'b', type: 'withdraw', amount: 50, createdAt: '2026-02-02T10:00:00.000Z' },
+      { id: 'a', type: 'deposit', amount: 200, createdAt: '2026-02-01T10:00:00.000Z' }
+    ]
+  }));
+  assert.equal(p.progress, undefined);
+  assert.deepEqual(p.transactions.map(t => t.id), ['a', 'b']);
+  assert.ok(p.transactions.every(t => t.accountId === 'main'));
+  assert.equal(p.accounts[0].balance, 150);
+  assert.deepEqual(p.petSnapshots, []);
+});
+
+test('a bare backup restores in both modes', async () => {
+  const store = tempStore();
+  const bare = readBackup(backupOf(4, { name: 'Bob' }));
+  const replaced = await store.restoreProfile('bob', bare, 'replace');
+  assert.equal(replaced.name, 'Bob');
+  assert.equal(replaced.balance, 0);
+
+  await store.addTransaction('bob', { type: 'deposit', amount: 40 });
+  const merged = await store.restoreProfile('bob', readBackup(backupOf(4, { name: 'Bob' })), 'merge');
+  assert.equal(merged.transactions.length, 1);
+  assert.equal(merged.balance, 40);
+});
+
+test('a profile restored from a v1 backup can save its pet', async () => {
+  const store = tempStore();
+  await store.restoreProfile('al', readBackup(backupOf(1, { name: 'Al', balance: 10 })), 'replace');
+  const snap = await store.savePetState('al', { state: 'HEALTHY', health: 60 });
+  assert.equal(snap.state, 'HEALTHY');
+  assert.equal(store.getProfile('al').petSnapshots.length, 1);
+});
+
+test('merging a backup adds only the entries that are new, moving the balance', async () => {
+  const store = tempStore();
+  await store.upsertProfile('a', {});
+  await store.addTransaction('a', { type: 'deposit', amount: 100, createdAt: '2026-03-01T12:00:00.000Z' });
+  const exported = buildBackup(store.getProfile('a'));
+  await store.addTransaction('a', { type: 'withdraw', amount: 30, createdAt: '2026-03-02T12:00:00.000Z' });
+
+  const other = tempStore();
+  await other.upsertProfile('a', {});
+  await other.addTransaction('a', { type: 'deposit', amount: 5, createdAt: '2026-03-03T12:00:00.000Z' });
+  const merged = await other.restoreProfile('a', readBackup(exported), 'merge');
+  assert.equal(merged.transactions.length, 2);
+  assert.equal(merged.balance, 105);
+  assert.deepEqual(merged.transactions.map(t => t.balanceAfter), [100, 105]);
+
+  // Merging the same file again changes nothing
+  const again = await other.restoreProfile('a', readBackup(exported), 'merge');
+  assert.equal(again.transactions.length, 2);
+  assert.equal(again.balance, 105);
+});
@@ -0,0 +1,59 @@
+// Chat with Penny (lib/chat.js): replies only quote numbers the profile gave.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { chatRoutes, questionAmount, quotesOnlyKnownNumbers } = require('../lib/chat');
+const { createStore } = require('../lib/store');
+
+// A model that always answers `reply`.
+const fakeModel = reply => ({ name: 'fake', configError: null, chat: async () => ({ reply }) });
+
+async function ask(model, message) {
+  const store = createStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'penny-')), 'penny.json'));
+  await store.upsertProfile('p', { financial: { initialBalance: 0, monthlyEarnings: 3000, monthlyBudget: 2000 } });
+  await store.addTransaction('p', { type: 'deposit', amount: 1250 });
+  const app = express();
+  app.use(express.json());
+  app.use('/chat', chatRoutes(store, model));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const r = await fetch(`http://127.0.0.1:${server.address().port}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profileId: 'p', message })
+    });
+    return await r.json();
+  } finally {
+    server.close();
+  }
+}
+
+test('amounts are read from the question', () => {
+  assert.equal(questionAmount('Can I afford a $1,200 bike?'), 1200);
+  assert.equal(questionAmount('is 40 euros too much?'), 40);
+  assert.equal(questionAmount('how am I doing?'), null);
+});
+
+test('a number is known in either notation, and small counts are always fine', () => {
+  const facts = [JSON.stringify({ balance: 1250, savings_runway_months: 2.5 })];
+  assert.equal(quotesOnlyKnownNumbers('You have 1,250 saved, about 2.5 months.', facts), true);
+  assert.equal(quotesOnlyKnownNumbers('You have 1.250 saved. Try 3 small steps.', facts), true);
+  assert.equal(quotesOnlyKnownNumbers('You have 4,800 saved.', facts), false);
+});
+
+test('a reply quoting the profile is sent as the model wrote it', async () => {
+  const res = await ask(fakeModel('Your balance is 1,250.'), 'How much do I have?');
+  assert.deepEqual([res.source, res.reply], ['model', 'Your balance is 1,250.']);
+});
+
+test('a reply that invents a figure is swapped for Penny\'s own answer', async () => {
+  const res = await ask(fakeModel('You could save 987 a month!'), 'How much can I save?');
+  assert.equal(res.source, 'local');
+  assert.doesNotMatch(res.reply, /987/);
+  assert.deepEqual(res.history.map(h => h.role), ['user', 'penny']);
+});
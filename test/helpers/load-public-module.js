@@ -0,0 +1,16 @@
+// Loads a browser ES module from public/ into a CommonJS test. The package is
+// CommonJS, so the module is imported from its source; the shared scripts
+// the page puts on window (scoring.js) are put there first.
+
+const fs = require('fs');
+const path = require('path');
+
+globalThis.window = globalThis.window || { PennyScoring: require('../../public/scoring') };
+
+// A promise of the module's exports, e.g. loadPublicModule('needs.js').
+function loadPublicModule(file) {
+  const source = fs.readFileSync(path.join(__dirname, '../../public', file), 'utf8');
+  return import(`data:text/javascript,${encodeURIComponent(source)}`);
+}
+
+module.exports = { loadPublicModule };
@@ -0,0 +1,35 @@
+// Reading the model's advice (lib/llm-providers.js): whole answers, fenced or
+// chatty ones, and streams cut off part way.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAdviceJson, partialAdvice } = require('../lib/llm-providers');
+
+const answer = { headline: 'Nice work!', advice: ['Good: 40% spent', 'Fix: cut dining', 'Goal: save 10'] };
+
+test('advice JSON is read bare, fenced or wrapped in chatter', () => {
+  assert.deepEqual(parseAdviceJson(JSON.stringify(answer)), answer);
+  assert.deepEqual(parseAdviceJson('```json\n' + JSON.stringify(answer) + '\n```'), answer);
+  assert.deepEqual(parseAdviceJson(`Sure! Here you go: ${JSON.stringify(answer)} Hope it helps.`), answer);
+});
+
+test('malformed, empty or cut-off advice is null', () => {
+  assert.equal(parseAdviceJson(''), null);
+  assert.equal(parseAdviceJson(undefined), null);
+  assert.equal(parseAdviceJson('no JSON here'), null);
+  assert.equal(parseAdviceJson('{"headline": "Nice", "advice": [}'), null);
+  assert.equal(parseAdviceJson(JSON.stringify(answer).slice(0, 40)), null);
+});
+
+test('a stream cut part way shows what it has so far', () => {
+  const full = JSON.stringify(answer);
+  assert.deepEqual(partialAdvice(''), { headline: '', advice: [] });
+  assert.deepEqual(partialAdvice(full.slice(0, full.indexOf('work'))), { headline: 'Nice ', advice: [] });
+  assert.deepEqual(partialAdvice(full.slice(0, full.indexOf('cut'))), { headline: 'Nice work!', advice: ['Good: 40% spent', 'Fix: '] });
+  assert.deepEqual(partialAdvice(full), answer);
+});
+
+test('escapes are decoded, and one cut in half waits for the rest', () => {
+  assert.deepEqual(partialAdvice('{"headline": "Say \\"hi\\"\\nnow"'), { headline: 'Say "hi"\nnow', advice: [] });
+  assert.equal(partialAdvice('{"headline": "Tab\\').headline, 'Tab');
+});
@@ -0,0 +1,51 @@
+// Penny's hunger, health decay and check-in streak (public/needs.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPublicModule } = require('./helpers/load-public-module');
+
+const needsModule = loadPublicModule('needs.js');
+
+// Local times, like the page's
+const at = (day, hour = 9) => new Date(2026, 0, day, hour);
+
+test('Penny gets hungry after three days without an entry, up to a cap', async () => {
+  const { hungerOf, needsOf } = await needsModule;
+  const needs = needsOf({ fedAt: at(10, 23).toISOString() });
+  assert.deepEqual(hungerOf(needs, at(12)), { days: 2, hungry: false, points: 0 });
+  assert.deepEqual(hungerOf(needs, at(13, 0)), { days: 3, hungry: true, points: 3 });
+  assert.deepEqual(hungerOf(needs, at(30)), { days: 20, hungry: true, points: 30 });
+  assert.deepEqual(hungerOf(needsOf(null, [], at(30)), at(30)), { days: 0, hungry: false, points: 0 });
+});
+
+test('a pet saved before needs existed was fed by her latest entry', async () => {
+  const { needsOf } = await needsModule;
+  const needs = needsOf(undefined, [{ createdAt: at(3).toISOString() }, { createdAt: at(5).toISOString() }]);
+  assert.equal(needs.fedAt, at(5).toISOString());
+  assert.equal(needs.settledAt, needs.fedAt);
+  assert.deepEqual([needs.streak, needs.bestStreak, needs.checkedInOn], [0, 0, null]);
+});
+
+test('health halves its gap to the target every day', async () => {
+  const { decayedHealth, targetHealth } = await needsModule;
+  const needs = { fedAt: at(10).toISOString(), settledAt: at(10).toISOString() };
+  assert.equal(decayedHealth(100, 50, needs, at(10)), 100);
+  assert.equal(decayedHealth(100, 50, needs, at(11)), 75);
+  assert.equal(decayedHealth(20, 60, needs, at(12)), 50);
+  // Four days unfed: two days of hunger off the target
+  assert.equal(targetHealth(60, needs, at(14)), 54);
+});
+
+test('check-ins build a streak that a missed day breaks', async () => {
+  const { checkIn, currentStreak, needsOf } = await needsModule;
+  let needs = checkIn(needsOf(null), at(1));
+  needs = checkIn(needs, at(1, 20));
+  needs = checkIn(needs, at(2));
+  needs = checkIn(needs, at(3));
+  assert.deepEqual([needs.streak, needs.bestStreak, needs.checkedInOn], [3, 3, '2026-01-03']);
+  assert.equal(currentStreak(needs, at(4)), 3);
+  assert.equal(currentStreak(needs, at(5)), 0);
+  needs = checkIn(needs, at(5));
+  assert.deepEqual([needs.streak, needs.bestStreak], [1, 3]);
+  assert.equal(needs.fedAt, at(5).toISOString());
+});
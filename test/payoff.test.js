@@ -0,0 +1,49 @@
+// Debt payoff planner (lib/payoff.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planPayoff } = require('../lib/payoff');
+
+const now = new Date('2026-01-15T12:00:00Z');
+
+test('a freed-up minimum rolls into the next debt', () => {
+  const plan = planPayoff([
+    { id: 'a', name: 'A', balance: 300, apr: 0, minPayment: 100 },
+    { id: 'b', name: 'B', balance: 200, apr: 0, minPayment: 100 }
+  ], { now });
+  const { avalanche } = plan;
+  assert.equal(plan.totalDebt, 500);
+  assert.equal(avalanche.monthlyPayment, 200);
+  assert.deepEqual([avalanche.months, avalanche.payoffDate, avalanche.totalInterest], [3, '2026-04', 0]);
+  assert.deepEqual(avalanche.order.map(d => [d.name, d.paidOffMonth, d.payoffDate]), [['B', 2, '2026-03'], ['A', 3, '2026-04']]);
+  assert.deepEqual(avalanche.schedule.map(m => m.balance), [300, 100, 0]);
+  assert.equal(plan.interestSaved, 0);
+});
+
+test('avalanche targets the highest APR, snowball the smallest balance', () => {
+  const plan = planPayoff([
+    { id: 'card', name: 'Card', balance: 1000, apr: 24, minPayment: 25 },
+    { id: 'loan', name: 'Loan', balance: 500, apr: 5, minPayment: 25 }
+  ], { extraMonthly: 100, now });
+  assert.equal(plan.avalanche.order[0].name, 'Card');
+  assert.equal(plan.snowball.order[0].name, 'Loan');
+  assert.ok(plan.avalanche.finished && plan.snowball.finished);
+  assert.equal(plan.avalanche.monthlyPayment, 150);
+  assert.ok(plan.interestSaved > 0);
+  assert.equal(plan.interestSaved, Math.round((plan.snowball.totalInterest - plan.avalanche.totalInterest) * 100) / 100);
+});
+
+test('payments that do not cover the interest never finish', () => {
+  const plan = planPayoff([{ id: 'x', name: 'X', balance: 10000, apr: 30, minPayment: 100 }], { now });
+  assert.equal(plan.avalanche.finished, false);
+  assert.deepEqual([plan.avalanche.months, plan.avalanche.payoffDate, plan.avalanche.totalInterest], [null, null, null]);
+  assert.equal(plan.avalanche.schedule.length, 1);
+  assert.equal(plan.interestSaved, null);
+});
+
+test('bad numbers count as nothing', () => {
+  const plan = planPayoff([{ id: 'x', name: 'X', balance: -50, apr: 'lots', minPayment: null }], { extraMonthly: -10, now });
+  assert.equal(plan.totalDebt, 0);
+  assert.equal(plan.extraMonthly, 0);
+  assert.deepEqual([plan.avalanche.finished, plan.avalanche.months], [true, 0]);
+});
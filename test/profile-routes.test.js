@@ -0,0 +1,108 @@
+// Profile API errors: always JSON, whichever route throws, and what the
+// routes turn away.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { profileRoutes, jsonErrors } = require('../lib/profile-routes');
+const { createStore } = require('../lib/store');
+
+// A store whose profile exists but every write fails.
+const failingStore = {
+  isValidId: () => true,
+  getProfile: id => ({ id, accounts: [{ id: 'main' }], goals: [], debts: [], recurring: [], transactions: [] }),
+  savePetState: async () => { throw new Error('disk full'); },
+  addGoal: async () => { throw new Error('disk full'); },
+  deleteProfile: async () => { throw new Error('disk full'); }
+};
+
+async function storeWithProfile() {
+  const store = createStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'penny-')), 'penny.json'));
+  await store.upsertProfile('p', {});
+  return store;
+}
+
+async function withServer(store, fn) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/profiles', profileRoutes(store));
+  app.use(jsonErrors);
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/api/profiles`);
+  } finally {
+    console.error = error;
+    server.close();
+  }
+}
+
+test('a failing write answers { error } as JSON', async () => {
+  await withServer(failingStore, async base => {
+    const requests = [
+      ['POST', '/p/pet', { state: 'HEALTHY' }],
+      ['POST', '/p/goals', { name: 'Bike', target: 100, targetDate: '2030-01-01' }],
+      ['DELETE', '/p']
+    ];
+    for (const [method, url, body] of requests) {
+      const r = await fetch(base + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      assert.equal(r.status, 500, `${method} ${url}`);
+      assert.match(r.headers.get('content-type'), /application\/json/);
+      assert.deepEqual(await r.json(), { error: 'disk full' });
+    }
+  });
+});
+
+test('a body that is not JSON answers { error } as JSON', async () => {
+  await withServer(failingStore, async base => {
+    const r = await fetch(`${base}/p/pet`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"state":'
+    });
+    assert.equal(r.status, 400);
+    assert.match(r.headers.get('content-type'), /application\/json/);
+    assert.equal(typeof (await r.json()).error, 'string');
+  });
+});
+
+test('createdAt must be an ISO date string', async () => {
+  const store = await storeWithProfile();
+  const other = await store.addAccount('p', { name: 'Savings', type: 'savings', balance: 0 });
+  await withServer(store, async base => {
+    const post = (url, body) => fetch(base + url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const deposit = { type: 'deposit', amount: 10 };
+    const moved = { from: 'main', to: other.id, amount: 5 };
+    assert.equal((await post('/p/transactions', { ...deposit, createdAt: '0' })).status, 400);
+    assert.equal((await post('/p/transactions', { ...deposit, createdAt: 1767225600000 })).status, 400);
+    assert.equal((await post('/p/transactions', { ...deposit, createdAt: '2026-01-01T12:00:00.000Z' })).status, 201);
+    assert.equal((await post('/p/transfers', { ...moved, createdAt: 1767225600000 })).status, 400);
+    assert.equal((await post('/p/transfers', { ...moved, createdAt: '2026-01-02' })).status, 201);
+  });
+});
+
+test('imported rows name a known source', async () => {
+  const store = await storeWithProfile();
+  await withServer(store, async base => {
+    const post = source => fetch(`${base}/p/transactions/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ transactions: [{ type: 'deposit', amount: 5, createdAt: '2026-01-01', source }], dryRun: true })
+    });
+    assert.equal((await post('recurring')).status, 400);
+    assert.equal((await post('qif')).status, 200);
+  });
+});
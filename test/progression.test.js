@@ -0,0 +1,89 @@
+// XP, levels, forms, accessories and achievements (public/progression.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPublicModule } = require('./helpers/load-public-module');
+
+const progression = loadPublicModule('progression.js');
+
+const at = (day, hour = 9) => new Date(2026, 0, day, hour);
+
+const noStats = {
+  entries: 0, loggedXp: 0, goodDays: 0, streak: 0, bestStreak: 0, peakBalance: 0,
+  savingsMilestones: 0, goalMilestones: 0, goalsDone: 0, debtsPaidOff: 0, bestCheckInStreak: 0
+};
+
+test('each level asks 100 XP more than the one before', async () => {
+  const { xpForLevel, levelFor } = await progression;
+  assert.deepEqual([1, 2, 3, 4, 5].map(xpForLevel), [0, 100, 300, 600, 1000]);
+  assert.deepEqual([0, 99, 100, 299, 300, 1000].map(levelFor), [1, 1, 2, 2, 3, 5]);
+});
+
+test('the newest accessory per slot is worn', async () => {
+  const { wornAccessories } = await progression;
+  assert.deepEqual(wornAccessories(1), []);
+  assert.deepEqual(wornAccessories(5), ['bow', 'glasses', 'scarf']);
+  assert.deepEqual(wornAccessories(7), ['hat', 'glasses', 'scarf']);
+});
+
+test('days are good while the month stays under budget', async () => {
+  const { progressStats } = await progression;
+  const tx = (day, amount, balanceAfter) => ({ type: 'withdraw', amount, balanceAfter, createdAt: at(day).toISOString() });
+  const stats = progressStats({
+    financial: { monthlyBudget: 300 },
+    balance: 400,
+    transactions: [tx(1, 100, 900), tx(1, 50, 850), tx(2, 20, 830), tx(4, 200, 630), tx(5, 1, 629)],
+    debts: [{ balance: 0 }, { balance: 10 }],
+    needs: { checkedInOn: '2026-01-03', streak: 1 }
+  }, at(6));
+  assert.deepEqual(stats, {
+    entries: 5,
+    loggedXp: 25,
+    goodDays: 3,
+    streak: 0,
+    bestStreak: 3,
+    peakBalance: 900,
+    savingsMilestones: 2,
+    goalMilestones: 0,
+    goalsDone: 0,
+    debtsPaidOff: 1
+  });
+});
+
+test('a day nobody logged or checked in on is not a good day', async () => {
+  const { progressStats } = await progression;
+  const tx = day => ({ type: 'deposit', amount: 5, balanceAfter: 5, createdAt: at(day).toISOString() });
+  const stats = progressStats({ financial: { monthlyBudget: 300 }, transactions: [tx(1), tx(5)] }, at(20));
+  assert.deepEqual([stats.goodDays, stats.bestStreak, stats.streak], [2, 1, 0]);
+  const checked = progressStats({
+    financial: { monthlyBudget: 300 },
+    transactions: [tx(1), tx(5)],
+    needs: { checkedInOn: '2026-01-19', streak: 3 }
+  }, at(20));
+  assert.deepEqual([checked.goodDays, checked.bestStreak, checked.streak], [5, 3, 3]);
+});
+
+test('savings milestones are reached at their worth in the profile currency', async () => {
+  const { progressStats } = await progression;
+  const yen = balance => progressStats({ balance, settings: { currency: 'JPY', rates: { USD: 150 } } }, at(2));
+  assert.deepEqual([yen(100000).peakBalance, yen(100000).savingsMilestones], [100000 / 150, 2]);
+  assert.equal(yen(150000).savingsMilestones, 3);
+  assert.equal(progressStats({ balance: 100000 }, at(2)).savingsMilestones, 9);
+});
+
+test('achievements unlock once and XP never goes down', async () => {
+  const { progressOf } = await progression;
+  const first = progressOf({ ...noStats, entries: 1, loggedXp: 5 }, null, at(1));
+  assert.deepEqual([first.xp, first.level, first.form, first.fresh, first.levelUp], [25, 1, 'baby', ['firstEntry'], null]);
+
+  const saved = { xp: first.xp, level: first.level, achievements: first.achievements };
+  const rich = progressOf({ ...noStats, entries: 1, loggedXp: 5, peakBalance: 1000, savingsMilestones: 3 }, saved, at(2));
+  assert.equal(rich.xp, 5 + 3 * 50 + 20 + 150);
+  assert.deepEqual([rich.level, rich.levelUp, rich.evolved, rich.form], [3, 1, true, 'kid']);
+  assert.deepEqual(rich.fresh, ['saved1000']);
+  assert.deepEqual(rich.unlocked, ['bow']);
+  assert.equal(rich.achievements.firstEntry, first.achievements.firstEntry);
+
+  const kept = progressOf(noStats, { xp: 700, level: 4 }, at(3));
+  assert.deepEqual([kept.xp, kept.level, kept.levelUp, kept.fresh], [700, 4, null, []]);
+});
@@ -0,0 +1,74 @@
+// Recurring rules: their schedule (lib/recurring.js) and the catch-up posting
+// in the store.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildRule, dueDates, validateRule } = require('../lib/recurring');
+const { createStore } = require('../lib/store');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'penny-')), 'penny.json');
+
+test('weekly rules catch up on every missed week, oldest first', () => {
+  const rule = buildRule({ type: 'withdraw', amount: 10, frequency: 'weekly', startDate: '2026-01-01' }, null, '2026-01-01');
+  assert.equal(rule.nextDue, '2026-01-01');
+  assert.deepEqual(dueDates(rule, '2026-01-29'), {
+    dates: ['2026-01-01', '2026-01-08', '2026-01-15', '2026-01-22', '2026-01-29'],
+    nextDue: '2026-02-05'
+  });
+  assert.deepEqual(dueDates(rule, '2025-12-31'), { dates: [], nextDue: '2026-01-01' });
+});
+
+test('monthly rules on the 31st land on the last day of short months', () => {
+  const rule = buildRule({ type: 'deposit', amount: 100, frequency: 'monthly', startDate: '2026-01-31' }, null, '2026-01-31');
+  assert.equal(rule.dayOfMonth, 31);
+  assert.deepEqual(dueDates(rule, '2026-05-01').dates, ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+});
+
+test('a schedule change never posts the last posted day again', () => {
+  const weekly = buildRule({ type: 'withdraw', amount: 5, frequency: 'weekly', startDate: '2026-03-02' }, null, '2026-03-02');
+  const base = { ...weekly, lastPosted: '2026-03-09', nextDue: '2026-03-16' };
+  const monthly = buildRule({ frequency: 'monthly', dayOfMonth: 9 }, base, '2026-03-10');
+  assert.equal(monthly.nextDue, '2026-04-09');
+});
+
+test('resuming a paused rule skips what fell due while it was paused', () => {
+  const paused = { ...buildRule({ type: 'withdraw', amount: 5, frequency: 'weekly', startDate: '2026-03-02' }, null, '2026-03-02'), active: false };
+  const resumed = buildRule({ active: true }, paused, '2026-03-20');
+  assert.equal(resumed.nextDue, '2026-03-23');
+});
+
+test('rules are validated before they are built', () => {
+  assert.match(validateRule({ type: 'deposit', amount: 0, frequency: 'weekly' }), /amount/);
+  assert.match(validateRule({ type: 'deposit', amount: 5, frequency: 'daily' }), /frequency/);
+  assert.match(validateRule({ type: 'deposit', amount: 5, frequency: 'monthly', dayOfMonth: 32 }), /dayOfMonth/);
+  assert.equal(validateRule({ amount: 7 }, { partial: true }), null);
+});
+
+test('the store posts missed occurrences once, in order, and skips paused rules', async () => {
+  const store = createStore(tempFile());
+  await store.upsertProfile('p', {});
+  const rent = await store.addRecurring('p', { type: 'withdraw', amount: 50, frequency: 'monthly', startDate: '2026-01-15', category: 'rent' }, '2026-01-15');
+  const pay = await store.addRecurring('p', { type: 'deposit', amount: 100, frequency: 'biweekly', startDate: '2026-01-02' }, '2026-01-02');
+  const paused = await store.addRecurring('p', { type: 'withdraw', amount: 999, frequency: 'weekly', startDate: '2026-01-01' }, '2026-01-01');
+  await store.updateRecurring('p', paused.id, { active: false }, '2026-01-01');
+
+  const posted = await store.postDueRecurring('p', '2026-02-20');
+  assert.deepEqual(posted.map(t => [t.createdAt.slice(0, 10), t.type, t.amount]), [
+    ['2026-01-02', 'deposit', 100],
+    ['2026-01-15', 'withdraw', 50],
+    ['2026-01-16', 'deposit', 100],
+    ['2026-01-30', 'deposit', 100],
+    ['2026-02-13', 'deposit', 100],
+    ['2026-02-15', 'withdraw', 50]
+  ]);
+  assert.ok(posted.every(t => t.source === 'recurring' && [rent.id, pay.id].includes(t.recurringId)));
+  assert.equal(store.getProfile('p').balance, 300);
+  assert.deepEqual(await store.postDueRecurring('p', '2026-02-20'), []);
+
+  const rules = store.getProfile('p').recurring;
+  assert.equal(rules.find(r => r.id === rent.id).nextDue, '2026-03-15');
+  assert.equal(rules.find(r => r.id === pay.id).lastPosted, '2026-02-13');
+});
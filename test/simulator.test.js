@@ -0,0 +1,60 @@
+// What-if projections (lib/simulator.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, project, normalizeChanges, validateScenarios, DEFAULT_HORIZON, MAX_HORIZON } = require('../lib/simulator');
+
+const inputs = {
+  monthly_income: 3000,
+  monthly_spending: 2500,
+  total_savings: 1000,
+  total_debt: 2000,
+  monthly_investments: 0,
+  investment_balance: 0
+};
+
+test('validateScenarios accepts objects only', () => {
+  assert.equal(validateScenarios([]), null);
+  assert.equal(validateScenarios([{ label: 'Cut', changes: { spendingCutPct: 10 } }, {}]), null);
+  assert.equal(validateScenarios({}), 'scenarios must be a list');
+  assert.equal(validateScenarios([null]), 'scenarios[0] must be an object');
+  assert.equal(validateScenarios([{}, 'x']), 'scenarios[1] must be an object');
+  assert.equal(validateScenarios([{ changes: 5 }]), 'scenarios[0].changes must be an object');
+});
+
+test('changes are clamped to sensible ranges', () => {
+  assert.deepEqual(normalizeChanges({ spendingCutPct: 500, incomeChangePct: -300, extraInvestMonthly: -5, debtPayoff: 'x' }), {
+    spendingCutPct: 100,
+    incomeChangePct: -100,
+    extraInvestMonthly: 0,
+    debtPayoff: 0,
+    extraDebtMonthly: 0
+  });
+});
+
+test('savings grow by what is left each month', () => {
+  const { months } = project(inputs, {}, 3);
+  assert.deepEqual(months.map(m => m.savings), [1000, 1500, 2000, 2500]);
+  assert.ok(months.every(m => m.debt === 2000));
+});
+
+test('a one-time payoff is limited by what is saved', () => {
+  const { months } = project(inputs, { debtPayoff: 5000 }, 1);
+  assert.equal(months[0].savings, 0);
+  assert.equal(months[0].debt, 1000);
+});
+
+test('running out of cash borrows the shortfall', () => {
+  const { months } = project({ ...inputs, monthly_spending: 3500 }, {}, 3);
+  assert.deepEqual(months.map(m => m.savings), [1000, 500, 0, 0]);
+  assert.deepEqual(months.map(m => m.debt), [2000, 2000, 2000, 2500]);
+});
+
+test('simulate returns the baseline and one projection per scenario', () => {
+  const out = simulate({ inputs, scenarios: [{ changes: { spendingCutPct: 20 } }] });
+  assert.equal(out.horizonMonths, DEFAULT_HORIZON);
+  assert.equal(out.baseline.length, DEFAULT_HORIZON + 1);
+  assert.equal(out.scenarios[0].label, 'Scenario 1');
+  assert.ok(out.scenarios[0].months[DEFAULT_HORIZON].savings > out.baseline[DEFAULT_HORIZON].savings);
+  assert.equal(simulate({ inputs, horizonMonths: 1000 }).horizonMonths, MAX_HORIZON);
+});
@@ -0,0 +1,95 @@
+// Bank statement parsers (public/statement-parsers.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPublicModule } = require('./helpers/load-public-module');
+
+const parsers = loadPublicModule('statement-parsers.js');
+
+test('amounts in bank notation', async () => {
+  const { parseAmount } = await parsers;
+  assert.equal(parseAmount('$1,234.50'), 1234.5);
+  assert.equal(parseAmount('(12.00)'), -12);
+  assert.equal(parseAmount('12.00-'), -12);
+  assert.equal(parseAmount('-7'), -7);
+  assert.equal(parseAmount('1.234,50 €'), 1234.5);
+  assert.equal(parseAmount('1.234'), 1234);
+  assert.equal(parseAmount('-2.500.000'), -2500000);
+  assert.equal(parseAmount('0.125'), 0.125);
+  assert.equal(parseAmount('12.50'), 12.5);
+  assert.ok(Number.isNaN(parseAmount('')));
+});
+
+test('dates in every supported order', async () => {
+  const { parseDate } = await parsers;
+  assert.equal(parseDate('2026-03-04'), '2026-03-04');
+  assert.equal(parseDate('03/04/2026'), '2026-03-04');
+  assert.equal(parseDate('03/04/2026', 'dmy'), '2026-04-03');
+  assert.equal(parseDate('25/12/2025'), '2025-12-25');
+  assert.equal(parseDate('20260131120000[-5:EST]'), '2026-01-31');
+  assert.equal(parseDate("1/31'24"), '2024-01-31');
+  assert.equal(parseDate('02/30/2026'), '');
+});
+
+test('format is told by the file name or its first lines', async () => {
+  const { detectFormat } = await parsers;
+  assert.equal(detectFormat('bank.QFX', ''), 'ofx');
+  assert.equal(detectFormat('export.txt', 'OFXHEADER:100\n'), 'ofx');
+  assert.equal(detectFormat('export.txt', '!Type:Bank\n'), 'qif');
+  assert.equal(detectFormat('export.csv', 'Date,Amount\n'), 'csv');
+});
+
+test('CSV with quotes, a header and split debit / credit columns', async () => {
+  const { parseCsvText, guessCsvMapping, csvToRows } = await parsers;
+  const table = parseCsvText('\uFEFFDate;Description;Money out;Money in\r\n01/05/2026;"Rent; ""May""";800,00;\r\n01/06/2026;Paycheck;;1.500,00\r\n\r\n');
+  assert.deepEqual(table[1], ['01/05/2026', 'Rent; "May"', '800,00', '']);
+  const mapping = guessCsvMapping(table[0]);
+  assert.deepEqual(mapping, { date: 0, description: 1, amount: -1, debit: 2, credit: 3, dateFormat: 'auto', hasHeader: true });
+  assert.deepEqual(csvToRows(table, mapping), [
+    { date: '2026-01-05', amount: -800, description: 'Rent; "May"' },
+    { date: '2026-01-06', amount: 1500, description: 'Paycheck' }
+  ]);
+});
+
+test('CSV rows without a date or an amount are skipped', async () => {
+  const { parseCsvText, guessCsvMapping, csvToRows } = await parsers;
+  const table = parseCsvText('Date,Payee,Amount\n2026-02-01,Coffee,-3.50\nnot a date,Junk,-1\n2026-02-02,Zero,0\n');
+  assert.deepEqual(csvToRows(table, guessCsvMapping(table[0])), [{ date: '2026-02-01', amount: -3.5, description: 'Coffee' }]);
+});
+
+test('OFX in its SGML flavor', async () => {
+  const { parseOfx } = await parsers;
+  const ofx = [
+    'OFXHEADER:100', '<OFX><BANKTRANLIST>',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260210<TRNAMT>-42.10<FITID>A1<NAME>GROCER<MEMO>Card 1234',
+    '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260215120000<TRNAMT>900.00<FITID>A2<NAME>EMPLOYER<MEMO>EMPLOYER',
+    '</BANKTRANLIST></OFX>'
+  ].join('\n');
+  assert.deepEqual(parseOfx(ofx), [
+    { date: '2026-02-10', amount: -42.1, description: 'GROCER – Card 1234', externalId: 'A1' },
+    { date: '2026-02-15', amount: 900, description: 'EMPLOYER', externalId: 'A2' }
+  ]);
+});
+
+test('QIF records', async () => {
+  const { parseQif } = await parsers;
+  const qif = '!Type:Bank\nD1/31\'26\nT-15.00\nPCinema\nMTickets\n^\nD2/01/2026\nU250.00\nPRefund\n^\n';
+  assert.deepEqual(parseQif(qif), [
+    { date: '2026-01-31', amount: -15, description: 'Cinema – Tickets' },
+    { date: '2026-02-01', amount: 250, description: 'Refund' }
+  ]);
+});
+
+test('rows become ledger entries, oldest first', async () => {
+  const { toTransactions } = await parsers;
+  const txs = toTransactions([
+    { date: '2026-02-02', amount: 10.005, description: 'Later' },
+    { date: '2026-02-01', amount: -4.5, description: '', externalId: 'X' }
+  ]);
+  assert.deepEqual(txs.map(t => [t.type, t.amount, t.description, t.externalId, t.source]), [
+    ['withdraw', 4.5, '', 'X', 'import'],
+    ['deposit', 10.01, 'Later', undefined, 'import']
+  ]);
+  assert.equal(new Date(txs[0].createdAt).getDate(), 1);
+  assert.equal(toTransactions([{ date: '2026-02-01', amount: 1 }], 'ofx')[0].source, 'ofx');
+});
@@ -0,0 +1,130 @@
+// The profile store: ledger arithmetic, accounts and the data file.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'penny-')), 'penny.json');
+
+async function storeWithProfile(id = 'p') {
+  const store = createStore(tempFile());
+  await store.upsertProfile(id, {});
+  return store;
+}
+
+test('an account with ledger history cannot be deleted', async () => {
+  const store = await storeWithProfile();
+  const savings = await store.addAccount('p', { name: 'Savings', type: 'savings', balance: 0 });
+  await store.addTransaction('p', { type: 'deposit', amount: 100, accountId: savings.id });
+  await store.addTransaction('p', { type: 'withdraw', amount: 100, accountId: savings.id });
+
+  assert.equal(await store.deleteAccount('p', savings.id), 'in_use');
+  assert.ok(store.getProfile('p').accounts.some(a => a.id === savings.id));
+});
+
+test('an empty account nothing uses can be deleted, but never the last one', async () => {
+  const store = await storeWithProfile();
+  const spare = await store.addAccount('p', { name: 'Spare', type: 'savings', balance: 0 });
+  assert.equal(await store.deleteAccount('p', spare.id), null);
+  assert.equal(await store.deleteAccount('p', 'main'), 'last');
+  assert.equal(await store.deleteAccount('p', 'nope'), 'not_found');
+});
+
+test('accounts used by a transfer or holding money stay', async () => {
+  const store = await storeWithProfile();
+  await store.setBalance('p', 50);
+  const other = await store.addAccount('p', { name: 'Other', type: 'savings', balance: 0 });
+  assert.equal(await store.deleteAccount('p', 'main'), 'not_empty');
+  await store.addTransfer('p', { from: 'main', to: other.id, amount: 50 });
+  await store.addTransfer('p', { from: other.id, to: 'main', amount: 50 });
+  assert.equal(await store.deleteAccount('p', other.id), 'in_use');
+});
+
+test('balances stay to the cent however entries add up', async () => {
+  const store = await storeWithProfile();
+  await store.addTransaction('p', { type: 'deposit', amount: 100.1 });
+  const tx = await store.addTransaction('p', { type: 'withdraw', amount: 0.2 });
+  const p = store.getProfile('p');
+  assert.equal(tx.balanceAfter, 99.9);
+  assert.equal(p.balance, 99.9);
+  assert.equal(p.accounts[0].balance, 99.9);
+
+  // A backdated entry shifts every later balanceAfter, still to the cent
+  await store.addTransaction('p', { type: 'deposit', amount: 0.1, createdAt: '2020-01-01T12:00:00.000Z' });
+  assert.deepEqual(p.transactions.map(t => t.balanceAfter), [0.1, 100.2, 100]);
+  await store.deleteTransaction('p', p.transactions[0].id);
+  assert.deepEqual(p.transactions.map(t => t.balanceAfter), [100.1, 99.9]);
+  assert.equal(p.balance, 99.9);
+});
+
+test('deleting or editing a debt overpayment gives back only what it paid off', async () => {
+  const store = await storeWithProfile();
+  await store.addTransaction('p', { type: 'deposit', amount: 500 });
+  const debt = await store.addDebt('p', { name: 'Card', balance: 100, apr: 20, minPayment: 25 });
+  const tx = await store.addTransaction('p', { type: 'withdraw', amount: 150, debtId: debt.id });
+  const p = store.getProfile('p');
+  assert.deepEqual([tx.debtPaid, p.debts[0].balance], [100, 0]);
+
+  await store.updateTransaction('p', tx.id, { amount: 40 });
+  assert.equal(p.debts[0].balance, 60);
+  await store.deleteTransaction('p', tx.id);
+  assert.equal(p.debts[0].balance, 100);
+  assert.equal(p.balance, 500);
+});
+
+test('an import only counts entries in the same account as duplicates', async () => {
+  const store = await storeWithProfile();
+  const savings = await store.addAccount('p', { name: 'Savings', type: 'savings', balance: 0 });
+  await store.addTransaction('p', { type: 'deposit', amount: 20, createdAt: '2026-01-05T12:00:00.000Z' });
+  const row = { type: 'deposit', amount: 20, createdAt: '2026-01-05T09:00:00.000Z' };
+  assert.deepEqual(store.findDuplicates('p', [row], 'main'), [0]);
+  assert.deepEqual(store.findDuplicates('p', [row], savings.id), []);
+  const { imported } = await store.importTransactions('p', [row], savings.id);
+  assert.equal(imported.length, 1);
+});
+
+test('a change that cannot be written to disk rejects', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'penny-'));
+  const blocker = path.join(dir, 'not-a-dir');
+  fs.writeFileSync(blocker, '');
+  const store = createStore(path.join(blocker, 'penny.json'));
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await assert.rejects(store.upsertProfile('p', {}));
+  } finally {
+    console.error = error;
+  }
+});
+
+test('switching currency keeps what everything is worth', async () => {
+  const store = await storeWithProfile();
+  await store.upsertProfile('p', { financial: { monthlyEarnings: 3000, monthlyBudget: 2000 }, settings: { rates: { GBP: 1.25 } } });
+  await store.addTransaction('p', { type: 'deposit', amount: 1000 });
+  const goal = await store.addGoal('p', { name: 'Bike', target: 500, targetDate: '2030-01-01', saved: 100 });
+
+  await assert.rejects(store.upsertProfile('p', { settings: { currency: 'EUR' } }), /rate for USD/);
+  assert.equal(store.getProfile('p').settings.currency, 'USD');
+
+  const p = await store.upsertProfile('p', { settings: { currency: 'EUR', rates: { USD: 0.9 } } });
+  assert.equal(p.settings.currency, 'EUR');
+  assert.deepEqual(p.settings.rates, { USD: 0.9, GBP: 1.125 });
+  assert.equal(p.accounts[0].currency, 'USD');
+  assert.equal(p.accounts[0].balance, 1000);
+  assert.equal(p.balance, 900);
+  assert.equal(p.transactions[0].balanceAfter, 900);
+  assert.equal(p.financial.monthlyEarnings, 2700);
+  assert.equal(p.financial.monthlyBudget, 1800);
+  assert.deepEqual([p.goals[0].target, p.goals[0].saved], [450, 90]);
+  assert.equal(goal.id, p.goals[0].id);
+});
+
+test('an empty profile just takes a new currency', async () => {
+  const store = await storeWithProfile();
+  const p = await store.upsertProfile('p', { settings: { currency: 'EUR' } });
+  assert.equal(p.settings.currency, 'EUR');
+  assert.equal(p.accounts[0].currency, undefined);
+});